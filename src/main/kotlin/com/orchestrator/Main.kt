@@ -124,7 +124,7 @@ class Main {
             // Start web dashboard server
             runCatching {
                 log.info("Starting web dashboard server on ${config.web.host}:${config.web.port}")
-                val webServer = com.orchestrator.web.WebServer.create(config.web)
+                val webServer = com.orchestrator.web.WebServer.create(config.web, agentRegistry)
                 webServer.start()
                 webServerModule = webServer
                 log.info("Web dashboard server started")
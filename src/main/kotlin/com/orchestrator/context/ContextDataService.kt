@@ -38,4 +38,7 @@ class ContextDataService(
 
     /** Delete all persisted artefacts for the provided absolute path (unique across multiple watch roots). */
     fun deleteFileByAbsPath(absolutePath: String): Boolean = repository.deleteFileArtifactsByAbsPath(absolutePath)
+
+    /** Delete the embeddings of a file's chunks, keeping the chunks themselves. */
+    fun purgeEmbeddings(absolutePath: String): Int = repository.deleteEmbeddingsForFile(absolutePath)
 }
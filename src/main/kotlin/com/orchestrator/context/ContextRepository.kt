@@ -406,6 +406,18 @@ object ContextRepository {
         }
     }
 
+    /**
+     * Delete the embeddings of a file's chunks but keep the chunks, so the file drops out of
+     * semantic search until it is re-indexed. Returns the number of embeddings removed.
+     */
+    fun deleteEmbeddingsForFile(absolutePath: String): Int {
+        val state = ContextDatabase.withConnection { conn -> getFileStateByAbsPath(conn, absolutePath) } ?: return 0
+        return ContextDatabase.transaction { conn ->
+            val chunkIds = getChunkIdsForFile(conn, state.id)
+            if (chunkIds.isEmpty()) 0 else deleteEmbeddings(conn, chunkIds)
+        }
+    }
+
     // endregion
 
     // region Internal helpers
@@ -672,10 +684,10 @@ object ContextRepository {
         }
     }
 
-    private fun deleteEmbeddings(conn: Connection, chunkIds: List<Long>) {
+    private fun deleteEmbeddings(conn: Connection, chunkIds: List<Long>): Int {
         val placeholders = chunkIds.joinToString(",") { "?" }
         val sql = "DELETE FROM embeddings WHERE chunk_id IN ($placeholders)"
-        conn.prepareStatement(sql).use { ps ->
+        return conn.prepareStatement(sql).use { ps ->
             chunkIds.forEachIndexed { index, id -> ps.setLong(index + 1, id) }
             ps.executeUpdate()
         }
@@ -5,6 +5,7 @@ import com.orchestrator.context.discovery.DirectoryScanner
 import com.orchestrator.context.discovery.PathValidator
 import com.orchestrator.context.indexing.BatchIndexer
 import com.orchestrator.context.indexing.BatchProgress
+import com.orchestrator.context.indexing.IndexingCancellation
 import com.orchestrator.context.storage.ContextDatabase
 import com.orchestrator.utils.Logger
 import java.nio.file.Path
@@ -22,9 +23,15 @@ class BootstrapOrchestrator(
 
     private val log = Logger.logger("com.orchestrator.context.bootstrap.BootstrapOrchestrator")
 
+    /**
+     * @param cancellation Optional stop request. Files skipped because of it are counted in
+     *                     [BootstrapResult.cancelledFiles] and stay unindexed until the next
+     *                     refresh or rebuild.
+     */
     suspend fun bootstrap(
         onProgress: ((BootstrapProgress) -> Unit)? = null,
-        forceScan: Boolean = true
+        forceScan: Boolean = true,
+        cancellation: IndexingCancellation? = null
     ): BootstrapResult {
         val startTime = Instant.now()
 
@@ -62,7 +69,7 @@ class BootstrapOrchestrator(
         var successfulFiles = 0
         var failedFiles = 0
 
-        val batchResult = indexer.indexFilesAsync(filesToProcess, config.parallelWorkers) { batchProgress ->
+        val onBatchProgress: (BatchProgress) -> Unit = { batchProgress ->
             processedFiles = batchProgress.processedFiles
             successfulFiles = batchProgress.succeeded
             failedFiles = batchProgress.failed
@@ -82,10 +89,12 @@ class BootstrapOrchestrator(
                     processedFiles = processedFiles,
                     successfulFiles = successfulFiles,
                     failedFiles = failedFiles,
-                    lastProcessedFile = batchProgress.lastPath
+                    lastProcessedFile = batchProgress.lastPath,
+                    lastError = batchProgress.lastError
                 )
             )
         }
+        val batchResult = indexer.indexFilesAsync(filesToProcess, config.parallelWorkers, onBatchProgress, cancellation)
 
         errorLogger.clearErrors()
 
@@ -116,7 +125,9 @@ class BootstrapOrchestrator(
             totalFiles = totalFiles,
             successfulFiles = successfulFiles,
             failedFiles = failedFiles,
-            duration = duration
+            duration = duration,
+            cancelledFiles = batchResult.stats.skipped,
+            cancelled = batchResult.wasCancelled
         )
     }
 }
@@ -126,7 +137,11 @@ data class BootstrapResult(
     val totalFiles: Int,
     val successfulFiles: Int,
     val failedFiles: Int,
-    val duration: java.time.Duration
+    val duration: java.time.Duration,
+    /** Files left unindexed because the bootstrap was cancelled */
+    val cancelledFiles: Int = 0,
+    /** Whether the bootstrap was cancelled, even if every file had already been started */
+    val cancelled: Boolean = false
 )
 
 data class BootstrapProgress(
@@ -134,5 +149,7 @@ data class BootstrapProgress(
     val processedFiles: Int,
     val successfulFiles: Int,
     val failedFiles: Int,
-    val lastProcessedFile: String?
+    val lastProcessedFile: String?,
+    /** Why [lastProcessedFile] failed, when it did */
+    val lastError: String? = null
 )
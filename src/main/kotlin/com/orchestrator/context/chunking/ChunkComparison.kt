@@ -0,0 +1,42 @@
+package com.orchestrator.context.chunking
+
+import com.orchestrator.context.domain.Chunk
+
+/**
+ * Compares the chunks stored for a file with the ones its current chunker
+ * produces, to find chunks that a re-index would split differently. Used to
+ * debug chunkers: a chunker change shows up as drift on files indexed before it.
+ */
+object ChunkComparison {
+
+    data class Result(
+        /** [ChunkingStrategy.id] of the chunker that was run */
+        val chunkerId: String,
+        /** Chunks the current chunker produces */
+        val currentCount: Int,
+        /** Ids of stored chunks the current chunker does not reproduce */
+        val driftedChunkIds: Set<Long>
+    )
+
+    /**
+     * Chunk [content] with [chunker] and flag each of [stored] whose boundaries
+     * are not among the results: its line span when it has one, otherwise its
+     * text.
+     */
+    fun compare(stored: List<Chunk>, chunker: Chunker, content: String, filePath: String, language: String): Result {
+        val current = chunker.chunk(content, filePath, language)
+        val currentSpans = current.mapNotNull { it.lineSpan }.toSet()
+        val currentTexts = current.map { it.content.trim() }.toSet()
+        val drifted = stored.filterNot { chunk ->
+            when (val span = chunk.lineSpan) {
+                null -> chunk.content.trim() in currentTexts
+                else -> span in currentSpans
+            }
+        }
+        return Result(
+            chunkerId = chunker.strategy.id,
+            currentCount = current.size,
+            driftedChunkIds = drifted.map { it.id }.toSet()
+        )
+    }
+}
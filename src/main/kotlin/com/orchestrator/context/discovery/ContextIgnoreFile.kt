@@ -0,0 +1,92 @@
+package com.orchestrator.context.discovery
+
+import com.orchestrator.context.config.WatcherConfig
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.Paths
+import java.nio.file.StandardOpenOption
+
+/**
+ * The `.contextignore` file under a project root, which [PathFilter.fromSources] reads
+ * alongside `.gitignore`. Lets the dashboard exclude paths from the index without
+ * touching the configuration file.
+ *
+ * Filters built before a pattern is added keep their old view; a running watcher picks
+ * new patterns up when it restarts.
+ */
+class ContextIgnoreFile(root: Path) {
+
+    private val root: Path = root.toAbsolutePath().normalize()
+
+    val path: Path = this.root.resolve(FILE_NAME)
+
+    /** Patterns in the file, without blank lines and comments. */
+    fun patterns(): List<String> {
+        if (!Files.isRegularFile(path)) return emptyList()
+        return Files.readAllLines(path)
+            .map { it.trim() }
+            .filter { it.isNotEmpty() && !it.startsWith("#") }
+    }
+
+    /**
+     * Append the [patterns] the file does not have yet, under an optional [comment].
+     * Creates the file if needed. Returns the patterns that were added.
+     */
+    fun add(patterns: List<String>, comment: String? = null): List<String> {
+        val existing = patterns().toSet()
+        val added = patterns.map { it.trim() }.filter { it.isNotEmpty() && it !in existing }.distinct()
+        if (added.isEmpty()) return emptyList()
+
+        val text = buildString {
+            // Start on a fresh line when the file does not end with one
+            if (Files.isRegularFile(path) && Files.size(path) > 0 && !Files.readString(path).endsWith("\n")) {
+                append('\n')
+            }
+            comment?.let { append("# ").append(it).append('\n') }
+            added.forEach { append(it).append('\n') }
+        }
+        Files.writeString(path, text, StandardOpenOption.CREATE, StandardOpenOption.APPEND)
+        return added
+    }
+
+    /**
+     * Exclude the absolute file and directory [paths] under this file's root. Patterns are
+     * anchored at the root, so a same-named path deeper in the tree stays indexed; paths
+     * outside the root are skipped. Returns the patterns that were added.
+     */
+    fun exclude(paths: List<Path>, comment: String? = null): List<String> {
+        val patterns = paths.mapNotNull { raw ->
+            val absolute = raw.toAbsolutePath().normalize()
+            if (absolute == root || !absolute.startsWith(root)) return@mapNotNull null
+            val relative = root.relativize(absolute).joinToString("/") { escape(it.toString()) }
+            if (Files.isDirectory(absolute)) "/$relative/" else "/$relative"
+        }
+        return add(patterns, comment)
+    }
+
+    companion object {
+        const val FILE_NAME = ".contextignore"
+
+        /**
+         * The ignore files read for paths under [watcher]'s watch paths: refresh_context reads
+         * the one at their common ancestor, the file watcher one at each watch root, and the
+         * dashboard's filesystem snapshot the one at [workingDir].
+         */
+        fun readBy(watcher: WatcherConfig, workingDir: Path): List<ContextIgnoreFile> {
+            val watchRoots = watcher.watchPaths
+                .map { it.trim() }
+                .filter { it.isNotEmpty() && !it.equals("auto", ignoreCase = true) }
+                .mapNotNull { raw -> runCatching { workingDir.resolve(Paths.get(raw)) }.getOrNull() }
+            return (listOf(ProjectRootDetector.fromWatchPaths(watcher.watchPaths), workingDir) + watchRoots)
+                .map { it.toAbsolutePath().normalize() }
+                .distinct()
+                .map(::ContextIgnoreFile)
+        }
+
+        /**
+         * [PathFilter] globs have no escape character, so `*` and `?` in a name become `?`,
+         * which matches just that one character.
+         */
+        private fun escape(name: String): String = name.replace('*', '?')
+    }
+}
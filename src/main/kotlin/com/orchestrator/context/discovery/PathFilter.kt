@@ -24,9 +24,10 @@ class PathFilter private constructor(
         // Check against absolute path
         if (matchers.any { it.matches(absoluteStr) }) return true
 
-        // Also check relative path from root
+        // Also check relative path from root, with a leading slash so patterns anchored
+        // at the root ("/build/") match too
         val relativeStr = try {
-            normalize(root.relativize(absolute).toString())
+            "/" + normalize(root.relativize(absolute).toString())
         } catch (e: IllegalArgumentException) {
             // Path is not relative to root, only check absolute
             return false
@@ -2,6 +2,7 @@ package com.orchestrator.context.discovery
 
 import java.nio.file.Files
 import java.nio.file.Path
+import java.nio.file.Paths
 import kotlin.io.path.isDirectory
 import kotlin.io.path.name
 
@@ -45,6 +46,66 @@ object ProjectRootDetector {
         return DetectionResult(cwd, Confidence.LOW, "Fallback to current working dir")
     }
 
+    /**
+     * Common ancestor of the configured watch paths: the root refresh_context reads ignore
+     * files and include paths from. Relative paths resolve against the working directory;
+     * blank and `auto` entries are skipped, and without any others the working directory is
+     * the root.
+     */
+    fun fromWatchPaths(watchPaths: List<String>): Path {
+        val candidates = watchPaths.mapNotNull { raw ->
+            val trimmed = raw.trim()
+            if (trimmed.isEmpty() || trimmed.equals("auto", ignoreCase = true)) {
+                null
+            } else {
+                runCatching { Paths.get(trimmed).toAbsolutePath().normalize() }.getOrNull()
+            }
+        }
+
+        if (candidates.isEmpty()) {
+            return Paths.get(System.getProperty("user.dir")).toAbsolutePath().normalize()
+        }
+
+        var common = candidates.first()
+        for (path in candidates.drop(1)) {
+            common = commonAncestor(common, path)
+        }
+
+        return common
+    }
+
+    private fun commonAncestor(first: Path, second: Path): Path {
+        val a = first.toAbsolutePath().normalize()
+        val b = second.toAbsolutePath().normalize()
+
+        // If they are identical, return either
+        if (a == b) return a
+
+        val aSegments = a.pathSegments()
+        val bSegments = b.pathSegments()
+        val limit = minOf(aSegments.size, bSegments.size)
+        var commonCount = 0
+        while (commonCount < limit && aSegments[commonCount] == bSegments[commonCount]) {
+            commonCount++
+        }
+
+        val root = a.root ?: b.root
+        var result = root ?: Paths.get("/")
+        for (i in 0 until commonCount) {
+            result = result.resolve(aSegments[i])
+        }
+        return result.normalize()
+    }
+
+    private fun Path.pathSegments(): List<String> {
+        val normalized = this.toAbsolutePath().normalize()
+        val segments = mutableListOf<String>()
+        for (component in normalized) {
+            segments += component.toString()
+        }
+        return segments
+    }
+
     private fun findGitRoot(start: Path): Path? {
         return ascend(start) { candidate -> Files.exists(candidate.resolve(".git")) }
     }
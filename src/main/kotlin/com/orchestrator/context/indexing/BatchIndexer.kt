@@ -32,13 +32,17 @@ class BatchIndexer(
 
     /**
      * Blocking variant that launches a coroutine worker pool under the hood.
+     *
+     * @param cancellation Optional stop request; files not yet started when it is cancelled
+     *                     are skipped and counted in [BatchStats.skipped]
      */
     fun indexFiles(
         paths: List<Path>,
         parallelism: Int = defaultParallelism,
-        onProgress: ((BatchProgress) -> Unit)? = null
+        onProgress: ((BatchProgress) -> Unit)? = null,
+        cancellation: IndexingCancellation? = null
     ): BatchResult = runBlocking {
-        indexFilesInternal(paths, parallelism, onProgress)
+        indexFilesInternal(paths, parallelism, onProgress, cancellation)
     }
 
     /**
@@ -47,13 +51,15 @@ class BatchIndexer(
     suspend fun indexFilesAsync(
         paths: List<Path>,
         parallelism: Int = defaultParallelism,
-        onProgress: ((BatchProgress) -> Unit)? = null
-    ): BatchResult = indexFilesInternal(paths, parallelism, onProgress)
+        onProgress: ((BatchProgress) -> Unit)? = null,
+        cancellation: IndexingCancellation? = null
+    ): BatchResult = indexFilesInternal(paths, parallelism, onProgress, cancellation)
 
     private suspend fun indexFilesInternal(
         paths: List<Path>,
         parallelism: Int,
-        progressListener: ((BatchProgress) -> Unit)?
+        progressListener: ((BatchProgress) -> Unit)?,
+        cancellation: IndexingCancellation?
     ): BatchResult {
         if (paths.isEmpty()) {
             val now = Instant.now(clock)
@@ -66,7 +72,7 @@ class BatchIndexer(
                 completedAt = now,
                 durationMillis = 0
             )
-            return BatchResult(emptyList(), emptyList(), stats)
+            return BatchResult(emptyList(), emptyList(), stats, wasCancelled = cancellation?.isCancelled == true)
         }
 
         val totalFiles = paths.size
@@ -74,6 +80,7 @@ class BatchIndexer(
         val processedCounter = AtomicInteger(0)
         val successCounter = AtomicInteger(0)
         val failureCounter = AtomicInteger(0)
+        val skippedCounter = AtomicInteger(0)
         val successes = Collections.synchronizedList(mutableListOf<IndexResult>())
         val failures = Collections.synchronizedList(mutableListOf<BatchFailure>())
 
@@ -95,6 +102,10 @@ class BatchIndexer(
             for (path in paths) {
                 launch(dispatcher) {
                     semaphore.withPermit {
+                        if (cancellation?.isCancelled == true) {
+                            skippedCounter.incrementAndGet()
+                            return@withPermit
+                        }
                         val (result, failure, errorMessage) = indexSingle(path)
                         if (result != null && result.success) {
                             successes.add(result)
@@ -155,8 +166,12 @@ class BatchIndexer(
             failed = failureCounter.get(),
             startedAt = start,
             completedAt = completed,
-            durationMillis = Duration.between(start, completed).toMillis()
+            durationMillis = Duration.between(start, completed).toMillis(),
+            skipped = skippedCounter.get()
         )
+        if (stats.skipped > 0) {
+            log.info("Batch indexing cancelled: skipped {} of {} files", stats.skipped, totalFiles)
+        }
 
         // Final metrics summary: shows overall performance for debugging and optimization
         val totalEmbeddings = embeddingCounter.get()
@@ -182,7 +197,8 @@ class BatchIndexer(
         return BatchResult(
             successes = successes.toList(),
             failures = failures.toList(),
-            stats = stats
+            stats = stats,
+            wasCancelled = cancellation?.isCancelled == true
         )
     }
 
@@ -219,7 +235,9 @@ class BatchIndexer(
 data class BatchResult(
     val successes: List<IndexResult>,
     val failures: List<BatchFailure>,
-    val stats: BatchStats
+    val stats: BatchStats,
+    /** True when the batch was cancelled; [BatchStats.skipped] counts the files it kept from starting */
+    val wasCancelled: Boolean = false
 ) {
     val isSuccessful: Boolean get() = failures.isEmpty()
     val hasFailures: Boolean get() = failures.isNotEmpty()
@@ -239,7 +257,9 @@ data class BatchStats(
     val failed: Int,
     val startedAt: Instant,
     val completedAt: Instant,
-    val durationMillis: Long
+    val durationMillis: Long,
+    /** Files never started because the batch was cancelled */
+    val skipped: Int = 0
 )
 
 data class BatchProgress(
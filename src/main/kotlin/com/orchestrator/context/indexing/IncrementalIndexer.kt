@@ -30,14 +30,18 @@ class IncrementalIndexer(
      * @param detectImplicitDeletions If true, scan all indexed files for implicit deletions.
      *                                Set to false for watcher incremental updates (default).
      *                                Set to true for full rescan operations.
+     * @param forceReindex If true, also re-index files whose content has not changed.
+     * @param cancellation Optional stop request, checked before each file is indexed
      */
     fun update(
         paths: List<Path>,
         parallelism: Int? = null,
         onProgress: ((BatchProgress) -> Unit)? = null,
-        detectImplicitDeletions: Boolean = false
+        detectImplicitDeletions: Boolean = false,
+        forceReindex: Boolean = false,
+        cancellation: IndexingCancellation? = null
     ): UpdateResult = runBlocking {
-        updateAsync(paths, parallelism, onProgress, detectImplicitDeletions)
+        updateAsync(paths, parallelism, onProgress, detectImplicitDeletions, forceReindex, cancellation)
     }
 
     /**
@@ -53,21 +57,28 @@ class IncrementalIndexer(
      * @param detectImplicitDeletions If true, scan all indexed files for implicit deletions.
      *                                Set to false for watcher incremental updates (default).
      *                                Set to true for full rescan operations.
+     * @param forceReindex If true, also re-index files whose content has not changed, e.g. after
+     *                     their embeddings were purged or the chunker changed.
+     * @param cancellation Optional stop request. Files not yet started when it is cancelled
+     *                     keep their previous state; deletions are still applied.
      */
     suspend fun updateAsync(
         paths: List<Path>,
         parallelism: Int? = null,
         onProgress: ((BatchProgress) -> Unit)? = null,
-        detectImplicitDeletions: Boolean = false
+        detectImplicitDeletions: Boolean = false,
+        forceReindex: Boolean = false,
+        cancellation: IndexingCancellation? = null
     ): UpdateResult {
         val startedAt = Instant.now(clock)
         val changeSet = changeDetector.detectChanges(paths, detectImplicitDeletions)
 
-        val candidates = (changeSet.newFiles + changeSet.modifiedFiles).map { it.path }
+        val stale = changeSet.newFiles + changeSet.modifiedFiles
+        val candidates = (if (forceReindex) stale + changeSet.unchangedFiles else stale).map { it.path }
         val batchResult = when {
             candidates.isEmpty() -> null
-            parallelism != null -> batchIndexer.indexFilesAsync(candidates, parallelism, onProgress)
-            else -> batchIndexer.indexFilesAsync(candidates, onProgress = onProgress)
+            parallelism != null -> batchIndexer.indexFilesAsync(candidates, parallelism, onProgress, cancellation)
+            else -> batchIndexer.indexFilesAsync(candidates, onProgress = onProgress, cancellation = cancellation)
         }
 
         val deletionResults = changeSet.deletedFiles.map { deleted ->
@@ -98,7 +109,8 @@ class IncrementalIndexer(
             deletions = deletionResults,
             startedAt = startedAt,
             completedAt = completedAt,
-            durationMillis = duration
+            durationMillis = duration,
+            wasCancelled = cancellation?.isCancelled == true
         )
     }
 }
@@ -109,13 +121,17 @@ data class UpdateResult(
     val deletions: List<DeletionResult>,
     val startedAt: Instant,
     val completedAt: Instant,
-    val durationMillis: Long
+    val durationMillis: Long,
+    /** Whether a cancellation was requested by the time the update finished */
+    val wasCancelled: Boolean = false
 ) {
     val newCount: Int get() = changeSet.newFiles.size
     val modifiedCount: Int get() = changeSet.modifiedFiles.size
     val deletedCount: Int get() = changeSet.deletedFiles.size
     val unchangedCount: Int get() = changeSet.unchangedFiles.size
     val indexingFailures: Int get() = batchResult?.failures?.size ?: 0
+    /** Files left unindexed because the update was cancelled */
+    val skippedCount: Int get() = batchResult?.stats?.skipped ?: 0
     val deletionFailures: Int get() = deletions.count { !it.success }
     val hasFailures: Boolean get() = indexingFailures + deletionFailures > 0
 }
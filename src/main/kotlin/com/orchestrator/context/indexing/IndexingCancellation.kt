@@ -0,0 +1,22 @@
+package com.orchestrator.context.indexing
+
+import java.util.concurrent.atomic.AtomicBoolean
+
+/**
+ * Cooperative stop request for an indexing run.
+ *
+ * [BatchIndexer] checks it before it starts on each file, so files already being indexed
+ * finish with consistent chunks and embeddings and the rest are skipped. Skipped files keep
+ * their previous index state, so a later refresh picks them up again.
+ */
+class IndexingCancellation {
+
+    private val requested = AtomicBoolean(false)
+
+    val isCancelled: Boolean get() = requested.get()
+
+    /**
+     * @return true if this call requested the stop, false if it had been requested already
+     */
+    fun cancel(): Boolean = requested.compareAndSet(false, true)
+}
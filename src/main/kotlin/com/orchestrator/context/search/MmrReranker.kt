@@ -11,6 +11,22 @@ class MmrReranker(
     private val tokenEstimator: (String) -> Int = { text -> TokenEstimator.estimateTokens(text) }
 ) {
 
+    /**
+     * How MMR weighed one selected result against those picked before it.
+     *
+     * @property maxSimilarity highest similarity to an earlier pick (0 for the seed)
+     * @property penalty what that similarity cost: (1 - lambda) * maxSimilarity
+     * @property mmrScore the value the pick won with: lambda * relevance - penalty, or the
+     *                    plain relevance for the seed
+     * @property seed whether this is the first pick, chosen by relevance alone
+     */
+    data class Adjustment(
+        val maxSimilarity: Double,
+        val penalty: Double,
+        val mmrScore: Double,
+        val seed: Boolean = false
+    )
+
     fun rerank(
         results: List<SearchResult>,
         lambda: Double,
@@ -74,4 +90,31 @@ class MmrReranker(
 
         return selected
     }
+
+    /**
+     * Recomputes the MMR scores of [selected], a list in the order [rerank]
+     * returned it, so callers can show why each result was picked where it was.
+     */
+    fun explain(selected: List<SearchResult>, lambda: Double): List<Adjustment> {
+        require(lambda in 0.0..1.0) { "lambda must be between 0.0 and 1.0" }
+        return selected.mapIndexed { index, candidate ->
+            if (index == 0) {
+                return@mapIndexed Adjustment(
+                    maxSimilarity = 0.0,
+                    penalty = 0.0,
+                    mmrScore = candidate.score.toDouble(),
+                    seed = true
+                )
+            }
+            val maxSimilarity = selected.subList(0, index).maxOf { other ->
+                VectorOps.dotProduct(candidate.vector, other.vector).toDouble()
+            }
+            val penalty = (1.0 - lambda) * maxSimilarity
+            Adjustment(
+                maxSimilarity = maxSimilarity,
+                penalty = penalty,
+                mmrScore = lambda * candidate.score - penalty
+            )
+        }
+    }
 }
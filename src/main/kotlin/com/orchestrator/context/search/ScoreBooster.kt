@@ -8,6 +8,19 @@ import com.orchestrator.context.domain.ContextSnippet
  */
 class ScoreBooster(private val config: BoostConfig) {
 
+    /**
+     * The boosts that apply to one snippet.
+     *
+     * @property pathPrefix the configured prefix that matched, if any
+     */
+    data class Boosts(
+        val pathPrefix: String?,
+        val pathBoost: Double,
+        val languageBoost: Double
+    ) {
+        val total: Double get() = pathBoost * languageBoost
+    }
+
     /**
      * Applies path and language boosts to snippets.
      * 
@@ -19,10 +32,8 @@ class ScoreBooster(private val config: BoostConfig) {
         if (config.pathPrefixes.isEmpty() && config.languages.isEmpty()) return snippets
 
         return snippets.map { snippet ->
-            val pathBoost = calculatePathBoost(snippet.filePath)
-            val langBoost = calculateLanguageBoost(snippet.language)
-            val totalBoost = pathBoost * langBoost
-            
+            val totalBoost = boostsFor(snippet).total
+
             if (totalBoost != 1.0) {
                 snippet.copy(score = (snippet.score * totalBoost).coerceIn(0.0, 1.0))
             } else {
@@ -31,15 +42,25 @@ class ScoreBooster(private val config: BoostConfig) {
         }
     }
 
-    private fun calculatePathBoost(filePath: String): Double {
-        if (config.pathPrefixes.isEmpty()) return 1.0
-        
+    /**
+     * Works out which boosts apply to [snippet], without applying them.
+     */
+    fun boostsFor(snippet: ContextSnippet): Boosts {
+        val prefix = matchingPrefix(snippet.filePath)
+        return Boosts(
+            pathPrefix = prefix?.key,
+            pathBoost = prefix?.value ?: 1.0,
+            languageBoost = calculateLanguageBoost(snippet.language)
+        )
+    }
+
+    private fun matchingPrefix(filePath: String): Map.Entry<String, Double>? {
+        if (config.pathPrefixes.isEmpty()) return null
+
         // Find longest matching prefix
         return config.pathPrefixes
             .filter { (prefix, _) -> filePath.contains(prefix) }
             .maxByOrNull { (prefix, _) -> prefix.length }
-            ?.value
-            ?: 1.0
     }
 
     private fun calculateLanguageBoost(language: String?): Double {
@@ -50,11 +50,12 @@ class AgentRegistry private constructor(
 
     /**
      * Atomically update status for a given agent.
+     * Publishes [SystemEvent.AgentStatusChanged] when the status actually changes.
      * @return true if updated, false if agent not found.
      */
     fun updateStatus(id: AgentId, newStatus: AgentStatus): Boolean {
         val rec = byId[id] ?: return false
-        rec.statusRef.set(newStatus)
+        setStatus(rec, newStatus)
         return true
     }
 
@@ -67,7 +68,14 @@ class AgentRegistry private constructor(
         for (rec in records) {
             val current = rec.snapshot()
             val status = runCatching { checker.check(current) }.getOrDefault(AgentStatus.OFFLINE)
-            rec.statusRef.set(status)
+            setStatus(rec, status)
+        }
+    }
+
+    private fun setStatus(rec: AgentRecord, status: AgentStatus) {
+        val previous = rec.statusRef.getAndSet(status)
+        if (previous != status) {
+            EventBus.global.publish(SystemEvent.AgentStatusChanged(rec.agentImpl.id, status))
         }
     }
 
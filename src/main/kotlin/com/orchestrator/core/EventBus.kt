@@ -22,6 +22,7 @@ sealed class SystemEvent : Event {
     data class TaskUpdated(val taskId: TaskId, override val timestamp: Instant = Instant.now()) : SystemEvent()
     data class TaskCompleted(val taskId: TaskId, override val timestamp: Instant = Instant.now()) : SystemEvent()
     data class TaskFailed(val taskId: TaskId, val error: String, override val timestamp: Instant = Instant.now()) : SystemEvent()
+    data class TaskDeleted(val taskId: TaskId, val title: String? = null, override val timestamp: Instant = Instant.now()) : SystemEvent()
     
     data class ProposalSubmitted(val proposalId: ProposalId, val taskId: TaskId, val agentId: AgentId, override val timestamp: Instant = Instant.now()) : SystemEvent()
     data class DecisionMade(val decisionId: DecisionId, val taskId: TaskId, override val timestamp: Instant = Instant.now()) : SystemEvent()
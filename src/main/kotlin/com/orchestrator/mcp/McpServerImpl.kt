@@ -1343,12 +1343,37 @@ class McpServerImpl(
                     put("metadata", buildJsonObject {
                         hit.metadata.forEach { (k, v) -> put(k, JsonPrimitive(v)) }
                     })
+                    hit.explanation?.let { put("explanation", scoreExplanationToJson(it)) }
                 })
             }
         })
         put("metadata", anyToJsonElement(result.metadata))
     }
 
+    private fun scoreExplanationToJson(explanation: QueryContextTool.ScoreExplanation): JsonObject = buildJsonObject {
+        put("providerScore", explanation.providerScore?.let { JsonPrimitive(it) } ?: JsonNull)
+        put("providers", buildJsonArray { explanation.providers.forEach { add(JsonPrimitive(it)) } })
+        put("boosts", explanation.boosts?.let { boosts ->
+            buildJsonObject {
+                put("pathPrefix", boosts.pathPrefix?.let { JsonPrimitive(it) } ?: JsonNull)
+                put("pathBoost", JsonPrimitive(boosts.pathBoost))
+                put("languageBoost", JsonPrimitive(boosts.languageBoost))
+            }
+        } ?: JsonNull)
+        put("boostedScore", explanation.boostedScore?.let { JsonPrimitive(it) } ?: JsonNull)
+        put("candidateRank", explanation.candidateRank?.let { JsonPrimitive(it) } ?: JsonNull)
+        put("mmr", explanation.mmr?.let { mmr ->
+            buildJsonObject {
+                put("maxSimilarity", JsonPrimitive(mmr.maxSimilarity))
+                put("penalty", JsonPrimitive(mmr.penalty))
+                put("mmrScore", JsonPrimitive(mmr.mmrScore))
+                put("seed", JsonPrimitive(mmr.seed))
+            }
+        } ?: JsonNull)
+        put("neighborOf", explanation.neighborOf?.let { JsonPrimitive(it) } ?: JsonNull)
+        put("finalScore", JsonPrimitive(explanation.finalScore))
+    }
+
     private fun getContextStatsResultToJson(result: GetContextStatsTool.Result): JsonObject = buildJsonObject {
         put("providerStatus", buildJsonArray {
             result.providerStatus.forEach { provider ->
@@ -2533,6 +2558,7 @@ class McpServerImpl(
                 - **kinds** (optional): Chunk type filters (e.g., ["CODE_CLASS", "CODE_METHOD", "CODE_FUNCTION"])
                 - **excludePatterns** (optional): Exclusion patterns (e.g., ["test/", "*.md", "build/"])
                 - **providers** (optional): Search backends (e.g., ["semantic", "symbol", "fulltext"])
+                - **explain** (optional): Add a per-hit score breakdown (provider score, boosts, MMR, neighbour expansion) for debugging
 
                 ## 📈 Success Metrics
                 Using query_context consistently delivers:
@@ -3130,7 +3156,8 @@ class McpServerImpl(
             languages = o.listStr("languages"),
             kinds = o.listStr("kinds"),
             excludePatterns = o.listStr("excludePatterns"),
-            providers = o.listStr("providers")
+            providers = o.listStr("providers"),
+            explain = o.bool("explain")
         )
     }
 
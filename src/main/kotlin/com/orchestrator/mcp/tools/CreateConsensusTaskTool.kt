@@ -53,6 +53,21 @@ class CreateConsensusTaskTool(
 
     /** Execute tool with given params, returning a structured result. */
     fun execute(p: Params): Result {
+        val planned = plan(p)
+        taskRepository.insert(planned.task)
+        return planned.result
+    }
+
+    /**
+     * Validate and route [p] exactly as [execute] does, without persisting
+     * anything. The task ID in the result is provisional: [execute] generates
+     * a new one.
+     */
+    fun preview(p: Params): Result = plan(p).result
+
+    private data class Planned(val task: Task, val result: Result)
+
+    private fun plan(p: Params): Planned {
         val warnings = mutableListOf<String>()
 
         // 1) Validate core fields
@@ -182,15 +197,14 @@ class CreateConsensusTaskTool(
             decision.participantAgentIds
         }
 
-        // 8) Persist task, applying participants with creating agent as primary
+        // 8) Task to persist, applying participants with creating agent as primary
         val withParticipants = task.copy(
             routing = decision.strategy,
             assigneeIds = finalParticipants.toSet()
         )
-        taskRepository.insert(withParticipants)
 
-        // 9) Return result with creating agent as primary
-        return Result(
+        // 9) Result with creating agent as primary
+        val result = Result(
             taskId = withParticipants.id.value,
             status = withParticipants.status.name,
             routing = withParticipants.routing.name,
@@ -198,6 +212,7 @@ class CreateConsensusTaskTool(
             participantAgentIds = finalParticipants.map { it.value },
             warnings = warnings
         )
+        return Planned(withParticipants, result)
     }
 
     /**
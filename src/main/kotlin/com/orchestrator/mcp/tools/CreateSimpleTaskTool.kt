@@ -58,6 +58,21 @@ class CreateSimpleTaskTool(
     )
 
     fun execute(p: Params): Result {
+        val planned = plan(p)
+        taskRepository.insert(planned.task)
+        return planned.result
+    }
+
+    /**
+     * Validate and route [p] exactly as [execute] does, without persisting
+     * anything. The task ID in the result is provisional: [execute] generates
+     * a new one.
+     */
+    fun preview(p: Params): Result = plan(p).result
+
+    private data class Planned(val task: Task, val result: Result)
+
+    private fun plan(p: Params): Planned {
         val warnings = mutableListOf<String>()
 
         // 1) Validate core fields
@@ -131,15 +146,14 @@ class CreateSimpleTaskTool(
         // 4) Route task using RoutingModule (with directive)
         val decision = routingModule.routeTaskWithDirective(task, userDirective)
 
-        // 5) Persist task, applying selected participants
+        // 5) Task to persist, applying selected participants
         val withParticipants = task.copy(
             routing = decision.strategy, // should be SOLO
             assigneeIds = decision.participantAgentIds.toSet()
         )
-        taskRepository.insert(withParticipants)
 
-        // 6) Return result
-        return Result(
+        // 6) Result
+        val result = Result(
             taskId = withParticipants.id.value,
             status = withParticipants.status.name,
             routing = withParticipants.routing.name,
@@ -147,6 +161,7 @@ class CreateSimpleTaskTool(
             participantAgentIds = decision.participantAgentIds.map { it.value },
             warnings = warnings
         )
+        return Planned(withParticipants, result)
     }
 
     companion object {
@@ -13,6 +13,7 @@ import com.orchestrator.context.providers.ContextProviderRegistry
 import com.orchestrator.context.search.MmrReranker
 import com.orchestrator.context.search.NeighborExpander
 import com.orchestrator.context.search.ScoreBooster
+import com.orchestrator.context.search.SearchResult
 import com.orchestrator.context.search.VectorSearchEngine
 import com.orchestrator.modules.context.QueryOptimizer
 import com.orchestrator.utils.Logger
@@ -75,7 +76,9 @@ class QueryContextTool(
         val languages: List<String>? = null,
         val kinds: List<String>? = null,
         val excludePatterns: List<String>? = null,
-        val providers: List<String>? = null
+        val providers: List<String>? = null,
+        /** Attach a [ScoreExplanation] to every hit */
+        val explain: Boolean? = null
     )
 
     data class SnippetHit(
@@ -88,7 +91,28 @@ class QueryContextTool(
         val language: String?,
         val startLine: Int?,
         val endLine: Int?,
-        val metadata: Map<String, String>
+        val metadata: Map<String, String>,
+        /** Set when [Params.explain] was requested */
+        val explanation: ScoreExplanation? = null
+    )
+
+    /**
+     * How a hit's score came about, stage by stage. Stages that did not run
+     * for the hit are null.
+     */
+    data class ScoreExplanation(
+        /** Score from the provider(s) that found the chunk; vector similarity for semantic */
+        val providerScore: Double?,
+        val providers: List<String>,
+        val boosts: ScoreBooster.Boosts?,
+        /** Score after boosts, capped at 1.0 */
+        val boostedScore: Double?,
+        /** Position among the candidates that passed the score threshold, before MMR */
+        val candidateRank: Int?,
+        val mmr: MmrReranker.Adjustment?,
+        /** The hit this chunk was added next to by neighbour expansion */
+        val neighborOf: Long?,
+        val finalScore: Double
     )
 
     data class Result(
@@ -104,6 +128,7 @@ class QueryContextTool(
 
         // Build ContextScope from parameters
         val scope = buildScope(params)
+        val trace = if (params.explain == true) ScoreTrace() else null
 
         // Create TokenBudget
         val budget = TokenBudget(
@@ -150,12 +175,14 @@ class QueryContextTool(
 
         // Sort by score and deduplicate
         val uniqueSnippets = deduplicateSnippets(allSnippets)
+        trace?.recordProviderScores(uniqueSnippets, scoreBooster)
 
         // Apply path/language boosts
         val boostedSnippets = applyScoreBoosts(uniqueSnippets)
         
         // Filter by minimum score threshold from config
         val filteredSnippets = boostedSnippets.filter { it.score >= config.query.minScoreThreshold }
+        trace?.recordCandidates(boostedSnippets, filteredSnippets)
         if (filteredSnippets.size < boostedSnippets.size) {
             log.debug("Filtered {} snippets below min_score_threshold of {}",
                 boostedSnippets.size - filteredSnippets.size,
@@ -164,7 +191,7 @@ class QueryContextTool(
 
         // Apply MMR optimization if enabled
         val optimizedSnippets = if (config.query.useOptimizerInTool && filteredSnippets.isNotEmpty()) {
-            applyMmrOptimization(params.query, filteredSnippets, budget)
+            applyMmrOptimization(params.query, filteredSnippets, budget, trace)
         } else {
             filteredSnippets
         }
@@ -191,18 +218,28 @@ class QueryContextTool(
                 language = snippet.language,
                 startLine = snippet.offsets?.first,
                 endLine = snippet.offsets?.last,
-                metadata = snippet.metadata
+                metadata = snippet.metadata,
+                explanation = trace?.explain(snippet)
             )
         }
 
         val tokensUsed = finalSnippets.sumOf { estimateTokens(it) }
-        val metadata = mapOf<String, Any>(
-            "totalHits" to allSnippets.size,
-            "returnedHits" to hits.size,
-            "tokensUsed" to tokensUsed,
-            "tokensRequested" to budget.availableForSnippets,
-            "providers" to providerStats
-        )
+        val metadata = buildMap<String, Any> {
+            put("totalHits", allSnippets.size)
+            put("returnedHits", hits.size)
+            put("tokensUsed", tokensUsed)
+            put("tokensRequested", budget.availableForSnippets)
+            put("providers", providerStats)
+            if (trace != null) {
+                // The settings the explanations were produced under
+                put("scoring", mapOf(
+                    "minScoreThreshold" to config.query.minScoreThreshold,
+                    "mmrEnabled" to (config.query.useOptimizerInTool && config.query.rerankEnabled),
+                    "mmrLambda" to config.query.mmrLambda,
+                    "neighborWindow" to config.query.neighborWindow
+                ))
+            }
+        }
 
         log.debug("Returned {} hits ({}% of {} total) using {} tokens",
             hits.size,
@@ -331,7 +368,8 @@ class QueryContextTool(
     private fun applyMmrOptimization(
         query: String,
         snippets: List<ContextSnippet>,
-        budget: TokenBudget
+        budget: TokenBudget,
+        trace: ScoreTrace?
     ): List<ContextSnippet> {
         if (snippets.isEmpty()) return emptyList()
         
@@ -362,6 +400,9 @@ class QueryContextTool(
             
             // Apply MMR reranking
             val optimized = queryOptimizer.optimize(query, searchResults, budget)
+            if (trace != null && config.query.rerankEnabled) {
+                trace.recordMmr(optimized, reranker.explain(optimized, config.query.mmrLambda))
+            }
             
             // Convert back to ContextSnippets, preserving original metadata
             return optimized.map { result ->
@@ -449,6 +490,66 @@ class QueryContextTool(
     private fun estimateTokens(snippet: ContextSnippet): Int =
         max(1, snippet.metadata["token_estimate"]?.toIntOrNull() ?: snippet.text.length / 4)
 
+    /**
+     * Scores of each chunk as it passes through the pipeline, keyed by chunk
+     * id, for [ScoreExplanation]s.
+     */
+    private class ScoreTrace {
+        private val providerScores = mutableMapOf<Long, Double>()
+        private val boosts = mutableMapOf<Long, ScoreBooster.Boosts>()
+        private val boostedScores = mutableMapOf<Long, Double>()
+        private val candidateRanks = mutableMapOf<Long, Int>()
+        private val mmr = mutableMapOf<Long, MmrReranker.Adjustment>()
+
+        fun recordProviderScores(snippets: List<ContextSnippet>, booster: ScoreBooster) {
+            snippets.forEach { snippet ->
+                providerScores[snippet.chunkId] = snippet.score
+                boosts[snippet.chunkId] = booster.boostsFor(snippet)
+            }
+        }
+
+        fun recordCandidates(boosted: List<ContextSnippet>, candidates: List<ContextSnippet>) {
+            boosted.forEach { boostedScores[it.chunkId] = it.score }
+            candidates.forEachIndexed { index, snippet -> candidateRanks[snippet.chunkId] = index + 1 }
+        }
+
+        fun recordMmr(selected: List<SearchResult>, adjustments: List<MmrReranker.Adjustment>) {
+            selected.zip(adjustments).forEach { (result, adjustment) -> mmr[result.chunk.id] = adjustment }
+        }
+
+        fun explain(snippet: ContextSnippet): ScoreExplanation {
+            val providers = snippet.metadata["sources"]
+                ?.split(',')
+                ?.map { it.trim() }
+                ?.filter { it.isNotEmpty() }
+                .orEmpty()
+            // A neighbour's score is derived from the hit it sits next to
+            snippet.metadata["neighbor_of"]?.toLongOrNull()?.let { neighborOf ->
+                return ScoreExplanation(
+                    providerScore = null,
+                    providers = providers,
+                    boosts = null,
+                    boostedScore = null,
+                    candidateRank = null,
+                    mmr = null,
+                    neighborOf = neighborOf,
+                    finalScore = snippet.score
+                )
+            }
+            val id = snippet.chunkId
+            return ScoreExplanation(
+                providerScore = providerScores[id],
+                providers = providers,
+                boosts = boosts[id],
+                boostedScore = boostedScores[id],
+                candidateRank = candidateRanks[id],
+                mmr = mmr[id],
+                neighborOf = null,
+                finalScore = snippet.score
+            )
+        }
+    }
+
     companion object {
         const val JSON_SCHEMA: String = """
         {
@@ -464,7 +565,8 @@ class QueryContextTool(
             "languages": {"type": ["array", "null"], "items": {"type": "string"}},
             "kinds": {"type": ["array", "null"], "items": {"type": "string"}},
             "excludePatterns": {"type": ["array", "null"], "items": {"type": "string"}},
-            "providers": {"type": ["array", "null"], "items": {"type": "string"}}
+            "providers": {"type": ["array", "null"], "items": {"type": "string"}},
+            "explain": {"type": ["boolean", "null"]}
           },
           "additionalProperties": false
         }
@@ -10,6 +10,7 @@ import com.orchestrator.context.config.ContextConfig
 import com.orchestrator.context.discovery.DirectoryScanner
 import com.orchestrator.context.indexing.BatchIndexer
 import com.orchestrator.context.indexing.FileIndexer
+import com.orchestrator.context.indexing.IndexingCancellation
 import com.orchestrator.context.storage.ContextDatabase
 import com.orchestrator.context.watcher.WatcherRegistry
 import com.orchestrator.utils.Logger
@@ -132,9 +133,15 @@ class RebuildContextTool(
         }
     }
 
+    /**
+     * @param cancellation Optional stop request for a sync rebuild. Before the destructive phase
+     *                     it leaves the index untouched; after it, the files indexed so far are
+     *                     kept and the result has status `cancelled`. Async rebuilds ignore it.
+     */
     fun execute(
         params: Params = Params(),
-        onProgress: ((BootstrapProgress) -> Unit)? = null
+        onProgress: ((BootstrapProgress) -> Unit)? = null,
+        cancellation: IndexingCancellation? = null
     ): Result {
         val startedAt = Instant.now()
 
@@ -204,7 +211,7 @@ class RebuildContextTool(
                 if (params.async) {
                     executeAsync(targetPaths, params, startedAt, onProgress)
                 } else {
-                    executeSync(targetPaths, params, startedAt, onProgress)
+                    executeSync(targetPaths, params, startedAt, onProgress, cancellation)
                 }
             }
         }
@@ -308,7 +315,8 @@ class RebuildContextTool(
         paths: List<Path>,
         params: Params,
         startedAt: Instant,
-        onProgress: ((BootstrapProgress) -> Unit)?
+        onProgress: ((BootstrapProgress) -> Unit)?,
+        cancellation: IndexingCancellation?
     ): Result {
         if (!rebuildInProgress.compareAndSet(false, true)) {
             return Result(
@@ -331,7 +339,7 @@ class RebuildContextTool(
         return try {
             // Use runBlocking but ensure we're using async methods internally
             runBlocking {
-                executeSyncInternal(paths, params, startedAt, onProgress)
+                executeSyncInternal(paths, params, startedAt, onProgress, cancellation)
             }
         } catch (e: Exception) {
             val errorMessage = e.message ?: e::class.simpleName ?: "Unknown error"
@@ -361,7 +369,8 @@ class RebuildContextTool(
         paths: List<Path>,
         params: Params,
         startedAt: Instant,
-        onProgress: ((BootstrapProgress) -> Unit)?
+        onProgress: ((BootstrapProgress) -> Unit)?,
+        cancellation: IndexingCancellation?
     ): Result {
         // Phase 2: Pre-rebuild
         log.info("Pre-rebuild: preparing database for rebuild")
@@ -375,6 +384,25 @@ class RebuildContextTool(
             )
         )
 
+        if (cancellation?.isCancelled == true) {
+            log.info("Rebuild cancelled before the destructive phase; index left untouched")
+            return Result(
+                mode = "sync",
+                status = "cancelled",
+                jobId = null,
+                phase = "pre-rebuild",
+                totalFiles = null,
+                processedFiles = null,
+                successfulFiles = null,
+                failedFiles = null,
+                durationMs = Instant.now().toEpochMilli() - startedAt.toEpochMilli(),
+                startedAt = startedAt,
+                completedAt = Instant.now(),
+                message = "Rebuild cancelled before any data was cleared",
+                validationErrors = null
+            )
+        }
+
         // Phase 3: Destructive phase
         log.info("Destructive phase: clearing existing context data")
         clearContextData()
@@ -390,11 +418,14 @@ class RebuildContextTool(
 
         // Phase 4: Rebuild phase
         log.info("Rebuild phase: running bootstrap for {} paths", paths.size)
-        val bootstrapResult = runBootstrap(paths, params.parallelism, onProgress)
+        val bootstrapResult = runBootstrap(paths, params.parallelism, onProgress, cancellation)
+        val cancelled = bootstrapResult.cancelled
 
-        // Phase 5: Post-rebuild
-        log.info("Post-rebuild: optimizing database")
-        optimizeDatabase()
+        // Phase 5: Post-rebuild (a cancelled run returns without the slow optimize pass)
+        if (!cancelled) {
+            log.info("Post-rebuild: optimizing database")
+            optimizeDatabase()
+        }
         onProgress?.invoke(
             BootstrapProgress(
                 totalFiles = bootstrapResult.totalFiles,
@@ -418,11 +449,15 @@ class RebuildContextTool(
 
         return Result(
             mode = "sync",
-            status = if (bootstrapResult.success) "completed" else "completed_with_errors",
+            status = when {
+                cancelled -> "cancelled"
+                bootstrapResult.success -> "completed"
+                else -> "completed_with_errors"
+            },
             jobId = null,
             phase = "post-rebuild",
             totalFiles = bootstrapResult.totalFiles,
-            processedFiles = bootstrapResult.totalFiles,
+            processedFiles = bootstrapResult.totalFiles - bootstrapResult.cancelledFiles,
             successfulFiles = bootstrapResult.successfulFiles,
             failedFiles = bootstrapResult.failedFiles,
             durationMs = durationMs,
@@ -716,7 +751,8 @@ class RebuildContextTool(
     private suspend fun runBootstrap(
         paths: List<Path>,
         parallelism: Int?,
-        onProgress: ((BootstrapProgress) -> Unit)?
+        onProgress: ((BootstrapProgress) -> Unit)?,
+        cancellation: IndexingCancellation? = null
     ): com.orchestrator.context.bootstrap.BootstrapResult {
         // Ensure database is initialized with schema before bootstrap starts
         val storageConfig = com.orchestrator.context.config.StorageConfig(
@@ -825,7 +861,7 @@ class RebuildContextTool(
 
         // Run bootstrap with forceScan=true since we cleared the progress table
         // This ensures bootstrap will scan for files instead of checking remaining items
-        val result = orchestrator.bootstrap(onProgress = onProgress, forceScan = true)
+        val result = orchestrator.bootstrap(onProgress = onProgress, forceScan = true, cancellation = cancellation)
 
         runCatching {
             progressTracker.reset()
@@ -849,6 +885,10 @@ class RebuildContextTool(
     }
 
     private fun buildSuccessMessage(result: com.orchestrator.context.bootstrap.BootstrapResult): String {
+        if (result.cancelled) {
+            val indexed = result.totalFiles - result.cancelledFiles
+            return "Rebuild cancelled: $indexed/${result.totalFiles} files indexed; refresh the index to add the rest"
+        }
         val summary = "Rebuild completed: ${result.successfulFiles}/${result.totalFiles} files indexed successfully"
         return if (result.failedFiles > 0) {
             "$summary (${result.failedFiles} failures)"
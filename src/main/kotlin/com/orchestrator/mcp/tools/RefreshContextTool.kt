@@ -6,10 +6,12 @@ import com.orchestrator.context.discovery.ExtensionFilter
 import com.orchestrator.context.discovery.IncludePathsFilter
 import com.orchestrator.context.discovery.PathFilter
 import com.orchestrator.context.discovery.PathValidator
+import com.orchestrator.context.discovery.ProjectRootDetector
 import com.orchestrator.context.discovery.SymlinkHandler
 import com.orchestrator.context.indexing.BatchIndexer
 import com.orchestrator.context.indexing.ChangeDetector
 import com.orchestrator.context.indexing.IncrementalIndexer
+import com.orchestrator.context.indexing.IndexingCancellation
 import com.orchestrator.context.watcher.WatcherRegistry
 import com.orchestrator.utils.Logger
 import java.nio.file.Files
@@ -40,7 +42,7 @@ class RefreshContextTool(
     private val indexer: IncrementalIndexer by lazy {
         incrementalIndexer ?: run {
             // Determine project root from watch paths (common ancestor when multiple)
-            val projectRoot = determineProjectRoot(config.watcher.watchPaths)
+            val projectRoot = ProjectRootDetector.fromWatchPaths(config.watcher.watchPaths)
 
             // Resolve watch roots from configuration to pass to ChangeDetector
             val resolvedWatchRoots = resolveWatchRoots(projectRoot, config.watcher.watchPaths)
@@ -83,7 +85,7 @@ class RefreshContextTool(
     }
 
     private fun createPathValidator(): PathValidator {
-        val projectRoot = determineProjectRoot(config.watcher.watchPaths)
+        val projectRoot = ProjectRootDetector.fromWatchPaths(config.watcher.watchPaths)
         val resolvedWatchRoots = resolveWatchRoots(projectRoot, config.watcher.watchPaths)
 
         val pathFilter = PathFilter.fromSources(
@@ -202,9 +204,14 @@ class RefreshContextTool(
         }
     }
 
+    /**
+     * @param cancellation Optional stop request for a sync refresh; the result then has status
+     *                     `cancelled`. Background (async) refreshes run to completion.
+     */
     fun execute(
         params: Params = Params(),
-        onProgress: ((com.orchestrator.context.indexing.BatchProgress) -> Unit)? = null
+        onProgress: ((com.orchestrator.context.indexing.BatchProgress) -> Unit)? = null,
+        cancellation: IndexingCancellation? = null
     ): Result {
         val startedAt = Instant.now()
 
@@ -236,7 +243,7 @@ class RefreshContextTool(
                 if (params.async) {
                     executeAsync(targetPaths, params, startedAt)
                 } else {
-                    executeSync(targetPaths, params, startedAt, onProgress)
+                    executeSync(targetPaths, params, startedAt, onProgress, cancellation)
                 }
             }
         }
@@ -246,7 +253,8 @@ class RefreshContextTool(
         paths: List<Path>,
         params: Params,
         startedAt: Instant,
-        onProgress: ((com.orchestrator.context.indexing.BatchProgress) -> Unit)?
+        onProgress: ((com.orchestrator.context.indexing.BatchProgress) -> Unit)?,
+        cancellation: IndexingCancellation?
     ): Result {
         return try {
             log.info("Discovering files from {} root path(s)...", paths.size)
@@ -275,7 +283,9 @@ class RefreshContextTool(
                 indexer.updateAsync(
                     paths = discoveredFiles,
                     parallelism = params.parallelism,
-                    onProgress = onProgress
+                    onProgress = onProgress,
+                    forceReindex = params.force,
+                    cancellation = cancellation
                 )
             }
 
@@ -292,7 +302,11 @@ class RefreshContextTool(
 
             Result(
                 mode = "sync",
-                status = if (updateResult.hasFailures) "completed_with_errors" else "completed",
+                status = when {
+                    updateResult.wasCancelled -> "cancelled"
+                    updateResult.hasFailures -> "completed_with_errors"
+                    else -> "completed"
+                },
                 jobId = null,
                 newFiles = updateResult.newCount,
                 modifiedFiles = updateResult.modifiedCount,
@@ -365,7 +379,8 @@ class RefreshContextTool(
                 } else {
                     indexer.updateAsync(
                         paths = discoveredFiles,
-                        parallelism = params.parallelism
+                        parallelism = params.parallelism,
+                        forceReindex = params.force
                     )
                 }
 
@@ -445,11 +460,16 @@ class RefreshContextTool(
 
         val summary = if (parts.isEmpty()) "No changes detected" else parts.joinToString(", ")
 
-        return if (result.hasFailures) {
+        val message = if (result.hasFailures) {
             "$summary (${result.indexingFailures + result.deletionFailures} failures)"
         } else {
             summary
         }
+        return if (result.wasCancelled) {
+            "Cancelled with ${result.skippedCount} files not indexed: $message"
+        } else {
+            message
+        }
     }
 
     fun getJobStatus(jobId: String): Result? {
@@ -507,60 +527,6 @@ class RefreshContextTool(
         }
     }
 
-    private fun determineProjectRoot(watchPaths: List<String>): Path {
-        val candidates = watchPaths.mapNotNull { raw ->
-            val trimmed = raw.trim()
-            if (trimmed.isEmpty() || trimmed.equals("auto", ignoreCase = true)) {
-                null
-            } else {
-                runCatching { Paths.get(trimmed).toAbsolutePath().normalize() }.getOrNull()
-            }
-        }
-
-        if (candidates.isEmpty()) {
-            return Paths.get(System.getProperty("user.dir")).toAbsolutePath().normalize()
-        }
-
-        var common = candidates.first()
-        for (path in candidates.drop(1)) {
-            common = commonAncestor(common, path)
-        }
-
-        return common
-    }
-
-    private fun commonAncestor(first: Path, second: Path): Path {
-        val a = first.toAbsolutePath().normalize()
-        val b = second.toAbsolutePath().normalize()
-
-        // If they are identical, return either
-        if (a == b) return a
-
-        val aSegments = a.pathSegments()
-        val bSegments = b.pathSegments()
-        val limit = minOf(aSegments.size, bSegments.size)
-        var commonCount = 0
-        while (commonCount < limit && aSegments[commonCount] == bSegments[commonCount]) {
-            commonCount++
-        }
-
-        val root = a.root ?: b.root
-        var result = root ?: Paths.get("/")
-        for (i in 0 until commonCount) {
-            result = result.resolve(aSegments[i])
-        }
-        return result.normalize()
-    }
-
-    private fun Path.pathSegments(): List<String> {
-        val normalized = this.toAbsolutePath().normalize()
-        val segments = mutableListOf<String>()
-        for (component in normalized) {
-            segments += component.toString()
-        }
-        return segments
-    }
-
     private fun resolveWatchRoots(projectRoot: Path, watchPaths: List<String>): List<Path> {
         if (watchPaths.isEmpty()) return emptyList()
         val roots = LinkedHashSet<Path>()
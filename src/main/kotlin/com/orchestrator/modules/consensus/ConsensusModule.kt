@@ -1,5 +1,7 @@
 package com.orchestrator.modules.consensus
 
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
 import com.orchestrator.domain.*
 import com.orchestrator.modules.consensus.strategies.*
 import com.orchestrator.storage.repositories.DecisionRepository
@@ -174,6 +176,7 @@ object ConsensusModule {
             metadata = mapOf("strategyTrail" to strategyTrail.joinToString(","))
         )
         DecisionRepository.insert(decision)
+        EventBus.global.publish(SystemEvent.DecisionMade(decision.id, taskId, decision.decidedAt))
         return decision
     }
 
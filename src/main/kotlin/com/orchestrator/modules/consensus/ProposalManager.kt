@@ -1,5 +1,7 @@
 package com.orchestrator.modules.consensus
 
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
 import com.orchestrator.domain.*
 import com.orchestrator.storage.repositories.ProposalRepository
 import java.time.Duration
@@ -75,6 +77,9 @@ object ProposalManager {
             sig.condition.signalAll()
         }
 
+        // Announce it so open consensus viewers can show it
+        EventBus.global.publish(SystemEvent.ProposalSubmitted(proposal.id, taskId, agentId, proposal.createdAt))
+
         return proposal
     }
 
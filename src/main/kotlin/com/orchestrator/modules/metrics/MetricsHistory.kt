@@ -0,0 +1,93 @@
+package com.orchestrator.modules.metrics
+
+import com.orchestrator.storage.repositories.MetricsRepository
+import java.time.Instant
+
+/**
+ * One point of the metrics history: the headline numbers of a snapshot.
+ */
+data class MetricsHistoryPoint(
+    val timestamp: Instant,
+    val totalTokens: Long,
+    val savings: Long,
+    val successRate: Double,
+    val avgCompletionMs: Long,
+    val alertsBySeverity: Map<AlertSeverity, Int>
+) {
+    companion object {
+        fun of(snapshot: MetricsSnapshot): MetricsHistoryPoint = MetricsHistoryPoint(
+            timestamp = snapshot.timestamp,
+            totalTokens = snapshot.tokenUsage.totalTokens.toLong(),
+            savings = snapshot.tokenUsage.savings.toLong(),
+            successRate = snapshot.performance.overallSuccessRate.coerceIn(0.0, 1.0),
+            avgCompletionMs = snapshot.performance.avgTaskCompletionTime.toMillis(),
+            alertsBySeverity = AlertSeverity.entries.associateWith { snapshot.alerts.bySeverity[it] ?: 0 }
+        )
+    }
+}
+
+/**
+ * Time series of metrics snapshots, kept in metrics_timeseries.
+ *
+ * Each point is a single row: the token total is the value and the other
+ * numbers ride along as tags, so a point is written and read in one go.
+ */
+object MetricsHistory {
+
+    const val SERIES = "metrics.snapshot"
+
+    /** Most points returned by [query]; longer ranges are thinned out evenly. */
+    const val MAX_POINTS = 500
+
+    private const val SAVINGS = "savings"
+    private const val SUCCESS_RATE = "successRate"
+    private const val AVG_COMPLETION_MS = "avgCompletionMs"
+    private const val ALERTS_PREFIX = "alerts."
+
+    fun record(point: MetricsHistoryPoint) {
+        val tags = buildMap {
+            put(SAVINGS, point.savings.toString())
+            put(SUCCESS_RATE, point.successRate.toString())
+            put(AVG_COMPLETION_MS, point.avgCompletionMs.toString())
+            point.alertsBySeverity.forEach { (severity, count) -> put(ALERTS_PREFIX + severity.name, count.toString()) }
+        }
+        MetricsRepository.recordMetric(
+            name = SERIES,
+            value = point.totalTokens.toDouble(),
+            tags = tags,
+            ts = point.timestamp
+        )
+    }
+
+    /**
+     * Points recorded between [from] and [to], oldest first, at most [maxPoints].
+     */
+    fun query(from: Instant, to: Instant, maxPoints: Int = MAX_POINTS): List<MetricsHistoryPoint> {
+        val points = MetricsRepository.queryMetrics(SERIES, MetricsRepository.TimeRange(from, to))
+            .map { it.toPoint() }
+        return thin(points, maxPoints)
+    }
+
+    /**
+     * Drop points recorded before [before].
+     */
+    fun purge(before: Instant): Int = MetricsRepository.deleteMetricsBefore(SERIES, before)
+
+    /** Keep every n-th point, and always the latest, so the shape survives. */
+    internal fun <T> thin(points: List<T>, maxPoints: Int): List<T> {
+        if (points.size <= maxPoints || maxPoints < 2) return points
+        val step = (points.size - 1).toDouble() / (maxPoints - 1)
+        return (0 until maxPoints).map { i -> points[Math.round(i * step).toInt()] }
+    }
+
+    private fun MetricsRepository.Metric.toPoint(): MetricsHistoryPoint = MetricsHistoryPoint(
+        timestamp = ts,
+        totalTokens = value?.toLong() ?: 0,
+        savings = tags[SAVINGS]?.toLongOrNull() ?: 0,
+        successRate = tags[SUCCESS_RATE]?.toDoubleOrNull() ?: 0.0,
+        avgCompletionMs = tags[AVG_COMPLETION_MS]?.toLongOrNull() ?: 0,
+        alertsBySeverity = AlertSeverity.entries.associateWith { severity ->
+            tags[ALERTS_PREFIX + severity.name]?.toIntOrNull() ?: 0
+        }
+    )
+}
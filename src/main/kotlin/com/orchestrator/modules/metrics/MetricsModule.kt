@@ -1,5 +1,6 @@
 package com.orchestrator.modules.metrics
 
+import com.orchestrator.core.Event
 import com.orchestrator.core.EventBus
 import com.orchestrator.domain.*
 import com.orchestrator.storage.repositories.MetricsRepository
@@ -19,6 +20,14 @@ data class MetricsSnapshot(
     val alerts: AlertSummary
 )
 
+/**
+ * Published after each periodic aggregation with the snapshot taken.
+ */
+data class MetricsSnapshotEvent(
+    val snapshot: MetricsSnapshot,
+    override val timestamp: Instant = snapshot.timestamp
+) : Event
+
 /**
  * Alert summary data.
  */
@@ -33,7 +42,8 @@ data class AlertSummary(
  * Metrics module configuration.
  */
 data class MetricsConfig(
-    val aggregationInterval: Duration = Duration.ofMinutes(5),
+    /** Also the spacing of the metrics history points */
+    val aggregationInterval: Duration = Duration.ofMinutes(1),
     val bufferSize: Int = 1000,
     val autoCleanup: Boolean = true,
     val cleanupInterval: Duration = Duration.ofHours(24),
@@ -57,6 +67,7 @@ class MetricsModule(
     private val running = AtomicBoolean(false)
     private var aggregationJob: Job? = null
     private var cleanupJob: Job? = null
+    @Volatile private var eventBus: EventBus? = null
     
     /**
      * Start metrics module with periodic aggregation and cleanup.
@@ -216,15 +227,16 @@ class MetricsModule(
      * Set event bus for alert delivery.
      */
     fun setEventBus(eventBus: EventBus) {
+        this.eventBus = eventBus
         AlertSystem.setEventBus(eventBus)
     }
     
     private fun aggregate() {
-        // Periodic aggregation can trigger reports or persist snapshots
         val snapshot = getSnapshot()
 
-        // Could persist snapshot to database here
-        // Could publish aggregation event here
+        // Persist to the history (best effort); the dashboard charts read it back
+        runCatching { MetricsHistory.record(MetricsHistoryPoint.of(snapshot)) }
+        eventBus?.publish(MetricsSnapshotEvent(snapshot))
     }
 
     private fun cleanup() {
@@ -233,7 +245,8 @@ class MetricsModule(
         // Cleanup old acknowledged alerts
         AlertSystem.clearOldAlerts(cutoff)
 
-        // Could cleanup old metrics here if needed
+        // Cleanup old history points
+        runCatching { MetricsHistory.purge(cutoff) }
     }
 
     private fun recordDirectiveMetrics(task: Task) {
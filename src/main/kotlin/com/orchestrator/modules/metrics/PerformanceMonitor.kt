@@ -30,6 +30,15 @@ data class Bottleneck(
     val occurrences: Int
 )
 
+/**
+ * Responses recorded for one agent.
+ */
+data class AgentStats(
+    val responses: Long,
+    val successRate: Double,
+    val avgResponseTime: Duration
+)
+
 /**
  * Performance dashboard data.
  */
@@ -177,6 +186,24 @@ object PerformanceMonitor {
         val durations = agentMetrics.values.flatMap { synchronized(it.durations) { it.durations.toList() } }
         return if (durations.isEmpty()) Duration.ZERO else Duration.ofMillis(durations.map { it.toMillis() }.average().toLong())
     }
+
+    /**
+     * Response count, success rate and average latency of one agent, or null
+     * when nothing has been recorded for it.
+     */
+    fun getAgentStats(agentId: AgentId): AgentStats? {
+        val metrics = agentMetrics[agentId] ?: return null
+        val successes = metrics.successes.get()
+        val total = successes + metrics.failures.get()
+        if (total == 0L) return null
+        val durations = synchronized(metrics.durations) { metrics.durations.toList() }
+        return AgentStats(
+            responses = total,
+            successRate = successes.toDouble() / total,
+            avgResponseTime = if (durations.isEmpty()) Duration.ZERO
+            else Duration.ofMillis(durations.map { it.toMillis() }.average().toLong())
+        )
+    }
     
     /**
      * Identify bottlenecks (slow operations or high failure rates).
@@ -0,0 +1,95 @@
+package com.orchestrator.storage.repositories
+
+import com.orchestrator.storage.Database
+import java.sql.ResultSet
+import java.sql.Timestamp
+import java.time.Instant
+import java.util.UUID
+
+/**
+ * Repository for filter_presets table.
+ *
+ * Presets are scoped to an owner ID; names are unique per owner, so saving
+ * under an existing name replaces that preset's query.
+ */
+object FilterPresetRepository {
+    data class FilterPresetRow(
+        val id: String,
+        val ownerId: String,
+        val name: String,
+        val query: String,
+        val createdAt: Instant,
+        val updatedAt: Instant
+    )
+
+    /** Result of [save]: the stored preset, and whether the save created it. */
+    data class SaveResult(val preset: FilterPresetRow, val created: Boolean)
+
+    fun listByOwner(ownerId: String): List<FilterPresetRow> = Database.withConnection { conn ->
+        conn.prepareStatement(
+            """
+            SELECT id, owner_id, name, query, created_at, updated_at
+            FROM filter_presets
+            WHERE owner_id = ?
+            ORDER BY lower(name) ASC
+            """.trimIndent()
+        ).use { ps ->
+            ps.setString(1, ownerId)
+            ps.executeQuery().use { rs ->
+                val out = mutableListOf<FilterPresetRow>()
+                while (rs.next()) out += rs.toRow()
+                out
+            }
+        }
+    }
+
+    /**
+     * Create a preset, or replace the query of the owner's preset with the same name.
+     * A single upsert on the (owner_id, name) index, so concurrent saves of one name
+     * cannot both insert; the returned ID tells whether this one did.
+     */
+    fun save(ownerId: String, name: String, query: String, now: Instant = Instant.now()): SaveResult =
+        Database.withConnection { conn ->
+            val newId = UUID.randomUUID().toString()
+            conn.prepareStatement(
+                """
+                INSERT INTO filter_presets (id, owner_id, name, query, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (owner_id, name) DO UPDATE SET
+                    query = excluded.query,
+                    updated_at = excluded.updated_at
+                RETURNING id, owner_id, name, query, created_at, updated_at
+                """.trimIndent()
+            ).use { ps ->
+                ps.setString(1, newId)
+                ps.setString(2, ownerId)
+                ps.setString(3, name)
+                ps.setString(4, query)
+                ps.setTimestamp(5, Timestamp.from(now))
+                ps.setTimestamp(6, Timestamp.from(now))
+                ps.executeQuery().use { rs ->
+                    rs.next()
+                    val row = rs.toRow()
+                    SaveResult(row, created = row.id == newId)
+                }
+            }
+        }
+
+    /** Delete one of the owner's presets. Returns false when no such preset exists. */
+    fun delete(ownerId: String, id: String): Boolean = Database.withConnection { conn ->
+        conn.prepareStatement("DELETE FROM filter_presets WHERE id = ? AND owner_id = ?").use { ps ->
+            ps.setString(1, id)
+            ps.setString(2, ownerId)
+            ps.executeUpdate() > 0
+        }
+    }
+
+    private fun ResultSet.toRow(): FilterPresetRow = FilterPresetRow(
+        id = getString("id"),
+        ownerId = getString("owner_id"),
+        name = getString("name"),
+        query = getString("query"),
+        createdAt = getTimestamp("created_at").toInstant(),
+        updatedAt = getTimestamp("updated_at").toInstant()
+    )
+}
@@ -180,6 +180,18 @@ object MetricsRepository {
         }
     }
 
+    /**
+     * Delete samples of a metric recorded before [before]. Returns the number of rows removed.
+     */
+    fun deleteMetricsBefore(name: String, before: Instant): Int = Database.withConnection { conn ->
+        val sql = "DELETE FROM metrics_timeseries WHERE metric_name = ? AND ts < ?"
+        conn.prepareStatement(sql).use { ps ->
+            ps.setString(1, name)
+            ps.setTimestamp(2, Timestamp.from(before))
+            ps.executeUpdate()
+        }
+    }
+
     /**
      * Aggregate metric values over a time range.
      * For COUNT, NULL values are not counted by DuckDB count(value), which is desired.
@@ -5,6 +5,7 @@ import com.orchestrator.storage.Database
 import java.sql.Connection
 import java.sql.ResultSet
 import java.sql.Timestamp
+import java.time.Instant
 
 /**
  * Raw JDBC repository for Task entities against DuckDB.
@@ -92,6 +93,21 @@ object TaskRepository {
         }
     }
 
+    /**
+     * Every agent ID that appears as an assignee on any task, sorted.
+     * Used to populate agent filter options.
+     */
+    fun distinctAssignees(): List<AgentId> = Database.withConnection { conn ->
+        val sql = "SELECT DISTINCT unnest(assignee_ids) AS agent_id FROM tasks ORDER BY agent_id"
+        conn.prepareStatement(sql).use { ps ->
+            ps.executeQuery().use { rs ->
+                val out = mutableListOf<AgentId>()
+                while (rs.next()) rs.getString("agent_id")?.let { out += AgentId(it) }
+                out
+            }
+        }
+    }
+
     fun update(task: Task) = Database.withConnection { conn ->
         val sql = """
             UPDATE tasks
@@ -174,6 +190,66 @@ object TaskRepository {
         }
     }
 
+    /**
+     * Soft delete: move the task into deleted_tasks, where [restore] can bring it back.
+     * Proposals and decisions are left in place. Returns false when there is no such task.
+     */
+    fun softDelete(id: TaskId, deletedAt: Instant = Instant.now()): Boolean = Database.withConnection { conn ->
+        inTransaction(conn) {
+            conn.prepareStatement("DELETE FROM deleted_tasks WHERE id = ?").use { ps ->
+                ps.setString(1, id.value)
+                ps.executeUpdate()
+            }
+            val archived = conn.prepareStatement(
+                "INSERT INTO deleted_tasks SELECT $TASK_COLUMNS, CAST(? AS TIMESTAMP) FROM tasks WHERE id = ?"
+            ).use { ps ->
+                ps.setTimestamp(1, Timestamp.from(deletedAt))
+                ps.setString(2, id.value)
+                ps.executeUpdate()
+            }
+            if (archived > 0) {
+                conn.prepareStatement("DELETE FROM tasks WHERE id = ?").use { ps ->
+                    ps.setString(1, id.value)
+                    ps.executeUpdate()
+                }
+            }
+            archived > 0
+        }
+    }
+
+    /**
+     * Undo [softDelete]. Returns false when the task is not in deleted_tasks or
+     * a live task has taken its ID since.
+     */
+    fun restore(id: TaskId): Boolean = Database.withConnection { conn ->
+        inTransaction(conn) {
+            val taken = conn.prepareStatement("SELECT 1 FROM tasks WHERE id = ?").use { ps ->
+                ps.setString(1, id.value)
+                ps.executeQuery().use { it.next() }
+            }
+            if (taken) return@inTransaction false
+
+            val restored = conn.prepareStatement(
+                "INSERT INTO tasks ($TASK_COLUMNS) SELECT $TASK_COLUMNS FROM deleted_tasks WHERE id = ?"
+            ).use { ps ->
+                ps.setString(1, id.value)
+                ps.executeUpdate()
+            }
+            conn.prepareStatement("DELETE FROM deleted_tasks WHERE id = ?").use { ps ->
+                ps.setString(1, id.value)
+                ps.executeUpdate()
+            }
+            restored > 0
+        }
+    }
+
+    fun isDeleted(id: TaskId): Boolean = Database.withConnection { conn ->
+        conn.prepareStatement("SELECT 1 FROM deleted_tasks WHERE id = ?").use { ps ->
+            ps.setString(1, id.value)
+            ps.executeQuery().use { it.next() }
+        }
+    }
+
     /**
      * Filtered query with pagination. Returns Pair(items, totalCount).
      */
@@ -221,9 +297,137 @@ object TaskRepository {
         }
         Pair(items, total)
     }
+    /** Filters for [query]; empty sets and null bounds match every task. */
+    data class Criteria(
+        /** Case-insensitive text looked up in the id, title and description */
+        val search: String? = null,
+        val statuses: Set<TaskStatus> = emptySet(),
+        val types: Set<TaskType> = emptySet(),
+        val routings: Set<RoutingStrategy> = emptySet(),
+        /** Tasks assigned to any of these agents */
+        val assigneeIds: Set<AgentId> = emptySet(),
+        val risk: IntRange = 1..10,
+        val complexity: IntRange = 1..10,
+        val createdAfter: Instant? = null,
+        val createdBefore: Instant? = null,
+        /** Due-date bounds; tasks without a due date never match one */
+        val dueAfter: Instant? = null,
+        val dueBefore: Instant? = null
+    )
+
+    /** Sort orders for [query]. Enum columns sort by declaration order, not by name. */
+    enum class SortKey(internal val expression: String) {
+        ID("id"),
+        TITLE("title"),
+        STATUS(ordinalOf("status", TaskStatus.entries)),
+        TYPE(ordinalOf("type", TaskType.entries)),
+        ROUTING(ordinalOf("routing", RoutingStrategy.entries)),
+        /** First assignee; unassigned tasks come first ascending and last descending */
+        AGENTS("assignee_ids[1]"),
+        CREATED_AT("created_at"),
+        UPDATED_AT("COALESCE(updated_at, created_at)"),
+        RISK("risk"),
+        COMPLEXITY("complexity")
+    }
+
+    /**
+     * Filtered, sorted page of tasks. Without [sort], newest created first. Ties are
+     * broken by id so pages do not overlap. Returns Pair(items, totalCount).
+     */
+    fun query(
+        criteria: Criteria,
+        sort: SortKey?,
+        ascending: Boolean,
+        limit: Int,
+        offset: Int
+    ): Pair<List<Task>, Int> = Database.withConnection { conn ->
+        val where = mutableListOf<String>()
+        val params = mutableListOf<Any>()
+        criteria.search?.trim()?.lowercase()?.takeIf { it.isNotEmpty() }?.let { text ->
+            where += "(contains(lower(id), ?) OR contains(lower(title), ?) OR contains(lower(COALESCE(description, '')), ?))"
+            repeat(3) { params += text }
+        }
+        fun anyOf(column: String, values: Collection<String>) {
+            if (values.isEmpty()) return
+            where += "$column IN (${values.joinToString(", ") { "?" }})"
+            params.addAll(values)
+        }
+        anyOf("status", criteria.statuses.map { it.name })
+        anyOf("type", criteria.types.map { it.name })
+        anyOf("routing", criteria.routings.map { it.name })
+        if (criteria.assigneeIds.isNotEmpty()) {
+            where += criteria.assigneeIds.joinToString(" OR ", prefix = "(", postfix = ")") { "list_contains(assignee_ids, ?)" }
+            params.addAll(criteria.assigneeIds.map { it.value })
+        }
+        where += "risk BETWEEN ? AND ?"
+        params.addAll(listOf(criteria.risk.first, criteria.risk.last))
+        where += "complexity BETWEEN ? AND ?"
+        params.addAll(listOf(criteria.complexity.first, criteria.complexity.last))
+        criteria.createdAfter?.let { where += "created_at >= ?"; params += Timestamp.from(it) }
+        criteria.createdBefore?.let { where += "created_at <= ?"; params += Timestamp.from(it) }
+        criteria.dueAfter?.let { where += "due_at >= ?"; params += Timestamp.from(it) }
+        criteria.dueBefore?.let { where += "due_at <= ?"; params += Timestamp.from(it) }
+        val whereSql = " WHERE " + where.joinToString(" AND ")
+
+        val total = conn.prepareStatement("SELECT COUNT(*) FROM tasks$whereSql").use { ps ->
+            bindAll(ps, params)
+            ps.executeQuery().use { rs -> if (rs.next()) rs.getInt(1) else 0 }
+        }
+
+        val orderSql = when {
+            sort == null -> "created_at DESC"
+            ascending -> "${sort.expression} ASC NULLS FIRST"
+            else -> "${sort.expression} DESC NULLS LAST"
+        }
+        val sql = "SELECT * FROM tasks$whereSql ORDER BY $orderSql, id ASC LIMIT ? OFFSET ?"
+        val items = conn.prepareStatement(sql).use { ps ->
+            val idx = bindAll(ps, params)
+            ps.setInt(idx, limit)
+            ps.setInt(idx + 1, offset)
+            ps.executeQuery().use { rs -> rs.toTaskList() }
+        }
+        Pair(items, total)
+    }
     // endregion
 
     // region Mapping helpers
+
+    /** Bind [params] from the first placeholder on; returns the next free index. */
+    private fun bindAll(ps: java.sql.PreparedStatement, params: List<Any>): Int {
+        var idx = 1
+        for (p in params) {
+            when (p) {
+                is String -> ps.setString(idx++, p)
+                is Int -> ps.setInt(idx++, p)
+                is Timestamp -> ps.setTimestamp(idx++, p)
+                else -> ps.setObject(idx++, p)
+            }
+        }
+        return idx
+    }
+
+    private fun ordinalOf(column: String, entries: List<Enum<*>>): String =
+        entries.joinToString(" ", prefix = "CASE $column ", postfix = " END") { "WHEN '${it.name}' THEN ${it.ordinal}" }
+
+    private const val TASK_COLUMNS =
+        "id, title, description, type, status, routing, assignee_ids, dependencies, " +
+            "complexity, risk, created_at, updated_at, due_at, metadata"
+
+    private inline fun <T> inTransaction(conn: Connection, block: () -> T): T {
+        val previousAutoCommit = conn.autoCommit
+        conn.autoCommit = false
+        try {
+            val result = block()
+            conn.commit()
+            return result
+        } catch (e: Exception) {
+            conn.rollback()
+            throw e
+        } finally {
+            conn.autoCommit = previousAutoCommit
+        }
+    }
+
     private fun ResultSet.toTaskList(): List<Task> {
         val out = mutableListOf<Task>()
         while (this.next()) out += this.toTask()
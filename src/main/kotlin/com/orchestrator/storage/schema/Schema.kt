@@ -124,6 +124,44 @@ object Schema {
         CREATE INDEX IF NOT EXISTS idx_conv_task_id ON conversation_messages(task_id, id);
         """.trimIndent(),
 
+        // filter_presets
+        """
+        CREATE TABLE IF NOT EXISTS filter_presets (
+            id          VARCHAR PRIMARY KEY,
+            owner_id    VARCHAR NOT NULL,      -- browser identity from the orchestrator_client cookie
+            name        VARCHAR NOT NULL,      -- label shown on the preset button
+            query       VARCHAR NOT NULL,      -- canonical task filter query string
+            created_at  TIMESTAMP NOT NULL,
+            updated_at  TIMESTAMP NOT NULL
+        );
+        """.trimIndent(),
+
+        // Indexes for filter_presets
+        """
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_filter_presets_owner_name ON filter_presets(owner_id, name);
+        """.trimIndent(),
+
+        // deleted_tasks (soft-deleted tasks; same columns as tasks plus deleted_at)
+        """
+        CREATE TABLE IF NOT EXISTS deleted_tasks (
+            id              VARCHAR PRIMARY KEY, -- TaskId of the removed task
+            title           TEXT NOT NULL,
+            description     TEXT,
+            type            VARCHAR NOT NULL,
+            status          VARCHAR NOT NULL,
+            routing         VARCHAR NOT NULL,
+            assignee_ids    VARCHAR[] DEFAULT [],
+            dependencies    VARCHAR[] DEFAULT [],
+            complexity      INTEGER NOT NULL,
+            risk            INTEGER NOT NULL,
+            created_at      TIMESTAMP NOT NULL,
+            updated_at      TIMESTAMP,
+            due_at          TIMESTAMP,
+            metadata        JSON,
+            deleted_at      TIMESTAMP NOT NULL   -- when the task was moved out of tasks
+        );
+        """.trimIndent(),
+
         // --- Comments ---
         // tasks comments
         """
@@ -229,6 +267,16 @@ object Schema {
         COMMENT ON COLUMN metrics_timeseries.tags IS 'Optional dimensions/tags as JSON object';
         """.trimIndent(),
 
+        // filter_presets comments
+        """
+        COMMENT ON TABLE filter_presets IS 'Saved task filter presets, one set per browser';
+        """.trimIndent(),
+
+        // deleted_tasks comments
+        """
+        COMMENT ON TABLE deleted_tasks IS 'Soft-deleted tasks, kept so a delete can be undone';
+        """.trimIndent(),
+
         // context_snapshots comments
         """
         COMMENT ON TABLE context_snapshots IS 'Snapshots of execution context for auditing';
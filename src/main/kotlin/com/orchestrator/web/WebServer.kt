@@ -1,5 +1,7 @@
 package com.orchestrator.web
 
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.web.plugins.AgentRegistryKey
 import com.orchestrator.web.plugins.configureCompression
 import com.orchestrator.web.plugins.configureCors
 import com.orchestrator.web.plugins.configureMonitoring
@@ -18,13 +20,18 @@ import io.ktor.serialization.kotlinx.json.json
  * Entry point for building the web dashboard Ktor application.
  */
 object WebServer {
-    fun create(config: WebServerConfig = WebServerConfig()): WebServerModule =
+    /**
+     * @param agentRegistry the orchestrator's registry, so the dashboard shows
+     *   live agent status; without it agents are read from the web config
+     */
+    fun create(config: WebServerConfig = WebServerConfig(), agentRegistry: AgentRegistry? = null): WebServerModule =
         WebServerModule(config) {
-            configureWebApplication(config)
+            configureWebApplication(config, agentRegistry)
         }
 }
 
-fun Application.configureWebApplication(config: WebServerConfig) {
+fun Application.configureWebApplication(config: WebServerConfig, agentRegistry: AgentRegistry? = null) {
+    agentRegistry?.let { attributes.put(AgentRegistryKey, it) }
     install(SSE)
     install(ContentNegotiation) {
         json()
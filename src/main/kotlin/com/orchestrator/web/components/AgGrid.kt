@@ -40,6 +40,21 @@ object AgGrid {
         val pageSizeOptions: List<Int> = listOf(10, 25, 50, 100, 200),
         val height: String = "600px",
         val suppressRowClickSelection: Boolean = false,
+        /**
+         * Multi-row selection through a checkbox column; clicking a row no longer selects it.
+         * The header "select all" checkbox is only offered for client-side row data.
+         */
+        val checkboxSelection: Boolean = false,
+        /**
+         * Global path (e.g. "TaskGrid.datasource") to an ag-Grid datasource. When set the grid
+         * uses the infinite row model and loads rows on demand; [rowData] is ignored.
+         */
+        val datasource: String? = null,
+        /**
+         * Row field used as the stable row ID (ag-Grid `getRowId`). Enables O(1) `getRowNode`
+         * lookups and update/remove transactions by ID.
+         */
+        val rowIdField: String? = null,
         val customOptions: Map<String, Any> = emptyMap()
     )
 
@@ -175,21 +190,17 @@ object AgGrid {
                             return col;
                         });
 
-                        // Row data - manually constructed to avoid serialization issues
-                        const rowData = ${buildRowDataJson(config.rowData)};
+                        ${rowSourceScript(config)}
 
                         // Grid options (v32+ compatible)
                         const gridOptions = {
                             columnDefs: columnDefs,
-                            rowData: rowData,
+                            ...rowSource,
                             pagination: ${config.enablePagination},
                             paginationPageSize: ${config.pageSize},
                             paginationPageSizeSelector: ${Json.encodeToString(config.pageSizeOptions)},
-                            rowSelection: {
-                                mode: ${if (config.suppressRowClickSelection) "'multiRow'" else "'singleRow'"},
-                                checkboxes: false,
-                                enableClickSelection: ${!config.suppressRowClickSelection}
-                            },
+                            ${renderRowSelection(config)}
+                            ${renderRowIdOption(config.rowIdField)}
                             ${renderCustomOptions(config.customOptions)}
                         };
 
@@ -201,6 +212,7 @@ object AgGrid {
                                 // Store gridApi on container for later access
                                 container._gridApi = gridApi;
                                 container.dispatchEvent(new CustomEvent('ag-grid:ready', {
+                                    bubbles: true,
                                     detail: { gridApi, columnApi: gridApi }
                                 }));
                                 console.log('ag-Grid initialized for container ${config.id}');
@@ -256,6 +268,33 @@ object AgGrid {
         return rowMap
     }
 
+    /**
+     * Either inline row data (client-side row model) or a resolved datasource (infinite row model).
+     */
+    private fun rowSourceScript(config: GridConfig): String {
+        val datasource = config.datasource
+            ?: return """
+                // Row data - manually constructed to avoid serialization issues
+                const rowData = ${buildRowDataJson(config.rowData)};
+                const rowSource = { rowData: rowData };
+            """.trimIndent()
+
+        return """
+            // Rows are fetched page by page through the datasource
+            const datasource = '${escapeJsonString(datasource)}'.split('.').reduce(
+                (target, part) => (target ? target[part] : undefined), window);
+            if (!datasource) {
+                console.error('Grid datasource not found: ${escapeJsonString(datasource)}');
+            }
+            const rowSource = {
+                rowModelType: 'infinite',
+                datasource: datasource,
+                cacheBlockSize: ${config.pageSize},
+                maxBlocksInCache: 10
+            };
+        """.trimIndent()
+    }
+
     /**
      * Build row data JSON string
      */
@@ -302,6 +341,18 @@ object AgGrid {
         else -> "\"${escapeJsonString(value.toString())}\""
     }
 
+    private fun renderRowSelection(config: GridConfig): String =
+        if (config.checkboxSelection) {
+            "rowSelection: { mode: 'multiRow', checkboxes: true, " +
+                "headerCheckbox: ${config.datasource == null}, enableClickSelection: false },"
+        } else {
+            "rowSelection: { mode: ${if (config.suppressRowClickSelection) "'multiRow'" else "'singleRow'"}, " +
+                "checkboxes: false, enableClickSelection: ${!config.suppressRowClickSelection} },"
+        }
+
+    private fun renderRowIdOption(field: String?): String =
+        field?.let { "getRowId: (params) => String(params.data[\"${escapeJsonString(it)}\"])," } ?: ""
+
     /**
      * Render custom options as JavaScript object literal
      */
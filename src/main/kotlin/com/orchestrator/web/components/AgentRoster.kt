@@ -0,0 +1,144 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.Agent
+import com.orchestrator.domain.AgentStatus
+import com.orchestrator.domain.Task
+import com.orchestrator.modules.metrics.AgentStats
+import io.ktor.http.encodeURLParameter
+import java.time.Duration
+import java.util.Locale
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Agent roster on `/agents`: one card per registered agent with its status,
+ * capabilities, open tasks, response stats and token spend.
+ *
+ * agent-roster.js swaps a card's status pill on `agentStatusChanged` and
+ * reloads the roster from `data-refresh-url` when tasks or metrics change.
+ */
+object AgentRoster {
+
+    data class Card(
+        val agent: Agent,
+        /** Non-terminal tasks assigned to the agent, most recent first */
+        val openTasks: List<Task>,
+        /** Null until the agent has answered at least once */
+        val stats: AgentStats?,
+        val tokens: Int
+    )
+
+    /** Open tasks linked from a card; the rest are behind the tasks link. */
+    const val MAX_LISTED_TASKS = 5
+
+    const val REFRESH_URL = "/agents/roster"
+
+    fun render(cards: List<Card>): String = createHTML().div(classes = "agent-roster") {
+        id = "agent-roster"
+        attributes["data-agent-roster"] = "true"
+        attributes["data-refresh-url"] = REFRESH_URL
+
+        if (cards.isEmpty()) {
+            p(classes = "text-muted") {
+                +"No agents are configured. Add agents to fusionagent.toml and restart the orchestrator."
+            }
+            return@div
+        }
+
+        ul(classes = "agent-roster__list") {
+            cards.forEach { card -> agentCard(card) }
+        }
+    }
+
+    /** URL of the tasks grid filtered to [card]'s agent. */
+    fun tasksUrl(card: Card): String =
+        "/tasks?assigneeIds=${card.agent.id.value.encodeURLParameter()}&layout=list"
+
+    private fun UL.agentCard(card: Card) {
+        val agent = card.agent
+        li(classes = "agent-card") {
+            attributes["data-agent-id"] = agent.id.value
+            attributes["data-status"] = agent.status.name
+
+            div(classes = "agent-card__head") {
+                a(href = tasksUrl(card), classes = "agent-card__name") {
+                    attributes["title"] = "Show ${agent.displayName}'s tasks"
+                    +agent.displayName
+                }
+                statusPill(agent.status)
+            }
+            p(classes = "agent-card__meta text-muted") {
+                +"${agent.id.value} · ${formatEnum(agent.type.name)}"
+            }
+
+            if (agent.capabilities.isNotEmpty()) {
+                ul(classes = "agent-card__capabilities") {
+                    attributes["aria-label"] = "Capabilities"
+                    agent.capabilities.sortedBy { it.ordinal }.forEach { capability ->
+                        li { +formatEnum(capability.name) }
+                    }
+                }
+            }
+
+            dl(classes = "agent-card__stats") {
+                stat("Open tasks", card.openTasks.size.toString())
+                stat("Success rate", card.stats?.let { formatPercent(it.successRate) } ?: "–")
+                stat("Avg latency", card.stats?.let { formatLatency(it.avgResponseTime) } ?: "–")
+                stat("Tokens", String.format(Locale.US, "%,d", card.tokens))
+            }
+            p(classes = "agent-card__note text-muted") {
+                +(card.stats?.let { "Over ${it.responses} response(s)." } ?: "No responses recorded yet.")
+            }
+
+            openTasks(card)
+        }
+    }
+
+    private fun FlowContent.statusPill(status: AgentStatus) {
+        span(classes = "agent-card__status agent-card__status--${status.name.lowercase()}") {
+            attributes["data-agent-status"] = status.name
+            +formatEnum(status.name)
+        }
+    }
+
+    private fun DL.stat(label: String, value: String) {
+        div(classes = "agent-card__stat") {
+            dt { +label }
+            dd { +value }
+        }
+    }
+
+    private fun FlowContent.openTasks(card: Card) {
+        if (card.openTasks.isEmpty()) {
+            p(classes = "agent-card__tasks-empty text-muted") { +"No open tasks." }
+            return
+        }
+        ul(classes = "agent-card__tasks") {
+            attributes["aria-label"] = "Open tasks"
+            card.openTasks.take(MAX_LISTED_TASKS).forEach { task ->
+                li {
+                    a(href = "#task=${task.id.value}") {
+                        attributes["data-modal-link"] = "/tasks/${task.id.value}/modal"
+                        +task.title
+                    }
+                    +" "
+                    span(classes = "text-muted") { +task.status.displayName }
+                }
+            }
+        }
+        val hidden = card.openTasks.size - MAX_LISTED_TASKS
+        if (hidden > 0) {
+            a(href = tasksUrl(card), classes = "agent-card__more") { +"and $hidden more" }
+        }
+    }
+
+    private fun formatEnum(name: String): String =
+        name.lowercase().split('_').joinToString(" ").replaceFirstChar { it.titlecase() }
+
+    private fun formatPercent(rate: Double): String = String.format(Locale.US, "%.0f%%", rate * 100)
+
+    private fun formatLatency(duration: Duration): String {
+        val millis = duration.toMillis()
+        return if (millis < 1_000) "$millis ms" else String.format(Locale.US, "%.1f s", millis / 1_000.0)
+    }
+}
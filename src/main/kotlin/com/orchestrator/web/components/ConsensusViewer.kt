@@ -0,0 +1,260 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.Decision
+import com.orchestrator.domain.Proposal
+import com.orchestrator.modules.consensus.strategies.ConsensusStrategyType
+import com.orchestrator.web.services.ConsensusScoringService.StrategyScores
+import com.orchestrator.web.utils.JsonFormatter
+import com.orchestrator.web.utils.LineDiff
+import com.orchestrator.web.utils.TimeFormatters
+import java.time.ZoneId
+import java.util.Locale
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Live view of a consensus round: the proposals side by side, a diff of any
+ * two of them, each strategy's scores and the decision's strategy trail.
+ *
+ * consensus-viewer.js reloads the viewer from `data-refresh-url` whenever the
+ * task stream reports a proposal or decision for `data-consensus-viewer`.
+ */
+object ConsensusViewer {
+
+    data class Model(
+        val taskId: String,
+        val proposals: List<Proposal>,
+        val decision: Decision?,
+        val scores: List<StrategyScores>,
+        /** Proposal IDs to diff; the first two proposals when unset */
+        val left: String? = null,
+        val right: String? = null,
+        val zoneId: ZoneId = ZoneId.systemDefault(),
+    )
+
+    fun render(model: Model): String = createHTML().div(classes = "consensus-viewer") {
+        id = "consensus-viewer-${model.taskId}"
+        attributes["data-consensus-viewer"] = model.taskId
+        attributes["data-refresh-url"] = "/tasks/${model.taskId}/consensus"
+        attributes["aria-live"] = "polite"
+
+        header(model)
+        if (model.proposals.isEmpty()) {
+            p(classes = "text-muted") { +"No proposals yet. They appear here as agents submit them." }
+        } else {
+            proposals(model)
+            if (model.proposals.size >= 2) diffSection(model)
+            scoresSection(model)
+        }
+        timelineSection(model)
+    }.toString()
+
+    /**
+     * Side-by-side line diff of two proposals' content. Swapped in on its own
+     * when the compare selection changes.
+     */
+    fun renderDiff(taskId: String, left: Proposal, right: Proposal): String = createHTML().div(classes = "consensus-diff") {
+        id = "consensus-diff-$taskId"
+        val rows = LineDiff.sideBySide(JsonFormatter.format(left.content), JsonFormatter.format(right.content))
+        val changed = rows.count { it.kind != LineDiff.Kind.SAME }
+        p(classes = "consensus-diff__summary text-muted") {
+            +if (changed == 0) "The two proposals have identical content." else "$changed of ${rows.size} lines differ."
+        }
+        table(classes = "consensus-diff__table") {
+            thead {
+                tr {
+                    th { +left.agentId.value }
+                    th { +right.agentId.value }
+                }
+            }
+            tbody {
+                rows.forEach { row ->
+                    tr(classes = "consensus-diff__row consensus-diff__row--${row.kind.name.lowercase(Locale.US)}") {
+                        td(classes = "consensus-diff__cell") { row.left?.let { code { +it } } }
+                        td(classes = "consensus-diff__cell") { row.right?.let { code { +it } } }
+                    }
+                }
+            }
+        }
+    }.toString()
+
+    /** Display name of a strategy type, as stored in a decision's strategy trail. */
+    fun strategyLabel(type: String): String = when (type) {
+        ConsensusStrategyType.VOTING.name -> "Voting"
+        ConsensusStrategyType.REASONING_QUALITY.name -> "Reasoning quality"
+        // TokenOptimizationStrategy registers as CUSTOM
+        ConsensusStrategyType.CUSTOM.name -> "Token optimization"
+        else -> DecisionComponent.formatStrategyLabel(type)
+    }
+
+    private fun FlowContent.header(model: Model) {
+        div(classes = "consensus-viewer__header") {
+            h4(classes = "mt-0 mb-0") { +"Consensus round" }
+            val decided = model.decision != null
+            span(classes = "consensus-viewer__state" + if (decided) " consensus-viewer__state--decided" else " consensus-viewer__state--live") {
+                +when {
+                    decided -> "Decided"
+                    model.proposals.isEmpty() -> "Live: waiting for proposals"
+                    else -> "Live: ${model.proposals.size} proposal(s), awaiting decision"
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.proposals(model: Model) {
+        val winnerId = model.decision?.winnerProposalId?.value
+        div(classes = "consensus-viewer__proposals") {
+            model.proposals.forEach { proposal ->
+                val winner = proposal.id.value == winnerId
+                article(classes = "consensus-proposal" + if (winner) " consensus-proposal--winner" else "") {
+                    attributes["data-proposal-id"] = proposal.id.value
+                    div(classes = "consensus-proposal__header") {
+                        strong { +proposal.agentId.value }
+                        if (winner) span(classes = "consensus-proposal__winner") { +"Winner" }
+                    }
+                    ul(classes = "consensus-proposal__meta") {
+                        li { +"Confidence ${"%.2f".format(Locale.US, proposal.confidence)}" }
+                        li { +"${proposal.tokenUsage.totalTokens} tokens" }
+                        li { +TimeFormatters.relativeTime(proposal.createdAt, zoneId = model.zoneId).absolute }
+                    }
+                    pre(classes = "consensus-proposal__content") { code { +JsonFormatter.format(proposal.content) } }
+                    with(Modal) { proposalModalLink(proposal.id.value, classes = "modal-link") { +"Open proposal" } }
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.diffSection(model: Model) {
+        val byId = model.proposals.associateBy { it.id.value }
+        val left = model.left?.let(byId::get) ?: model.proposals[0]
+        val right = model.right?.let(byId::get)?.takeIf { it != left }
+            ?: model.proposals.first { it != left }
+
+        div(classes = "consensus-viewer__section") {
+            h5 { +"Compare" }
+            form(classes = "consensus-diff__picker") {
+                attributes["hx-get"] = "/tasks/${model.taskId}/consensus/diff"
+                attributes["hx-trigger"] = "change"
+                attributes["hx-target"] = "#consensus-diff-${model.taskId}"
+                attributes["hx-swap"] = "outerHTML"
+                proposalSelect("left", "Left", model.proposals, left)
+                proposalSelect("right", "Right", model.proposals, right)
+            }
+            unsafe { +renderDiff(model.taskId, left, right) }
+        }
+    }
+
+    private fun FORM.proposalSelect(name: String, labelText: String, proposals: List<Proposal>, current: Proposal) {
+        label {
+            +"$labelText "
+            select {
+                this.name = name
+                attributes["data-diff-side"] = name
+                proposals.forEachIndexed { index, proposal ->
+                    option {
+                        value = proposal.id.value
+                        selected = proposal == current
+                        +"#${index + 1} ${proposal.agentId.value}"
+                    }
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.scoresSection(model: Model) {
+        div(classes = "consensus-viewer__section") {
+            h5 { +"Strategy scores" }
+            table(classes = "consensus-scores") {
+                thead {
+                    tr {
+                        th { +"Proposal" }
+                        model.scores.forEach { strategy -> th { +strategyLabel(strategy.type.name) } }
+                    }
+                }
+                tbody {
+                    model.proposals.forEachIndexed { index, proposal ->
+                        tr {
+                            th { +"#${index + 1} ${proposal.agentId.value}" }
+                            model.scores.forEach { strategy ->
+                                val score = strategy.scores[proposal.id.value]
+                                val best = strategy.winnerProposalId == proposal.id.value
+                                td(classes = "consensus-scores__cell" + if (best) " consensus-scores__cell--best" else "") {
+                                    if (score == null) {
+                                        span(classes = "text-muted") { +"n/a" }
+                                    } else {
+                                        strong { +formatScore(strategy.type, score.value) }
+                                        small(classes = "consensus-scores__summary") { +score.summary }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+                tfoot {
+                    tr {
+                        th { +"Verdict" }
+                        model.scores.forEach { strategy ->
+                            td(classes = "consensus-scores__verdict") {
+                                title = strategy.reasoning
+                                +if (strategy.agreed) "Agrees" else "No agreement"
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    private fun formatScore(type: ConsensusStrategyType, value: Double): String = when (type) {
+        ConsensusStrategyType.VOTING -> "%.0f%%".format(Locale.US, value * 100)
+        ConsensusStrategyType.REASONING_QUALITY -> "%.3f".format(Locale.US, value)
+        // Value per token is tiny; per 1k tokens reads better
+        else -> "%.2f / 1k tokens".format(Locale.US, value * 1000)
+    }
+
+    private fun FlowContent.timelineSection(model: Model) {
+        val decision = model.decision
+        val trail = decision?.let { DecisionComponent.extractStrategyTrail(it) }.orEmpty()
+        val agentsByProposal = model.proposals.associate { it.id.value to it.agentId.value }
+
+        div(classes = "consensus-viewer__section") {
+            h5 { +"Timeline" }
+            ol(classes = "consensus-timeline") {
+                model.proposals.sortedBy { it.createdAt }.forEach { proposal ->
+                    timelineItem("proposal", "Proposal from ${proposal.agentId.value}") {
+                        +TimeFormatters.relativeTime(proposal.createdAt, zoneId = model.zoneId).absolute
+                    }
+                }
+                if (decision == null) {
+                    timelineItem("pending", "Awaiting decision") {
+                        +"Strategies run once the round closes."
+                    }
+                    return@ol
+                }
+                trail.forEachIndexed { index, strategy ->
+                    // Strategies run in order until one agrees, so only the last can have decided
+                    val decided = index == trail.lastIndex && decision.consensusAchieved
+                    timelineItem(if (decided) "agreed" else "skipped", strategyLabel(strategy)) {
+                        if (decided) {
+                            val winner = decision.winnerProposalId?.value
+                            +"Agreed on ${winner?.let { agentsByProposal[it] ?: it } ?: "the selected proposals"}"
+                        } else {
+                            +"No agreement, moved on"
+                        }
+                    }
+                }
+                timelineItem(if (decision.consensusAchieved) "decided" else "failed", "Decision recorded") {
+                    +TimeFormatters.relativeTime(decision.decidedAt, zoneId = model.zoneId).absolute
+                    if (!decision.consensusAchieved) +", no consensus"
+                }
+            }
+        }
+    }
+
+    private fun OL.timelineItem(state: String, title: String, detail: SPAN.() -> Unit) {
+        li(classes = "consensus-timeline__item consensus-timeline__item--$state") {
+            strong(classes = "consensus-timeline__title") { +title }
+            span(classes = "consensus-timeline__detail") { detail() }
+        }
+    }
+}
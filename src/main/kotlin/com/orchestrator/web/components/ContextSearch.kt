@@ -0,0 +1,414 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.context.domain.ChunkKind
+import com.orchestrator.mcp.tools.QueryContextTool
+import com.orchestrator.web.rendering.Fragment
+import io.ktor.http.encodeURLParameter
+import java.util.Locale
+import kotlin.math.abs
+import kotlin.math.roundToInt
+import kotlinx.html.*
+
+/**
+ * Context search playground on `/search`: a form covering every
+ * [QueryContextTool.Params] field and the ranked hits the tool returns, so
+ * what an agent was given can be replayed and inspected.
+ *
+ * With "compare" ticked the same query also runs against a second provider
+ * set and the two result lists are shown side by side; hits found by only one
+ * side are marked. With "explain" ticked each hit carries a score breakdown,
+ * shown as a waterfall from the provider's score to the final one.
+ * code-highlight.js highlights the chunk text.
+ */
+object ContextSearch {
+
+    const val RESULTS_URL = "/search/results"
+
+    /**
+     * The form as submitted. Empty lists mean "not set", which for providers
+     * means the configured ones.
+     */
+    data class Query(
+        val query: String = "",
+        val k: Int? = null,
+        val maxTokens: Int? = null,
+        val paths: List<String> = emptyList(),
+        val languages: List<String> = emptyList(),
+        val kinds: List<String> = emptyList(),
+        val excludePatterns: List<String> = emptyList(),
+        val providers: List<String> = emptyList(),
+        /** Provider set to compare against; null when not comparing */
+        val compareProviders: List<String>? = null,
+        /** Ask the tool for a score breakdown per hit */
+        val explain: Boolean = false
+    ) {
+        init {
+            require(k == null || k in 1..MAX_K) { "k must be between 1 and $MAX_K" }
+            require(maxTokens == null || maxTokens in MIN_TOKENS..MAX_TOKENS) {
+                "maxTokens must be between $MIN_TOKENS and $MAX_TOKENS"
+            }
+        }
+
+        fun toParams(providers: List<String>): QueryContextTool.Params = QueryContextTool.Params(
+            query = query,
+            k = k,
+            maxTokens = maxTokens,
+            paths = paths.ifEmpty { null },
+            languages = languages.ifEmpty { null },
+            kinds = kinds.ifEmpty { null },
+            excludePatterns = excludePatterns.ifEmpty { null },
+            providers = providers.ifEmpty { null },
+            explain = explain.takeIf { it }
+        )
+    }
+
+    /** One execution of the query against one provider set. */
+    data class Run(
+        val label: String,
+        val providers: List<String>,
+        val result: QueryContextTool.Result?,
+        /** Set when the tool threw instead of returning */
+        val error: String? = null
+    )
+
+    const val MAX_K = 100
+    const val MIN_TOKENS = 100
+    const val MAX_TOKENS = 100_000
+
+    fun FlowContent.searchForm(query: Query, providerIds: List<String>) {
+        form(action = "/search", method = FormMethod.get, classes = "context-search card") {
+            attributes["data-context-search"] = "true"
+            attributes["hx-get"] = RESULTS_URL
+            attributes["hx-target"] = "#search-results"
+            attributes["hx-indicator"] = "#search-indicator"
+
+            div(classes = "context-search__main") {
+                label(classes = "context-search__query") {
+                    span { +"Query" }
+                    input(type = InputType.search, name = "query") {
+                        value = query.query
+                        required = true
+                        autoFocus = true
+                        placeholder = "e.g. PathFilter shouldIgnore"
+                    }
+                }
+                label {
+                    span { +"k" }
+                    input(type = InputType.number, name = "k") {
+                        min = "1"
+                        max = MAX_K.toString()
+                        placeholder = "default"
+                        query.k?.let { value = it.toString() }
+                    }
+                }
+                label {
+                    span { +"Max tokens" }
+                    input(type = InputType.number, name = "maxTokens") {
+                        min = MIN_TOKENS.toString()
+                        max = MAX_TOKENS.toString()
+                        step = "100"
+                        placeholder = "4000"
+                        query.maxTokens?.let { value = it.toString() }
+                    }
+                }
+                button(type = ButtonType.submit, classes = "btn btn-primary") { +"Search" }
+                span(classes = "htmx-indicator text-muted") {
+                    id = "search-indicator"
+                    +"Searching…"
+                }
+            }
+
+            details(classes = "context-search__filters") {
+                if (query.hasFilters()) attributes["open"] = "open"
+                summary { +"Filters" }
+                div(classes = "context-search__filter-grid") {
+                    listField("paths", "Paths", query.paths, "src/main/kotlin, docs/")
+                    listField("languages", "Languages", query.languages, "kotlin, markdown")
+                    listField("excludePatterns", "Exclude patterns", query.excludePatterns, "**/test/**")
+                }
+                fieldSet(classes = "context-search__choices") {
+                    legend { +"Chunk kinds" }
+                    ChunkKind.entries.forEach { kind ->
+                        checkbox("kinds", kind.name, formatEnum(kind.name), kind.name in query.kinds)
+                    }
+                }
+            }
+
+            providerChoices("providers", "Providers", providerIds, query.providers)
+
+            label(classes = "context-search__choice") {
+                checkBoxInput(name = "explain") {
+                    value = "true"
+                    checked = query.explain
+                }
+                +" Explain scores (provider score, boosts, MMR and neighbour expansion per hit)"
+            }
+
+            div(classes = "context-search__compare") {
+                label {
+                    checkBoxInput(name = "compare") {
+                        value = "true"
+                        checked = query.compareProviders != null
+                        attributes["data-compare-toggle"] = "true"
+                    }
+                    +" Compare with another provider set"
+                }
+                div {
+                    attributes["data-compare-providers"] = "true"
+                    hidden = query.compareProviders == null
+                    providerChoices("compareProviders", "Compare providers", providerIds, query.compareProviders.orEmpty())
+                }
+            }
+        }
+    }
+
+    fun renderResults(runs: List<Run>): String = Fragment.render {
+        searchResults(runs)
+    }
+
+    fun FlowContent.searchResults(runs: List<Run>) {
+        val comparing = runs.size > 1
+        div(classes = "context-search__results" + if (comparing) " context-search__results--compare" else "") {
+            runs.forEachIndexed { index, run ->
+                // Chunks the other side of a comparison also returned
+                val shared = if (comparing) {
+                    runs.filterIndexed { other, _ -> other != index }
+                        .flatMap { it.result?.hits.orEmpty() }
+                        .map { it.chunkId }
+                        .toSet()
+                } else {
+                    null
+                }
+                runColumn(run, shared)
+            }
+        }
+    }
+
+    private fun FlowContent.runColumn(run: Run, shared: Set<Long>?) {
+        section(classes = "search-run") {
+            attributes["aria-label"] = run.label
+            h2(classes = "search-run__title") { +run.label }
+            p(classes = "search-run__providers text-muted") {
+                +(run.providers.takeIf { it.isNotEmpty() }?.joinToString(", ") ?: "Configured providers")
+            }
+
+            if (run.error != null) {
+                div(classes = "alert alert-danger") {
+                    attributes["role"] = "alert"
+                    +"Search failed: ${run.error}"
+                }
+                return@section
+            }
+            val result = run.result ?: return@section
+
+            runSummary(result)
+
+            if (result.hits.isEmpty()) {
+                p(classes = "text-muted") { +"No hits." }
+                return@section
+            }
+            ol(classes = "search-hits") {
+                result.hits.forEachIndexed { rank, hit ->
+                    searchHit(rank + 1, hit, onlyHere = shared != null && hit.chunkId !in shared)
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.runSummary(result: QueryContextTool.Result) {
+        val meta = result.metadata
+        p(classes = "search-run__summary") {
+            +"${result.hits.size} of ${meta["totalHits"] ?: result.hits.size} hits"
+            meta["tokensUsed"]?.let { +" · $it tokens" }
+            meta["warning"]?.let { +" · $it" }
+        }
+        (meta["scoring"] as? Map<*, *>)?.let { scoring ->
+            p(classes = "search-run__scoring text-muted") {
+                +"Min score ${scoring["minScoreThreshold"]}"
+                +(if (scoring["mmrEnabled"] == true) " · MMR λ ${scoring["mmrLambda"]}" else " · MMR off")
+                +" · neighbour window ${scoring["neighborWindow"]}"
+            }
+        }
+        val providerStats = (meta["providers"] as? Map<*, *>).orEmpty()
+        if (providerStats.isEmpty()) return
+        ul(classes = "search-run__stats") {
+            attributes["aria-label"] = "Per-provider results"
+            providerStats.forEach { (id, value) ->
+                val stats = (value as? Map<*, *>).orEmpty()
+                li {
+                    if (stats["error"] != null) classes = setOf("is-error")
+                    +"$id: "
+                    +(stats["error"]?.let { "failed ($it)" }
+                        ?: "${stats["snippets"] ?: 0} snippet(s) in ${stats["durationMs"] ?: "?"} ms")
+                }
+            }
+        }
+    }
+
+    private fun OL.searchHit(rank: Int, hit: QueryContextTool.SnippetHit, onlyHere: Boolean) {
+        li(classes = "search-hit" + if (onlyHere) " search-hit--only" else "") {
+            attributes["data-chunk-id"] = hit.chunkId.toString()
+            div(classes = "search-hit__head") {
+                span(classes = "search-hit__rank") { +"#$rank" }
+                span(classes = "search-hit__score") {
+                    attributes["title"] = "Score"
+                    +formatScore(hit.score)
+                }
+                span(classes = "search-hit__provider") {
+                    +(hit.metadata["sources"] ?: hit.metadata["provider"] ?: "unknown")
+                }
+                a(href = "#file=${hit.filePath.encodeURLParameter()}", classes = "search-hit__path") {
+                    attributes["data-modal-link"] = fileDetailUrl(hit.filePath)
+                    attributes["title"] = "Open ${hit.filePath}"
+                    +hit.filePath
+                }
+                lineRange(hit)?.let { range -> span(classes = "search-hit__lines") { +range } }
+                span(classes = "search-hit__kind text-muted") { +formatEnum(hit.kind) }
+                if (onlyHere) {
+                    span(classes = "search-hit__only") { +"Only here" }
+                }
+            }
+            hit.label?.takeIf { it.isNotBlank() }?.let { label ->
+                p(classes = "search-hit__label text-muted") { +label }
+            }
+            hit.explanation?.let { scoreBreakdown(it) }
+            pre(classes = "search-hit__code") {
+                code {
+                    attributes["data-highlight"] = "true"
+                    attributes["data-language"] = hit.language.orEmpty()
+                    +hit.text
+                }
+            }
+        }
+    }
+
+    /**
+     * The explanation as a waterfall: one row per pipeline stage that touched
+     * the hit, each bar showing the score after that stage.
+     */
+    private fun FlowContent.scoreBreakdown(explanation: QueryContextTool.ScoreExplanation) {
+        details(classes = "search-hit__explain") {
+            summary { +"Score breakdown" }
+            ol(classes = "score-waterfall") {
+                explanation.neighborOf?.let { parent ->
+                    step("Neighbour of chunk $parent", explanation.finalScore, note = "Added by neighbour expansion at half that hit's score")
+                    return@ol
+                }
+
+                val providerScore = explanation.providerScore
+                if (providerScore != null) {
+                    step("Provider score", providerScore, note = explanation.providers.joinToString(", ").ifEmpty { null })
+                }
+                val boosts = explanation.boosts
+                if (boosts != null && providerScore != null && boosts.total != 1.0) {
+                    var score = providerScore
+                    if (boosts.pathBoost != 1.0) {
+                        val next = score * boosts.pathBoost
+                        step("Path boost ×${formatFactor(boosts.pathBoost)}", next, delta = next - score, note = boosts.pathPrefix)
+                        score = next
+                    }
+                    if (boosts.languageBoost != 1.0) {
+                        val next = score * boosts.languageBoost
+                        step("Language boost ×${formatFactor(boosts.languageBoost)}", next, delta = next - score)
+                        score = next
+                    }
+                    if (score > 1.0) {
+                        step("Capped at 1.0", 1.0, delta = 1.0 - score)
+                    }
+                } else if (providerScore != null) {
+                    step("No boosts matched", null)
+                }
+
+                explanation.candidateRank?.let { rank -> step("Candidate #$rank above the score threshold", null) }
+
+                explanation.mmr?.let { mmr ->
+                    if (mmr.seed) {
+                        step("MMR seed", mmr.mmrScore, note = "Picked first on relevance alone, before any diversity penalty")
+                    } else {
+                        step(
+                            "MMR diversity penalty",
+                            mmr.mmrScore,
+                            delta = -mmr.penalty,
+                            note = "Similarity ${formatScore(mmr.maxSimilarity)} to an earlier pick; " +
+                                "the bar is the MMR score it was picked with, the hit keeps its score"
+                        )
+                    }
+                }
+
+                step("Final score", explanation.finalScore)
+            }
+        }
+    }
+
+    private fun OL.step(label: String, value: Double?, delta: Double? = null, note: String? = null) {
+        li(classes = "score-waterfall__step") {
+            span(classes = "score-waterfall__label") { +label }
+            span(classes = "score-waterfall__track") {
+                if (value != null) {
+                    span(classes = "score-waterfall__bar") {
+                        attributes["style"] = "--score: ${(value.coerceIn(0.0, 1.0) * 100).roundToInt()}%"
+                    }
+                }
+            }
+            span(classes = "score-waterfall__value") { value?.let { +formatScore(it) } }
+            span(classes = "score-waterfall__delta") {
+                delta?.takeIf { it != 0.0 }?.let {
+                    classes = classes + if (it > 0) "is-up" else "is-down"
+                    +((if (it > 0) "+" else "−") + formatScore(abs(it)))
+                }
+            }
+            note?.let { span(classes = "score-waterfall__note text-muted") { +it } }
+        }
+    }
+
+    private fun formatScore(value: Double): String = String.format(Locale.US, "%.3f", value)
+
+    private fun formatFactor(value: Double): String = String.format(Locale.US, "%.2f", value)
+
+    fun fileDetailUrl(filePath: String): String = "/files/${filePath.encodeURLParameter()}/detail"
+
+    private fun lineRange(hit: QueryContextTool.SnippetHit): String? {
+        val start = hit.startLine ?: return null
+        val end = hit.endLine
+        return if (end == null || end == start) "L$start" else "L$start–$end"
+    }
+
+    private fun Query.hasFilters(): Boolean =
+        paths.isNotEmpty() || languages.isNotEmpty() || kinds.isNotEmpty() || excludePatterns.isNotEmpty()
+
+    private fun FlowContent.listField(name: String, title: String, values: List<String>, example: String) {
+        label {
+            span { +title }
+            textArea(rows = "2") {
+                this.name = name
+                placeholder = "Comma or line separated, e.g. $example"
+                +values.joinToString("\n")
+            }
+        }
+    }
+
+    private fun FlowContent.providerChoices(name: String, title: String, providerIds: List<String>, selected: List<String>) {
+        fieldSet(classes = "context-search__choices") {
+            legend { +title }
+            if (providerIds.isEmpty()) {
+                p(classes = "text-muted") { +"No context providers are registered." }
+                return@fieldSet
+            }
+            providerIds.forEach { id -> checkbox(name, id, id, selected.any { it.equals(id, ignoreCase = true) }) }
+            p(classes = "context-search__hint text-muted") { +"None ticked: the configured providers." }
+        }
+    }
+
+    private fun FlowContent.checkbox(name: String, value: String, text: String, isChecked: Boolean) {
+        label(classes = "context-search__choice") {
+            checkBoxInput(name = name) {
+                this.value = value
+                checked = isChecked
+            }
+            +" $text"
+        }
+    }
+
+    private fun formatEnum(name: String): String =
+        name.lowercase().split('_').joinToString(" ").replaceFirstChar { it.titlecase() }
+}
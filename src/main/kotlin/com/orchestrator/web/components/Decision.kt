@@ -160,14 +160,14 @@ object DecisionComponent {
         else -> "consensus-indicator--default"
     }
 
-    private fun extractStrategyTrail(decision: Decision): List<String> =
+    internal fun extractStrategyTrail(decision: Decision): List<String> =
         decision.metadata["strategyTrail"]
             ?.split(",")
             ?.map { it.trim() }
             ?.filter { it.isNotEmpty() && it != "<none>" }
             ?: emptyList()
 
-    private fun formatStrategyLabel(raw: String): String =
+    internal fun formatStrategyLabel(raw: String): String =
         raw.lowercase(Locale.US)
             .split('_', '-', ' ')
             .filter { it.isNotBlank() }
@@ -10,12 +10,19 @@ import kotlinx.html.button
 import kotlinx.html.code
 import kotlinx.html.div
 import kotlinx.html.h3
+import kotlinx.html.p
 import kotlinx.html.pre
+import kotlinx.html.script
 import kotlinx.html.span
 import kotlinx.html.unsafe
 
 /**
  * File detail view component for viewing file information and chunks
+ *
+ * With a [Source.Shown] the chunks become a split view: the chunk list next
+ * to the file's text, with each chunk's lines marked in a coloured gutter.
+ * chunk-explorer.js scrolls the source to a chunk when it is picked, and
+ * code-highlight.js highlights the text.
  */
 object FileDetail {
 
@@ -30,6 +37,25 @@ object FileDetail {
         val summary: String?
     )
 
+    /** The file's text for the split view, or why it is not shown. */
+    sealed interface Source {
+        data class Shown(
+            val lines: List<String>,
+            val language: String?,
+            /** Chunker that [driftedChunkIds] were worked out with */
+            val chunkerId: String,
+            /** Chunks the current chunker would split differently */
+            val driftedChunkIds: Set<Long> = emptySet(),
+            /** Caveat shown above the split view */
+            val note: String? = null
+        ) : Source
+
+        data class Unavailable(val reason: String) : Source
+    }
+
+    /** Gutter colours cycle through this many tones. */
+    const val CHUNK_TONES = 6
+
     data class Model(
         val path: String,
         val status: String,
@@ -40,6 +66,8 @@ object FileDetail {
         val contentHash: String,
         val chunks: List<ChunkInfo> = emptyList(),
         val totalChunks: Int = 0,
+        /** Null leaves out the source view altogether */
+        val source: Source? = null,
         val referenceInstant: Instant = Instant.now(),
         val zoneId: ZoneId = ZoneId.systemDefault()
     )
@@ -150,11 +178,17 @@ object FileDetail {
                 }
 
                 // Chunks section
-                if (config.model.chunks.isNotEmpty()) {
+                val source = config.model.source
+                if (config.model.chunks.isNotEmpty() && source is Source.Shown) {
+                    chunkExplorer(config.model, source)
+                } else if (config.model.chunks.isNotEmpty()) {
                     div(classes = "file-detail__section") {
                         h3(classes = "file-detail__heading") {
                             +"Chunks (${config.model.chunks.size})"
                         }
+                        if (source is Source.Unavailable) {
+                            p(classes = "text-muted") { +source.reason }
+                        }
 
                         div(classes = "file-detail__chunks-list") {
                             config.model.chunks.forEach { chunk ->
@@ -182,10 +216,109 @@ object FileDetail {
         }
     }
 
-    private fun FlowContent.chunkItem(chunk: ChunkInfo) {
-        div(classes = "file-detail__chunk-item") {
+    private fun FlowContent.chunkExplorer(model: Model, source: Source.Shown) {
+        div(classes = "file-detail__section") {
+            h3(classes = "file-detail__heading") {
+                +"Chunks (${model.chunks.size})"
+            }
+            val drifted = model.chunks.count { it.id in source.driftedChunkIds }
+            p(classes = "file-detail__drift-summary text-muted") {
+                if (drifted == 0) {
+                    +"Chunk boundaries match what the ${source.chunkerId} chunker produces now."
+                } else {
+                    +"$drifted of ${model.chunks.size} chunks would be split differently by the ${source.chunkerId} chunker."
+                }
+            }
+            source.note?.let { note ->
+                p(classes = "file-detail__source-note") { +note }
+            }
+
+            div(classes = "chunk-explorer") {
+                attributes["data-chunk-explorer"] = "true"
+
+                div(classes = "chunk-explorer__list file-detail__chunks-list") {
+                    attributes["aria-label"] = "Chunks"
+                    model.chunks.forEach { chunk ->
+                        chunkItem(chunk, source)
+                    }
+                }
+
+                div(classes = "chunk-explorer__source") {
+                    attributes["data-source-pane"] = "true"
+                    attributes["tabindex"] = "0"
+                    attributes["aria-label"] = "Source of ${model.path}"
+                    sourceLines(model.chunks, source)
+                }
+            }
+        }
+    }
+
+    /**
+     * Line numbers in a gutter coloured by chunk, beside the text as one
+     * block so multi-line tokens highlight correctly. Where chunks overlap a
+     * line shows the first.
+     */
+    private fun FlowContent.sourceLines(chunks: List<ChunkInfo>, source: Source.Shown) {
+        val chunkByLine = arrayOfNulls<ChunkInfo>(source.lines.size + 1)
+        chunks.forEach { chunk ->
+            val start = chunk.startLine ?: return@forEach
+            val end = (chunk.endLine ?: start).coerceAtMost(source.lines.size)
+            for (line in start..end) {
+                if (chunkByLine[line] == null) chunkByLine[line] = chunk
+            }
+        }
+
+        div(classes = "file-source") {
+            div(classes = "file-source__gutter") {
+                attributes["aria-hidden"] = "true"
+                for (line in 1..source.lines.size) {
+                    val chunk = chunkByLine[line]
+                    val classes = buildString {
+                        append("file-source__ln")
+                        if (chunk != null) {
+                            append(" chunk-tone-").append(chunk.ordinal % CHUNK_TONES)
+                            if (chunk.id in source.driftedChunkIds) append(" is-drifted")
+                        }
+                    }
+                    span(classes = classes) {
+                        attributes["data-line"] = line.toString()
+                        chunk?.let { attributes["data-chunk-id"] = it.id.toString() }
+                        +line.toString()
+                    }
+                }
+            }
+            pre(classes = "file-source__code") {
+                code {
+                    attributes["data-highlight"] = "true"
+                    attributes["data-language"] = source.language.orEmpty()
+                    +source.lines.joinToString("\n")
+                }
+            }
+        }
+        script(src = "/static/js/code-highlight.js") {}
+        script(src = "/static/js/chunk-explorer.js") {}
+    }
+
+    private fun FlowContent.chunkItem(chunk: ChunkInfo, source: Source.Shown? = null) {
+        val drifted = source != null && chunk.id in source.driftedChunkIds
+        div(classes = "file-detail__chunk-item" + if (drifted) " is-drifted" else "") {
+            if (source != null) {
+                attributes["data-chunk-id"] = chunk.id.toString()
+                chunk.startLine?.let { start ->
+                    attributes["data-start-line"] = start.toString()
+                    attributes["data-end-line"] = (chunk.endLine ?: start).toString()
+                    attributes["role"] = "button"
+                    attributes["tabindex"] = "0"
+                    attributes["aria-pressed"] = "false"
+                }
+            }
             // Chunk header
             div(classes = "file-detail__chunk-header") {
+                if (source != null) {
+                    span(classes = "file-detail__chunk-swatch chunk-tone-${chunk.ordinal % CHUNK_TONES}") {
+                        attributes["aria-hidden"] = "true"
+                    }
+                }
                 span(classes = "file-detail__chunk-num") {
                     +"Chunk ${chunk.ordinal + 1}"
                 }
@@ -206,6 +339,12 @@ object FileDetail {
                         }
                     }
                 }
+                if (drifted) {
+                    span(classes = "file-detail__chunk-drift") {
+                        attributes["title"] = "The current ${source?.chunkerId} chunker does not produce this chunk"
+                        +"Would re-chunk"
+                    }
+                }
             }
 
             // Chunk summary
@@ -215,11 +354,13 @@ object FileDetail {
                 }
             }
 
-            // Chunk content preview
-            div(classes = "file-detail__chunk-content") {
-                pre {
-                    code {
-                        +(chunk.content.take(500) + if (chunk.content.length > 500) "..." else "")
+            // Chunk content preview; the split view shows the lines themselves
+            if (source == null) {
+                div(classes = "file-detail__chunk-content") {
+                    pre {
+                        code {
+                            +(chunk.content.take(500) + if (chunk.content.length > 500) "..." else "")
+                        }
                     }
                 }
             }
@@ -0,0 +1,47 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.web.services.FileIndexAction
+import kotlinx.html.ButtonType
+import kotlinx.html.FlowContent
+import kotlinx.html.button
+import kotlinx.html.div
+
+/**
+ * Selective index actions ([FileIndexAction]) for the files grid and the index page.
+ *
+ * The buttons go inside a form whose `path` fields name the targets. index-status.js
+ * posts that form to [ENDPOINT] with the clicked button's action, disables the form's
+ * buttons until the operation finishes and shows its progress card ([IndexOperationCard]).
+ */
+object FileIndexActions {
+
+    const val ENDPOINT = "/index/files"
+
+    private val confirmations = mapOf(
+        FileIndexAction.EXCLUDE to "Exclude the selection from the index? Its paths are added to .contextignore " +
+            "and what is indexed for them is deleted.",
+        FileIndexAction.PURGE_EMBEDDINGS to "Purge the embeddings of the selection? It drops out of semantic search " +
+            "until it is re-indexed."
+    )
+
+    fun FlowContent.fileIndexButtons() {
+        div(classes = "file-index-actions") {
+            FileIndexAction.entries.forEach { action ->
+                val danger = action != FileIndexAction.REINDEX
+                button(
+                    type = ButtonType.button,
+                    classes = "btn btn-sm ${if (danger) "btn-outline-danger" else "btn-primary"} index-action-button"
+                ) {
+                    name = "action"
+                    value = action.id
+                    attributes["data-testid"] = "file-action-${action.id}"
+                    attributes["data-index-action"] = "file-${action.id}"
+                    attributes["data-action-endpoint"] = ENDPOINT
+                    attributes["data-action-label"] = action.title
+                    confirmations[action]?.let { attributes["data-action-confirm"] = it }
+                    +action.title
+                }
+            }
+        }
+    }
+}
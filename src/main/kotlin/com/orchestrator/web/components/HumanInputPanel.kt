@@ -0,0 +1,291 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.Proposal
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.web.utils.TimeFormatters
+import java.time.Instant
+import java.time.ZoneId
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * The task modal's "Respond / give directive" panel: the tasks waiting on a
+ * human, a form to answer this one and the task's conversation history.
+ *
+ * The modal loads the panel after the details (`GET /tasks/{id}/respond`).
+ * The form answers 422 with itself and inline errors; once accepted the whole
+ * task detail fragment is swapped in, panel included.
+ */
+object HumanInputPanel {
+
+    data class Values(
+        /** `RESPONSE` or `DIRECTIVE` */
+        val kind: String = "RESPONSE",
+        val text: String = "",
+        val contextFiles: List<String> = emptyList(),
+        val proposalRefs: List<String> = emptyList()
+    )
+
+    /** One conversation message, with what a dashboard submission recorded alongside it. */
+    data class HistoryEntry(
+        val role: String,
+        val agentId: String?,
+        val content: String,
+        val ts: Instant,
+        /** `RESPONSE` or `DIRECTIVE` for human input sent from the dashboard */
+        val kind: String? = null,
+        val proposalId: String? = null,
+        val contextFiles: List<String> = emptyList(),
+        val proposalRefs: List<String> = emptyList(),
+        /** What the directive parser took from the text, see HumanInputService.describeDirective */
+        val directive: List<String> = emptyList()
+    )
+
+    data class Config(
+        val task: Task,
+        /** Every task in WAITING_INPUT, this one included if it is waiting */
+        val waiting: List<Task> = emptyList(),
+        /** This task's proposals, offered as references */
+        val proposals: List<Proposal> = emptyList(),
+        val history: List<HistoryEntry> = emptyList(),
+        val values: Values = Values(),
+        /** Field name to message */
+        val errors: Map<String, String> = emptyMap(),
+        /** Error about the submission as a whole, e.g. a rejection by the tool */
+        val formError: String? = null,
+        val zoneId: ZoneId = ZoneId.systemDefault()
+    )
+
+    /** Statuses a response is accepted in; directives need the task to be running. */
+    val RESPONSE_STATUSES = setOf(TaskStatus.PENDING, TaskStatus.IN_PROGRESS, TaskStatus.WAITING_INPUT)
+    val DIRECTIVE_STATUSES = setOf(TaskStatus.IN_PROGRESS, TaskStatus.WAITING_INPUT)
+
+    const val TEXT_MAX_LENGTH = 10_000
+
+    fun render(config: Config): String = createHTML().section(classes = "human-input") {
+        val taskId = config.task.id.value
+        id = "human-input-$taskId"
+        attributes["aria-labelledby"] = "human-input-title-$taskId"
+        if (config.task.status == TaskStatus.WAITING_INPUT) classes = classes + "human-input--waiting"
+
+        h4(classes = "mt-0 mb-md") {
+            id = "human-input-title-$taskId"
+            +"Respond / give directive"
+        }
+        waitingList(config)
+        if (config.task.status in RESPONSE_STATUSES) {
+            unsafe { +renderForm(config) }
+        } else {
+            p(classes = "text-muted") {
+                +"This task is ${config.task.status.displayName} and no longer takes input."
+            }
+        }
+        historySection(config)
+    }.toString()
+
+    fun renderForm(config: Config): String = createHTML().form(classes = "human-input__form") {
+        val taskId = config.task.id.value
+        val values = config.values
+        id = "human-input-form-$taskId"
+        attributes["hx-post"] = "/tasks/$taskId/respond"
+        attributes["hx-target"] = "this"
+        attributes["hx-swap"] = "outerHTML"
+        attributes["novalidate"] = "novalidate"
+        // Lets task-create.js attach context files to this form as well
+        attributes["data-file-attach"] = "true"
+
+        config.formError?.let { message ->
+            div(classes = "task-edit__form-error") {
+                attributes["role"] = "alert"
+                +message
+            }
+        }
+
+        fieldSet(classes = "human-input__kind") {
+            legend(classes = "task-edit__label") { +"Send as" }
+            kindOption(taskId, "RESPONSE", "Response", "Answers the task; a solo task completes with it.", values.kind)
+            kindOption(
+                taskId,
+                "DIRECTIVE",
+                "Directive",
+                "Steers the agents; words like \"consensus\" or an agent's name are picked up.",
+                values.kind,
+                enabled = config.task.status in DIRECTIVE_STATUSES
+            )
+            fieldError(taskId, "kind", config.errors["kind"])
+        }
+
+        val textError = config.errors["text"]
+        div(classes = "task-edit__field task-edit__field--wide") {
+            if (textError != null) classes = classes + "task-edit__field--invalid"
+            label(classes = "task-edit__label") {
+                htmlFor = "human-input-text-$taskId"
+                +"Message"
+            }
+            textArea(rows = "4", classes = "task-edit__input") {
+                id = "human-input-text-$taskId"
+                name = "text"
+                required = true
+                maxLength = TEXT_MAX_LENGTH.toString()
+                if (textError != null) {
+                    attributes["aria-describedby"] = "human-input-text-error-$taskId"
+                    attributes["aria-invalid"] = "true"
+                }
+                +values.text
+            }
+            fieldError(taskId, "text", textError)
+        }
+
+        details(classes = "human-input__attachments") {
+            if (values.contextFiles.isNotEmpty() || values.proposalRefs.isNotEmpty() ||
+                "contextFiles" in config.errors || "proposalRefs" in config.errors
+            ) {
+                attributes["open"] = "open"
+            }
+            summary { +"Attach files or proposals" }
+
+            div(classes = "task-create__file-search") {
+                label(classes = "task-edit__label") {
+                    htmlFor = "human-input-file-query-$taskId"
+                    +"Find indexed files"
+                }
+                input(InputType.search, classes = "task-edit__input") {
+                    id = "human-input-file-query-$taskId"
+                    placeholder = "Path or file name"
+                    attributes["autocomplete"] = "off"
+                    attributes["data-file-search"] = "/files/search"
+                    attributes["aria-controls"] = "human-input-file-results-$taskId"
+                }
+                ul(classes = "task-create__file-results") {
+                    id = "human-input-file-results-$taskId"
+                    attributes["role"] = "listbox"
+                    attributes["data-file-results"] = "true"
+                }
+            }
+            fieldError(taskId, "contextFiles", config.errors["contextFiles"])
+            ul(classes = "task-create__attached") {
+                attributes["data-attached-files"] = "true"
+                attributes["aria-label"] = "Attached files"
+                with(TaskCreateWizard) { values.contextFiles.forEach { path -> attachedFile(path) } }
+            }
+
+            if (config.proposals.isNotEmpty()) {
+                fieldSet(classes = "human-input__proposals") {
+                    legend(classes = "task-edit__label") { +"Refer to proposals" }
+                    config.proposals.forEach { proposal ->
+                        label(classes = "human-input__proposal") {
+                            checkBoxInput(name = "proposalRef") {
+                                value = proposal.id.value
+                                checked = proposal.id.value in values.proposalRefs
+                            }
+                            +" ${proposal.agentId.value} "
+                            span(classes = "text-muted") {
+                                +TimeFormatters.relativeTime(proposal.createdAt, zoneId = config.zoneId).absolute
+                            }
+                        }
+                    }
+                    fieldError(taskId, "proposalRefs", config.errors["proposalRefs"])
+                }
+            }
+        }
+
+        div(classes = "task-edit__actions") {
+            button(type = ButtonType.submit, classes = "btn btn-primary") { +"Send" }
+        }
+    }.toString()
+
+    private fun FIELDSET.kindOption(
+        taskId: String,
+        kind: String,
+        labelText: String,
+        hint: String,
+        current: String,
+        enabled: Boolean = true
+    ) {
+        label(classes = "human-input__kind-option") {
+            radioInput(name = "kind") {
+                value = kind
+                checked = kind == current
+                disabled = !enabled
+                attributes["aria-describedby"] = "human-input-kind-$kind-$taskId"
+            }
+            strong { +" $labelText" }
+            span(classes = "text-muted") {
+                id = "human-input-kind-$kind-$taskId"
+                +" $hint"
+                if (!enabled) +" Available once the task is running."
+            }
+        }
+    }
+
+    private fun FlowContent.fieldError(taskId: String, name: String, message: String?) {
+        if (message == null) return
+        div(classes = "task-edit__error") {
+            id = "human-input-$name-error-$taskId"
+            +message
+        }
+    }
+
+    private fun FlowContent.waitingList(config: Config) {
+        if (config.waiting.isEmpty()) return
+        div(classes = "human-input__waiting") {
+            strong { +"Waiting on input (${config.waiting.size})" }
+            ul(classes = "details-list modal-links") {
+                config.waiting.forEach { waiting ->
+                    li {
+                        if (waiting.id == config.task.id) {
+                            span { +waiting.title }
+                            span(classes = "text-muted") { +" (this task)" }
+                        } else {
+                            with(Modal) { taskModalLink(waiting.id.value, classes = "modal-link") }
+                            span { +waiting.title }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.historySection(config: Config) {
+        div(classes = "human-input__history") {
+            h5 { +"History" }
+            if (config.history.isEmpty()) {
+                p(classes = "text-muted") { +"No messages recorded for this task yet." }
+                return@div
+            }
+            ol(classes = "human-input__messages") {
+                config.history.forEach { entry -> historyItem(entry, config.zoneId) }
+            }
+        }
+    }
+
+    private fun OL.historyItem(entry: HistoryEntry, zoneId: ZoneId) {
+        li(classes = "human-input__message human-input__message--${entry.role.lowercase()}") {
+            div(classes = "human-input__message-meta") {
+                strong { +(entry.agentId ?: entry.role.lowercase()) }
+                entry.kind?.let { kind ->
+                    span(classes = "human-input__tag") { +kind.lowercase() }
+                }
+                entry.directive.forEach { reading ->
+                    span(classes = "human-input__tag human-input__tag--directive") { +reading }
+                }
+                span(classes = "text-muted") {
+                    +TimeFormatters.relativeTime(entry.ts, zoneId = zoneId).absolute
+                }
+            }
+            p(classes = "human-input__message-text") { +entry.content }
+            if (entry.contextFiles.isNotEmpty() || entry.proposalRefs.isNotEmpty() || entry.proposalId != null) {
+                div(classes = "human-input__message-refs modal-links") {
+                    entry.contextFiles.forEach { path -> code { +path } }
+                    entry.proposalRefs.forEach { proposalId ->
+                        with(Modal) { proposalModalLink(proposalId, classes = "modal-link") { +"Refers to $proposalId" } }
+                    }
+                    entry.proposalId?.let { proposalId ->
+                        with(Modal) { proposalModalLink(proposalId, classes = "modal-link") { +"Recorded as $proposalId" } }
+                    }
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,183 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.web.services.IndexOperationSnapshot
+import com.orchestrator.web.utils.TimeFormatters
+import io.ktor.http.encodeURLPathPart
+import java.text.NumberFormat
+import java.time.Duration
+import java.util.Locale
+import kotlinx.html.ButtonType
+import kotlinx.html.DIV
+import kotlinx.html.FlowContent
+import kotlinx.html.button
+import kotlinx.html.code
+import kotlinx.html.details
+import kotlinx.html.div
+import kotlinx.html.id
+import kotlinx.html.li
+import kotlinx.html.p
+import kotlinx.html.progress
+import kotlinx.html.span
+import kotlinx.html.stream.createHTML
+import kotlinx.html.summary
+import kotlinx.html.ul
+
+/**
+ * Progress cards for index operations ([IndexOperationSnapshot]).
+ *
+ * Running operations sit in `#index-progress-region`, one card each with a Cancel button.
+ * index-status.js replaces a card by its `data-operation-id` as updates arrive on the index
+ * stream and, once a card carries `data-outcome`, moves it into `#index-operation-history`.
+ */
+object IndexOperationCard {
+
+    const val REGION_ID = "index-progress-region"
+    const val HISTORY_ID = "index-operation-history"
+
+    /** Failures listed on a card; the rest are only counted */
+    private const val LISTED_FAILURES = 10
+
+    fun cancelEndpoint(operationId: String): String =
+        "/index/operations/${operationId.encodeURLPathPart()}/cancel"
+
+    /** A single card, as sent on the index stream. */
+    fun render(operation: IndexOperationSnapshot, locale: Locale = Locale.getDefault()): String =
+        createHTML().div { populate(operation, locale) }
+
+    fun FlowContent.card(operation: IndexOperationSnapshot, locale: Locale = Locale.getDefault()) {
+        div { populate(operation, locale) }
+    }
+
+    /** Cards of the running operations. The id is shared by the index and files pages. */
+    fun FlowContent.region(active: List<IndexOperationSnapshot> = emptyList()) {
+        div(classes = if (active.isEmpty()) "index-progress-list index-progress-list--idle" else "index-progress-list") {
+            id = REGION_ID
+            attributes["aria-live"] = "polite"
+            p(classes = "index-progress-list__empty text-muted mb-0") {
+                if (active.isNotEmpty()) attributes["hidden"] = "hidden"
+                +"No active operations."
+            }
+            active.forEach { card(it) }
+        }
+    }
+
+    /** Finished operations, newest first. */
+    fun FlowContent.history(finished: List<IndexOperationSnapshot>) {
+        div(classes = "index-history") {
+            id = HISTORY_ID
+            p(classes = "index-history__empty text-muted mb-0") {
+                if (finished.isNotEmpty()) attributes["hidden"] = "hidden"
+                +"No finished operations yet."
+            }
+            finished.forEach { card(it) }
+        }
+    }
+
+    private fun DIV.populate(operation: IndexOperationSnapshot, locale: Locale) {
+        val formatter = NumberFormat.getIntegerInstance(locale)
+        val outcome = operation.outcome
+        val processed = operation.processed
+        val total = operation.total
+
+        attributes["id"] = "index-op-${operation.operationId}"
+        attributes["class"] = buildString {
+            append("index-progress index-op-card")
+            outcome?.let { append(" index-op-card--${it.name.lowercase().replace('_', '-')}") }
+        }
+        attributes["sse-swap"] = "indexProgress"
+        attributes["hx-swap"] = "outerHTML"
+        attributes["data-operation-id"] = operation.operationId
+        attributes["data-timestamp"] = operation.updatedAt.toString()
+        outcome?.let { attributes["data-outcome"] = it.name.lowercase() }
+
+        div(classes = "index-progress__header") {
+            span(classes = "index-progress__title") {
+                +operation.title
+            }
+            span(classes = "index-progress__value") {
+                +(outcome?.label ?: "${operation.percentage}%")
+            }
+        }
+
+        if (outcome == null) {
+            progress(classes = "index-progress__bar") {
+                attributes["max"] = "100"
+                attributes["value"] = operation.percentage.toString()
+            }
+        }
+
+        if (processed != null && total != null) {
+            div(classes = "index-progress__meta") {
+                +"${formatter.format(processed)} of ${formatter.format(total)} items processed"
+            }
+        } else if (processed != null) {
+            div(classes = "index-progress__meta") {
+                +"${formatter.format(processed)} items processed"
+            }
+        }
+
+        val stats = buildList {
+            operation.filesPerSecond?.let { add(String.format(locale, "%.1f files/s", it)) }
+            if (outcome == null) {
+                operation.estimatedRemainingMs?.let {
+                    add("about ${TimeFormatters.compactDuration(Duration.ofMillis(it))} left")
+                }
+            } else {
+                add("took ${TimeFormatters.compactDuration(Duration.between(operation.startedAt, operation.updatedAt))}")
+                add("finished ${TimeFormatters.relativeTime(operation.updatedAt).absolute}")
+            }
+        }
+        if (stats.isNotEmpty()) {
+            div(classes = "index-op-card__stats") {
+                +stats.joinToString(" · ")
+            }
+        }
+
+        operation.message?.takeIf { it.isNotBlank() }?.let { message ->
+            div(classes = "index-progress__message") {
+                +message
+            }
+        }
+
+        if (operation.failedCount > 0) {
+            failures(operation, formatter)
+        }
+
+        if (outcome == null && operation.cancellable) {
+            button(type = ButtonType.button, classes = "btn btn-sm btn-outline-danger index-op-card__cancel") {
+                attributes["data-cancel-operation"] = operation.operationId
+                attributes["data-cancel-endpoint"] = cancelEndpoint(operation.operationId)
+                attributes["data-testid"] = "cancel-operation"
+                if (operation.cancelRequested) {
+                    disabled = true
+                    +"Cancelling…"
+                } else {
+                    +"Cancel"
+                }
+            }
+        }
+    }
+
+    private fun DIV.failures(operation: IndexOperationSnapshot, formatter: NumberFormat) {
+        val count = operation.failedCount
+        details(classes = "index-op-card__failures") {
+            summary {
+                +"${formatter.format(count)} failed ${if (count == 1) "file" else "files"}"
+            }
+            ul {
+                operation.failures.take(LISTED_FAILURES).forEach { failure ->
+                    li {
+                        code { +failure.path }
+                        span(classes = "index-op-card__error") { +failure.error }
+                    }
+                }
+            }
+            val unlisted = count - minOf(operation.failures.size, LISTED_FAILURES)
+            if (unlisted > 0) {
+                p(classes = "text-muted small mb-0") {
+                    +"and ${formatter.format(unlisted)} more"
+                }
+            }
+        }
+    }
+}
@@ -43,4 +43,33 @@ object Modal {
             }
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Link that opens [modalUrl] on top of the current modal (ModalLoader.push in
+     * modal.js), so closing or going back returns to where the user was. [href]
+     * is the `#key=value` deep link, which also works in a new tab.
+     */
+    fun FlowOrInteractiveOrPhrasingContent.modalLink(
+        href: String,
+        modalUrl: String,
+        classes: String? = null,
+        block: A.() -> Unit
+    ) {
+        a(href = href, classes = classes) {
+            attributes["data-modal-link"] = modalUrl
+            block()
+        }
+    }
+
+    fun FlowOrInteractiveOrPhrasingContent.taskModalLink(
+        taskId: String,
+        classes: String? = null,
+        block: A.() -> Unit = { +taskId }
+    ) = modalLink("#task=$taskId", "/tasks/$taskId/modal", classes, block)
+
+    fun FlowOrInteractiveOrPhrasingContent.proposalModalLink(
+        proposalId: String,
+        classes: String? = null,
+        block: A.() -> Unit = { +proposalId }
+    ) = modalLink("#proposal=$proposalId", "/proposals/$proposalId/modal", classes, block)
+}
@@ -2,6 +2,7 @@ package com.orchestrator.web.components
 
 import com.orchestrator.web.rendering.Fragment
 import kotlinx.html.FlowContent
+import kotlinx.html.SPAN
 import kotlinx.html.a
 import kotlinx.html.button
 import kotlinx.html.div
@@ -9,6 +10,7 @@ import kotlinx.html.header
 import kotlinx.html.li
 import kotlinx.html.nav
 import kotlinx.html.span
+import kotlinx.html.stream.createHTML
 import kotlinx.html.ul
 
 /**
@@ -31,7 +33,9 @@ object Navigation {
         val href: String,
         val active: Boolean = false,
         val ariaLabel: String? = null,
-        val icon: String? = null
+        val icon: String? = null,
+        /** Loads a count badge for the link, see [renderBadge] */
+        val badgeUrl: String? = null
     )
 
     /**
@@ -176,10 +180,39 @@ object Navigation {
                 span(classes = "nav-link__text") {
                     +link.label
                 }
+
+                link.badgeUrl?.let { url ->
+                    span(classes = "nav-link__badge") { badge(url, count = 0, label = "") }
+                }
             }
         }
     }
 
+    /**
+     * Count badge for a link. It reloads itself from [url] on page load, every
+     * 30 seconds and whenever a response sends the `navBadgesChanged` trigger;
+     * a count of zero hides it.
+     */
+    fun renderBadge(url: String, count: Int, label: String): String =
+        createHTML().span(classes = "nav-link__badge") { badge(url, count, label) }
+
+    private fun SPAN.badge(url: String, count: Int, label: String) {
+        attributes["hx-get"] = url
+        attributes["hx-trigger"] = "load, every 30s, navBadgesChanged from:body"
+        // The badge swaps itself; keep the boosted link's target and select off it
+        attributes["hx-target"] = "this"
+        attributes["hx-swap"] = "outerHTML"
+        attributes["hx-select"] = "unset"
+        attributes["hx-push-url"] = "false"
+        if (count <= 0) {
+            attributes["hidden"] = "hidden"
+        } else {
+            attributes["title"] = label
+            attributes["aria-label"] = label
+            +count.toString()
+        }
+    }
+
     /**
      * JavaScript for mobile menu toggle (inline in the component)
      */
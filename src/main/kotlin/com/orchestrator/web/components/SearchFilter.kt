@@ -4,6 +4,7 @@ import com.orchestrator.web.rendering.Fragment
 import kotlinx.html.ButtonType
 import kotlinx.html.FlowContent
 import kotlinx.html.FormMethod
+import kotlinx.html.HTMLTag
 import kotlinx.html.InputType
 import kotlinx.html.button
 import kotlinx.html.div
@@ -30,6 +31,28 @@ object SearchFilter {
         val agent: String? = null
     )
 
+    /**
+     * A preset saved on the server. [query] is a canonical task filter query
+     * string that is applied to the form as a whole.
+     */
+    data class SavedPreset(
+        val id: String,
+        val label: String,
+        val query: String
+    )
+
+    /** Form field names, so the form can submit whichever parameters its endpoint parses. */
+    data class FieldNames(
+        val query: String = "query",
+        val status: String = "status",
+        val type: String = "type",
+        val agent: String = "agent",
+        val from: String = "from",
+        val to: String = "to",
+        val dueFrom: String = "dueFrom",
+        val dueTo: String = "dueTo"
+    )
+
     data class Config(
         val query: String = "",
         val statuses: List<Option> = emptyList(),
@@ -38,10 +61,22 @@ object SearchFilter {
         val fromDate: String? = null,
         val toDate: String? = null,
         val includeDateRange: Boolean = false,
+        val dueFromDate: String? = null,
+        val dueToDate: String? = null,
+        val includeDueRange: Boolean = false,
+        /** Render status/type/agent as multi-selects. */
+        val multiSelect: Boolean = false,
         val presets: List<Preset> = emptyList(),
+        val savedPresets: List<SavedPreset> = emptyList(),
+        /** When set, presets can be saved to and deleted from this endpoint. */
+        val presetsEndpoint: String? = null,
+        /** Mirror the form state in the page URL (handled by filter-presets.js). */
+        val syncUrl: Boolean = false,
+        val fieldNames: FieldNames = FieldNames(),
         val hxTarget: String = "#tasks-table-body",
         val hxIndicator: String = "#tasks-table-indicator",
-        val hxEndpoint: String = "/tasks/table",
+        /** Endpoint the form re-queries through htmx; null leaves submission to script. */
+        val hxEndpoint: String? = "/tasks/table",
         val formId: String = "task-filter-form",
         val searchPlaceholder: String = "Search tasks",
         val clearLabel: String = "Clear filters"
@@ -56,11 +91,17 @@ object SearchFilter {
             form(classes = "task-filter__form") {
                 attributes["id"] = config.formId
                 attributes["role"] = "search"
-                attributes["hx-get"] = config.hxEndpoint
-                attributes["hx-trigger"] = "keyup changed delay:500ms"
-                attributes["hx-target"] = config.hxTarget
-                attributes["hx-indicator"] = config.hxIndicator
-                attributes["hx-include"] = "#${config.formId} *"
+                if (config.hxEndpoint != null) {
+                    attributes["hx-get"] = config.hxEndpoint
+                    attributes["hx-trigger"] = "keyup changed delay:500ms"
+                    attributes["hx-target"] = config.hxTarget
+                    attributes["hx-indicator"] = config.hxIndicator
+                    attributes["hx-include"] = "#${config.formId} *"
+                }
+                if (config.syncUrl) {
+                    attributes["data-filter-sync-url"] = "true"
+                }
+                config.presetsEndpoint?.let { attributes["data-filter-presets-endpoint"] = it }
                 method = FormMethod.get
 
                 div(classes = "task-filter__row task-filter__row--primary") {
@@ -71,7 +112,7 @@ object SearchFilter {
                         }
                         input(InputType.search, classes = "task-filter__search") {
                             attributes["id"] = "${config.formId}-search"
-                            attributes["name"] = "query"
+                            attributes["name"] = config.fieldNames.query
                             attributes["placeholder"] = config.searchPlaceholder
                             attributes["autocomplete"] = "off"
                             attributes["data-search-shortcut"] = "/"
@@ -86,13 +127,14 @@ object SearchFilter {
                         }
                     }
 
-                    if (config.presets.isNotEmpty()) {
+                    if (config.presets.isNotEmpty() || config.presetsEndpoint != null) {
                         div(classes = "task-filter__control task-filter__control--presets") {
                             label(classes = "task-filter__label") {
                                 attributes["aria-hidden"] = "true"
                                 +"Presets"
                             }
                             div(classes = "task-filter__preset-group") {
+                                attributes["data-filter-preset-group"] = "true"
                                 config.presets.forEachIndexed { index, preset ->
                                     button(classes = "task-filter__preset") {
                                         type = ButtonType.button
@@ -107,6 +149,17 @@ object SearchFilter {
                                         +preset.label
                                     }
                                 }
+                                config.savedPresets.forEach { preset ->
+                                    savedPresetButton(preset, config)
+                                }
+                            }
+                            if (config.presetsEndpoint != null) {
+                                button(classes = "task-filter__preset-save") {
+                                    type = ButtonType.button
+                                    attributes["data-filter-save"] = "true"
+                                    attributes["data-filter-target"] = "#${config.formId}"
+                                    +"Save preset"
+                                }
                             }
                         }
                     }
@@ -126,27 +179,37 @@ object SearchFilter {
                     selectBlock(
                         id = "${config.formId}-status",
                         label = "Status",
-                        name = "status",
+                        name = config.fieldNames.status,
                         options = config.statuses,
                         config = config
                     )
                     selectBlock(
                         id = "${config.formId}-type",
                         label = "Type",
-                        name = "type",
+                        name = config.fieldNames.type,
                         options = config.types,
                         config = config
                     )
                     selectBlock(
                         id = "${config.formId}-agent",
                         label = "Agent",
-                        name = "agent",
+                        name = config.fieldNames.agent,
                         options = config.agents,
                         config = config
                     )
 
                     if (config.includeDateRange) {
-                        dateRangeBlock(config)
+                        val (fromLabel, toLabel) = if (config.includeDueRange) {
+                            "Created from" to "Created to"
+                        } else {
+                            "From" to "To"
+                        }
+                        dateBlock("from", fromLabel, config.fieldNames.from, config.fromDate, config)
+                        dateBlock("to", toLabel, config.fieldNames.to, config.toDate, config)
+                    }
+                    if (config.includeDueRange) {
+                        dateBlock("due-from", "Due from", config.fieldNames.dueFrom, config.dueFromDate, config)
+                        dateBlock("due-to", "Due to", config.fieldNames.dueTo, config.dueToDate, config)
                     }
                 }
             }
@@ -170,11 +233,10 @@ object SearchFilter {
             select(classes = "task-filter__select") {
                 attributes["id"] = id
                 attributes["name"] = name
-                attributes["hx-trigger"] = "change"
-                attributes["hx-get"] = config.hxEndpoint
-                attributes["hx-target"] = config.hxTarget
-                attributes["hx-include"] = "#${config.formId} *"
-                attributes["hx-indicator"] = config.hxIndicator
+                if (config.multiSelect) {
+                    attributes["multiple"] = "multiple"
+                }
+                changeTrigger(config)
                 options.forEach {
                     option {
                         value = it.value
@@ -188,38 +250,53 @@ object SearchFilter {
         }
     }
 
-    private fun FlowContent.dateRangeBlock(config: Config) {
+    private fun FlowContent.dateBlock(
+        idSuffix: String,
+        label: String,
+        name: String,
+        value: String?,
+        config: Config
+    ) {
         div(classes = "task-filter__control task-filter__control--date") {
             label(classes = "task-filter__label") {
-                attributes["for"] = "${config.formId}-from"
-                +"From"
+                attributes["for"] = "${config.formId}-$idSuffix"
+                +label
             }
             input(InputType.date, classes = "task-filter__date") {
-                attributes["id"] = "${config.formId}-from"
-                attributes["name"] = "from"
-                attributes["hx-trigger"] = "change"
-                attributes["hx-get"] = config.hxEndpoint
-                attributes["hx-target"] = config.hxTarget
-                attributes["hx-include"] = "#${config.formId} *"
-                attributes["hx-indicator"] = config.hxIndicator
-                config.fromDate?.let { value = it }
+                attributes["id"] = "${config.formId}-$idSuffix"
+                attributes["name"] = name
+                changeTrigger(config)
+                value?.let { this.value = it }
             }
         }
-        div(classes = "task-filter__control task-filter__control--date") {
-            label(classes = "task-filter__label") {
-                attributes["for"] = "${config.formId}-to"
-                +"To"
+    }
+
+    private fun FlowContent.savedPresetButton(preset: SavedPreset, config: Config) {
+        span(classes = "task-filter__saved-preset") {
+            attributes["data-preset-id"] = preset.id
+            button(classes = "task-filter__preset") {
+                type = ButtonType.button
+                attributes["data-filter-preset"] = preset.label
+                attributes["data-preset-params"] = preset.query
+                attributes["data-preset-target"] = "#${config.formId}"
+                attributes["aria-label"] = "Apply preset ${preset.label}"
+                +preset.label
             }
-            input(InputType.date, classes = "task-filter__date") {
-                attributes["id"] = "${config.formId}-to"
-                attributes["name"] = "to"
-                attributes["hx-trigger"] = "change"
-                attributes["hx-get"] = config.hxEndpoint
-                attributes["hx-target"] = config.hxTarget
-                attributes["hx-include"] = "#${config.formId} *"
-                attributes["hx-indicator"] = config.hxIndicator
-                config.toDate?.let { value = it }
+            button(classes = "task-filter__preset-delete") {
+                type = ButtonType.button
+                attributes["data-filter-preset-delete"] = preset.id
+                attributes["aria-label"] = "Delete preset ${preset.label}"
+                +"×"
             }
         }
     }
+
+    private fun HTMLTag.changeTrigger(config: Config) {
+        val endpoint = config.hxEndpoint ?: return
+        attributes["hx-trigger"] = "change"
+        attributes["hx-get"] = endpoint
+        attributes["hx-target"] = config.hxTarget
+        attributes["hx-include"] = "#${config.formId} *"
+        attributes["hx-indicator"] = config.hxIndicator
+    }
 }
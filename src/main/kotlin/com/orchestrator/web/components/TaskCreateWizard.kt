@@ -0,0 +1,439 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.TaskType
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * The New task dialog on /tasks.
+ *
+ * One form split into steps (kind, details, context files, review) that
+ * task-create.js walks through. The fields mirror the input schemas of the
+ * `create_simple_task` and `create_consensus_task` MCP tools; fields that only
+ * one tool takes sit in a `data-create-mode` fieldset that is disabled, and so
+ * not submitted, while the other kind is picked.
+ */
+object TaskCreateWizard {
+
+    data class Values(
+        /** `simple` or `consensus` */
+        val mode: String = "simple",
+        val title: String = "",
+        val description: String = "",
+        val type: String = TaskType.IMPLEMENTATION.name,
+        val complexity: String = "5",
+        val risk: String = "5",
+        /** Comma-separated agent IDs */
+        val assigneeIds: String = "",
+        /** Comma-separated task IDs */
+        val dependencyIds: String = "",
+        /** `yyyy-MM-dd`, or blank for no due date */
+        val dueDate: String = "",
+        /** One `key=value` pair per line */
+        val metadata: String = "",
+        val assignToAgent: String = "",
+        val skipConsensus: Boolean = false,
+        val emergency: Boolean = false,
+        val notes: String = "",
+        val contextFiles: List<String> = emptyList()
+    )
+
+    data class Config(
+        val values: Values = Values(),
+        /** Field name to message */
+        val errors: Map<String, String> = emptyMap(),
+        /** Error about the request as a whole, e.g. one the MCP tool raised */
+        val formError: String? = null,
+        /** Known agent IDs offered as suggestions */
+        val agents: List<String> = emptyList()
+    )
+
+    /** What the routing module decided for a previewed request. */
+    data class Preview(
+        val routing: String,
+        val primaryAgentId: String?,
+        val participantAgentIds: List<String>,
+        val warnings: List<String> = emptyList()
+    )
+
+    private val STEPS = listOf("kind" to "Kind", "details" to "Details", "context" to "Context", "review" to "Review")
+
+    /**
+     * The whole modal: backdrop, header and the wizard form as its body.
+     */
+    fun renderModal(config: Config): String = createHTML().div {
+        div(classes = "modal__backdrop") {}
+        div(classes = "modal__content") {
+            id = "task-create-modal"
+            div(classes = "modal__header") {
+                h3(classes = "modal__title") {
+                    id = "task-create-title"
+                    +"New task"
+                }
+                button(classes = "modal__close") {
+                    attributes["data-modal-close"] = "modal-container"
+                    attributes["aria-label"] = "Close modal"
+                    +"×"
+                }
+            }
+            unsafe { +renderForm(config) }
+        }
+    }
+
+    /**
+     * The form alone, as re-rendered after a rejected submission.
+     */
+    fun renderForm(config: Config): String = createHTML().form {
+        formBody(config)
+    }
+
+    /**
+     * The review step's routing summary, or [error] when the tool rejected
+     * the request.
+     */
+    fun renderPreview(preview: Preview?, error: String? = null): String = createHTML().div(classes = "task-create__preview") {
+        id = "task-create-preview"
+        attributes["aria-live"] = "polite"
+        when {
+            error != null -> div(classes = "task-create__preview-error") {
+                attributes["role"] = "alert"
+                +error
+            }
+            preview != null -> {
+                ul(classes = "details-list") {
+                    li {
+                        strong { +"Routing:" }
+                        span(classes = "task-create__strategy") {
+                            attributes["data-routing"] = preview.routing
+                            +preview.routing
+                        }
+                    }
+                    li {
+                        strong { +"Primary agent:" }
+                        span { +(preview.primaryAgentId ?: "None available") }
+                    }
+                    li {
+                        strong { +"Participants:" }
+                        span {
+                            +preview.participantAgentIds.joinToString().ifEmpty { "None available" }
+                        }
+                    }
+                }
+                if (preview.warnings.isNotEmpty()) {
+                    ul(classes = "task-create__warnings") {
+                        preview.warnings.forEach { warning -> li { +warning } }
+                    }
+                }
+                if (preview.routing != RoutingStrategy.SOLO.name) {
+                    p(classes = "text-muted") {
+                        +"${preview.routing.lowercase().replaceFirstChar { it.uppercase() }} routing asks several agents to work on this task."
+                    }
+                }
+            }
+            else -> p(classes = "text-muted") { +"The routing preview appears here." }
+        }
+    }
+
+    private fun FORM.formBody(config: Config) {
+        val values = config.values
+        id = "task-create-form"
+        classes = setOf("modal__body", "task-create")
+        attributes["hx-post"] = "/tasks"
+        attributes["hx-target"] = "this"
+        attributes["hx-swap"] = "outerHTML"
+        attributes["novalidate"] = "novalidate"
+        attributes["data-task-create"] = "true"
+        // A rejected submission reopens on the first step with an error
+        val firstInvalid = STEPS.map { it.first }.firstOrNull { step -> config.errors.keys.any { stepOf(it) == step } }
+        attributes["data-initial-step"] = firstInvalid ?: "kind"
+
+        ol(classes = "task-create__steps") {
+            STEPS.forEachIndexed { index, (step, label) ->
+                li(classes = "task-create__step-label") {
+                    attributes["data-step-label"] = step
+                    +"${index + 1}. $label"
+                }
+            }
+        }
+
+        config.formError?.let { message ->
+            div(classes = "task-edit__form-error") {
+                attributes["role"] = "alert"
+                +message
+            }
+        }
+
+        wizardStep(config, "kind") {
+            fieldSet(classes = "task-create__kinds") {
+                legend { +"What kind of task?" }
+                kindOption(values.mode, "simple", "Simple task",
+                    "One agent works on it. The router may still escalate high-risk work unless you opt out.")
+                kindOption(values.mode, "consensus", "Consensus task",
+                    "Several agents propose solutions and a decision picks the winner.")
+            }
+        }
+
+        wizardStep(config, "details") {
+            div(classes = "task-edit__grid") {
+                field(config, "title", "Title", wide = true) { describedBy ->
+                    input(InputType.text, name = "title", classes = "task-edit__input") {
+                        id = "task-create-title-input"
+                        value = values.title
+                        required = true
+                        maxLength = TaskEditForm.TITLE_MAX_LENGTH.toString()
+                        describe(describedBy)
+                    }
+                }
+                field(config, "description", "Description", wide = true) { describedBy ->
+                    textArea(rows = "4", classes = "task-edit__input") {
+                        id = "task-create-description"
+                        name = "description"
+                        describe(describedBy)
+                        +values.description
+                    }
+                }
+                field(config, "type", "Type") { describedBy ->
+                    select(classes = "task-edit__input") {
+                        id = "task-create-type"
+                        name = "type"
+                        describe(describedBy)
+                        TaskType.entries.forEach { type ->
+                            option {
+                                value = type.name
+                                selected = type.name == values.type
+                                +type.displayName
+                            }
+                        }
+                    }
+                }
+                field(config, "dueDate", "Due date") { describedBy ->
+                    input(InputType.date, name = "dueDate", classes = "task-edit__input") {
+                        id = "task-create-dueDate"
+                        value = values.dueDate
+                        describe(describedBy)
+                    }
+                }
+                field(config, "complexity", "Complexity (1-10)") { describedBy ->
+                    scoreInput("complexity", values.complexity, describedBy)
+                }
+                field(config, "risk", "Risk (1-10)") { describedBy ->
+                    scoreInput("risk", values.risk, describedBy)
+                }
+                field(config, "assigneeIds", "Suggested assignees") { describedBy ->
+                    input(InputType.text, name = "assigneeIds", classes = "task-edit__input") {
+                        id = "task-create-assigneeIds"
+                        value = values.assigneeIds
+                        placeholder = "agent-a, agent-b"
+                        if (config.agents.isNotEmpty()) attributes["list"] = "task-create-agents"
+                        describe(describedBy)
+                    }
+                }
+                field(config, "dependencyIds", "Depends on") { describedBy ->
+                    input(InputType.text, name = "dependencyIds", classes = "task-edit__input") {
+                        id = "task-create-dependencyIds"
+                        value = values.dependencyIds
+                        placeholder = "task-…, task-…"
+                        describe(describedBy)
+                    }
+                }
+                field(config, "metadata", "Metadata (key=value per line)", wide = true) { describedBy ->
+                    textArea(rows = "3", classes = "task-edit__input task-edit__input--mono") {
+                        id = "task-create-metadata"
+                        name = "metadata"
+                        describe(describedBy)
+                        +values.metadata
+                    }
+                }
+            }
+
+            fieldSet(classes = "task-create__directives") {
+                legend { +"Directives" }
+                div(classes = "task-edit__grid") {
+                    field(config, "assignToAgent", "Assign to agent") { describedBy ->
+                        input(InputType.text, name = "assignToAgent", classes = "task-edit__input") {
+                            id = "task-create-assignToAgent"
+                            value = values.assignToAgent
+                            if (config.agents.isNotEmpty()) attributes["list"] = "task-create-agents"
+                            describe(describedBy)
+                        }
+                    }
+                    field(config, "notes", "Notes for the router") { describedBy ->
+                        input(InputType.text, name = "notes", classes = "task-edit__input") {
+                            id = "task-create-notes"
+                            value = values.notes
+                            describe(describedBy)
+                        }
+                    }
+                }
+                label(classes = "task-create__check") {
+                    input(InputType.checkBox, name = "emergency") {
+                        value = "true"
+                        checked = values.emergency
+                    }
+                    +" Emergency: start immediately"
+                }
+                fieldSet(classes = "task-create__mode-fields") {
+                    attributes["data-create-mode"] = "simple"
+                    if (values.mode != "simple") disabled = true
+                    label(classes = "task-create__check") {
+                        input(InputType.checkBox, name = "skipConsensus") {
+                            value = "true"
+                            checked = values.skipConsensus
+                        }
+                        +" Keep it solo, even if the router would escalate"
+                    }
+                }
+            }
+
+            if (config.agents.isNotEmpty()) {
+                dataList {
+                    id = "task-create-agents"
+                    config.agents.forEach { agent -> option { value = agent } }
+                }
+            }
+        }
+
+        wizardStep(config, "context") {
+            p(classes = "text-muted mt-0") {
+                +"Attach files from the context index. Their paths are stored with the task for agents to query."
+            }
+            div(classes = "task-create__file-search") {
+                label(classes = "task-edit__label") {
+                    htmlFor = "task-create-file-query"
+                    +"Find indexed files"
+                }
+                input(InputType.search, classes = "task-edit__input") {
+                    id = "task-create-file-query"
+                    placeholder = "Path or file name"
+                    attributes["autocomplete"] = "off"
+                    attributes["data-file-search"] = "/files/search"
+                    attributes["aria-controls"] = "task-create-file-results"
+                }
+                ul(classes = "task-create__file-results") {
+                    id = "task-create-file-results"
+                    attributes["role"] = "listbox"
+                    attributes["data-file-results"] = "true"
+                }
+            }
+            config.errors["contextFiles"]?.let { message ->
+                div(classes = "task-edit__error") {
+                    id = "task-create-contextFiles-error"
+                    +message
+                }
+            }
+            ul(classes = "task-create__attached") {
+                attributes["data-attached-files"] = "true"
+                attributes["aria-label"] = "Attached files"
+                values.contextFiles.forEach { path -> attachedFile(path) }
+            }
+        }
+
+        wizardStep(config, "review") {
+            p(classes = "text-muted mt-0") {
+                +"How the router would handle this task. Nothing is saved until you create it."
+            }
+            unsafe { +renderPreview(null) }
+        }
+
+        div(classes = "task-edit__actions task-create__nav") {
+            button(type = ButtonType.button, classes = "btn btn-secondary") {
+                attributes["data-step-back"] = "true"
+                +"Back"
+            }
+            button(type = ButtonType.button, classes = "btn btn-primary") {
+                attributes["data-step-next"] = "true"
+                +"Next"
+            }
+            button(type = ButtonType.submit, classes = "btn btn-primary") {
+                attributes["data-step-submit"] = "true"
+                +"Create task"
+            }
+        }
+    }
+
+    /**
+     * One attached file: its path and a hidden input carrying it. Also used by
+     * [HumanInputPanel], whose form attaches files the same way.
+     */
+    internal fun UL.attachedFile(path: String) {
+        li(classes = "task-create__attached-file") {
+            input(InputType.hidden, name = "contextFile") { value = path }
+            code { +path }
+            button(type = ButtonType.button, classes = "btn btn-link btn-sm") {
+                attributes["data-detach-file"] = "true"
+                attributes["aria-label"] = "Remove $path"
+                +"Remove"
+            }
+        }
+    }
+
+    private fun FORM.wizardStep(config: Config, step: String, block: DIV.() -> Unit) {
+        div(classes = "task-create__section") {
+            attributes["data-step"] = step
+            val invalid = config.errors.keys.any { stepOf(it) == step }
+            if (invalid) attributes["data-step-invalid"] = "true"
+            block()
+        }
+    }
+
+    private fun FIELDSET.kindOption(current: String, mode: String, title: String, help: String) {
+        label(classes = "task-create__kind") {
+            input(InputType.radio, name = "mode") {
+                value = mode
+                checked = current == mode
+            }
+            span(classes = "task-create__kind-title") { +title }
+            span(classes = "task-create__kind-help") { +help }
+        }
+    }
+
+    private fun DIV.field(
+        config: Config,
+        name: String,
+        labelText: String,
+        wide: Boolean = false,
+        control: DIV.(describedBy: String?) -> Unit
+    ) {
+        val error = config.errors[name]
+        val errorId = "task-create-$name-error"
+        div(classes = if (wide) "task-edit__field task-edit__field--wide" else "task-edit__field") {
+            if (error != null) classes = classes + "task-edit__field--invalid"
+            label(classes = "task-edit__label") {
+                htmlFor = if (name == "title") "task-create-title-input" else "task-create-$name"
+                +labelText
+            }
+            control(if (error != null) errorId else null)
+            if (error != null) {
+                div(classes = "task-edit__error") {
+                    id = errorId
+                    +error
+                }
+            }
+        }
+    }
+
+    private fun DIV.scoreInput(name: String, value: String, describedBy: String?) {
+        input(InputType.number, name = name, classes = "task-edit__input") {
+            id = "task-create-$name"
+            this.value = value
+            min = "1"
+            max = "10"
+            step = "1"
+            describe(describedBy)
+        }
+    }
+
+    private fun HTMLTag.describe(describedBy: String?) {
+        describedBy?.let {
+            attributes["aria-describedby"] = it
+            attributes["aria-invalid"] = "true"
+        }
+    }
+
+    private fun stepOf(field: String): String = when (field) {
+        "mode" -> "kind"
+        "contextFiles" -> "context"
+        else -> "details"
+    }
+}
@@ -20,6 +20,8 @@ object TaskDetail {
         val risk: Int,
         val proposals: List<Proposal> = emptyList(),
         val decision: Decision? = null,
+        /** IDs of tasks this task depends on */
+        val dependencies: List<String> = emptyList(),
         val createdAt: Instant,
         val updatedAt: Instant,
         val zoneId: ZoneId = ZoneId.systemDefault(),
@@ -29,6 +31,8 @@ object TaskDetail {
         val agentId: String,
         val content: String,
         val confidence: Double,
+        /** When set, the proposal links to its own modal */
+        val id: String? = null,
     )
 
     data class Decision(
@@ -42,11 +46,13 @@ object TaskDetail {
 
     private fun FlowContent.taskDetail(model: Model) {
         div(classes = "task-detail") {
+            id = "task-detail-${model.id}"
             header(model)
             statusSection(model.status)
             descriptionSection(model.description)
             metadataSection(model.metadata)
             indicatorsSection(model.complexity, model.risk)
+            dependenciesSection(model.dependencies)
             proposalsSection(model.proposals)
             decisionSection(model.decision)
             actionsSection(model.id)
@@ -120,6 +126,19 @@ object TaskDetail {
         }
     }
 
+    private fun FlowContent.dependenciesSection(dependencies: List<String>) {
+        if (dependencies.isNotEmpty()) {
+            div(classes = "task-detail__section") {
+                h3 { +"Dependencies" }
+                ul(classes = "task-detail__dependencies modal-links") {
+                    dependencies.forEach { taskId ->
+                        li { with(Modal) { taskModalLink(taskId, classes = "modal-link") } }
+                    }
+                }
+            }
+        }
+    }
+
     private fun FlowContent.proposalsSection(proposals: List<Proposal>) {
         if (proposals.isNotEmpty()) {
             div(classes = "task-detail__section") {
@@ -129,6 +148,9 @@ object TaskDetail {
                         strong { +"Agent: ${proposal.agentId}" }
                         p { +proposal.content }
                         span { +"Confidence: ${proposal.confidence}" }
+                        proposal.id?.let { id ->
+                            with(Modal) { proposalModalLink(id, classes = "modal-link") { +"Open proposal" } }
+                        }
                     }
                 }
             }
@@ -140,27 +162,41 @@ object TaskDetail {
             div(classes = "task-detail__section") {
                 h3 { +"Decision" }
                 div(classes = "task-detail__decision") {
-                    strong { +"Winning Proposal: ${decision.winnerProposalId}" }
+                    strong {
+                        +"Winning Proposal: "
+                        with(Modal) { proposalModalLink(decision.winnerProposalId) }
+                    }
                     p { +decision.rationale }
                 }
             }
         }
     }
 
+    /**
+     * Each action swaps the whole `task-detail-{id}` element: Refresh with the
+     * current details, Edit with the edit form, Delete with a restore notice.
+     */
     private fun FlowContent.actionsSection(taskId: String) {
         div(classes = "task-detail__actions") {
             button(classes = "task-detail__action-button") {
                 attributes["hx-get"] = "/tasks/$taskId/refresh"
                 attributes["hx-target"] = "#task-detail-$taskId"
+                attributes["hx-swap"] = "outerHTML"
                 +"Refresh"
             }
+            button(classes = "task-detail__action-button") {
+                attributes["hx-get"] = "/tasks/$taskId/edit"
+                attributes["hx-target"] = "#task-detail-$taskId"
+                attributes["hx-swap"] = "outerHTML"
+                +"Edit"
+            }
             button(classes = "task-detail__action-button task-detail__action-button--danger") {
                 attributes["hx-delete"] = "/tasks/$taskId"
-                attributes["hx-confirm"] = "Are you sure you want to delete this task?"
-                attributes["hx-target"] = "#task-row-$taskId"
-                attributes["hx-swap"] = "delete"
+                attributes["hx-confirm"] = "Delete this task? You can restore it afterwards."
+                attributes["hx-target"] = "#task-detail-$taskId"
+                attributes["hx-swap"] = "outerHTML"
                 +"Delete"
             }
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,231 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskType
+import java.time.ZoneOffset
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Edit form for a task, swapped in place of the task detail fragment.
+ *
+ * The form carries the raw submitted strings so a rejected submission can be
+ * re-rendered as typed, with each field's error shown next to it.
+ */
+object TaskEditForm {
+
+    data class Values(
+        val title: String,
+        val description: String,
+        val type: String,
+        val routing: String,
+        /** Comma-separated agent IDs */
+        val assigneeIds: String,
+        val complexity: String,
+        val risk: String,
+        /** `yyyy-MM-dd`, or blank for no due date */
+        val dueDate: String,
+        /** One `key=value` pair per line */
+        val metadata: String,
+        /** Version the form was opened at, see [versionOf] */
+        val version: String
+    ) {
+        companion object {
+            fun from(task: Task) = Values(
+                title = task.title,
+                description = task.description.orEmpty(),
+                type = task.type.name,
+                routing = task.routing.name,
+                assigneeIds = task.assigneeIds.map { it.value }.sorted().joinToString(", "),
+                complexity = task.complexity.toString(),
+                risk = task.risk.toString(),
+                dueDate = task.dueAt?.atZone(ZoneOffset.UTC)?.toLocalDate()?.toString().orEmpty(),
+                metadata = task.metadata.entries.joinToString("\n") { (key, value) -> "$key=$value" },
+                version = versionOf(task)
+            )
+        }
+    }
+
+    data class Config(
+        val taskId: String,
+        val values: Values,
+        /** Field name to message */
+        val errors: Map<String, String> = emptyMap(),
+        /** Error about the submission as a whole, e.g. a conflicting edit */
+        val formError: String? = null,
+        /** Known agent IDs offered as suggestions */
+        val agents: List<String> = emptyList()
+    )
+
+    /** Optimistic-locking token: the task's last update time. */
+    fun versionOf(task: Task): String = (task.updatedAt ?: task.createdAt).toEpochMilli().toString()
+
+    /**
+     * Renders the form. It takes the detail fragment's ID so Save, Cancel and
+     * the detail view's Refresh all swap the same element.
+     */
+    fun render(config: Config): String = createHTML().form {
+        formBody(config)
+    }
+
+    private fun FORM.formBody(config: Config) {
+        val taskId = config.taskId
+        val values = config.values
+        id = "task-detail-$taskId"
+        classes = setOf("modal__body", "task-edit")
+        attributes["hx-put"] = "/tasks/$taskId"
+        attributes["hx-target"] = "this"
+        attributes["hx-swap"] = "outerHTML"
+        attributes["novalidate"] = "novalidate"
+
+        input(InputType.hidden, name = "version") { value = values.version }
+
+        config.formError?.let { message ->
+            div(classes = "task-edit__form-error") {
+                attributes["role"] = "alert"
+                +message
+            }
+        }
+
+        div(classes = "task-edit__grid") {
+            field(config, "title", "Title", wide = true) { describedBy ->
+                input(InputType.text, name = "title", classes = "task-edit__input") {
+                    id = "task-edit-title"
+                    value = values.title
+                    required = true
+                    maxLength = TITLE_MAX_LENGTH.toString()
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                }
+            }
+
+            field(config, "description", "Description", wide = true) { describedBy ->
+                textArea(rows = "4", classes = "task-edit__input") {
+                    id = "task-edit-description"
+                    name = "description"
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                    +values.description
+                }
+            }
+
+            field(config, "type", "Type") { describedBy ->
+                select(classes = "task-edit__input") {
+                    id = "task-edit-type"
+                    name = "type"
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                    TaskType.entries.forEach { type ->
+                        option {
+                            value = type.name
+                            selected = type.name == values.type
+                            +type.displayName
+                        }
+                    }
+                }
+            }
+
+            field(config, "routing", "Routing") { describedBy ->
+                select(classes = "task-edit__input") {
+                    id = "task-edit-routing"
+                    name = "routing"
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                    RoutingStrategy.entries.forEach { routing ->
+                        option {
+                            value = routing.name
+                            selected = routing.name == values.routing
+                            +routing.name
+                        }
+                    }
+                }
+            }
+
+            field(config, "assigneeIds", "Assignees", wide = true) { describedBy ->
+                input(InputType.text, name = "assigneeIds", classes = "task-edit__input") {
+                    id = "task-edit-assigneeIds"
+                    value = values.assigneeIds
+                    placeholder = "agent-a, agent-b"
+                    if (config.agents.isNotEmpty()) attributes["list"] = "task-edit-agents-$taskId"
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                }
+                if (config.agents.isNotEmpty()) {
+                    dataList {
+                        id = "task-edit-agents-$taskId"
+                        config.agents.forEach { agent -> option { value = agent } }
+                    }
+                }
+            }
+
+            field(config, "complexity", "Complexity (1-10)") { describedBy ->
+                numberInput("complexity", values.complexity, describedBy)
+            }
+
+            field(config, "risk", "Risk (1-10)") { describedBy ->
+                numberInput("risk", values.risk, describedBy)
+            }
+
+            field(config, "dueDate", "Due date") { describedBy ->
+                input(InputType.date, name = "dueDate", classes = "task-edit__input") {
+                    id = "task-edit-dueDate"
+                    value = values.dueDate
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                }
+            }
+
+            field(config, "metadata", "Metadata (key=value per line)", wide = true) { describedBy ->
+                textArea(rows = "3", classes = "task-edit__input task-edit__input--mono") {
+                    id = "task-edit-metadata"
+                    name = "metadata"
+                    describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+                    +values.metadata
+                }
+            }
+        }
+
+        div(classes = "task-edit__actions") {
+            button(type = ButtonType.submit, classes = "btn btn-primary") { +"Save" }
+            button(type = ButtonType.button, classes = "btn btn-secondary") {
+                attributes["hx-get"] = "/tasks/$taskId/refresh"
+                attributes["hx-target"] = "#task-detail-$taskId"
+                attributes["hx-swap"] = "outerHTML"
+                +"Cancel"
+            }
+        }
+    }
+
+    private fun DIV.field(
+        config: Config,
+        name: String,
+        labelText: String,
+        wide: Boolean = false,
+        control: DIV.(describedBy: String?) -> Unit
+    ) {
+        val error = config.errors[name]
+        val errorId = "task-edit-$name-error"
+        div(classes = if (wide) "task-edit__field task-edit__field--wide" else "task-edit__field") {
+            if (error != null) classes = classes + "task-edit__field--invalid"
+            label(classes = "task-edit__label") {
+                htmlFor = "task-edit-$name"
+                +labelText
+            }
+            control(if (error != null) errorId else null)
+            if (error != null) {
+                div(classes = "task-edit__error") {
+                    id = errorId
+                    +error
+                }
+            }
+        }
+    }
+
+    private fun DIV.numberInput(name: String, value: String, describedBy: String?) {
+        input(InputType.number, name = name, classes = "task-edit__input") {
+            id = "task-edit-$name"
+            this.value = value
+            min = "1"
+            max = "10"
+            step = "1"
+            describedBy?.let { attributes["aria-describedby"] = it; attributes["aria-invalid"] = "true" }
+        }
+    }
+
+    const val TITLE_MAX_LENGTH = 200
+}
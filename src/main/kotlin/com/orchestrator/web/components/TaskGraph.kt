@@ -0,0 +1,132 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.web.utils.DependencyGraph
+import com.orchestrator.web.utils.MermaidGenerator
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+
+/**
+ * Task dependency graph drawn by Mermaid, used on `/tasks/graph` and in the
+ * task modal's Dependencies tab.
+ *
+ * `data-graph-nodes` maps each Mermaid node ID to its task so task-graph.js
+ * can open a node's modal on click and recolour it on `taskUpdated`; the
+ * graph itself is reloaded from `data-refresh-url` to redo the highlights.
+ */
+object TaskGraph {
+
+    data class Model(
+        /** Element ID suffix: `all` on the page, the task ID in the modal */
+        val scope: String,
+        val graph: DependencyGraph.Graph,
+        val refreshUrl: String,
+        /** Tasks left out to keep the drawing readable, see [MAX_TASKS] */
+        val truncatedFrom: Int? = null
+    )
+
+    /** Most tasks drawn at once; Mermaid layouts slow down badly beyond this. */
+    const val MAX_TASKS = 200
+
+    fun render(model: Model): String = createHTML().div(classes = "task-graph") {
+        val graph = model.graph
+        val diagram = MermaidGenerator.buildDependencyGraph(graph)
+        id = "task-graph-${model.scope}"
+        attributes["data-task-graph"] = model.scope
+        attributes["data-refresh-url"] = model.refreshUrl
+        attributes["data-graph-nodes"] = Json.encodeToString(diagram.nodes.mapValues { it.value.value })
+
+        summaryLine(model)
+        legend()
+
+        if (graph.tasks.isEmpty()) {
+            p(classes = "text-muted") {
+                +if (graph.focus != null) "This task has no dependencies and nothing depends on it."
+                else "No task dependencies to draw. Tasks appear here once one depends on another."
+            }
+            return@div
+        }
+
+        div(classes = "task-graph__canvas") {
+            div(classes = "mermaid") {
+                attributes["aria-hidden"] = "true"
+                +diagram.source
+            }
+        }
+        problems(graph)
+        taskList(graph)
+    }.toString()
+
+    private fun FlowContent.summaryLine(model: Model) {
+        val graph = model.graph
+        p(classes = "task-graph__summary") {
+            attributes["aria-live"] = "polite"
+            +"${graph.tasks.size} task(s), ${graph.edges.size} dependenc${if (graph.edges.size == 1) "y" else "ies"}"
+            if (graph.cycles.isNotEmpty()) +", ${graph.cycles.size} cycle(s)"
+            if (graph.blocked.isNotEmpty()) +", ${graph.blocked.size} blocked"
+            if (graph.missing.isNotEmpty()) +", ${graph.missing.size} missing"
+            +"."
+            model.truncatedFrom?.let { total ->
+                span(classes = "text-muted") { +" Showing $MAX_TASKS of $total tasks; narrow the filters to see the rest." }
+            }
+        }
+    }
+
+    private fun FlowContent.legend() {
+        ul(classes = "task-graph__legend") {
+            attributes["aria-label"] = "Legend"
+            TaskStatus.entries.forEach { status ->
+                li(classes = "task-graph__key task-graph__key--${status.name.lowercase()}") { +status.displayName }
+            }
+            li(classes = "task-graph__key task-graph__key--blocked") { +"Blocked" }
+            li(classes = "task-graph__key task-graph__key--cycle") { +"Cycle" }
+        }
+    }
+
+    /** Cycles and blocked tasks spelled out, since colour alone is easy to miss. */
+    private fun FlowContent.problems(graph: DependencyGraph.Graph) {
+        if (graph.cycles.isEmpty() && graph.blocked.isEmpty()) return
+        val titles = graph.tasks.associate { it.id to it.title }
+        ul(classes = "task-graph__problems") {
+            graph.cycles.forEach { cycle ->
+                li(classes = "task-graph__problem task-graph__problem--cycle") {
+                    strong { +"Cycle: " }
+                    +if (cycle.size == 1) "${cycle.single().value} depends on itself"
+                    else "${cycle.sortedBy { it.value }.joinToString { it.value }} depend on each other"
+                }
+            }
+            graph.tasks.filter { it.id in graph.blocked }.forEach { task ->
+                li(classes = "task-graph__problem task-graph__problem--blocked") {
+                    strong { +"Blocked: " }
+                    with(Modal) { taskModalLink(task.id.value, classes = "modal-link") }
+                    +" ${titles[task.id].orEmpty()}"
+                }
+            }
+        }
+    }
+
+    /** The nodes as links, for keyboard and screen reader users. */
+    private fun FlowContent.taskList(graph: DependencyGraph.Graph) {
+        details(classes = "task-graph__list") {
+            summary { +"Tasks in this graph" }
+            ul(classes = "details-list modal-links") {
+                graph.tasks.forEach { task ->
+                    li {
+                        with(Modal) { taskModalLink(task.id.value, classes = "modal-link") }
+                        span { +task.title }
+                        unsafe {
+                            +StatusBadge.render(StatusBadge.Config(label = task.status.displayName, tone = task.status.toTone()))
+                        }
+                        if (task.dependencies.isNotEmpty()) {
+                            span(classes = "text-muted") {
+                                +" depends on ${task.dependencies.sortedBy { it.value }.joinToString { it.value }}"
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
@@ -36,6 +36,7 @@ object TaskGridRowFactory {
         val updatedAtEpochMs: Long,
         val updatedAtHuman: String,
         val updatedAtAbsolute: String,
+        val dueAtEpochMs: Long? = null,
         val detailUrl: String,
         val editUrl: String,
         val searchText: String
@@ -114,6 +115,7 @@ object TaskGridRowFactory {
             updatedAtEpochMs = updatedInstant?.toEpochMilli() ?: 0L,
             updatedAtHuman = updatedRelative?.humanized ?: "–",
             updatedAtAbsolute = updatedRelative?.absolute ?: "–",
+            dueAtEpochMs = task.dueAt?.toEpochMilli(),
             detailUrl = "/tasks/${task.id.value}/modal",
             editUrl = "/tasks/${task.id.value}/edit",
             searchText = searchText
@@ -147,7 +149,7 @@ object TaskGridRowFactory {
         "detailUrl" to detailUrl,
         "editUrl" to editUrl,
         "searchText" to searchText
-    )
+    ) + listOfNotNull(dueAtEpochMs?.let { "dueAtEpochMs" to it })
 
     fun TaskGridRow.toJson(): String = json.encodeToString(this)
 
@@ -0,0 +1,50 @@
+package com.orchestrator.web.dto
+
+import com.orchestrator.modules.metrics.MetricsHistoryPoint
+import kotlinx.serialization.Serializable
+import java.time.Instant
+
+/**
+ * Metrics history for the dashboard charts, as served by `/metrics/history`.
+ */
+@Serializable
+data class MetricsHistoryDTO(
+    val range: String,
+    val from: String,
+    val to: String,
+    val points: List<Point>
+) {
+    /**
+     * One chart point; also carried by each `metricsUpdated` fragment so the
+     * charts can append it without a refetch.
+     */
+    @Serializable
+    data class Point(
+        val timestamp: String,
+        val epochMs: Long,
+        val totalTokens: Long,
+        val savings: Long,
+        val successRate: Double,
+        val avgCompletionMs: Long,
+        /** Alert count by severity name */
+        val alerts: Map<String, Int>
+    )
+}
+
+fun MetricsHistoryPoint.toDTO(): MetricsHistoryDTO.Point = MetricsHistoryDTO.Point(
+    timestamp = timestamp.toString(),
+    epochMs = timestamp.toEpochMilli(),
+    totalTokens = totalTokens,
+    savings = savings,
+    successRate = successRate,
+    avgCompletionMs = avgCompletionMs,
+    alerts = alertsBySeverity.mapKeys { it.key.name }
+)
+
+fun List<MetricsHistoryPoint>.toHistoryDTO(range: String, from: Instant, to: Instant): MetricsHistoryDTO =
+    MetricsHistoryDTO(
+        range = range,
+        from = from.toString(),
+        to = to.toString(),
+        points = map { it.toDTO() }
+    )
@@ -0,0 +1,85 @@
+package com.orchestrator.web.pages
+
+import com.orchestrator.web.rendering.PageLayout
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Agent roster page (`/agents`).
+ *
+ * The roster itself is [com.orchestrator.web.components.AgentRoster];
+ * agent-roster.js keeps it current from the task and metrics streams.
+ */
+object AgentsPage {
+
+    /**
+     * @param rosterHtml the rendered AgentRoster
+     */
+    fun render(rosterHtml: String): String = createHTML().html {
+        head {
+            meta(charset = "utf-8")
+            meta(name = "viewport", content = "width=device-width, initial-scale=1")
+            title("Agents - Orchestrator")
+            link(rel = "icon", href = "/static/images/favicon.svg", type = "image/svg+xml")
+            link(rel = "alternate icon", href = "/static/images/favicon.ico", type = "image/x-icon")
+
+            link(rel = "stylesheet", href = "/static/css/base.css")
+            link(rel = "stylesheet", href = "/static/css/bootstrap-litera.min.css")
+            link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
+            link(rel = "stylesheet", href = "/static/css/modal.css")
+            link(rel = "stylesheet", href = "/static/css/sse-status.css")
+
+            script(src = "/static/js/htmx.min.js") {}
+            script(src = "/static/js/orchestrator-sse.js") {}
+            // Task modals opened from the roster
+            script(src = "/static/js/task-create.js") {}
+            script(src = "/static/js/consensus-viewer.js") {}
+        }
+
+        body(classes = "dashboard-layout") {
+            with(PageLayout) {
+                dashboardShell(
+                    pageTitle = "Agents",
+                    currentPath = "/agents"
+                ) {
+                    div(classes = "page-header mb-lg") {
+                        h1 { +"Agents" }
+                        p(classes = "text-muted") {
+                            +"Who is online and what they are working on. Click an agent to see its tasks."
+                        }
+                    }
+
+                    unsafe { +rosterHtml }
+
+                    // In the content rather than the head so boosted navigation runs it
+                    script(src = "/static/js/agent-roster.js") {}
+                }
+            }
+
+            div(classes = "modal") {
+                id = "modal-container"
+                attributes["role"] = "dialog"
+                attributes["aria-modal"] = "true"
+                attributes["aria-hidden"] = "true"
+            }
+
+            div(classes = "sse-status") {
+                id = "sse-status-indicator"
+                div(classes = "sse-status__light") {
+                    id = "sse-status-light"
+                    attributes["class"] = "sse-status__light sse-status__light--disconnected"
+                }
+                span(classes = "sse-status__text") {
+                    id = "sse-status-text"
+                    +"Connecting..."
+                }
+            }
+
+            script(src = "/static/js/theme-toggle.js") {}
+            script(src = "/static/js/navigation.js") {}
+            script(src = "/static/js/sse-status.js") {}
+            script(src = "/static/js/modal.js") {}
+            script(src = "/static/js/toast.js") {}
+        }
+    }.let { "<!DOCTYPE html>\n$it" }
+}
@@ -1,6 +1,8 @@
 package com.orchestrator.web.pages
 
 import com.orchestrator.web.components.AgGrid
+import com.orchestrator.web.components.FileIndexActions
+import com.orchestrator.web.components.IndexOperationCard
 import com.orchestrator.web.rendering.PageLayout
 import kotlinx.html.*
 import kotlinx.html.stream.createHTML
@@ -13,6 +15,7 @@ import kotlinx.html.stream.createHTML
  * - ag-Grid powered data table
  * - Pagination
  * - File detail view modal
+ * - Re-index, exclude and purge actions for the selected files (file-index-actions.js)
  */
 object FilesPage {
 
@@ -90,6 +93,7 @@ object FilesPage {
             link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
             link(rel = "stylesheet", href = "/static/css/modal.css")
             link(rel = "stylesheet", href = "/static/css/sse-status.css")
+            link(rel = "stylesheet", href = "/static/css/toast.css")
             link(rel = "stylesheet", href = "/static/css/animations.css")
 
             // ag-Grid CSS
@@ -98,9 +102,12 @@ object FilesPage {
 
             // HTMX
             script(src = "/static/js/htmx.min.js") {}
+            // Shared SSE client; index-status.js follows index operations through it
+            script(src = "/static/js/orchestrator-sse.js") {}
 
             // ag-Grid - Load early
             script(src = "/static/js/ag-grid-community.min.js") {}
+            script(src = "/static/js/grid-views.js") {}
         }
 
         body(classes = "dashboard-layout") {
@@ -114,8 +121,13 @@ object FilesPage {
                         div(classes = "card-body") {
                             div(classes = "flex flex-wrap gap-md justify-between items-center mb-md") {
                                 h2(classes = "mt-0 mb-0") { +"Indexed Files" }
+                                div(classes = "grid-views") {
+                                    attributes["data-grid-views-for"] = "files-grid"
+                                }
                             }
 
+                            indexActionBar()
+
                             with(AgGrid) {
                                 agGrid(
                                     AgGrid.GridConfig(
@@ -125,6 +137,8 @@ object FilesPage {
                                         height = "70vh",
                                         pageSize = 100,
                                         pageSizeOptions = listOf(25, 50, 100, 200, 500),
+                                        checkboxSelection = true,
+                                        rowIdField = "path",
                                         customOptions = mapOf(
                                             "defaultColDef" to mapOf(
                                                 "sortable" to true,
@@ -133,7 +147,6 @@ object FilesPage {
                                                 "resizable" to true,
                                                 "flex" to 1
                                             ),
-                                            "rowSelection" to "single",
                                             "animateRows" to true,
                                             "paginationAutoPageSize" to false,
                                             "suppressCsvExport" to false
@@ -143,6 +156,10 @@ object FilesPage {
                             }
                         }
                     }
+
+                    // In the content rather than the head so boosted navigation runs them
+                    script(src = "/static/js/index-status.js") {}
+                    script(src = "/static/js/file-index-actions.js") {}
                 }
             }
 
@@ -159,6 +176,7 @@ object FilesPage {
             script(src = "/static/js/theme-toggle.js") {}
             script(src = "/static/js/navigation.js") {}
             script(src = "/static/js/modal.js") {}
+            script(src = "/static/js/toast.js") {}
 
             script {
                 unsafe {
@@ -209,4 +227,39 @@ object FilesPage {
             }
         }
     }.let { "<!DOCTYPE html>\n$it" }
+
+    /**
+     * Toolbar for the grid selection; file-index-actions.js shows it while rows are
+     * selected and keeps its `path` fields in step with the selection.
+     */
+    private fun FlowContent.indexActionBar() {
+        form(classes = "file-index-bar mb-md") {
+            id = "files-index-bar"
+            attributes["data-index-action-form"] = "true"
+            attributes["aria-label"] = "Index actions for selected files"
+            attributes["hidden"] = "hidden"
+
+            span(classes = "file-index-bar__count") {
+                attributes["data-selection-count"] = ""
+                attributes["aria-live"] = "polite"
+                +"0 selected"
+            }
+            label(classes = "file-index-bar__folders") {
+                input(type = InputType.checkBox) {
+                    attributes["data-whole-folders"] = ""
+                }
+                +" Whole folders"
+            }
+            div {
+                attributes["data-selection-paths"] = ""
+                attributes["hidden"] = "hidden"
+            }
+            with(FileIndexActions) { fileIndexButtons() }
+            button(type = ButtonType.button, classes = "btn btn-sm btn-link") {
+                attributes["data-selection-clear"] = ""
+                +"Clear selection"
+            }
+        }
+        with(IndexOperationCard) { region() }
+    }
 }
@@ -100,7 +100,14 @@ object HomePage {
                     label = "Tasks",
                     href = "/tasks",
                     ariaLabel = "View and manage tasks",
-                    icon = "📋"
+                    icon = "📋",
+                    badgeUrl = "/tasks/waiting/badge"
+                ),
+                Navigation.Link(
+                    label = "Agents",
+                    href = "/agents",
+                    ariaLabel = "View agents and their workload",
+                    icon = "🤖"
                 ),
                 Navigation.Link(
                     label = "Index Status",
@@ -114,6 +121,12 @@ object HomePage {
                     ariaLabel = "Browse indexed files",
                     icon = "📂"
                 ),
+                Navigation.Link(
+                    label = "Search",
+                    href = "/search",
+                    ariaLabel = "Search the indexed context",
+                    icon = "🔍"
+                ),
                 Navigation.Link(
                     label = "Metrics",
                     href = "/metrics",
@@ -182,7 +195,6 @@ object HomePage {
                 script(src = "/static/js/theme-toggle.js") {}
                 script(src = "/static/js/navigation.js") {}
                 script(src = "/static/js/modal.js") {}
-                script(src = "/static/js/modal.js") {}
 
                 // Auto-refresh script (HTMX)
                 if (config.refreshInterval > 0) {
@@ -29,11 +29,13 @@ object IndexPage {
 
                 // HTMX
                 script(src = "/static/js/htmx.min.js") {}
+                script(src = "/static/js/orchestrator-sse.js") {}
+                script(src = "/static/js/htmx-sse.min.js") {}
             }
 
             body(classes = "dashboard-layout") {
                 attributes["hx-ext"] = "sse"
-                attributes["sse-connect"] = "/sse/index"
+                attributes["data-sse-url"] = "/sse/index"
 
                 with(PageLayout) {
                     dashboardShell(
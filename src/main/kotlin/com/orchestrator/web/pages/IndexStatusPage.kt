@@ -1,20 +1,28 @@
 package com.orchestrator.web.pages
 
+import com.orchestrator.web.components.FileIndexActions
+import com.orchestrator.web.components.IndexOperationCard
 import com.orchestrator.web.components.StatusBadge
 import com.orchestrator.web.dto.FileStateDTO
 import com.orchestrator.web.dto.FilesystemStatusDTO
 import com.orchestrator.web.dto.IndexStatusDTO
 import com.orchestrator.web.rendering.PageLayout
+import com.orchestrator.web.services.IndexOperationSnapshot
 import kotlinx.html.DIV
 import kotlinx.html.FlowContent
+import kotlinx.html.InputType
 import kotlinx.html.TBODY
 import kotlinx.html.body
 import kotlinx.html.button
 import kotlinx.html.div
+import kotlinx.html.form
 import kotlinx.html.h2
 import kotlinx.html.h3
 import kotlinx.html.head
 import kotlinx.html.html
+import kotlinx.html.id
+import kotlinx.html.input
+import kotlinx.html.label
 import kotlinx.html.li
 import kotlinx.html.link
 import kotlinx.html.meta
@@ -56,7 +64,11 @@ object IndexStatusPage {
     data class Config(
         val status: IndexStatusDTO,
         val actions: List<AdminAction>,
-        val generatedAt: Instant
+        val generatedAt: Instant,
+        /** Running operations, shown as progress cards */
+        val operations: List<IndexOperationSnapshot> = emptyList(),
+        /** Finished operations, newest first */
+        val history: List<IndexOperationSnapshot> = emptyList()
     )
 
     private val isoFormatter: DateTimeFormatter = DateTimeFormatter.ISO_INSTANT.withZone(ZoneOffset.UTC)
@@ -77,16 +89,13 @@ object IndexStatusPage {
                 link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
 
                 script(src = "/static/js/htmx.min.js") {}
-                // Load our custom SSE extension IMMEDIATELY after HTMX
-                // Must be before body hx-ext="sse" is processed
-                script(src = "/static/js/htmx-sse.min.js") {}
-                // sse-handler.js is redundant now - our htmx-sse.min.js handles everything
+                // Shared SSE client; index-status.js subscribes to the index stream through it
+                script(src = "/static/js/orchestrator-sse.js") {}
                 script(src = "/static/js/app.js") {}
-                script(src = "/static/js/sse-client.js") {}
             }
 
             body(classes = "dashboard-layout") {
-                // Don't use hx-ext="sse" here - we'll register and connect manually in our extension
+                // Don't use hx-ext="sse" here - index-status.js applies the index fragments itself
                 // This prevents HTMX's built-in SSE from conflicting with our custom implementation
                 attributes["data-sse-url"] = "/sse/index"
 
@@ -253,23 +262,25 @@ object IndexStatusPage {
         }
     }
 
-    private fun FlowContent.progressSection() {
+    private fun FlowContent.progressSection(operations: List<IndexOperationSnapshot>) {
         div(classes = "card") {
             h3(classes = "mt-0") { +"Index Operations" }
             p(classes = "text-muted mb-md") {
-                +"Live progress for rebuild jobs."
+                +"Live progress for rebuild and selective index jobs."
             }
 
-            div {
-                attributes["id"] = "index-progress-region"
-                attributes["class"] = "index-progress index-progress--idle"
-                attributes["sse-swap"] = "indexProgress"
-                attributes["hx-swap"] = "outerHTML"
+            with(IndexOperationCard) { region(operations) }
+        }
+    }
 
-                span(classes = "text-muted") {
-                    +"No active operations."
-                }
+    private fun FlowContent.historySection(finished: List<IndexOperationSnapshot>) {
+        div(classes = "card mt-lg") {
+            h3(classes = "mt-0") { +"Operation History" }
+            p(classes = "text-muted mb-md") {
+                +"Finished operations since the server started, newest first."
             }
+
+            with(IndexOperationCard) { history(finished) }
         }
     }
 
@@ -306,6 +317,30 @@ object IndexStatusPage {
                     }
                 }
             }
+
+            selectiveActions()
+        }
+    }
+
+    /** Path form for the selective actions; the files grid offers them for its selection. */
+    private fun FlowContent.selectiveActions() {
+        form(classes = "index-selective mt-md") {
+            attributes["data-index-action-form"] = "true"
+            label(classes = "index-selective__label") {
+                htmlFor = "index-selective-path"
+                +"File or directory"
+            }
+            input(type = InputType.text, name = "path", classes = "form-control index-selective__input") {
+                id = "index-selective-path"
+                required = true
+                placeholder = "src/main/kotlin/ or src/App.kt"
+                attributes["aria-describedby"] = "index-selective-help"
+            }
+            p(classes = "text-muted small mb-sm") {
+                id = "index-selective-help"
+                +"Paths as listed on the Files page. End a directory with / to act on everything under it."
+            }
+            with(FileIndexActions) { fileIndexButtons() }
         }
     }
 
@@ -487,9 +522,11 @@ object IndexStatusPage {
 
         // Two-column layout for Index Operations and Admin Actions
         div(classes = "grid grid-cols-2 gap-lg mt-xl") {
-            progressSection()
+            progressSection(config.operations)
             adminActions(config.actions)
         }
 
+        historySection(config.history)
+
     }
 }
@@ -1,6 +1,7 @@
 package com.orchestrator.web.pages
 
 import com.orchestrator.web.rendering.PageLayout
+import com.orchestrator.web.routes.MetricsRange
 import kotlinx.html.*
 import kotlinx.html.stream.createHTML
 
@@ -9,10 +10,23 @@ import kotlinx.html.stream.createHTML
  */
 object MetricsPage {
 
+    /**
+     * Charts drawn by metrics-charts.js, by the key it knows them by.
+     */
+    private val charts = listOf(
+        "tokens" to "Token usage",
+        "savings" to "Tokens saved",
+        "successRate" to "Success rate",
+        "completion" to "Average completion time",
+        "alerts" to "Alerts by severity"
+    )
+
     /**
      * Render complete metrics dashboard page
+     *
+     * @param summaryHtml the current metrics summary, replaced on each `metricsUpdated`
      */
-    fun render(): String {
+    fun render(summaryHtml: String): String {
         val htmlContent = createHTML().html {
             head {
                 meta(charset = "utf-8")
@@ -29,11 +43,13 @@ object MetricsPage {
 
                 // HTMX
                 script(src = "/static/js/htmx.min.js") {}
+                script(src = "/static/js/orchestrator-sse.js") {}
+                script(src = "/static/js/htmx-sse.min.js") {}
             }
 
             body(classes = "dashboard-layout") {
                 attributes["hx-ext"] = "sse"
-                attributes["sse-connect"] = "/sse/metrics"
+                attributes["data-sse-url"] = "/sse/metrics"
 
                 with(PageLayout) {
                     dashboardShell(
@@ -48,25 +64,17 @@ object MetricsPage {
                             }
                         }
 
-                        // Placeholder content with SSE swap
-                        div(classes = "card") {
+                        // Current numbers, swapped on each metrics update
+                        div(classes = "card mb-lg") {
                             id = "metrics-container"
                             attributes["sse-swap"] = "metricsUpdated"
-
-                            h2 { +"Coming Soon" }
-                            p {
-                                +"The Metrics Dashboard is currently under development. "
-                                +"This page will show:"
-                            }
-                            ul {
-                                li { +"Token usage statistics and trends" }
-                                li { +"Task completion rates and times" }
-                                li { +"Agent performance metrics" }
-                                li { +"Decision analytics and routing accuracy" }
-                                li { +"Export functionality (CSV, JSON)" }
-                                li { +"Interactive charts and graphs" }
-                            }
+                            unsafe { +summaryHtml }
                         }
+
+                        metricsCharts()
+
+                        // In the content rather than the head so boosted navigation runs it
+                        script(src = "/static/js/metrics-charts.js") {}
                     }
                 }
 
@@ -92,4 +100,91 @@ object MetricsPage {
         }
         return "<!DOCTYPE html>\n$htmlContent"
     }
+
+    private fun FlowContent.metricsCharts() {
+        section(classes = "metrics-charts") {
+            id = "metrics-charts"
+            attributes["data-metrics-charts"] = "true"
+            attributes["data-history-url"] = "/metrics/history"
+            attributes["aria-label"] = "Metrics over time"
+
+            rangeSelector()
+
+            p(classes = "metrics-charts__status text-muted") {
+                attributes["data-charts-status"] = "true"
+                attributes["aria-live"] = "polite"
+                +"Loading history…"
+            }
+
+            div(classes = "metrics-charts__grid") {
+                charts.forEach { (key, title) ->
+                    div(classes = "card metrics-chart") {
+                        attributes["data-chart"] = key
+                        div(classes = "metrics-chart__header") {
+                            h3(classes = "metrics-chart__title") {
+                                id = "metrics-chart-$key-title"
+                                +title
+                            }
+                            div(classes = "metrics-chart__actions") {
+                                button(type = ButtonType.button, classes = "btn btn-sm btn-outline-secondary") {
+                                    attributes["data-chart-export"] = "png"
+                                    attributes["aria-label"] = "Download $title as PNG"
+                                    +"PNG"
+                                }
+                                button(type = ButtonType.button, classes = "btn btn-sm btn-outline-secondary") {
+                                    attributes["data-chart-export"] = "csv"
+                                    attributes["aria-label"] = "Download $title as CSV"
+                                    +"CSV"
+                                }
+                            }
+                        }
+                        div(classes = "metrics-chart__plot") {
+                            attributes["data-chart-plot"] = "true"
+                            attributes["role"] = "img"
+                            attributes["tabindex"] = "0"
+                            attributes["aria-labelledby"] = "metrics-chart-$key-title"
+                        }
+                        div(classes = "metrics-chart__tooltip") {
+                            attributes["data-chart-tooltip"] = "true"
+                            attributes["role"] = "status"
+                            hidden = true
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    private fun FlowContent.rangeSelector() {
+        form(classes = "metrics-range") {
+            attributes["data-range-form"] = "true"
+            attributes["aria-label"] = "Time range"
+
+            div(classes = "view-toggle") {
+                MetricsRange.entries.forEach { range ->
+                    label(classes = "view-toggle__option" + if (range == MetricsRange.HOUR) " is-active" else "") {
+                        radioInput(name = "range", classes = "sr-only") {
+                            value = range.param
+                            checked = range == MetricsRange.HOUR
+                        }
+                        +range.label
+                    }
+                }
+            }
+
+            div(classes = "metrics-range__custom") {
+                attributes["data-range-custom"] = "true"
+                hidden = true
+                label {
+                    +"From "
+                    input(type = InputType.dateTimeLocal, name = "from")
+                }
+                label {
+                    +"To "
+                    input(type = InputType.dateTimeLocal, name = "to")
+                }
+                button(type = ButtonType.submit, classes = "btn btn-sm btn-primary") { +"Apply" }
+            }
+        }
+    }
 }
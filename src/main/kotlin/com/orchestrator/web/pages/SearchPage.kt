@@ -0,0 +1,82 @@
+package com.orchestrator.web.pages
+
+import com.orchestrator.web.components.ContextSearch
+import com.orchestrator.web.rendering.PageLayout
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Context search playground page (`/search`).
+ *
+ * The form and results are [ContextSearch]; the form swaps fresh results
+ * into `#search-results` and hits open the file detail modal.
+ */
+object SearchPage {
+
+    /**
+     * @param providerIds registered context providers, offered as checkboxes
+     * @param runs results to show straight away, or null before the first search
+     */
+    fun render(query: ContextSearch.Query, providerIds: List<String>, runs: List<ContextSearch.Run>?): String =
+        createHTML().html {
+            head {
+                meta(charset = "utf-8")
+                meta(name = "viewport", content = "width=device-width, initial-scale=1")
+                title("Search - Orchestrator")
+                link(rel = "icon", href = "/static/images/favicon.svg", type = "image/svg+xml")
+                link(rel = "alternate icon", href = "/static/images/favicon.ico", type = "image/x-icon")
+
+                link(rel = "stylesheet", href = "/static/css/base.css")
+                link(rel = "stylesheet", href = "/static/css/bootstrap-litera.min.css")
+                link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
+                link(rel = "stylesheet", href = "/static/css/modal.css")
+                link(rel = "stylesheet", href = "/static/css/toast.css")
+
+                script(src = "/static/js/htmx.min.js") {}
+            }
+
+            body(classes = "dashboard-layout") {
+                with(PageLayout) {
+                    dashboardShell(
+                        pageTitle = "Search",
+                        currentPath = "/search"
+                    ) {
+                        div(classes = "page-header mb-lg") {
+                            h1 { +"Context Search" }
+                            p(classes = "text-muted") {
+                                +"Run query_context as an agent would and see exactly what it returns."
+                            }
+                        }
+
+                        with(ContextSearch) {
+                            searchForm(query, providerIds)
+                        }
+
+                        div {
+                            id = "search-results"
+                            attributes["aria-live"] = "polite"
+                            if (runs != null) {
+                                with(ContextSearch) { searchResults(runs) }
+                            }
+                        }
+
+                        // In the content rather than the head so boosted navigation runs it
+                        script(src = "/static/js/code-highlight.js") {}
+                        script(src = "/static/js/context-search.js") {}
+                    }
+                }
+
+                div(classes = "modal") {
+                    id = "modal-container"
+                    attributes["role"] = "dialog"
+                    attributes["aria-modal"] = "true"
+                    attributes["aria-hidden"] = "true"
+                }
+
+                script(src = "/static/js/theme-toggle.js") {}
+                script(src = "/static/js/navigation.js") {}
+                script(src = "/static/js/modal.js") {}
+                script(src = "/static/js/toast.js") {}
+            }
+        }.let { "<!DOCTYPE html>\n$it" }
+}
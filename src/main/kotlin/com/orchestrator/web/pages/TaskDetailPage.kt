@@ -37,8 +37,10 @@ object TaskDetailPage {
             enableHtmxBoost = true,
             links = listOf(
                 Navigation.Link(label = "Home", href = "/", icon = "🏠"),
-                Navigation.Link(label = "Tasks", href = "/tasks", active = true, icon = "📋"),
+                Navigation.Link(label = "Tasks", href = "/tasks", active = true, icon = "📋", badgeUrl = "/tasks/waiting/badge"),
+                Navigation.Link(label = "Agents", href = "/agents", icon = "🤖"),
                 Navigation.Link(label = "Index Status", href = "/index", icon = "📁"),
+                Navigation.Link(label = "Search", href = "/search", icon = "🔍"),
                 Navigation.Link(label = "Metrics", href = "/metrics", icon = "📊")
             )
         )
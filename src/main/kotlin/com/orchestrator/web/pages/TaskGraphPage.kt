@@ -0,0 +1,147 @@
+package com.orchestrator.web.pages
+
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.web.components.displayName
+import com.orchestrator.web.rendering.PageLayout
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * Task dependency graph page (`/tasks/graph`).
+ *
+ * The filters reload only the graph fragment (`/tasks/graph/diagram`);
+ * task-graph.js draws it, opens task modals from its nodes and keeps it
+ * current from the task stream.
+ */
+object TaskGraphPage {
+
+    data class Filters(
+        val agent: String? = null,
+        val statuses: Set<TaskStatus> = emptySet(),
+        val withIsolated: Boolean = false
+    )
+
+    /**
+     * @param graphHtml the rendered TaskGraph for [filters]
+     * @param agents agent IDs offered in the agent filter
+     */
+    fun render(graphHtml: String, filters: Filters, agents: List<String>): String = createHTML().html {
+        head {
+            meta(charset = "utf-8")
+            meta(name = "viewport", content = "width=device-width, initial-scale=1")
+            title("Dependency graph - Orchestrator")
+            link(rel = "icon", href = "/static/images/favicon.svg", type = "image/svg+xml")
+            link(rel = "alternate icon", href = "/static/images/favicon.ico", type = "image/x-icon")
+
+            link(rel = "stylesheet", href = "/static/css/base.css")
+            link(rel = "stylesheet", href = "/static/css/bootstrap-litera.min.css")
+            link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
+            link(rel = "stylesheet", href = "/static/css/modal.css")
+            link(rel = "stylesheet", href = "/static/css/sse-status.css")
+
+            script(src = "/static/js/htmx.min.js") {}
+            script(src = "/static/js/orchestrator-sse.js") {}
+            script(src = "/static/js/task-graph.js") {}
+            // Task modals opened from the graph
+            script(src = "/static/js/task-create.js") {}
+            script(src = "/static/js/consensus-viewer.js") {}
+        }
+
+        body(classes = "dashboard-layout") {
+            with(PageLayout) {
+                dashboardShell(
+                    pageTitle = "Dependency graph",
+                    currentPath = "/tasks/graph"
+                ) {
+                    div(classes = "page-header mb-lg") {
+                        h1 { +"Dependency graph" }
+                        p(classes = "text-muted") {
+                            +"Which tasks wait on which. Click a task to open it; blocked chains and cycles are outlined."
+                        }
+                    }
+
+                    div(classes = "card") {
+                        div(classes = "card-body") {
+                            filterForm(filters, agents)
+                            unsafe { +graphHtml }
+                        }
+                    }
+                }
+            }
+
+            div(classes = "modal") {
+                id = "modal-container"
+                attributes["role"] = "dialog"
+                attributes["aria-modal"] = "true"
+                attributes["aria-hidden"] = "true"
+            }
+
+            div(classes = "sse-status") {
+                id = "sse-status-indicator"
+                div(classes = "sse-status__light") {
+                    id = "sse-status-light"
+                    attributes["class"] = "sse-status__light sse-status__light--disconnected"
+                }
+                span(classes = "sse-status__text") {
+                    id = "sse-status-text"
+                    +"Connecting..."
+                }
+            }
+
+            script(src = "/static/js/theme-toggle.js") {}
+            script(src = "/static/js/navigation.js") {}
+            script(src = "/static/js/sse-status.js") {}
+            script(src = "/static/js/modal.js") {}
+        }
+    }.let { "<!DOCTYPE html>\n$it" }
+
+    private fun FlowContent.filterForm(filters: Filters, agents: List<String>) {
+        form(classes = "task-graph__filters") {
+            attributes["hx-get"] = "/tasks/graph/diagram"
+            attributes["hx-target"] = "#task-graph-all"
+            attributes["hx-swap"] = "outerHTML"
+            attributes["hx-trigger"] = "change"
+            attributes["hx-push-url"] = "false"
+
+            label(classes = "task-graph__filter") {
+                +"Agent "
+                select {
+                    name = "agent"
+                    option {
+                        value = ""
+                        selected = filters.agent == null
+                        +"All agents"
+                    }
+                    agents.forEach { agent ->
+                        option {
+                            value = agent
+                            selected = agent == filters.agent
+                            +agent
+                        }
+                    }
+                }
+            }
+
+            fieldSet(classes = "task-graph__filter task-graph__statuses") {
+                legend { +"Status" }
+                TaskStatus.entries.forEach { status ->
+                    label {
+                        checkBoxInput(name = "status") {
+                            value = status.name
+                            checked = status in filters.statuses
+                        }
+                        +" ${status.displayName}"
+                    }
+                }
+            }
+
+            label(classes = "task-graph__filter") {
+                checkBoxInput(name = "isolated") {
+                    value = "true"
+                    checked = filters.withIsolated
+                }
+                +" Include tasks without dependencies"
+            }
+        }
+    }
+}
@@ -1,9 +1,17 @@
 package com.orchestrator.web.pages
 
+import com.orchestrator.core.StateMachine
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.domain.TaskType
 import com.orchestrator.web.components.AgGrid
+import com.orchestrator.web.components.SearchFilter
+import com.orchestrator.web.components.displayName
 import com.orchestrator.web.rendering.PageLayout
 import kotlinx.html.*
 import kotlinx.html.stream.createHTML
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
 
 object TasksPage {
 
@@ -11,10 +19,41 @@ object TasksPage {
         val columnDefs: List<AgGrid.ColumnDef> = emptyList(),
         val rowData: List<Map<String, Any>> = emptyList(),
         val pageSize: Int = 50,
-        val pageSizeOptions: List<Int> = listOf(25, 50, 100, 200)
+        val pageSizeOptions: List<Int> = listOf(25, 50, 100, 200),
+        /** JSON endpoint for on-demand paging; when set, [rowData] is not inlined. */
+        val dataUrl: String? = null,
+        /** SSE event ID the rows were rendered at; the task stream resumes from here. */
+        val lastEventId: String? = null
     )
 
-    fun render(gridData: GridData = GridData()): String = createHTML().html {
+    /** The two ways `/tasks` can show tasks; the choice is remembered per browser. */
+    enum class View(val param: String, val label: String) {
+        LIST("list", "List"),
+        BOARD("board", "Board");
+
+        companion object {
+            fun fromParam(value: String): View? = entries.firstOrNull { it.param == value.trim().lowercase() }
+        }
+    }
+
+    data class BoardData(
+        /** `/tasks/data` URL the cards are loaded from */
+        val dataUrl: String,
+        /** SSE event ID the page was rendered at; the task stream resumes from here. */
+        val lastEventId: String? = null,
+        /** Filters carried over from the list, see [com.orchestrator.web.routes.toQueryString] */
+        val filterQuery: String = ""
+    )
+
+    /** Most cards the board loads; columns beyond that say how many are left out. */
+    const val BOARD_MAX_TASKS = 200
+
+    fun render(
+        gridData: GridData = GridData(),
+        filter: SearchFilter.Config? = null,
+        view: View = View.LIST,
+        board: BoardData? = null
+    ): String = createHTML().html {
         head {
             meta(charset = "utf-8")
             meta(name = "viewport", content = "width=device-width, initial-scale=1")
@@ -28,6 +67,7 @@ object TasksPage {
             link(rel = "stylesheet", href = "/static/css/orchestrator.css?v=20241104")
             link(rel = "stylesheet", href = "/static/css/modal.css")
             link(rel = "stylesheet", href = "/static/css/sse-status.css")
+            link(rel = "stylesheet", href = "/static/css/toast.css")
             link(rel = "stylesheet", href = "/static/css/animations.css")
             link(rel = "stylesheet", href = "/static/css/styles.css")
 
@@ -35,14 +75,21 @@ object TasksPage {
             link(rel = "stylesheet", href = "/static/css/ag-theme-quartz.css")
 
             script(src = "/static/js/htmx.min.js") {}
+            script(src = "/static/js/orchestrator-sse.js") {}
             script(src = "/static/js/htmx-sse.min.js") {}
             script(src = "/static/js/sse-status.js") {}
             script(src = "/static/js/ag-grid-community.min.js") {}
+            script(src = "/static/js/grid-views.js") {}
+            script(src = "/static/js/filter-presets.js") {}
+            script(src = "/static/js/task-query.js") {}
+            script(src = "/static/js/task-bulk.js") {}
+            script(src = "/static/js/task-create.js") {}
+            script(src = "/static/js/consensus-viewer.js") {}
+            script(src = "/static/js/task-graph.js") {}
         }
 
         body(classes = "dashboard-layout") {
             attributes["hx-ext"] = "sse"
-            attributes["data-sse-url"] = "/sse/tasks"
 
             with(PageLayout) {
                 dashboardShell(
@@ -53,35 +100,72 @@ object TasksPage {
                         div(classes = "card-body") {
                             div(classes = "flex flex-wrap gap-md justify-between items-center mb-md") {
                                 h2(classes = "mt-0 mb-0") { +"Tasks" }
+                                div(classes = "flex gap-md items-center") {
+                                    viewToggle(view, board?.filterQuery.orEmpty())
+                                    if (view == View.LIST) {
+                                        div(classes = "grid-views") {
+                                            attributes["data-grid-views-for"] = "tasks-grid"
+                                        }
+                                    }
+                                    a(href = "/tasks/graph", classes = "btn btn-secondary") { +"Dependency graph" }
+                                    button(classes = "btn btn-primary") {
+                                        id = "tasks-new-button"
+                                        type = ButtonType.button
+                                        attributes["data-modal-link"] = "/tasks/new"
+                                        +"New task"
+                                    }
+                                }
                             }
 
-                            script(src = "/static/js/task-grid.js") {}
-
-                            with(AgGrid) {
-                                agGrid(
-                                    AgGrid.GridConfig(
-                                        id = "tasks-grid",
-                                        columnDefs = gridData.columnDefs,
-                                        rowData = gridData.rowData,
-                                        enablePagination = true,
-                                        pageSize = gridData.pageSize,
-                                        pageSizeOptions = gridData.pageSizeOptions,
-                                        height = "70vh",
-                                        suppressRowClickSelection = false,
-                                        customOptions = mapOf(
-                                            "defaultColDef" to mapOf(
-                                                "sortable" to true,
-                                                "filter" to true,
-                                                "floatingFilter" to true,
-                                                "resizable" to true,
-                                                "flex" to 1
-                                            ),
-                                            "rowSelection" to "single",
-                                            "animateRows" to true,
-                                            "paginationAutoPageSize" to false
+                            if (view == View.LIST) {
+                                filter?.let { config ->
+                                    with(SearchFilter) { filters(config) }
+                                }
+
+                                quickFilter(filter?.agents?.map { it.value }.orEmpty())
+                                bulkBar(filter?.agents?.map { it.value }.orEmpty())
+
+                                script(src = "/static/js/task-grid.js") {}
+
+                                div {
+                                    id = "tasks-grid-container"
+                                    gridData.lastEventId?.let { attributes["data-last-event-id"] = it }
+                                    gridData.dataUrl?.let { attributes["data-source-url"] = it }
+
+                                    with(AgGrid) {
+                                        agGrid(
+                                            AgGrid.GridConfig(
+                                                id = "tasks-grid",
+                                                columnDefs = gridData.columnDefs,
+                                                rowData = gridData.rowData,
+                                                enablePagination = true,
+                                                pageSize = gridData.pageSize,
+                                                pageSizeOptions = gridData.pageSizeOptions,
+                                                height = "70vh",
+                                                suppressRowClickSelection = false,
+                                                checkboxSelection = true,
+                                                rowIdField = "taskId",
+                                                datasource = gridData.dataUrl?.let { "TaskGrid.datasource" },
+                                                customOptions = mapOf(
+                                                    "defaultColDef" to mapOf(
+                                                        "sortable" to true,
+                                                        "filter" to true,
+                                                        "floatingFilter" to true,
+                                                        "resizable" to true,
+                                                        "flex" to 1
+                                                    ),
+                                                    "animateRows" to true,
+                                                    "paginationAutoPageSize" to false
+                                                )
+                                            )
                                         )
-                                    )
-                                )
+                                    }
+                                }
+                            } else {
+                                script(src = "/static/js/task-grid.js") {}
+                                board?.let { taskBoard(it) }
+                                // In the content so boosted navigation to the board runs it too
+                                script(src = "/static/js/task-board.js") {}
                             }
                         }
                     }
@@ -95,25 +179,6 @@ object TasksPage {
                 attributes["aria-hidden"] = "true"
             }
 
-            div {
-                id = "tasks-grid-event-updated"
-                attributes["style"] = "display:none;"
-                attributes["sse-swap"] = "taskUpdated"
-                attributes["hx-swap"] = "innerHTML"
-            }
-            div {
-                id = "tasks-grid-event-created"
-                attributes["style"] = "display:none;"
-                attributes["sse-swap"] = "taskCreated"
-                attributes["hx-swap"] = "innerHTML"
-            }
-            div {
-                id = "tasks-grid-event-deleted"
-                attributes["style"] = "display:none;"
-                attributes["sse-swap"] = "taskDeleted"
-                attributes["hx-swap"] = "innerHTML"
-            }
-
             div(classes = "sse-status") {
                 id = "sse-status-indicator"
                 attributes["hx-swap-oob"] = "true"
@@ -129,8 +194,204 @@ object TasksPage {
 
             script(src = "/static/js/theme-toggle.js?v=20241105e") {}
             script(src = "/static/js/navigation.js?v=20241105e") {}
-            script(src = "/static/js/modal.js?v=20241105e") {}
-            script(src = "/static/js/task-updates.js?v=20241105e") {}
+            script(src = "/static/js/modal.js?v=20241105g") {}
+            script(src = "/static/js/toast.js") {}
+            script(src = "/static/js/task-updates.js?v=20241105f") {}
         }
     }.let { "<!DOCTYPE html>\n$it" }
+
+    /** List/Board links; they keep the current filters and switch `layout`. */
+    private fun FlowContent.viewToggle(current: View, filterQuery: String) {
+        div(classes = "view-toggle") {
+            attributes["role"] = "group"
+            attributes["aria-label"] = "Task view"
+            View.entries.forEach { view ->
+                val query = listOf(filterQuery, "layout=${view.param}").filter { it.isNotEmpty() }.joinToString("&")
+                val active = view == current
+                a(href = "/tasks?$query", classes = "view-toggle__option" + if (active) " is-active" else "") {
+                    if (active) attributes["aria-current"] = "page"
+                    +view.label
+                }
+            }
+        }
+    }
+
+    /**
+     * Board columns, one per status. task-board.js fills them from
+     * [BoardData.dataUrl], keeps them current from the task stream and posts
+     * drops to `/tasks/{id}/transition`; `data-transitions` lets it show
+     * which columns a dragged card may go to.
+     */
+    private fun FlowContent.taskBoard(board: BoardData) {
+        div(classes = "task-board") {
+            id = "tasks-board"
+            attributes["data-task-board"] = "true"
+            attributes["data-source-url"] = board.dataUrl
+            board.lastEventId?.let { attributes["data-last-event-id"] = it }
+            attributes["data-transitions"] = Json.encodeToString(
+                TaskStatus.entries.associate { status ->
+                    status.name to StateMachine.getValidTransitions(status).sortedBy { it.ordinal }.map { it.name }
+                }
+            )
+
+            if (board.filterQuery.isNotEmpty()) {
+                p(classes = "task-board__filtered text-muted") {
+                    +"Showing tasks matching the list filters. "
+                    a(href = "/tasks?layout=${View.BOARD.param}") { +"Show all tasks" }
+                }
+            }
+            p(classes = "task-board__notice text-muted") {
+                attributes["data-board-notice"] = "true"
+                attributes["aria-live"] = "polite"
+                +"Loading tasks…"
+            }
+
+            div(classes = "task-board__columns") {
+                TaskStatus.entries.forEach { status ->
+                    val headingId = "task-board-heading-${status.name.lowercase()}"
+                    section(classes = "task-board__column task-board__column--${status.name.lowercase()}") {
+                        attributes["data-board-column"] = status.name
+                        attributes["aria-labelledby"] = headingId
+                        h3(classes = "task-board__heading") {
+                            id = headingId
+                            +status.displayName
+                            span(classes = "task-board__count") {
+                                attributes["data-board-count"] = "true"
+                                +"0"
+                            }
+                        }
+                        ul(classes = "task-board__cards") {
+                            attributes["data-board-cards"] = status.name
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Query box for the task-query.js language. The enum and agent values it
+     * may autocomplete are embedded so the script needs no extra request.
+     */
+    private fun FlowContent.quickFilter(agents: List<String>) {
+        val vocabulary = mapOf(
+            "status" to TaskStatus.entries.map { it.name },
+            "type" to TaskType.entries.map { it.name },
+            "routing" to RoutingStrategy.entries.map { it.name },
+            "agent" to agents
+        )
+
+        div(classes = "task-query") {
+            label(classes = "task-query__label") {
+                htmlFor = "tasks-quick-filter"
+                +"Query"
+            }
+            div(classes = "task-query__field") {
+                input(InputType.search, classes = "task-query__input") {
+                    id = "tasks-quick-filter"
+                    placeholder = "status:in_progress agent:claude complexity>7 -type:review \"exact phrase\""
+                    attributes["autocomplete"] = "off"
+                    attributes["spellcheck"] = "false"
+                    attributes["aria-describedby"] = "tasks-quick-filter-error"
+                    attributes["data-query-vocabulary"] = Json.encodeToString(vocabulary)
+                }
+                ul(classes = "task-query__suggestions") {
+                    id = "tasks-quick-filter-suggestions"
+                    attributes["role"] = "listbox"
+                    attributes["hidden"] = "hidden"
+                }
+            }
+            div(classes = "task-query__error") {
+                id = "tasks-quick-filter-error"
+                attributes["role"] = "alert"
+                attributes["hidden"] = "hidden"
+            }
+        }
+    }
+
+    /**
+     * Toolbar for acting on the grid selection; task-bulk.js shows it while
+     * rows are selected and posts the chosen action to /tasks/bulk.
+     */
+    private fun FlowContent.bulkBar(agents: List<String>) {
+        div(classes = "task-bulk") {
+            id = "tasks-bulk-bar"
+            attributes["data-bulk-endpoint"] = "/tasks/bulk"
+            attributes["data-export-endpoint"] = "/tasks/export"
+            attributes["aria-label"] = "Bulk actions for selected tasks"
+            attributes["hidden"] = "hidden"
+
+            span(classes = "task-bulk__count") {
+                attributes["data-bulk-count"] = ""
+                attributes["aria-live"] = "polite"
+                +"0 selected"
+            }
+
+            div(classes = "task-bulk__group") {
+                input(InputType.text, classes = "task-bulk__input") {
+                    attributes["data-bulk-field"] = "assigneeIds"
+                    attributes["list"] = "tasks-bulk-agents"
+                    attributes["aria-label"] = "Agents, comma separated"
+                    placeholder = "agent-a, agent-b"
+                }
+                dataList {
+                    id = "tasks-bulk-agents"
+                    agents.forEach { option { value = it } }
+                }
+                bulkButton("reassign", "Reassign")
+            }
+
+            div(classes = "task-bulk__group") {
+                select(classes = "task-bulk__select") {
+                    attributes["data-bulk-field"] = "status"
+                    attributes["aria-label"] = "New status"
+                    TaskStatus.entries.forEach { status -> option { value = status.name; +status.name } }
+                }
+                bulkButton("status", "Set status")
+            }
+
+            div(classes = "task-bulk__group") {
+                select(classes = "task-bulk__select") {
+                    attributes["data-bulk-field"] = "routing"
+                    attributes["aria-label"] = "New routing strategy"
+                    RoutingStrategy.entries.forEach { routing -> option { value = routing.name; +routing.name } }
+                }
+                bulkButton("reroute", "Re-route")
+            }
+
+            div(classes = "task-bulk__group") {
+                bulkButton("cancel", "Cancel tasks", extraClass = "task-bulk__button--danger")
+                button(type = ButtonType.button, classes = "task-bulk__button") {
+                    attributes["data-bulk-export"] = "csv"
+                    +"Export CSV"
+                }
+                button(type = ButtonType.button, classes = "task-bulk__button") {
+                    attributes["data-bulk-export"] = "json"
+                    +"Export JSON"
+                }
+                button(type = ButtonType.button, classes = "task-bulk__button task-bulk__button--ghost") {
+                    attributes["data-bulk-clear"] = ""
+                    +"Clear selection"
+                }
+            }
+
+            progress(classes = "task-bulk__progress") {
+                attributes["data-bulk-progress"] = ""
+                attributes["hidden"] = "hidden"
+                max = "1"
+                value = "0"
+            }
+            ul(classes = "task-bulk__results") {
+                attributes["data-bulk-results"] = ""
+                attributes["aria-live"] = "polite"
+            }
+        }
+    }
+
+    private fun FlowContent.bulkButton(action: String, label: String, extraClass: String? = null) {
+        button(type = ButtonType.button, classes = listOfNotNull("task-bulk__button", extraClass).joinToString(" ")) {
+            attributes["data-bulk-action"] = action
+            +label
+        }
+    }
 }
@@ -2,14 +2,26 @@ package com.orchestrator.web.plugins
 
 import com.orchestrator.config.ConfigLoader
 import com.orchestrator.context.config.ContextConfig
+import com.orchestrator.core.AgentRegistry
 import com.orchestrator.modules.context.ContextModule
 import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.routes.agentRoutes
+import com.orchestrator.web.routes.consensusRoutes
 import com.orchestrator.web.routes.fileRoutes
+import com.orchestrator.web.routes.filterPresetRoutes
 import com.orchestrator.web.routes.healthRoutes
 import com.orchestrator.web.routes.homeRoutes
+import com.orchestrator.web.routes.humanInputRoutes
 import com.orchestrator.web.routes.indexRoutes
 import com.orchestrator.web.routes.metricsRoutes
+import com.orchestrator.web.routes.proposalRoutes
+import com.orchestrator.web.routes.searchRoutes
 import com.orchestrator.web.routes.sseRoutes
+import com.orchestrator.web.routes.taskBoardRoutes
+import com.orchestrator.web.routes.taskBulkRoutes
+import com.orchestrator.web.routes.taskCreateRoutes
+import com.orchestrator.web.routes.taskEditRoutes
+import com.orchestrator.web.routes.taskGraphRoutes
 import com.orchestrator.web.routes.taskRoutes
 import io.ktor.server.application.Application
 import io.ktor.server.application.call
@@ -31,6 +43,8 @@ internal fun Application.configureRouting(config: WebServerConfig) {
             agents = emptyList(),
             context = runCatching { ContextModule.configuration() }.getOrElse { ContextConfig() }
         )
+    val knownAgents = appConfig.agents.map { it.id }.toSet()
+    val agentRegistry = attributes.getOrNull(AgentRegistryKey) ?: AgentRegistry.build(appConfig.agents)
 
     routing {
         // Home page routes
@@ -41,10 +55,25 @@ internal fun Application.configureRouting(config: WebServerConfig) {
 
         // Task management routes
         taskRoutes()
+        filterPresetRoutes()
+        taskBulkRoutes(knownAgents)
+        taskEditRoutes(knownAgents)
+        taskCreateRoutes(agentRegistry)
+        proposalRoutes()
+        consensusRoutes()
+        humanInputRoutes(agentRegistry)
+        taskGraphRoutes()
+        taskBoardRoutes()
+
+        // Agent roster routes
+        agentRoutes(agentRegistry)
 
         // File browser routes
         fileRoutes()
 
+        // Context search playground
+        searchRoutes(appConfig.context)
+
         // Index status routes
         indexRoutes()
 
@@ -62,3 +91,6 @@ internal fun Application.configureRouting(config: WebServerConfig) {
 }
 
 val ApplicationConfigKey = io.ktor.util.AttributeKey<ConfigLoader.ApplicationConfig>("web-app-config")
+
+/** The orchestrator's live agent registry, when the dashboard runs alongside it. */
+val AgentRegistryKey = io.ktor.util.AttributeKey<AgentRegistry>("web-agent-registry")
@@ -81,7 +81,15 @@ object PageLayout {
                     href = "/tasks",
                     active = currentPath.startsWith("/tasks"),
                     ariaLabel = "View and manage tasks",
-                    icon = "📋"
+                    icon = "📋",
+                    badgeUrl = "/tasks/waiting/badge"
+                ),
+                Navigation.Link(
+                    label = "Agents",
+                    href = "/agents",
+                    active = currentPath.startsWith("/agents"),
+                    ariaLabel = "View agents and their workload",
+                    icon = "🤖"
                 ),
                 Navigation.Link(
                     label = "Files",
@@ -90,6 +98,13 @@ object PageLayout {
                     ariaLabel = "Browse indexed files",
                     icon = "📂"
                 ),
+                Navigation.Link(
+                    label = "Search",
+                    href = "/search",
+                    active = currentPath.startsWith("/search"),
+                    ariaLabel = "Search the indexed context",
+                    icon = "🔍"
+                ),
                 Navigation.Link(
                     label = "Index Status",
                     href = "/index",
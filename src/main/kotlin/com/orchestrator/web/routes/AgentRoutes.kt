@@ -0,0 +1,52 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.modules.metrics.PerformanceMonitor
+import com.orchestrator.modules.metrics.TokenTracker
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.AgentRoster
+import com.orchestrator.web.pages.AgentsPage
+import io.ktor.http.ContentType
+import io.ktor.server.application.call
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+
+private val OPEN_STATUSES = setOf(TaskStatus.PENDING, TaskStatus.IN_PROGRESS, TaskStatus.WAITING_INPUT)
+
+/**
+ * Agent roster: the `/agents` page and the roster fragment agent-roster.js
+ * reloads when tasks or metrics change.
+ */
+fun Route.agentRoutes(agentRegistry: AgentRegistry) {
+
+    /**
+     * GET /agents - Agent roster page
+     */
+    get("/agents") {
+        val html = AgentsPage.render(AgentRoster.render(rosterCards(agentRegistry)))
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * GET /agents/roster - The roster alone
+     */
+    get("/agents/roster") {
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(AgentRoster.render(rosterCards(agentRegistry)), ContentType.Text.Html)
+    }
+}
+
+private fun rosterCards(agentRegistry: AgentRegistry): List<AgentRoster.Card> =
+    agentRegistry.getAllAgents()
+        .sortedBy { it.displayName.lowercase() }
+        .map { agent ->
+            AgentRoster.Card(
+                agent = agent,
+                openTasks = TaskRepository.findByAgent(agent.id).filter { it.status in OPEN_STATUSES },
+                stats = PerformanceMonitor.getAgentStats(agent.id),
+                tokens = TokenTracker.getAgentTokens(agent.id)
+            )
+        }
@@ -0,0 +1,91 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.Decision
+import com.orchestrator.domain.Proposal
+import com.orchestrator.domain.TaskId
+import com.orchestrator.storage.repositories.DecisionRepository
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.ConsensusViewer
+import com.orchestrator.web.services.ConsensusScoringService
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.call
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+
+/**
+ * Consensus round viewer fragments, shown in the task modal of consensus
+ * tasks and reloaded as proposals and decisions arrive on the task stream.
+ */
+fun Route.consensusRoutes(scoring: ConsensusScoringService = ConsensusScoringService()) {
+
+    /**
+     * GET /tasks/{id}/consensus - The whole viewer
+     *
+     * `left` and `right` keep the compared proposals across reloads.
+     */
+    get("/tasks/{id}/consensus") {
+        val id = call.parameters["id"]?.takeIf { it.isNotBlank() }?.let { TaskId(it) }
+        if (id == null) {
+            call.respondText("Invalid task ID", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+        if (TaskRepository.findById(id) == null) {
+            call.respondText("Task not found", status = HttpStatusCode.NotFound)
+            return@get
+        }
+
+        val model = consensusViewerModel(
+            taskId = id,
+            proposals = ProposalRepository.findByTask(id),
+            decision = DecisionRepository.findByTask(id),
+            scoring = scoring,
+            left = call.request.queryParameters["left"],
+            right = call.request.queryParameters["right"]
+        )
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(ConsensusViewer.render(model), ContentType.Text.Html)
+    }
+
+    /**
+     * GET /tasks/{id}/consensus/diff?left=&right= - Diff of two of the task's proposals
+     */
+    get("/tasks/{id}/consensus/diff") {
+        val id = call.parameters["id"]?.takeIf { it.isNotBlank() }?.let { TaskId(it) }
+        if (id == null) {
+            call.respondText("Invalid task ID", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+
+        val proposals = ProposalRepository.findByTask(id).associateBy { it.id.value }
+        val left = call.request.queryParameters["left"]?.let(proposals::get)
+        val right = call.request.queryParameters["right"]?.let(proposals::get)
+        if (left == null || right == null) {
+            call.respondText("Choose two proposals of this task", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+
+        call.respondText(ConsensusViewer.renderDiff(id.value, left, right), ContentType.Text.Html)
+    }
+}
+
+internal fun consensusViewerModel(
+    taskId: TaskId,
+    proposals: List<Proposal>,
+    decision: Decision?,
+    scoring: ConsensusScoringService = ConsensusScoringService(),
+    left: String? = null,
+    right: String? = null
+): ConsensusViewer.Model {
+    val ordered = proposals.sortedWith(compareBy<Proposal> { it.createdAt }.thenBy { it.id.value })
+    return ConsensusViewer.Model(
+        taskId = taskId.value,
+        proposals = ordered,
+        decision = decision,
+        scores = scoring.score(ordered),
+        left = left,
+        right = right
+    )
+}
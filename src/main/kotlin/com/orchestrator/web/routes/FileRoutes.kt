@@ -1,6 +1,10 @@
 package com.orchestrator.web.routes
 
 import com.orchestrator.context.ContextRepository
+import com.orchestrator.context.chunking.ChunkComparison
+import com.orchestrator.context.chunking.ChunkerRegistry
+import com.orchestrator.context.chunking.WordDocumentExtractor
+import com.orchestrator.context.domain.Chunk
 import com.orchestrator.context.domain.FileState
 import com.orchestrator.web.components.AgGrid
 import com.orchestrator.web.components.DataTable
@@ -14,8 +18,21 @@ import io.ktor.server.application.call
 import io.ktor.server.response.respondText
 import io.ktor.server.routing.Route
 import io.ktor.server.routing.get
+import java.nio.file.Files
+import java.nio.file.Path
 import java.time.Instant
 import java.time.ZoneId
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.withContext
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+
+@Serializable
+data class FileSearchHit(
+    val path: String,
+    val language: String?
+)
 
 /**
  * Query parameters for file filtering, sorting, and pagination
@@ -170,6 +187,40 @@ fun Route.fileRoutes() {
         call.respondText(html, ContentType.Text.Html)
     }
 
+    /**
+     * GET /files/search - Indexed files matching a path fragment, as JSON
+     *
+     * Query parameters:
+     * - q: text to find in the relative path (100 char max)
+     * - limit: maximum hits (default: 20, max: 50)
+     *
+     * Files whose name starts with `q` come first, then other path matches.
+     * Used by pickers such as the New task dialog's context step.
+     */
+    get("/files/search") {
+        val query = call.request.queryParameters["q"]?.trim()?.take(100).orEmpty()
+        val limit = call.request.queryParameters["limit"]?.toIntOrNull()?.coerceIn(1, 50) ?: 20
+        if (query.isEmpty()) {
+            call.respondText("[]", ContentType.Application.Json)
+            return@get
+        }
+
+        val hits = ContextRepository.listAllFiles()
+            .asSequence()
+            .filterNot { it.isDeleted }
+            .filter { it.relativePath.contains(query, ignoreCase = true) }
+            .sortedWith(
+                compareBy<FileState> { !it.relativePath.substringAfterLast('/').startsWith(query, ignoreCase = true) }
+                    .thenBy { it.relativePath.length }
+                    .thenBy { it.relativePath }
+            )
+            .take(limit)
+            .map { FileSearchHit(path = it.relativePath, language = it.language) }
+            .toList()
+
+        call.respondText(Json.encodeToString(hits), ContentType.Application.Json)
+    }
+
     /**
      * GET /files/{filePath}/detail - Returns file detail view modal
      *
@@ -199,7 +250,7 @@ fun Route.fileRoutes() {
         }
 
         // Fetch file artifacts (chunks)
-        val artifacts = ContextRepository.fetchFileArtifactsByPath(fileState.relativePath)
+        val artifacts = ContextRepository.fetchFileArtifactsByPath(fileState.absolutePath)
 
         // Convert chunks to model objects
         val chunkModels = artifacts?.chunks?.mapIndexed { index, chunkArtifact ->
@@ -225,6 +276,9 @@ fun Route.fileRoutes() {
             contentHash = fileState.contentHash,
             chunks = chunkModels,
             totalChunks = chunkModels.size,
+            source = if (chunkModels.isEmpty()) null else withContext(Dispatchers.IO) {
+                loadSourceView(fileState, artifacts?.chunks.orEmpty().map { it.chunk })
+            },
             referenceInstant = Instant.now(),
             zoneId = ZoneId.systemDefault()
         )
@@ -240,6 +294,52 @@ fun Route.fileRoutes() {
     }
 }
 
+/** Files above this size are not shown in the file detail source view. */
+private const val MAX_SOURCE_BYTES = 512L * 1024
+
+/**
+ * Read a file for the detail modal's split view and re-run its chunker to
+ * flag stored chunks that a re-index would split differently.
+ */
+private fun loadSourceView(file: FileState, chunks: List<Chunk>): FileDetail.Source {
+    val extension = file.relativePath.substringAfterLast(".", "").lowercase()
+    if (extension == "pdf" || WordDocumentExtractor.supports(extension)) {
+        return FileDetail.Source.Unavailable("Source view is not available for .$extension files.")
+    }
+
+    val path = Path.of(file.absolutePath)
+    val content = try {
+        if (Files.size(path) > MAX_SOURCE_BYTES) {
+            return FileDetail.Source.Unavailable("The file is too large to show (over ${MAX_SOURCE_BYTES / 1024} KB).")
+        }
+        Files.readString(path)
+    } catch (e: Exception) {
+        return FileDetail.Source.Unavailable("The file could not be read: ${e.message ?: e::class.simpleName}")
+    }
+
+    val language = file.language ?: "text"
+    val comparison = ChunkComparison.compare(
+        stored = chunks,
+        chunker = ChunkerRegistry.getChunker(path),
+        content = content,
+        filePath = file.relativePath,
+        language = language
+    )
+    val note = if (determineFileStatus(file) == "outdated") {
+        "The file changed after it was indexed, so stored chunks may not line up with the text below."
+    } else {
+        null
+    }
+
+    return FileDetail.Source.Shown(
+        lines = content.lines(),
+        language = file.language,
+        chunkerId = comparison.chunkerId,
+        driftedChunkIds = comparison.driftedChunkIds,
+        note = note
+    )
+}
+
 /**
  * Query files from repository with filters applied
  */
@@ -0,0 +1,138 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.storage.repositories.FilterPresetRepository
+import io.ktor.http.ContentType
+import io.ktor.http.Cookie
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.ApplicationCall
+import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.delete
+import io.ktor.server.routing.get
+import io.ktor.server.routing.post
+import java.util.UUID
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+
+/**
+ * A saved task filter as exposed to the browser.
+ */
+@Serializable
+data class FilterPresetView(
+    val id: String,
+    val name: String,
+    /** Canonical query string, see [TaskQueryParams.toQueryString]. */
+    val query: String
+)
+
+internal const val FILTER_PRESET_OWNER_COOKIE = "orchestrator_client"
+internal const val FILTER_PRESET_NAME_MAX_LENGTH = 60
+
+private const val OWNER_COOKIE_MAX_AGE_SECONDS = 60 * 60 * 24 * 365
+private val OWNER_ID_PATTERN = Regex("^[A-Za-z0-9-]{8,64}$")
+
+internal fun FilterPresetRepository.FilterPresetRow.toView() = FilterPresetView(id = id, name = name, query = query)
+
+/**
+ * Identify the browser that owns filter presets.
+ *
+ * The dashboard has no user accounts, so presets are keyed by a long-lived
+ * cookie that is issued on first use.
+ */
+internal fun ApplicationCall.filterPresetOwner(): String {
+    request.cookies[FILTER_PRESET_OWNER_COOKIE]
+        ?.takeIf { OWNER_ID_PATTERN.matches(it) }
+        ?.let { return it }
+
+    val ownerId = UUID.randomUUID().toString()
+    response.cookies.append(
+        Cookie(
+            name = FILTER_PRESET_OWNER_COOKIE,
+            value = ownerId,
+            maxAge = OWNER_COOKIE_MAX_AGE_SECONDS,
+            path = "/",
+            httpOnly = true,
+            extensions = mapOf("SameSite" to "Lax")
+        )
+    )
+    return ownerId
+}
+
+/**
+ * Filter preset routes for the tasks page.
+ */
+fun Route.filterPresetRoutes() {
+
+    /**
+     * GET /tasks/presets - The caller's presets as JSON, sorted by name
+     */
+    get("/tasks/presets") {
+        val owner = call.filterPresetOwner()
+        val presets = FilterPresetRepository.listByOwner(owner).map { it.toView() }
+
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(Json.encodeToString(presets), ContentType.Application.Json)
+    }
+
+    /**
+     * POST /tasks/presets - Save the submitted filter form as a named preset
+     *
+     * Form fields: `name` plus any task filter parameters accepted by
+     * /tasks/table. The filters are normalised before they are stored, and an
+     * existing preset with the same name is replaced.
+     */
+    post("/tasks/presets") {
+        val form = call.receiveParameters()
+        val name = form["name"]?.trim().orEmpty()
+        if (name.isEmpty() || name.length > FILTER_PRESET_NAME_MAX_LENGTH) {
+            call.respondText(
+                status = HttpStatusCode.BadRequest,
+                text = "Preset name must be 1-$FILTER_PRESET_NAME_MAX_LENGTH characters"
+            )
+            return@post
+        }
+
+        val filters = parameters {
+            form.entries().filter { it.key != "name" }.forEach { (key, values) -> appendAll(key, values) }
+        }
+        val query = try {
+            filters.toTaskQueryParams().toQueryString()
+        } catch (e: IllegalArgumentException) {
+            call.respondText(
+                status = HttpStatusCode.BadRequest,
+                text = "Invalid query parameters: ${e.message}"
+            )
+            return@post
+        }
+
+        val saved = FilterPresetRepository.save(call.filterPresetOwner(), name, query)
+
+        call.respondText(
+            text = Json.encodeToString(saved.preset.toView()),
+            contentType = ContentType.Application.Json,
+            status = if (saved.created) HttpStatusCode.Created else HttpStatusCode.OK
+        )
+    }
+
+    /**
+     * DELETE /tasks/presets/{id} - Remove one of the caller's presets
+     */
+    delete("/tasks/presets/{id}") {
+        val id = call.parameters["id"]
+        if (id.isNullOrBlank()) {
+            call.respondText("Invalid preset ID", status = HttpStatusCode.BadRequest)
+            return@delete
+        }
+
+        if (FilterPresetRepository.delete(call.filterPresetOwner(), id)) {
+            call.response.status(HttpStatusCode.NoContent)
+            call.respondText("")
+        } else {
+            call.respondText("Preset not found", status = HttpStatusCode.NotFound)
+        }
+    }
+}
@@ -0,0 +1,201 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.context.ContextRepository
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.domain.Proposal
+import com.orchestrator.domain.ProposalId
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.storage.repositories.MessageRepository
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.HumanInputPanel
+import com.orchestrator.web.components.Navigation
+import com.orchestrator.web.services.HumanInputService
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+import io.ktor.server.routing.post
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import java.time.Instant
+
+/**
+ * Human-in-the-loop input from the task modal, and the navigation badge
+ * counting tasks blocked on a human.
+ *
+ * Submissions go through [HumanInputService]; a successful one answers with
+ * the refreshed task detail fragment and fires `navBadgesChanged` so the
+ * badge catches up at once.
+ */
+fun Route.humanInputRoutes(
+    agentRegistry: AgentRegistry,
+    service: HumanInputService = HumanInputService(agentRegistry)
+) {
+
+    /**
+     * GET /tasks/waiting/badge - Count of tasks in WAITING_INPUT
+     */
+    get(WAITING_BADGE_URL) {
+        val count = TaskRepository.findByStatus(TaskStatus.WAITING_INPUT).size
+        val label = if (count == 1) "1 task waiting for input" else "$count tasks waiting for input"
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(Navigation.renderBadge(WAITING_BADGE_URL, count, label), ContentType.Text.Html)
+    }
+
+    /**
+     * GET /tasks/{id}/respond - The respond panel
+     */
+    get("/tasks/{id}/respond") {
+        val task = call.findTaskOrRespond() ?: return@get
+        call.respondText(HumanInputPanel.render(humanInputConfig(task)), ContentType.Text.Html)
+    }
+
+    /**
+     * POST /tasks/{id}/respond - Send a response or directive
+     *
+     * 422 re-renders the form with the errors: per field for input the
+     * dashboard checks, at the top for anything the tools reject.
+     */
+    post("/tasks/{id}/respond") {
+        val task = call.findTaskOrRespond() ?: return@post
+        val values = call.receiveParameters().toHumanInputValues()
+        val proposals = ProposalRepository.findByTask(task.id)
+
+        val request = when (val parsed = parseHumanInput(task, values, proposals.map { it.id })) {
+            is HumanInputResult.Invalid -> {
+                val config = humanInputConfig(task, proposals).copy(values = values, errors = parsed.errors)
+                call.respondText(HumanInputPanel.renderForm(config), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+                return@post
+            }
+            is HumanInputResult.Valid -> parsed.request
+        }
+
+        try {
+            service.submit(request)
+        } catch (e: IllegalArgumentException) {
+            val config = humanInputConfig(task, proposals).copy(values = values, formError = e.message ?: "The input was rejected")
+            call.respondText(HumanInputPanel.renderForm(config), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+            return@post
+        } catch (e: IllegalStateException) {
+            val config = humanInputConfig(task, proposals).copy(values = values, formError = e.message ?: "The task no longer takes input")
+            call.respondText(HumanInputPanel.renderForm(config), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+            return@post
+        }
+
+        val updated = TaskRepository.findById(task.id) ?: task
+        call.response.headers.append("HX-Retarget", "#task-detail-${task.id.value}")
+        call.response.headers.append("HX-Reswap", "outerHTML")
+        call.response.headers.append("HX-Trigger", "navBadgesChanged")
+        call.respondText(detailFragment(updated), ContentType.Text.Html)
+    }
+}
+
+private const val WAITING_BADGE_URL = "/tasks/waiting/badge"
+private const val HISTORY_LIMIT = 20
+
+private fun Parameters.toHumanInputValues() = HumanInputPanel.Values(
+    kind = this["kind"].orEmpty(),
+    text = this["text"].orEmpty(),
+    contextFiles = getAll("contextFile").orEmpty().map { it.trim() }.filter { it.isNotEmpty() }.distinct(),
+    proposalRefs = getAll("proposalRef").orEmpty().map { it.trim() }.filter { it.isNotEmpty() }.distinct()
+)
+
+internal sealed interface HumanInputResult {
+    data class Valid(val request: HumanInputService.Request) : HumanInputResult
+    data class Invalid(val errors: Map<String, String>) : HumanInputResult
+}
+
+/**
+ * Check the panel input the tools would only reject as a whole, so each
+ * problem can be shown next to its field.
+ */
+internal fun parseHumanInput(task: Task, values: HumanInputPanel.Values, proposalIds: List<ProposalId>): HumanInputResult {
+    val errors = linkedMapOf<String, String>()
+
+    val kind = HumanInputService.Kind.entries.find { it.name == values.kind }
+    when {
+        kind == null -> errors["kind"] = "Choose a response or a directive"
+        kind == HumanInputService.Kind.DIRECTIVE && task.status !in HumanInputPanel.DIRECTIVE_STATUSES ->
+            errors["kind"] = "Directives need a running task; this one is ${task.status.name}"
+    }
+
+    val text = values.text.trim()
+    when {
+        text.isEmpty() -> errors["text"] = "Write a message"
+        text.length > HumanInputPanel.TEXT_MAX_LENGTH ->
+            errors["text"] = "Keep the message under ${HumanInputPanel.TEXT_MAX_LENGTH} characters"
+    }
+
+    if (values.contextFiles.isNotEmpty()) {
+        val indexed = ContextRepository.listAllFiles().filterNot { it.isDeleted }.map { it.relativePath }.toSet()
+        val notIndexed = values.contextFiles.filterNot { it in indexed }
+        if (notIndexed.isNotEmpty()) errors["contextFiles"] = "Not in the context index: ${notIndexed.joinToString()}"
+    }
+
+    val known = proposalIds.map { it.value }.toSet()
+    val foreign = values.proposalRefs.filterNot { it in known }
+    if (foreign.isNotEmpty()) errors["proposalRefs"] = "Not a proposal of this task: ${foreign.joinToString()}"
+
+    if (errors.isNotEmpty()) return HumanInputResult.Invalid(errors)
+
+    return HumanInputResult.Valid(
+        HumanInputService.Request(
+            taskId = task.id,
+            kind = kind!!,
+            text = text,
+            contextFiles = values.contextFiles,
+            proposalRefs = values.proposalRefs.map { ProposalId(it) }
+        )
+    )
+}
+
+private fun humanInputConfig(
+    task: Task,
+    proposals: List<Proposal> = ProposalRepository.findByTask(task.id)
+) = HumanInputPanel.Config(
+    task = task,
+    waiting = TaskRepository.findByStatus(TaskStatus.WAITING_INPUT).sortedBy { it.createdAt },
+    proposals = proposals.sortedBy { it.createdAt },
+    history = MessageRepository.listByTask(task.id).takeLast(HISTORY_LIMIT).map { row ->
+        historyEntry(row.role, row.agentId?.value, row.content, row.ts, row.metadataJson)
+    }
+)
+
+/**
+ * Reads back what [HumanInputService] stored in a message's metadata; other
+ * messages keep just their role, author and text.
+ */
+internal fun historyEntry(
+    role: String,
+    agentId: String?,
+    content: String,
+    ts: Instant,
+    metadataJson: String?
+): HumanInputPanel.HistoryEntry {
+    val metadata = metadataJson
+        ?.let { runCatching { Json.parseToJsonElement(it) as? JsonObject }.getOrNull() }
+        ?.takeIf { (it[HumanInputService.SOURCE_KEY] as? JsonPrimitive)?.content == HumanInputService.SOURCE_DASHBOARD }
+        ?: return HumanInputPanel.HistoryEntry(role, agentId, content, ts)
+
+    fun strings(key: String) = (metadata[key] as? JsonArray).orEmpty().mapNotNull { (it as? JsonPrimitive)?.content }
+
+    return HumanInputPanel.HistoryEntry(
+        role = role,
+        agentId = agentId,
+        content = content,
+        ts = ts,
+        kind = (metadata[HumanInputService.KIND_KEY] as? JsonPrimitive)?.content,
+        proposalId = (metadata["proposalId"] as? JsonPrimitive)?.content,
+        contextFiles = strings("contextFiles"),
+        proposalRefs = strings("proposalRefs"),
+        directive = strings("directive")
+    )
+}
@@ -3,12 +3,14 @@ package com.orchestrator.web.routes
 import com.orchestrator.modules.context.ContextModule
 import com.orchestrator.web.dto.toDTO
 import com.orchestrator.web.pages.IndexStatusPage
+import com.orchestrator.web.services.FileIndexAction
 import com.orchestrator.web.services.IndexOperationsService
 import com.orchestrator.web.services.OperationTriggerResult
 import io.ktor.http.ContentType
 import io.ktor.http.HttpStatusCode
 import io.ktor.server.application.Application
 import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
 import io.ktor.server.response.respondText
 import io.ktor.server.routing.Route
 import io.ktor.server.routing.get
@@ -35,14 +37,73 @@ fun Route.indexRoutes(
     post("/index/rebuild") {
         val operations = operationsFactory(application)
         val result = operations.triggerRebuild(confirm = true)
+        result.operationId?.let { call.response.headers.append(OPERATION_ID_HEADER, it) }
         // Return 204 No Content - SSE events will handle all DOM updates
         // Don't return HTML since we removed hx-target/hx-swap from buttons
         call.response.status(HttpStatusCode.NoContent)
         call.respondText("")
     }
 
+    /**
+     * POST /index/files - Re-index, exclude or purge part of the catalog
+     *
+     * Form parameters:
+     * - action: reindex, exclude or purge
+     * - path: repeated; a file's relative path, or a directory ending in "/"
+     *
+     * Returns 202 with the operation id in the X-Index-Operation header; progress
+     * follows on the index stream. 409 when the service turns the request down.
+     */
+    post("/index/files") {
+        val form = call.receiveParameters()
+        val action = FileIndexAction.fromId(form["action"])
+        if (action == null) {
+            call.respondText("Unknown action: ${form["action"]}", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+        val paths = form.getAll("path").orEmpty().map { it.trim() }.filter { it.isNotEmpty() }
+        if (paths.isEmpty()) {
+            call.respondText("Select at least one file or directory", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+
+        val result = operationsFactory(application).triggerFileAction(action, paths)
+        if (!result.accepted) {
+            call.respondText(result.message, status = HttpStatusCode.Conflict)
+            return@post
+        }
+        result.operationId?.let { call.response.headers.append(OPERATION_ID_HEADER, it) }
+        call.respondText(result.message, status = HttpStatusCode.Accepted)
+    }
+
+    /**
+     * POST /index/operations/{operationId}/cancel - Stop a running index operation
+     *
+     * Returns 202 once the stop is requested; the operation finishes the files in progress
+     * and reports its outcome on the index stream. 404 when no such operation is running,
+     * 409 when it cannot be cancelled.
+     */
+    post("/index/operations/{operationId}/cancel") {
+        val operationId = call.parameters["operationId"].orEmpty()
+        val operations = operationsFactory(application)
+        if (operations.activeOperations().none { it.operationId == operationId }) {
+            call.respondText("No running operation $operationId", status = HttpStatusCode.NotFound)
+            return@post
+        }
+
+        val result = operations.cancel(operationId)
+        if (!result.accepted) {
+            call.respondText(result.message, status = HttpStatusCode.Conflict)
+            return@post
+        }
+        call.response.headers.append(OPERATION_ID_HEADER, operationId)
+        call.respondText(result.message, status = HttpStatusCode.Accepted)
+    }
 }
 
+/** Response header naming the operation an index action started. */
+private const val OPERATION_ID_HEADER = "X-Index-Operation"
+
 private fun Route.buildIndexStatusConfig(clock: Clock): IndexStatusPage.Config {
     val operations = IndexOperationsService.forApplication(application)
     val filesystemSnapshot = operations.filesystemSnapshot()
@@ -52,7 +113,9 @@ private fun Route.buildIndexStatusConfig(clock: Clock): IndexStatusPage.Config {
     return IndexStatusPage.Config(
         status = snapshotDto,
         actions = actions,
-        generatedAt = Instant.now(clock)
+        generatedAt = Instant.now(clock),
+        operations = operations.activeOperations(),
+        history = operations.operationHistory()
     )
 }
 
@@ -1,11 +1,36 @@
 package com.orchestrator.web.routes
 
+import com.orchestrator.modules.metrics.MetricsHistory
+import com.orchestrator.modules.metrics.MetricsModule
+import com.orchestrator.web.dto.toHistoryDTO
 import com.orchestrator.web.pages.MetricsPage
+import com.orchestrator.web.sse.FragmentGenerator
 import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
 import io.ktor.server.application.call
 import io.ktor.server.response.respondText
 import io.ktor.server.routing.Route
 import io.ktor.server.routing.get
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+import java.time.Duration
+import java.time.Instant
+import java.time.format.DateTimeParseException
+
+/**
+ * Time ranges offered by the metrics charts.
+ */
+enum class MetricsRange(val param: String, val label: String, val span: Duration?) {
+    HOUR("1h", "1 hour", Duration.ofHours(1)),
+    DAY("24h", "24 hours", Duration.ofHours(24)),
+    WEEK("7d", "7 days", Duration.ofDays(7)),
+    CUSTOM("custom", "Custom", null);
+
+    companion object {
+        fun fromParam(value: String?): MetricsRange? = entries.firstOrNull { it.param == value }
+    }
+}
 
 /**
  * Metrics routes for the Orchestrator dashboard
@@ -18,14 +43,63 @@ fun Route.metricsRoutes() {
      * Displays:
      * - Token usage statistics
      * - Task performance metrics
-     * - Decision analytics
-     * - Interactive charts
-     * - Export functionality
+     * - Time-series charts over a chosen range (metrics-charts.js)
      */
     get("/metrics") {
-        val html = MetricsPage.render()
+        val summary = FragmentGenerator().metricsSnapshot(MetricsModule.global.getSnapshot())
+        val html = MetricsPage.render(summary)
 
         call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
         call.respondText(html, ContentType.Text.Html)
     }
+
+    /**
+     * GET /metrics/history - Recorded metrics points as JSON
+     *
+     * Query parameters:
+     * - range: 1h (default), 24h, 7d or custom
+     * - from, to: ISO-8601 instants, required for a custom range
+     */
+    get("/metrics/history") {
+        val window = when (val parsed = call.request.queryParameters.toHistoryWindow(Instant.now())) {
+            is HistoryWindow.Invalid -> {
+                call.respondText(parsed.message, status = HttpStatusCode.BadRequest)
+                return@get
+            }
+            is HistoryWindow.Valid -> parsed
+        }
+
+        val history = MetricsHistory.query(window.from, window.to)
+            .toHistoryDTO(window.range.param, window.from, window.to)
+
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(Json.encodeToString(history), ContentType.Application.Json)
+    }
 }
+
+private sealed interface HistoryWindow {
+    data class Valid(val range: MetricsRange, val from: Instant, val to: Instant) : HistoryWindow
+    data class Invalid(val message: String) : HistoryWindow
+}
+
+private fun Parameters.toHistoryWindow(now: Instant): HistoryWindow {
+    val rangeParam = this["range"]?.trim()?.takeIf { it.isNotEmpty() }
+    val range = if (rangeParam == null) MetricsRange.HOUR else MetricsRange.fromParam(rangeParam)
+        ?: return HistoryWindow.Invalid("Unknown range: $rangeParam")
+
+    range.span?.let { span -> return HistoryWindow.Valid(range, now.minus(span), now) }
+
+    val from = parseInstant(this["from"]) ?: return HistoryWindow.Invalid("A custom range needs a valid 'from' time")
+    val to = parseInstant(this["to"]) ?: return HistoryWindow.Invalid("A custom range needs a valid 'to' time")
+    if (!from.isBefore(to)) return HistoryWindow.Invalid("'from' must be before 'to'")
+    return HistoryWindow.Valid(range, from, to)
+}
+
+private fun parseInstant(value: String?): Instant? =
+    value?.trim()?.takeIf { it.isNotEmpty() }?.let {
+        try {
+            Instant.parse(it)
+        } catch (_: DateTimeParseException) {
+            null
+        }
+    }
@@ -0,0 +1,78 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.Proposal
+import com.orchestrator.domain.Task
+import com.orchestrator.web.components.Modal
+import com.orchestrator.web.components.StatusBadge
+import com.orchestrator.web.components.displayName
+import com.orchestrator.web.components.toTone
+import com.orchestrator.web.utils.JsonFormatter
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+import java.time.ZoneId
+import java.time.format.DateTimeFormatter
+import java.util.Locale
+
+/**
+ * @param task the proposal's task, or null when it has been deleted
+ */
+internal fun renderProposalModal(proposal: Proposal, task: Task?): String {
+    return createHTML().div {
+        div(classes = "modal__backdrop") {}
+
+        div(classes = "modal__content") {
+            attributes["id"] = "proposal-detail-modal"
+            attributes["data-proposal-id"] = proposal.id.value
+            div(classes = "modal__header") {
+                h3(classes = "modal__title") {
+                    +"Proposal from ${proposal.agentId.value}"
+                }
+                button(classes = "modal__close") {
+                    attributes["data-modal-close"] = "modal-container"
+                    attributes["aria-label"] = "Close modal"
+                    +"×"
+                }
+            }
+
+            div(classes = "modal__body") {
+                div(classes = "mb-lg") {
+                    ul(classes = "details-list") {
+                        li { strong { +"ID:" }; span { +proposal.id.value } }
+                        li {
+                            strong { +"Task:" }
+                            span(classes = "modal-links") {
+                                with(Modal) { taskModalLink(proposal.taskId.value, classes = "modal-link") }
+                                if (task != null) {
+                                    span { +task.title }
+                                    unsafe {
+                                        +StatusBadge.render(StatusBadge.Config(label = task.status.displayName, tone = task.status.toTone()))
+                                    }
+                                } else {
+                                    span(classes = "text-muted") { +"Task no longer exists" }
+                                }
+                            }
+                        }
+                        li { strong { +"Agent:" }; span { +proposal.agentId.value } }
+                        li { strong { +"Input type:" }; span { +proposal.inputType.name } }
+                        li { strong { +"Confidence:" }; span { +"%.0f%%".format(Locale.US, proposal.confidence * 100) } }
+                        li {
+                            strong { +"Tokens:" }
+                            span {
+                                +"${proposal.tokenUsage.totalTokens} (${proposal.tokenUsage.inputTokens} in / ${proposal.tokenUsage.outputTokens} out)"
+                            }
+                        }
+                        li {
+                            strong { +"Submitted:" }
+                            span { +proposal.createdAt.atZone(ZoneId.systemDefault()).format(DateTimeFormatter.RFC_1123_DATE_TIME) }
+                        }
+                    }
+                }
+
+                div(classes = "mb-lg") {
+                    h4(classes = "mt-0 mb-md") { +"Content" }
+                    pre { code { +JsonFormatter.format(proposal.content) } }
+                }
+            }
+        }
+    }.toString()
+}
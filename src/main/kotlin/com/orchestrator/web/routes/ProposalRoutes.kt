@@ -0,0 +1,38 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.ProposalId
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.call
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+
+/**
+ * Proposal routes. Proposals are reached from the task modal, so only a modal
+ * view is served.
+ */
+fun Route.proposalRoutes() {
+
+    /**
+     * GET /proposals/{id}/modal - Proposal detail modal fragment
+     */
+    get("/proposals/{id}/modal") {
+        val id = call.parameters["id"]?.takeIf { it.isNotBlank() }?.let { ProposalId(it) }
+        if (id == null) {
+            call.respondText("Invalid proposal ID", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+
+        val proposal = ProposalRepository.findById(id)
+        if (proposal == null) {
+            call.respondText("Proposal not found", status = HttpStatusCode.NotFound)
+            return@get
+        }
+
+        val task = TaskRepository.findById(proposal.taskId)
+        call.respondText(renderProposalModal(proposal, task), ContentType.Text.Html)
+    }
+}
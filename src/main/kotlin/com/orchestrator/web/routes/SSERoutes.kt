@@ -43,7 +43,10 @@ private val SSEManagerRegistryKey = AttributeKey<MutableMap<SSEStreamKind, SSEMa
 private const val DEFAULT_RETRY_MILLIS = 30_000L
 
 private suspend fun ServerSSESession.streamEvents(kind: SSEStreamKind) {
+    // Browsers only send Last-Event-ID on their own retries; the dashboard client reconnects
+    // manually and passes the last applied ID as a query parameter instead.
     val lastEventId = call.request.headers["Last-Event-ID"]
+        ?: call.request.queryParameters["lastEventId"]?.takeIf { it.isNotBlank() }
     val manager = call.application.ensureSseManager(kind)
     val connectionId = "${kind.pathSegment}-${UUID.randomUUID()}"
 
@@ -58,9 +61,11 @@ private suspend fun ServerSSESession.streamEvents(kind: SSEStreamKind) {
     // Notify client we acknowledged their reconnection hint (if any).
     lastEventId?.let { send(ServerSentEvent(comments = "resume-from:$it")) }
 
-    val connection = manager.subscribe(connectionId, SSEConnection.Sender { event ->
-        send(event.toServerSentEvent())
-    })
+    val connection = manager.subscribe(
+        connectionId,
+        SSEConnection.Sender { event -> send(event.toServerSentEvent()) },
+        lastEventId
+    )
 
     try {
         awaitCancellation()
@@ -0,0 +1,129 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.context.config.ContextConfig
+import com.orchestrator.context.providers.ContextProviderRegistry
+import com.orchestrator.mcp.tools.QueryContextTool
+import com.orchestrator.web.components.ContextSearch
+import com.orchestrator.web.pages.SearchPage
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.server.application.call
+import io.ktor.server.request.queryString
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.withContext
+
+/**
+ * Context search playground: runs `query_context` from the dashboard.
+ */
+fun Route.searchRoutes(contextConfig: ContextConfig) {
+    val tool by lazy { QueryContextTool(contextConfig) }
+
+    /**
+     * GET /search - Search form, with results when the URL carries a query
+     *
+     * Takes the same parameters as /search/results, so a search can be
+     * bookmarked or shared.
+     */
+    get("/search") {
+        val query = try {
+            call.request.queryParameters.toContextSearchQuery()
+        } catch (e: IllegalArgumentException) {
+            call.respondText("Invalid search: ${e.message}", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+
+        val runs = if (query.query.isBlank()) null else runSearch(tool, query)
+        val html = SearchPage.render(query, providerIds(), runs)
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * GET /search/results - Ranked hits for the form's query (HTML fragment)
+     *
+     * Query parameters:
+     * - query: the search text (required)
+     * - k, maxTokens: result count and token budget
+     * - paths, languages, excludePatterns: comma or line separated lists
+     * - kinds, providers: repeated, one value each
+     * - compare=true with compareProviders: also run against a second provider set
+     * - explain=true: add a score breakdown under each hit
+     */
+    get("/search/results") {
+        val query = try {
+            call.request.queryParameters.toContextSearchQuery()
+        } catch (e: IllegalArgumentException) {
+            call.respondText("Invalid search: ${e.message}", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+        if (query.query.isBlank()) {
+            call.respondText("Enter a query to search for", status = HttpStatusCode.BadRequest)
+            return@get
+        }
+
+        val html = ContextSearch.renderResults(runSearch(tool, query))
+        // Keep the address bar on a reloadable /search URL
+        call.response.headers.append("HX-Push-Url", "/search?${call.request.queryString()}")
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(html, ContentType.Text.Html)
+    }
+}
+
+private fun providerIds(): List<String> = ContextProviderRegistry.getProviderIds().sorted()
+
+private suspend fun runSearch(tool: QueryContextTool, query: ContextSearch.Query): List<ContextSearch.Run> {
+    val sets = buildList {
+        add("A" to query.providers)
+        query.compareProviders?.let { add("B" to it) }
+    }
+    return sets.map { (name, providers) ->
+        val label = if (sets.size > 1) "Provider set $name" else "Results"
+        try {
+            val result = withContext(Dispatchers.IO) { tool.execute(query.toParams(providers)) }
+            ContextSearch.Run(label, providers, result)
+        } catch (e: Exception) {
+            ContextSearch.Run(label, providers, result = null, error = e.message ?: e::class.simpleName)
+        }
+    }
+}
+
+/**
+ * Parse the search form. Throws [IllegalArgumentException] for values the
+ * tool would reject.
+ */
+internal fun Parameters.toContextSearchQuery(): ContextSearch.Query {
+    val compare = this["compare"]?.toBooleanStrictOrNull() ?: false
+    return ContextSearch.Query(
+        query = this["query"]?.trim().orEmpty(),
+        k = intParam("k"),
+        maxTokens = intParam("maxTokens"),
+        paths = listParam("paths"),
+        languages = listParam("languages"),
+        kinds = multiParam("kinds"),
+        excludePatterns = listParam("excludePatterns"),
+        providers = multiParam("providers"),
+        compareProviders = if (compare) multiParam("compareProviders") else null,
+        explain = this["explain"]?.toBooleanStrictOrNull() ?: false
+    )
+}
+
+private fun Parameters.intParam(name: String): Int? =
+    this[name]?.trim()?.takeIf { it.isNotEmpty() }?.let {
+        it.toIntOrNull() ?: throw IllegalArgumentException("$name must be a whole number")
+    }
+
+/** Comma or line separated entries of a text field. */
+private fun Parameters.listParam(name: String): List<String> =
+    getAll(name).orEmpty()
+        .flatMap { it.split(',', '\n') }
+        .map { it.trim() }
+        .filter { it.isNotEmpty() }
+        .distinct()
+
+/** Repeated parameters, such as ticked checkboxes. */
+private fun Parameters.multiParam(name: String): List<String> =
+    getAll(name).orEmpty().map { it.trim() }.filter { it.isNotEmpty() }.distinct()
@@ -0,0 +1,88 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.web.pages.TasksPage
+import com.orchestrator.web.services.TaskBulkActionService
+import io.ktor.http.ContentType
+import io.ktor.http.Cookie
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.ApplicationCall
+import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.post
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+
+internal const val TASKS_VIEW_COOKIE = "orchestrator_tasks_view"
+
+private const val TASKS_VIEW_COOKIE_MAX_AGE_SECONDS = 60 * 60 * 24 * 365
+
+/**
+ * Which view `/tasks` shows: the `layout` query parameter when given, which is
+ * then remembered in a cookie, else the remembered one, else the list. (`view`
+ * belongs to grid-views.js: a shared grid layout, which always opens the list.)
+ *
+ * Like filter presets, the choice belongs to the browser since the
+ * dashboard has no user accounts.
+ */
+internal fun ApplicationCall.tasksView(): TasksPage.View {
+    val requested = request.queryParameters["layout"]?.let { TasksPage.View.fromParam(it) }
+    if (requested != null) {
+        response.cookies.append(
+            Cookie(
+                name = TASKS_VIEW_COOKIE,
+                value = requested.param,
+                maxAge = TASKS_VIEW_COOKIE_MAX_AGE_SECONDS,
+                path = "/",
+                httpOnly = true,
+                extensions = mapOf("SameSite" to "Lax")
+            )
+        )
+        return requested
+    }
+    if (request.queryParameters.contains("view")) return TasksPage.View.LIST
+    return request.cookies[TASKS_VIEW_COOKIE]?.let { TasksPage.View.fromParam(it) } ?: TasksPage.View.LIST
+}
+
+/**
+ * Task board routes. Cards and their updates come from the same
+ * `/tasks/data` rows and task stream as the grid; this only adds the drop.
+ */
+fun Route.taskBoardRoutes(service: TaskBulkActionService = TaskBulkActionService()) {
+
+    /**
+     * POST /tasks/{id}/transition - Move a task to another status column
+     *
+     * Form fields: `status`, and optionally `expected`, the status the board
+     * showed. Responds with a [TaskBulkActionService.ItemResult]; a move the
+     * state machine does not allow is a 409 whose `error` explains why.
+     */
+    post("/tasks/{id}/transition") {
+        val taskId = call.parameters["id"]?.takeIf { it.isNotBlank() }?.let { TaskId(it) }
+        if (taskId == null) {
+            call.respondText("Invalid task ID", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+        val form = call.receiveParameters()
+        val status = form["status"]?.let { parseTaskStatus(it) }
+        if (status == null) {
+            call.respondText("Unknown status: ${form["status"].orEmpty()}", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+        val expected = form["expected"]?.let { parseTaskStatus(it) }
+
+        val result = service.transition(taskId, status, expected)
+        val code = when {
+            result.ok -> HttpStatusCode.OK
+            result.error == "Task not found" -> HttpStatusCode.NotFound
+            else -> HttpStatusCode.Conflict
+        }
+        call.respondText(Json.encodeToString(result), ContentType.Application.Json, code)
+    }
+}
+
+private fun parseTaskStatus(value: String): TaskStatus? =
+    TaskStatus.entries.firstOrNull { it.name.equals(value.trim(), ignoreCase = true) }
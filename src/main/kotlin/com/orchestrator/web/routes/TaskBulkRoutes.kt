@@ -0,0 +1,193 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.services.TaskBulkActionService
+import io.ktor.http.ContentDisposition
+import io.ktor.http.ContentType
+import io.ktor.http.HttpHeaders
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.header
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.post
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
+
+/** Upper bound on task IDs accepted by one bulk request. */
+internal const val TASK_BULK_MAX_IDS = 500
+
+@Serializable
+data class BulkActionResponse(
+    val action: String,
+    val results: List<TaskBulkActionService.ItemResult>
+)
+
+@Serializable
+data class TaskExportRow(
+    val id: String,
+    val title: String,
+    val status: String,
+    val type: String,
+    val routing: String,
+    val assigneeIds: List<String>,
+    val complexity: Int,
+    val risk: Int,
+    val createdAt: String,
+    val updatedAt: String?,
+    val dueAt: String?
+)
+
+/**
+ * Bulk action routes for the tasks grid selection.
+ *
+ * @param knownAgents configured agents; reassigning to any other ID is rejected.
+ *   Empty accepts any ID.
+ */
+fun Route.taskBulkRoutes(knownAgents: Set<AgentId> = emptySet()) {
+    val service = TaskBulkActionService(knownAgents)
+
+    /**
+     * POST /tasks/bulk - Apply one action to each selected task
+     *
+     * Form fields: `action` (reassign | status | cancel | reroute), repeated
+     * `taskId`, and the action's value: `assigneeIds`, `status`, `routing` or an
+     * optional cancel `reason`. Responds with one result per task; a failure
+     * on one task does not stop the others.
+     */
+    post("/tasks/bulk") {
+        val form = call.receiveParameters()
+        val taskIds = form.taskIds()
+        if (taskIds.isEmpty() || taskIds.size > TASK_BULK_MAX_IDS) {
+            call.respondText("Select 1-$TASK_BULK_MAX_IDS tasks", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+
+        val actionName = form["action"]?.trim()?.lowercase().orEmpty()
+        val action = try {
+            form.toBulkAction(actionName)
+        } catch (e: IllegalArgumentException) {
+            call.respondText(e.message ?: "Invalid bulk action", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+
+        val response = BulkActionResponse(actionName, service.apply(taskIds, action))
+        call.respondText(Json.encodeToString(response), ContentType.Application.Json)
+    }
+
+    /**
+     * POST /tasks/export - Download the selected tasks
+     *
+     * Form fields: repeated `taskId` and `format` (csv | json, default csv).
+     * Unknown IDs are skipped; rows keep the order of the submitted IDs.
+     */
+    post("/tasks/export") {
+        val form = call.receiveParameters()
+        val taskIds = form.taskIds()
+        if (taskIds.isEmpty() || taskIds.size > TASK_BULK_MAX_IDS) {
+            call.respondText("Select 1-$TASK_BULK_MAX_IDS tasks", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+
+        val format = form["format"]?.lowercase() ?: "csv"
+        if (format != "csv" && format != "json") {
+            call.respondText("Unsupported export format: $format", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+
+        val rows = taskIds.mapNotNull { TaskRepository.findById(it) }.map { it.toExportRow() }
+        call.response.header(
+            HttpHeaders.ContentDisposition,
+            ContentDisposition.Attachment
+                .withParameter(ContentDisposition.Parameters.FileName, "tasks.$format")
+                .toString()
+        )
+        if (format == "json") {
+            call.respondText(Json.encodeToString(rows), ContentType.Application.Json)
+        } else {
+            call.respondText(rows.toCsv(), ContentType.Text.CSV)
+        }
+    }
+}
+
+private fun Parameters.taskIds(): List<TaskId> =
+    (getAll("taskId") ?: emptyList())
+        .flatMap { it.split(",") }
+        .map { it.trim() }
+        .filter { it.isNotEmpty() }
+        .distinct()
+        .map { TaskId(it) }
+
+private fun Parameters.toBulkAction(action: String): TaskBulkActionService.Action = when (action) {
+    "reassign" -> {
+        val agents = (getAll("assigneeIds") ?: emptyList())
+            .flatMap { it.split(",") }
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .map { AgentId(it) }
+            .toSet()
+        require(agents.isNotEmpty()) { "Choose at least one agent" }
+        TaskBulkActionService.Action.Reassign(agents)
+    }
+    "status" -> {
+        val value = this["status"].orEmpty()
+        val status = TaskStatus.entries.find { it.name.equals(value, ignoreCase = true) }
+            ?: throw IllegalArgumentException("Unknown status: $value")
+        TaskBulkActionService.Action.ChangeStatus(status)
+    }
+    "cancel" -> TaskBulkActionService.Action.Cancel(this["reason"]?.take(500))
+    "reroute" -> {
+        val value = this["routing"].orEmpty()
+        val routing = RoutingStrategy.entries.find { it.name.equals(value, ignoreCase = true) }
+            ?: throw IllegalArgumentException("Unknown routing strategy: $value")
+        TaskBulkActionService.Action.Reroute(routing)
+    }
+    else -> throw IllegalArgumentException("Unknown bulk action: $action")
+}
+
+private fun Task.toExportRow() = TaskExportRow(
+    id = id.value,
+    title = title,
+    status = status.name,
+    type = type.name,
+    routing = routing.name,
+    assigneeIds = assigneeIds.map { it.value }.sorted(),
+    complexity = complexity,
+    risk = risk,
+    createdAt = createdAt.toString(),
+    updatedAt = updatedAt?.toString(),
+    dueAt = dueAt?.toString()
+)
+
+private val CSV_HEADER = listOf(
+    "id", "title", "status", "type", "routing", "assignees",
+    "complexity", "risk", "createdAt", "updatedAt", "dueAt"
+)
+
+internal fun List<TaskExportRow>.toCsv(): String = buildString {
+    appendLine(CSV_HEADER.joinToString(","))
+    this@toCsv.forEach { row ->
+        val cells = listOf(
+            row.id, row.title, row.status, row.type, row.routing,
+            row.assigneeIds.joinToString(";"),
+            row.complexity.toString(), row.risk.toString(),
+            row.createdAt, row.updatedAt.orEmpty(), row.dueAt.orEmpty()
+        )
+        appendLine(cells.joinToString(",") { csvCell(it) })
+    }
+}
+
+private fun csvCell(value: String): String =
+    if (value.any { it == ',' || it == '"' || it == '\n' || it == '\r' }) {
+        "\"" + value.replace("\"", "\"\"") + "\""
+    } else {
+        value
+    }
@@ -0,0 +1,252 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.context.ContextRepository
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskType
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.Modal
+import com.orchestrator.web.components.TaskCreateWizard
+import com.orchestrator.web.components.TaskEditForm
+import com.orchestrator.web.services.TaskCreationService
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.server.application.call
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+import io.ktor.server.routing.post
+import kotlinx.html.*
+import kotlinx.html.stream.createHTML
+
+/**
+ * The New task dialog: wizard form, routing preview and creation.
+ *
+ * Creation goes through the MCP task tools (see [TaskCreationService]); the
+ * new row reaches open grids as a `taskCreated` event on `/sse/tasks`.
+ */
+fun Route.taskCreateRoutes(
+    agentRegistry: AgentRegistry,
+    service: TaskCreationService = TaskCreationService(agentRegistry)
+) {
+    val knownAgents = agentRegistry.getAllAgents().map { it.id }.toSet()
+    val agentSuggestions = knownAgents.map { it.value }.sorted()
+
+    /**
+     * GET /tasks/new - The wizard in a modal
+     */
+    get("/tasks/new") {
+        val html = TaskCreateWizard.renderModal(TaskCreateWizard.Config(agents = agentSuggestions))
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * POST /tasks/new/preview - Routing preview for the review step
+     *
+     * Always 200: invalid input is described in the preview itself.
+     */
+    post("/tasks/new/preview") {
+        val values = call.receiveParameters().toWizardValues()
+        val html = when (val parsed = parseCreateRequest(values, knownAgents)) {
+            is CreateRequestResult.Invalid -> TaskCreateWizard.renderPreview(
+                null,
+                error = "Fix these first: " + parsed.errors.values.joinToString("; ")
+            )
+            is CreateRequestResult.Valid -> try {
+                val outcome = service.preview(parsed.request)
+                TaskCreateWizard.renderPreview(
+                    TaskCreateWizard.Preview(
+                        routing = outcome.routing,
+                        primaryAgentId = outcome.primaryAgentId,
+                        participantAgentIds = outcome.participantAgentIds,
+                        warnings = outcome.warnings
+                    )
+                )
+            } catch (e: IllegalArgumentException) {
+                TaskCreateWizard.renderPreview(null, error = e.message ?: "The task cannot be routed")
+            }
+        }
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * POST /tasks - Create the task
+     *
+     * 422 re-renders the wizard with the errors: per field for input the
+     * dashboard checks, at the top for anything the MCP tool rejects.
+     */
+    post("/tasks") {
+        val values = call.receiveParameters().toWizardValues()
+        val request = when (val parsed = parseCreateRequest(values, knownAgents)) {
+            is CreateRequestResult.Invalid -> {
+                val form = TaskCreateWizard.Config(values = values, errors = parsed.errors, agents = agentSuggestions)
+                call.respondText(TaskCreateWizard.renderForm(form), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+                return@post
+            }
+            is CreateRequestResult.Valid -> parsed.request
+        }
+
+        val outcome = try {
+            service.create(request)
+        } catch (e: IllegalArgumentException) {
+            val form = TaskCreateWizard.Config(
+                values = values,
+                formError = e.message ?: "The task could not be created",
+                agents = agentSuggestions
+            )
+            call.respondText(TaskCreateWizard.renderForm(form), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+            return@post
+        }
+
+        call.respondText(renderTaskCreated(outcome, request.title), ContentType.Text.Html, HttpStatusCode.Created)
+    }
+}
+
+private fun Parameters.toWizardValues() = TaskCreateWizard.Values(
+    mode = this["mode"].orEmpty(),
+    title = this["title"].orEmpty(),
+    description = this["description"].orEmpty(),
+    type = this["type"].orEmpty(),
+    complexity = this["complexity"].orEmpty(),
+    risk = this["risk"].orEmpty(),
+    assigneeIds = this["assigneeIds"].orEmpty(),
+    dependencyIds = this["dependencyIds"].orEmpty(),
+    dueDate = this["dueDate"].orEmpty(),
+    metadata = this["metadata"].orEmpty(),
+    assignToAgent = this["assignToAgent"].orEmpty(),
+    skipConsensus = this["skipConsensus"] == "true",
+    emergency = this["emergency"] == "true",
+    notes = this["notes"].orEmpty(),
+    contextFiles = getAll("contextFile").orEmpty().map { it.trim() }.filter { it.isNotEmpty() }.distinct()
+)
+
+internal sealed interface CreateRequestResult {
+    data class Valid(val request: TaskCreationService.Request) : CreateRequestResult
+    data class Invalid(val errors: Map<String, String>) : CreateRequestResult
+}
+
+/**
+ * Check the wizard input the tools would only reject as a whole, so each
+ * problem can be shown next to its field.
+ */
+internal fun parseCreateRequest(values: TaskCreateWizard.Values, knownAgents: Set<AgentId>): CreateRequestResult {
+    val errors = linkedMapOf<String, String>()
+
+    val mode = when (values.mode) {
+        "simple" -> TaskCreationService.Mode.SIMPLE
+        "consensus" -> TaskCreationService.Mode.CONSENSUS
+        else -> { errors["mode"] = "Choose a simple or a consensus task"; null }
+    }
+
+    val title = values.title.trim()
+    when {
+        title.isEmpty() -> errors["title"] = "Title is required"
+        title.length > TaskEditForm.TITLE_MAX_LENGTH ->
+            errors["title"] = "Title must be at most ${TaskEditForm.TITLE_MAX_LENGTH} characters"
+    }
+
+    val type = TaskType.entries.find { it.name == values.type }
+    if (type == null) errors["type"] = "Choose a task type"
+
+    val complexity = values.complexity.trim().toIntOrNull()
+    if (complexity == null || complexity !in 1..10) errors["complexity"] = "Complexity must be a whole number from 1 to 10"
+
+    val risk = values.risk.trim().toIntOrNull()
+    if (risk == null || risk !in 1..10) errors["risk"] = "Risk must be a whole number from 1 to 10"
+
+    fun agentList(raw: String, field: String): List<String> {
+        val ids = raw.split(",").map { it.trim() }.filter { it.isNotEmpty() }.distinct()
+        if (knownAgents.isNotEmpty()) {
+            val unknown = ids.filterNot { AgentId(it) in knownAgents }
+            if (unknown.isNotEmpty()) errors[field] = "Unknown agent: ${unknown.joinToString()}"
+        }
+        return ids
+    }
+    val assignees = agentList(values.assigneeIds, "assigneeIds")
+    val assignTo = agentList(values.assignToAgent, "assignToAgent")
+    if (assignTo.size > 1) errors["assignToAgent"] = "Assign to one agent at most"
+
+    val dependencies = values.dependencyIds.split(",").map { it.trim() }.filter { it.isNotEmpty() }.distinct()
+    val missing = dependencies.filter { TaskRepository.findById(TaskId(it)) == null }
+    if (missing.isNotEmpty()) errors["dependencyIds"] = "Unknown task: ${missing.joinToString()}"
+
+    val dueAt = values.dueDate.trim().takeIf { it.isNotEmpty() }?.let { raw ->
+        parseBound(raw, endOfDay = true).also { if (it == null) errors["dueDate"] = "Use a date like 2025-01-31" }
+    }
+
+    val metadata = linkedMapOf<String, String>()
+    values.metadata.lines().map { it.trim() }.filter { it.isNotEmpty() }.forEach { line ->
+        val key = line.substringBefore('=', missingDelimiterValue = "").trim()
+        when {
+            key.isEmpty() -> errors.putIfAbsent("metadata", "Each line must look like key=value: \"$line\"")
+            key == TaskCreationService.CONTEXT_FILES_KEY ->
+                errors.putIfAbsent("metadata", "Attach files on the Context step instead of a ${TaskCreationService.CONTEXT_FILES_KEY} line")
+            else -> metadata[key] = line.substringAfter('=').trim()
+        }
+    }
+
+    if (values.contextFiles.isNotEmpty()) {
+        val indexed = ContextRepository.listAllFiles().filterNot { it.isDeleted }.map { it.relativePath }.toSet()
+        val notIndexed = values.contextFiles.filterNot { it in indexed }
+        if (notIndexed.isNotEmpty()) errors["contextFiles"] = "Not in the context index: ${notIndexed.joinToString()}"
+    }
+
+    if (errors.isNotEmpty()) return CreateRequestResult.Invalid(errors)
+
+    return CreateRequestResult.Valid(
+        TaskCreationService.Request(
+            mode = mode!!,
+            title = title,
+            description = values.description.trim().takeIf { it.isNotEmpty() },
+            type = type!!,
+            complexity = complexity!!,
+            risk = risk!!,
+            assigneeIds = assignees,
+            dependencyIds = dependencies,
+            dueAt = dueAt,
+            metadata = metadata,
+            assignToAgent = assignTo.singleOrNull(),
+            skipConsensus = mode == TaskCreationService.Mode.SIMPLE && values.skipConsensus,
+            emergency = values.emergency,
+            notes = values.notes.trim().takeIf { it.isNotEmpty() },
+            contextFiles = values.contextFiles
+        )
+    )
+}
+
+/**
+ * Replaces the wizard once the task exists.
+ */
+private fun renderTaskCreated(outcome: TaskCreationService.Outcome, title: String): String =
+    createHTML().div(classes = "modal__body task-create task-create--done") {
+        id = "task-create-form"
+        attributes["data-task-created"] = outcome.taskId
+        p {
+            +"Created "
+            strong { +title }
+            +" as ${outcome.taskId}, routed ${outcome.routing}"
+            outcome.primaryAgentId?.let { +" to $it" }
+            +"."
+        }
+        if (outcome.warnings.isNotEmpty()) {
+            ul(classes = "task-create__warnings") {
+                outcome.warnings.forEach { warning -> li { +warning } }
+            }
+        }
+        div(classes = "task-edit__actions") {
+            with(Modal) {
+                modalLink(
+                    href = "#task=${outcome.taskId}",
+                    modalUrl = "/tasks/${outcome.taskId}/modal",
+                    classes = "btn btn-primary"
+                ) { +"Open task" }
+            }
+            button(type = ButtonType.button, classes = "btn btn-secondary") {
+                attributes["data-modal-close"] = "modal-container"
+                +"Close"
+            }
+        }
+    }.toString()
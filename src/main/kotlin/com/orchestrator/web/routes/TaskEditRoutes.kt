@@ -0,0 +1,276 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskType
+import com.orchestrator.storage.repositories.DecisionRepository
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.TaskEditForm
+import io.ktor.http.ContentType
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.server.application.ApplicationCall
+import io.ktor.server.application.call
+import io.ktor.server.request.header
+import io.ktor.server.request.receiveParameters
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.delete
+import io.ktor.server.routing.get
+import io.ktor.server.routing.post
+import io.ktor.server.routing.put
+import java.time.Clock
+import java.time.Instant
+
+/**
+ * Refresh, edit, delete and restore for a single task.
+ *
+ * Responses are HTML fragments that replace the `task-detail-{id}` element of
+ * an open task modal. Every change publishes a [SystemEvent], which the task
+ * stream forwards to `/sse/tasks` so other open grids pick it up.
+ *
+ * @param knownAgents configured agents; assigning any other ID is rejected.
+ *   Empty accepts any ID.
+ */
+fun Route.taskEditRoutes(
+    knownAgents: Set<AgentId> = emptySet(),
+    clock: Clock = Clock.systemUTC(),
+    eventBus: EventBus = EventBus.global
+) {
+    val agentSuggestions = knownAgents.map { it.value }.sorted()
+
+    /**
+     * GET /tasks/{id}/refresh - Re-render the detail fragment only
+     */
+    get("/tasks/{id}/refresh") {
+        val task = call.findTaskOrRespond() ?: return@get
+        call.respondText(detailFragment(task), ContentType.Text.Html)
+    }
+
+    /**
+     * GET /tasks/{id}/edit - Edit form
+     *
+     * Requests targeting the detail fragment (the modal's Edit button) get the
+     * form alone; anything else gets a whole modal with the form as its body.
+     */
+    get("/tasks/{id}/edit") {
+        val task = call.findTaskOrRespond() ?: return@get
+        val form = TaskEditForm.Config(
+            taskId = task.id.value,
+            values = TaskEditForm.Values.from(task),
+            agents = agentSuggestions
+        )
+
+        val html = if (call.request.header("HX-Target") == "task-detail-${task.id.value}") {
+            TaskEditForm.render(form)
+        } else {
+            renderTaskModal(task, emptyList(), null, editForm = form)
+        }
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * PUT /tasks/{id} - Save the edit form
+     *
+     * 422 re-renders the form with an error next to each invalid field. 409
+     * means the task changed after the form was opened; the form comes back
+     * with the current values so nothing is overwritten silently.
+     */
+    put("/tasks/{id}") {
+        val task = call.findTaskOrRespond() ?: return@put
+        val values = call.receiveParameters().toEditValues()
+
+        if (values.version != TaskEditForm.versionOf(task)) {
+            val form = TaskEditForm.Config(
+                taskId = task.id.value,
+                values = TaskEditForm.Values.from(task),
+                formError = "This task was changed by someone else. Review the current values and save again.",
+                agents = agentSuggestions
+            )
+            call.respondText(TaskEditForm.render(form), ContentType.Text.Html, HttpStatusCode.Conflict)
+            return@put
+        }
+
+        val now = Instant.now(clock)
+        when (val result = applyEdit(task, values, knownAgents, now)) {
+            is EditResult.Invalid -> {
+                val form = TaskEditForm.Config(
+                    taskId = task.id.value,
+                    values = values,
+                    errors = result.errors,
+                    agents = agentSuggestions
+                )
+                call.respondText(TaskEditForm.render(form), ContentType.Text.Html, HttpStatusCode.UnprocessableEntity)
+            }
+            is EditResult.Valid -> {
+                TaskRepository.update(result.task)
+                eventBus.publish(SystemEvent.TaskUpdated(task.id, now))
+                call.respondText(detailFragment(result.task), ContentType.Text.Html)
+            }
+        }
+    }
+
+    /**
+     * DELETE /tasks/{id} - Soft delete
+     *
+     * The task moves to the deleted_tasks archive; the response offers a
+     * Restore button in place of the details.
+     */
+    delete("/tasks/{id}") {
+        val task = call.findTaskOrRespond() ?: return@delete
+        if (!TaskRepository.softDelete(task.id, Instant.now(clock))) {
+            call.respondText("Task not found", status = HttpStatusCode.NotFound)
+            return@delete
+        }
+        eventBus.publish(SystemEvent.TaskDeleted(task.id, task.title, Instant.now(clock)))
+        call.respondText(renderTaskDeletedFragment(task.id, task.title), ContentType.Text.Html)
+    }
+
+    /**
+     * POST /tasks/{id}/restore - Undo a soft delete
+     */
+    post("/tasks/{id}/restore") {
+        val id = call.parameters["id"]?.let { TaskId(it) }
+        if (id == null) {
+            call.respondText("Invalid task ID", status = HttpStatusCode.BadRequest)
+            return@post
+        }
+        if (!TaskRepository.isDeleted(id)) {
+            call.respondText("No deleted task with ID ${id.value}", status = HttpStatusCode.NotFound)
+            return@post
+        }
+        if (!TaskRepository.restore(id)) {
+            call.respondText("Another task now uses ID ${id.value}", status = HttpStatusCode.Conflict)
+            return@post
+        }
+
+        val task = TaskRepository.findById(id)
+        if (task == null) {
+            call.respondText("Task not found", status = HttpStatusCode.NotFound)
+            return@post
+        }
+        eventBus.publish(SystemEvent.TaskUpdated(id, Instant.now(clock)))
+        call.respondText(detailFragment(task), ContentType.Text.Html)
+    }
+}
+
+internal suspend fun ApplicationCall.findTaskOrRespond(): Task? {
+    val id = parameters["id"]?.let { TaskId(it) }
+    if (id == null) {
+        respondText("Invalid task ID", status = HttpStatusCode.BadRequest)
+        return null
+    }
+    val task = TaskRepository.findById(id)
+    if (task == null) {
+        respondText("Task not found", status = HttpStatusCode.NotFound)
+    }
+    return task
+}
+
+internal fun detailFragment(task: Task): String {
+    val dependencies = task.dependencies
+        .mapNotNull { dependencyId -> TaskRepository.findById(dependencyId) }
+        .associateBy { it.id }
+    return renderTaskDetailFragment(
+        task,
+        ProposalRepository.findByTask(task.id),
+        DecisionRepository.findByTask(task.id),
+        dependencies
+    )
+}
+
+private fun Parameters.toEditValues() = TaskEditForm.Values(
+    title = this["title"].orEmpty(),
+    description = this["description"].orEmpty(),
+    type = this["type"].orEmpty(),
+    routing = this["routing"].orEmpty(),
+    assigneeIds = this["assigneeIds"].orEmpty(),
+    complexity = this["complexity"].orEmpty(),
+    risk = this["risk"].orEmpty(),
+    dueDate = this["dueDate"].orEmpty(),
+    metadata = this["metadata"].orEmpty(),
+    version = this["version"].orEmpty()
+)
+
+internal sealed interface EditResult {
+    data class Valid(val task: Task) : EditResult
+    data class Invalid(val errors: Map<String, String>) : EditResult
+}
+
+/**
+ * Validate submitted form values against [task]. Fields the form does not
+ * cover (status, dependencies, timestamps other than updatedAt) are kept.
+ */
+internal fun applyEdit(task: Task, values: TaskEditForm.Values, knownAgents: Set<AgentId>, now: Instant): EditResult {
+    val errors = linkedMapOf<String, String>()
+
+    val title = values.title.trim()
+    when {
+        title.isEmpty() -> errors["title"] = "Title is required"
+        title.length > TaskEditForm.TITLE_MAX_LENGTH ->
+            errors["title"] = "Title must be at most ${TaskEditForm.TITLE_MAX_LENGTH} characters"
+    }
+
+    val type = TaskType.entries.find { it.name == values.type }
+    if (type == null) errors["type"] = "Choose a task type"
+
+    val routing = RoutingStrategy.entries.find { it.name == values.routing }
+    if (routing == null) errors["routing"] = "Choose a routing strategy"
+
+    val assignees = values.assigneeIds.split(",")
+        .map { it.trim() }
+        .filter { it.isNotEmpty() }
+        .map { AgentId(it) }
+        .toSet()
+    if (knownAgents.isNotEmpty()) {
+        val unknown = assignees.filterNot { it in knownAgents }
+        if (unknown.isNotEmpty()) errors["assigneeIds"] = "Unknown agent: ${unknown.joinToString { it.value }}"
+    }
+
+    val complexity = values.complexity.trim().toIntOrNull()
+    if (complexity == null || complexity !in 1..10) errors["complexity"] = "Complexity must be a whole number from 1 to 10"
+
+    val risk = values.risk.trim().toIntOrNull()
+    if (risk == null || risk !in 1..10) errors["risk"] = "Risk must be a whole number from 1 to 10"
+
+    val dueAt = values.dueDate.trim().takeIf { it.isNotEmpty() }?.let { raw ->
+        val parsed = parseBound(raw, endOfDay = true)
+        when {
+            parsed == null -> { errors["dueDate"] = "Use a date like 2025-01-31"; null }
+            parsed.isBefore(task.createdAt) -> { errors["dueDate"] = "Due date cannot be before the task was created"; null }
+            else -> parsed
+        }
+    }
+
+    val metadata = linkedMapOf<String, String>()
+    values.metadata.lines().map { it.trim() }.filter { it.isNotEmpty() }.forEach { line ->
+        val key = line.substringBefore('=', missingDelimiterValue = "").trim()
+        if (key.isEmpty()) {
+            errors.putIfAbsent("metadata", "Each line must look like key=value: \"$line\"")
+        } else {
+            metadata[key] = line.substringAfter('=').trim()
+        }
+    }
+
+    if (errors.isNotEmpty()) return EditResult.Invalid(errors)
+
+    return EditResult.Valid(
+        task.copy(
+            title = title,
+            description = values.description.trim().takeIf { it.isNotEmpty() },
+            type = type!!,
+            routing = routing!!,
+            assigneeIds = assignees,
+            complexity = complexity!!,
+            risk = risk!!,
+            dueAt = dueAt,
+            metadata = metadata,
+            updatedAt = if (now.isBefore(task.createdAt)) task.createdAt else now
+        )
+    )
+}
@@ -0,0 +1,116 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.components.TaskGraph
+import com.orchestrator.web.pages.TaskGraphPage
+import com.orchestrator.web.utils.DependencyGraph
+import io.ktor.http.ContentType
+import io.ktor.http.Parameters
+import io.ktor.http.formUrlEncode
+import io.ktor.server.application.call
+import io.ktor.server.response.respondText
+import io.ktor.server.routing.Route
+import io.ktor.server.routing.get
+
+/**
+ * Task dependency graph: the `/tasks/graph` page, its filterable diagram
+ * fragment, and the Dependencies tab of the task modal.
+ *
+ * Every diagram carries its own URL in `data-refresh-url`, which
+ * task-graph.js fetches again when tasks change.
+ */
+fun Route.taskGraphRoutes() {
+
+    /**
+     * GET /tasks/graph - Dependency graph page
+     */
+    get("/tasks/graph") {
+        val filters = call.request.queryParameters.toGraphFilters()
+        val agents = TaskRepository.distinctAssignees().map { it.value }
+        val html = TaskGraphPage.render(renderFilteredGraph(filters), filters, agents)
+
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(html, ContentType.Text.Html)
+    }
+
+    /**
+     * GET /tasks/graph/diagram - The page's graph for the filters
+     *
+     * Query parameters: agent, status (repeatable), isolated=true.
+     */
+    get("/tasks/graph/diagram") {
+        val filters = call.request.queryParameters.toGraphFilters()
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(renderFilteredGraph(filters), ContentType.Text.Html)
+    }
+
+    /**
+     * GET /tasks/{id}/graph - What the task waits on and what waits on it
+     */
+    get("/tasks/{id}/graph") {
+        val task = call.findTaskOrRespond() ?: return@get
+        val graph = DependencyGraph.around(loadAllTasks(), task.id)
+        val html = TaskGraph.render(
+            TaskGraph.Model(scope = task.id.value, graph = graph, refreshUrl = "/tasks/${task.id.value}/graph")
+        )
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(html, ContentType.Text.Html)
+    }
+}
+
+internal fun Parameters.toGraphFilters(): TaskGraphPage.Filters = TaskGraphPage.Filters(
+    agent = this["agent"]?.trim()?.takeIf { it.isNotEmpty() },
+    statuses = getAll("status").orEmpty()
+        .mapNotNull { value -> TaskStatus.entries.firstOrNull { it.name.equals(value.trim(), ignoreCase = true) } }
+        .toSet(),
+    withIsolated = this["isolated"] == "true"
+)
+
+private fun renderFilteredGraph(filters: TaskGraphPage.Filters): String {
+    val graph = DependencyGraph.build(
+        loadAllTasks(),
+        include = { task ->
+            (filters.agent == null || task.assigneeIds.any { it.value == filters.agent }) &&
+                (filters.statuses.isEmpty() || task.status in filters.statuses)
+        },
+        withIsolated = filters.withIsolated
+    )
+    val truncated = graph.tasks.size > TaskGraph.MAX_TASKS
+    val shown = if (truncated) trimGraph(graph) else graph
+    return TaskGraph.render(
+        TaskGraph.Model(
+            scope = "all",
+            graph = shown,
+            refreshUrl = graphDiagramUrl(filters),
+            truncatedFrom = if (truncated) graph.tasks.size else null
+        )
+    )
+}
+
+/** Keep the [TaskGraph.MAX_TASKS] most recent tasks and the edges between them. */
+private fun trimGraph(graph: DependencyGraph.Graph): DependencyGraph.Graph {
+    val kept = graph.tasks.takeLast(TaskGraph.MAX_TASKS)
+    val keptIds = kept.map { it.id }.toSet()
+    val edges = graph.edges.filter { it.to in keptIds && (it.from in keptIds || it.from in graph.missing) }
+    return graph.copy(
+        tasks = kept,
+        missing = graph.missing.filter { id -> edges.any { it.from == id } }.toSet(),
+        edges = edges,
+        cycles = graph.cycles.filter { cycle -> cycle.any { it in keptIds } },
+        blocked = graph.blocked intersect keptIds
+    )
+}
+
+private fun graphDiagramUrl(filters: TaskGraphPage.Filters): String {
+    val query = buildList {
+        filters.agent?.let { add("agent" to it) }
+        filters.statuses.sortedBy { it.ordinal }.forEach { add("status" to it.name) }
+        if (filters.withIsolated) add("isolated" to "true")
+    }.formUrlEncode()
+    return if (query.isEmpty()) "/tasks/graph/diagram" else "/tasks/graph/diagram?$query"
+}
+
+private fun loadAllTasks(): List<Task> =
+    TaskRepository.queryFiltered(null, null, null, null, Int.MAX_VALUE, 0).first
@@ -2,10 +2,14 @@ package com.orchestrator.web.routes
 
 import com.orchestrator.domain.Decision
 import com.orchestrator.domain.Proposal
+import com.orchestrator.domain.RoutingStrategy
 import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.web.components.ConsensusViewer
 import com.orchestrator.web.components.DecisionComponent
 import com.orchestrator.web.components.Modal
 import com.orchestrator.web.components.StatusBadge
+import com.orchestrator.web.components.TaskEditForm
 import com.orchestrator.web.components.displayName
 import com.orchestrator.web.components.toTone
 import com.orchestrator.web.utils.JsonFormatter
@@ -15,7 +19,17 @@ import kotlinx.html.stream.createHTML
 import java.time.ZoneId
 import java.time.format.DateTimeFormatter
 
-internal fun renderTaskModal(task: Task, proposals: List<Proposal>, decision: Decision?): String {
+/**
+ * @param dependencies the tasks in [Task.dependencies] that still exist, by ID
+ * @param editForm when set, the body shows the edit form instead of the details
+ */
+internal fun renderTaskModal(
+    task: Task,
+    proposals: List<Proposal>,
+    decision: Decision?,
+    dependencies: Map<TaskId, Task> = emptyMap(),
+    editForm: TaskEditForm.Config? = null
+): String {
     return createHTML().div {
         // Backdrop - direct child of modal-container
         div(classes = "modal__backdrop") {}
@@ -23,6 +37,7 @@ internal fun renderTaskModal(task: Task, proposals: List<Proposal>, decision: De
         // Modal content - direct child of modal-container
         div(classes = "modal__content") {
             attributes["id"] = "task-detail-modal"
+            attributes["data-task-id"] = task.id.value
             div(classes = "modal__header") {
                 h3(classes = "modal__title") {
                     attributes["id"] = "task-detail-title"
@@ -35,42 +50,111 @@ internal fun renderTaskModal(task: Task, proposals: List<Proposal>, decision: De
                 }
             }
 
-            div(classes = "modal__body") {
-                // Task Information
-                div(classes = "mb-lg") {
-                    h4(classes = "mt-0 mb-md") { +"Task Information" }
-                    ul(classes = "details-list") {
-                        li { strong { +"ID:" }; span { +task.id.value } }
-                        li {
-                            strong { +"Status:" }
-                            span {
-                                unsafe { +StatusBadge.render(StatusBadge.Config(label = task.status.displayName, tone = task.status.toTone())) }
-                            }
-                        }
-                        li {
-                            strong { +"Type:" }
-                            span {
-                                unsafe { +StatusBadge.render(StatusBadge.Config(label = task.type.displayName, tone = task.type.toTone(), outline = true)) }
-                            }
+            unsafe {
+                +(editForm?.let { TaskEditForm.render(it) }
+                    ?: renderTaskDetailFragment(task, proposals, decision, dependencies))
+            }
+        }
+    }.toString()
+}
+
+/**
+ * The task modal body. Refresh, Save and Restore answer with this fragment and
+ * swap it in place by its `task-detail-{id}` ID, leaving the modal header and
+ * any stacked layers alone.
+ */
+internal fun renderTaskDetailFragment(
+    task: Task,
+    proposals: List<Proposal>,
+    decision: Decision?,
+    dependencies: Map<TaskId, Task> = emptyMap()
+): String {
+    return createHTML().div(classes = "modal__body") {
+        id = "task-detail-${task.id.value}"
+        taskDetailActions(task.id.value)
+        taskDetailTabs(task.id.value)
+
+        div(classes = "task-tab-panel") {
+            id = "task-tab-details-${task.id.value}"
+            attributes["role"] = "tabpanel"
+            attributes["aria-labelledby"] = "task-tab-details-${task.id.value}-tab"
+
+            // Task Information
+            div(classes = "mb-lg") {
+                h4(classes = "mt-0 mb-md") { +"Task Information" }
+                ul(classes = "details-list") {
+                    li { strong { +"ID:" }; span { +task.id.value } }
+                    li {
+                        strong { +"Status:" }
+                        span {
+                            unsafe { +StatusBadge.render(StatusBadge.Config(label = task.status.displayName, tone = task.status.toTone())) }
                         }
-                        li { strong { +"Routing:" }; span { +task.routing.name } }
-                        li { strong { +"Complexity:" }; span { +"${task.complexity}/10" } }
-                        li { strong { +"Risk:" }; span { +"${task.risk}/10" } }
-                        li { strong { +"Assignees:" }; span { +task.assigneeIds.joinToString { it.value } } }
-                        li {
-                            strong { +"Created:" }
-                            span { +task.createdAt.atZone(ZoneId.systemDefault()).format(DateTimeFormatter.RFC_1123_DATE_TIME) }
+                    }
+                    li {
+                        strong { +"Type:" }
+                        span {
+                            unsafe { +StatusBadge.render(StatusBadge.Config(label = task.type.displayName, tone = task.type.toTone(), outline = true)) }
                         }
                     }
-                    task.description?.let { desc ->
-                        div(classes = "mt-md") {
-                            strong { +"Description:" }
-                            p(classes = "mt-sm") { +desc }
+                    li { strong { +"Routing:" }; span { +task.routing.name } }
+                    li { strong { +"Complexity:" }; span { +"${task.complexity}/10" } }
+                    li { strong { +"Risk:" }; span { +"${task.risk}/10" } }
+                    li { strong { +"Assignees:" }; span { +task.assigneeIds.joinToString { it.value } } }
+                    li {
+                        strong { +"Created:" }
+                        span { +task.createdAt.atZone(ZoneId.systemDefault()).format(DateTimeFormatter.RFC_1123_DATE_TIME) }
+                    }
+                }
+                task.description?.let { desc ->
+                    div(classes = "mt-md") {
+                        strong { +"Description:" }
+                        p(classes = "mt-sm") { +desc }
+                    }
+                }
+            }
+
+            // Dependencies Section - each opens on top of this modal
+            if (task.dependencies.isNotEmpty()) {
+                div(classes = "mb-lg") {
+                    h4(classes = "mt-0 mb-md") { +"Depends on (${task.dependencies.size})" }
+                    ul(classes = "details-list modal-links") {
+                        task.dependencies.sortedBy { it.value }.forEach { dependencyId ->
+                            val dependency = dependencies[dependencyId]
+                            li {
+                                with(Modal) { taskModalLink(dependencyId.value, classes = "modal-link") }
+                                if (dependency != null) {
+                                    span { +dependency.title }
+                                    unsafe {
+                                        +StatusBadge.render(
+                                            StatusBadge.Config(label = dependency.status.displayName, tone = dependency.status.toTone())
+                                        )
+                                    }
+                                } else {
+                                    span(classes = "text-muted") { +"Task no longer exists" }
+                                }
+                            }
                         }
                     }
                 }
+            }
+
+            // Respond panel and history - loaded after the details (see HumanInputRoutes)
+            div(classes = "mb-lg") {
+                div(classes = "human-input human-input--loading") {
+                    id = "human-input-${task.id.value}"
+                    attributes["hx-get"] = "/tasks/${task.id.value}/respond"
+                    attributes["hx-trigger"] = "load"
+                    attributes["hx-swap"] = "outerHTML"
+                    p(classes = "text-muted") { +"Loading responses…" }
+                }
+            }
 
-                // Proposals Section
+            // Proposals Section - consensus tasks get the live round viewer instead
+            if (task.routing == RoutingStrategy.CONSENSUS) {
+                div(classes = "mb-lg") {
+                    unsafe { +ConsensusViewer.render(consensusViewerModel(task.id, proposals, decision)) }
+                }
+            } else {
                 div(classes = "mb-lg") {
                     h4(classes = "mt-0 mb-md") { +"Proposals (${proposals.size})" }
                     if (proposals.isEmpty()) {
@@ -78,57 +162,85 @@ internal fun renderTaskModal(task: Task, proposals: List<Proposal>, decision: De
                     } else {
                         proposals.forEach { proposal ->
                             div(classes = "proposal-item mb-md") {
-                                h5 { +"Proposal from ${proposal.agentId.value}" }
+                                h5 {
+                                    +"Proposal from ${proposal.agentId.value} "
+                                    with(Modal) {
+                                        proposalModalLink(proposal.id.value, classes = "modal-link") { +"Open proposal" }
+                                    }
+                                }
                                 pre { code { +JsonFormatter.format(proposal.content) } }
                             }
                         }
                     }
                 }
+            }
 
-                // Decision Section
-                decision?.let {
-                    div(classes = "mb-lg") {
-                        unsafe {
-                            +DecisionComponent.render(
-                                DecisionComponent.Model(
-                                    decision = it,
-                                    zoneId = ZoneId.systemDefault()
-                                )
+            // Decision Section
+            decision?.let {
+                div(classes = "mb-lg") {
+                    unsafe {
+                        +DecisionComponent.render(
+                            DecisionComponent.Model(
+                                decision = it,
+                                zoneId = ZoneId.systemDefault()
                             )
+                        )
+                    }
+                    if (it.considered.isNotEmpty()) {
+                        p(classes = "modal-links mt-md") {
+                            strong { +"Considered proposals: " }
+                            it.considered.forEach { ref ->
+                                with(Modal) {
+                                    proposalModalLink(ref.id.value, classes = "modal-link") {
+                                        +ref.agentId.value
+                                        if (ref.id == it.winnerProposalId) +" (winner)"
+                                    }
+                                }
+                            }
                         }
                     }
                 }
+            }
 
-                // Mermaid Diagram
-                val diagram = MermaidGenerator.buildTaskSequence(task, proposals, decision)
-                val diagramId = "mermaid-modal-${task.id.value.replace(Regex("[^a-zA-Z0-9_-]"), "-")}"
-                div(classes = "mb-lg") {
-                    h4(classes = "mt-0 mb-md") { +"Task Flow" }
-                    div(classes = "mermaid") {
-                        attributes["id"] = diagramId
-                        if (diagram.isNotBlank()) {
-                            unsafe { +diagram }
-                        }
+            // Mermaid Diagram
+            val diagram = MermaidGenerator.buildTaskSequence(task, proposals, decision)
+            val diagramId = "mermaid-modal-${task.id.value.replace(Regex("[^a-zA-Z0-9_-]"), "-")}"
+            div(classes = "mb-lg") {
+                h4(classes = "mt-0 mb-md") { +"Task Flow" }
+                div(classes = "mermaid") {
+                    attributes["id"] = diagramId
+                    if (diagram.isNotBlank()) {
+                        unsafe { +diagram }
                     }
                 }
             }
-        }
 
-        // Scripts for Mermaid rendering
-        script {
-            unsafe {
-                +"""
-                    (function() {
-                        // Load and render Mermaid
-                        if (typeof mermaid === 'undefined') {
-                            var mermaidScript = document.createElement('script');
-                            mermaidScript.src = '/static/js/mermaid.min.js';
-                            mermaidScript.onload = function() {
-                                mermaid.initialize({
-                                    startOnLoad: false,
-                                    theme: 'default',
-                                    securityLevel: 'loose'
-                                });
+            // Scripts for Mermaid rendering
+            script {
+                unsafe {
+                    +"""
+                        (function() {
+                            // Load and render Mermaid
+                            if (typeof mermaid === 'undefined') {
+                                var mermaidScript = document.createElement('script');
+                                mermaidScript.src = '/static/js/mermaid.min.js';
+                                mermaidScript.onload = function() {
+                                    mermaid.initialize({
+                                        startOnLoad: false,
+                                        theme: 'default',
+                                        securityLevel: 'loose'
+                                    });
+                                    mermaid.run({
+                                        querySelector: '.mermaid'
+                                    }).then(function() {
+                                        console.log('Mermaid diagram rendered in modal');
+                                    }).catch(function(error) {
+                                        console.error('Mermaid rendering error:', error);
+                                    });
+                                };
+                                document.head.appendChild(mermaidScript);
+                            } else {
+                                // Mermaid already loaded, just render
                                 mermaid.run({
                                     querySelector: '.mermaid'
                                 }).then(function() {
@@ -136,21 +248,90 @@ internal fun renderTaskModal(task: Task, proposals: List<Proposal>, decision: De
                                 }).catch(function(error) {
                                     console.error('Mermaid rendering error:', error);
                                 });
-                            };
-                            document.head.appendChild(mermaidScript);
-                        } else {
-                            // Mermaid already loaded, just render
-                            mermaid.run({
-                                querySelector: '.mermaid'
-                            }).then(function() {
-                                console.log('Mermaid diagram rendered in modal');
-                            }).catch(function(error) {
-                                console.error('Mermaid rendering error:', error);
-                            });
-                        }
-                    })();
-                """.trimIndent()
+                            }
+                        })();
+                    """.trimIndent()
+                }
             }
         }
+
+        // Dependency graph - drawn the first time its tab is opened (see TaskGraphRoutes)
+        div(classes = "task-tab-panel") {
+            id = "task-tab-graph-${task.id.value}"
+            attributes["role"] = "tabpanel"
+            attributes["aria-labelledby"] = "task-tab-graph-${task.id.value}-tab"
+            attributes["hx-get"] = "/tasks/${task.id.value}/graph"
+            attributes["hx-trigger"] = "tab:shown once"
+            attributes["hx-swap"] = "innerHTML"
+            attributes["hidden"] = "hidden"
+            p(classes = "text-muted") { +"Loading dependency graph…" }
+        }
     }.toString()
 }
+
+/**
+ * Shown in place of the detail fragment after a delete, with a way back.
+ */
+internal fun renderTaskDeletedFragment(taskId: TaskId, title: String): String {
+    return createHTML().div(classes = "modal__body task-deleted") {
+        id = "task-detail-${taskId.value}"
+        attributes["data-task-deleted"] = taskId.value
+        p {
+            strong { +title }
+            +" was deleted."
+        }
+        button(classes = "btn btn-secondary") {
+            type = ButtonType.button
+            attributes["hx-post"] = "/tasks/${taskId.value}/restore"
+            attributes["hx-target"] = "#task-detail-${taskId.value}"
+            attributes["hx-swap"] = "outerHTML"
+            +"Restore"
+        }
+    }.toString()
+}
+
+private fun FlowContent.taskDetailActions(taskId: String) {
+    div(classes = "task-detail__actions task-detail__actions--toolbar") {
+        button(classes = "btn btn-secondary btn-sm") {
+            type = ButtonType.button
+            attributes["hx-get"] = "/tasks/$taskId/refresh"
+            attributes["hx-target"] = "#task-detail-$taskId"
+            attributes["hx-swap"] = "outerHTML"
+            +"Refresh"
+        }
+        button(classes = "btn btn-secondary btn-sm") {
+            type = ButtonType.button
+            attributes["hx-get"] = "/tasks/$taskId/edit"
+            attributes["hx-target"] = "#task-detail-$taskId"
+            attributes["hx-swap"] = "outerHTML"
+            +"Edit"
+        }
+        button(classes = "btn btn-danger btn-sm") {
+            type = ButtonType.button
+            attributes["hx-delete"] = "/tasks/$taskId"
+            attributes["hx-confirm"] = "Delete this task? You can restore it afterwards."
+            attributes["hx-target"] = "#task-detail-$taskId"
+            attributes["hx-swap"] = "outerHTML"
+            +"Delete"
+        }
+    }
+}
+
+/** Details | Dependencies; modal.js switches the panels and fires `tab:shown`. */
+private fun FlowContent.taskDetailTabs(taskId: String) {
+    div(classes = "task-tabs") {
+        attributes["role"] = "tablist"
+        attributes["aria-label"] = "Task views"
+        listOf("details" to "Details", "graph" to "Dependencies").forEachIndexed { index, (key, label) ->
+            button(classes = "task-tabs__tab") {
+                type = ButtonType.button
+                id = "task-tab-$key-$taskId-tab"
+                attributes["role"] = "tab"
+                attributes["aria-controls"] = "task-tab-$key-$taskId"
+                attributes["aria-selected"] = (index == 0).toString()
+                attributes["tabindex"] = if (index == 0) "0" else "-1"
+                +label
+            }
+        }
+    }
+}
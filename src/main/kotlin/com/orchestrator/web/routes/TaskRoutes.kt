@@ -7,23 +7,33 @@ import com.orchestrator.domain.TaskId
 import com.orchestrator.domain.TaskStatus
 import com.orchestrator.domain.TaskType
 import com.orchestrator.storage.repositories.DecisionRepository
+import com.orchestrator.storage.repositories.FilterPresetRepository
 import com.orchestrator.storage.repositories.ProposalRepository
 import com.orchestrator.storage.repositories.TaskRepository
 import com.orchestrator.web.components.AgGrid
+import com.orchestrator.web.components.SearchFilter
 import com.orchestrator.web.components.TaskGridRowFactory
 import com.orchestrator.web.components.TaskGridRowFactory.toRowMap
+import com.orchestrator.web.components.displayName
 import com.orchestrator.web.pages.TaskDetailPage
 import com.orchestrator.web.pages.TasksPage
 import com.orchestrator.web.routes.renderTaskModal
 import com.orchestrator.web.rendering.Fragment
+import com.orchestrator.web.sse.SSEEvent
 import io.ktor.http.HttpStatusCode
 import io.ktor.http.Parameters
+import io.ktor.http.formUrlEncode
 import io.ktor.server.application.call
 import io.ktor.server.response.respondText
 import io.ktor.server.routing.Route
 import io.ktor.server.routing.get
 import java.time.Clock
 import java.time.Instant
+import java.time.LocalDate
+import java.time.ZoneOffset
+import kotlinx.serialization.Serializable
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
 
 /**
  * Query parameters for task filtering, sorting, and pagination
@@ -40,6 +50,8 @@ data class TaskQueryParams(
     val complexityMax: Int = 10,
     val createdAfter: Instant? = null,
     val createdBefore: Instant? = null,
+    val dueAfter: Instant? = null,
+    val dueBefore: Instant? = null,
     val sortBy: String = "updated_at",
     val sortOrder: SortDirection = SortDirection.DESC,
     val page: Int = 1,
@@ -57,6 +69,19 @@ data class TaskQueryParams(
     }
 }
 
+/**
+ * One page of task rows for the grid's infinite row model.
+ */
+@Serializable
+data class TaskGridPage(
+    val rows: List<TaskGridRowFactory.TaskGridRow>,
+    val total: Int,
+    val page: Int,
+    val pageSize: Int,
+    /** SSE event ID the page was read at; later task events may already be reflected. */
+    val lastEventId: String
+)
+
 enum class SortDirection {
     ASC,
     DESC,
@@ -69,30 +94,38 @@ enum class SortDirection {
 fun Parameters.toTaskQueryParams(): TaskQueryParams {
     val search = this["search"]?.take(100)
 
-    val status = this.getAll("status")
-        ?.mapNotNull { s -> TaskStatus.entries.find { it.name.equals(s, ignoreCase = true) } }
-        ?.toSet() ?: emptySet()
+    // Multi-value filters accept repeated keys (status=A&status=B) and comma lists (status=A,B).
+    fun values(name: String): List<String> = this.getAll(name)
+        ?.flatMap { it.split(",") }
+        ?.map { it.trim() }
+        ?.filter { it.isNotEmpty() }
+        ?: emptyList()
+
+    val status = values("status")
+        .mapNotNull { s -> TaskStatus.entries.find { it.name.equals(s, ignoreCase = true) } }
+        .toSet()
 
-    val type = this.getAll("type")
-        ?.mapNotNull { t -> TaskType.entries.find { it.name.equals(t, ignoreCase = true) } }
-        ?.toSet() ?: emptySet()
+    val type = values("type")
+        .mapNotNull { t -> TaskType.entries.find { it.name.equals(t, ignoreCase = true) } }
+        .toSet()
 
-    val routing = this.getAll("routing")
-        ?.mapNotNull { r -> RoutingStrategy.entries.find { it.name.equals(r, ignoreCase = true) } }
-        ?.toSet() ?: emptySet()
+    val routing = values("routing")
+        .mapNotNull { r -> RoutingStrategy.entries.find { it.name.equals(r, ignoreCase = true) } }
+        .toSet()
 
-    val assigneeIds = this.getAll("assigneeIds")
-        ?.flatMap { it.split(",") }
-        ?.map { AgentId(it.trim()) }
-        ?.toSet() ?: emptySet()
+    val assigneeIds = values("assigneeIds")
+        .map { AgentId(it) }
+        .toSet()
 
     val riskMin = this["riskMin"]?.toIntOrNull()?.coerceIn(1, 10) ?: 1
     val riskMax = this["riskMax"]?.toIntOrNull()?.coerceIn(1, 10) ?: 10
     val complexityMin = this["complexityMin"]?.toIntOrNull()?.coerceIn(1, 10) ?: 1
     val complexityMax = this["complexityMax"]?.toIntOrNull()?.coerceIn(1, 10) ?: 10
 
-    val createdAfter = this["createdAfter"]?.let { runCatching { Instant.parse(it) }.getOrNull() }
-    val createdBefore = this["createdBefore"]?.let { runCatching { Instant.parse(it) }.getOrNull() }
+    val createdAfter = this["createdAfter"]?.let { parseBound(it, endOfDay = false) }
+    val createdBefore = this["createdBefore"]?.let { parseBound(it, endOfDay = true) }
+    val dueAfter = this["dueAfter"]?.let { parseBound(it, endOfDay = false) }
+    val dueBefore = this["dueBefore"]?.let { parseBound(it, endOfDay = true) }
 
     val sortBy = this["sortBy"] ?: "updated_at"
     val sortOrder = when (this["sortOrder"]?.lowercase()) {
@@ -117,6 +150,8 @@ fun Parameters.toTaskQueryParams(): TaskQueryParams {
         complexityMax = complexityMax,
         createdAfter = createdAfter,
         createdBefore = createdBefore,
+        dueAfter = dueAfter,
+        dueBefore = dueBefore,
         sortBy = sortBy,
         sortOrder = sortOrder,
         page = page,
@@ -124,16 +159,71 @@ fun Parameters.toTaskQueryParams(): TaskQueryParams {
     )
 }
 
+/**
+ * Parse a date-range bound: either an ISO-8601 instant or a plain `yyyy-MM-dd`
+ * date (as sent by date inputs), which covers the whole UTC day.
+ */
+internal fun parseBound(value: String, endOfDay: Boolean): Instant? {
+    runCatching { Instant.parse(value) }.getOrNull()?.let { return it }
+    val date = runCatching { LocalDate.parse(value) }.getOrNull() ?: return null
+    return if (endOfDay) {
+        date.plusDays(1).atStartOfDay(ZoneOffset.UTC).toInstant().minusMillis(1)
+    } else {
+        date.atStartOfDay(ZoneOffset.UTC).toInstant()
+    }
+}
+
+/**
+ * Inverse of [toTaskQueryParams] for the filter fields: only values that differ
+ * from the defaults are written, multi-value filters as repeated keys. Sorting
+ * and paging are left out, so the result describes *what* is shown and can be
+ * stored as a preset or put in a shareable link.
+ */
+fun TaskQueryParams.toQueryString(): String {
+    val defaults = TaskQueryParams()
+    return Parameters.build {
+        search?.takeIf { it.isNotBlank() }?.let { append("search", it) }
+        status.sortedBy { it.ordinal }.forEach { append("status", it.name) }
+        type.sortedBy { it.ordinal }.forEach { append("type", it.name) }
+        routing.sortedBy { it.ordinal }.forEach { append("routing", it.name) }
+        assigneeIds.map { it.value }.sorted().forEach { append("assigneeIds", it) }
+        if (riskMin != defaults.riskMin) append("riskMin", riskMin.toString())
+        if (riskMax != defaults.riskMax) append("riskMax", riskMax.toString())
+        if (complexityMin != defaults.complexityMin) append("complexityMin", complexityMin.toString())
+        if (complexityMax != defaults.complexityMax) append("complexityMax", complexityMax.toString())
+        createdAfter?.let { append("createdAfter", it.toString()) }
+        createdBefore?.let { append("createdBefore", it.toString()) }
+        dueAfter?.let { append("dueAfter", it.toString()) }
+        dueBefore?.let { append("dueBefore", it.toString()) }
+    }.formUrlEncode()
+}
+
 fun Route.taskRoutes(clock: Clock = Clock.systemUTC()) {
 
     /**
      * GET /tasks - Main tasks list page
      */
     get("/tasks") {
-        val defaultParams = TaskQueryParams()
-        val (tasks, _) = queryTasks(defaultParams)
-        val gridData = buildTasksGridData(tasks, clock, defaultParams.pageSize)
-        val html = TasksPage.render(gridData)
+        // Rows are fetched from /tasks/data by the grid; the page only carries the
+        // stream position so events raised while those requests run are replayed.
+        val gridData = TasksPage.GridData(
+            columnDefs = defaultTaskGridColumns(),
+            pageSize = TaskQueryParams().pageSize,
+            dataUrl = "/tasks/data",
+            lastEventId = SSEEvent.latestIssuedId().toString()
+        )
+        // The grid reads its filters from the page URL, so the form starts from the same parameters.
+        val params = runCatching { call.request.queryParameters.toTaskQueryParams() }.getOrElse { TaskQueryParams() }
+        val presets = FilterPresetRepository.listByOwner(call.filterPresetOwner())
+        // The board loads the most recently updated tasks matching the same filters in one request.
+        val filterQuery = params.toQueryString()
+        val board = TasksPage.BoardData(
+            dataUrl = "/tasks/data?" + listOf(filterQuery, "pageSize=${TasksPage.BOARD_MAX_TASKS}")
+                .filter { it.isNotEmpty() }.joinToString("&"),
+            lastEventId = gridData.lastEventId,
+            filterQuery = filterQuery
+        )
+        val html = TasksPage.render(gridData, buildTaskFilterConfig(params, presets), call.tasksView(), board)
         call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
         call.respondText(html, io.ktor.http.ContentType.Text.Html)
     }
@@ -149,7 +239,8 @@ fun Route.taskRoutes(clock: Clock = Clock.systemUTC()) {
      * - assigneeIds: comma-separated agent IDs
      * - riskMin, riskMax: risk range (1-10)
      * - complexityMin, complexityMax: complexity range (1-10)
-     * - createdAfter, createdBefore: ISO-8601 timestamps
+     * - createdAfter, createdBefore: ISO-8601 timestamps or yyyy-MM-dd dates
+     * - dueAfter, dueBefore: same, applied to the due date
      * - sortBy: column name (default: created_at)
      * - sortOrder: asc|desc (default: desc)
      * - page: page number (default: 1)
@@ -180,6 +271,39 @@ fun Route.taskRoutes(clock: Clock = Clock.systemUTC()) {
         call.respondText(html, io.ktor.http.ContentType.Text.Html)
     }
 
+    /**
+     * GET /tasks/data - Returns one page of grid rows as JSON
+     *
+     * Accepts the same query parameters as /tasks/table. Responds with a
+     * [TaskGridPage]; `total` is the filtered row count so the grid can size
+     * its scrollbar and pager.
+     */
+    get("/tasks/data") {
+        val params = try {
+            call.request.queryParameters.toTaskQueryParams()
+        } catch (e: IllegalArgumentException) {
+            call.respondText(
+                status = HttpStatusCode.BadRequest,
+                text = "Invalid query parameters: ${e.message}"
+            )
+            return@get
+        }
+
+        // Capture the stream position before querying so no event between the two is lost.
+        val lastEventId = SSEEvent.latestIssuedId().toString()
+        val (tasks, totalCount) = queryTasks(params)
+        val page = TaskGridPage(
+            rows = tasks.map { TaskGridRowFactory.fromTask(it, clock) },
+            total = totalCount,
+            page = params.page,
+            pageSize = params.pageSize,
+            lastEventId = lastEventId
+        )
+
+        call.response.headers.append("Cache-Control", "no-cache, no-store, must-revalidate")
+        call.respondText(Json.encodeToString(page), io.ktor.http.ContentType.Application.Json)
+    }
+
     get("/tasks/{id}") {
         val id = call.parameters["id"]?.let { TaskId(it) }
         if (id == null) {
@@ -223,106 +347,98 @@ fun Route.taskRoutes(clock: Clock = Clock.systemUTC()) {
         val proposals = ProposalRepository.findByTask(id)
         val decision = DecisionRepository.findByTask(id)
 
-        val html = renderTaskModal(task, proposals, decision)
+        val dependencies = task.dependencies
+            .mapNotNull { dependencyId -> TaskRepository.findById(dependencyId) }
+            .associateBy { it.id }
+
+        val html = renderTaskModal(task, proposals, decision, dependencies)
         call.respondText(html, io.ktor.http.ContentType.Text.Html)
     }
 }
 
 /**
- * Query tasks from repository with filters applied
+ * One page of tasks matching [params]. Filtering, sorting and paging all happen in SQL,
+ * so a page costs the same however many tasks there are.
  */
 private fun queryTasks(params: TaskQueryParams): Pair<List<Task>, Int> {
-    // For now, use simple queryFiltered from TaskRepository
-    // TODO: Extend TaskRepository to support full filter set including search, risk, complexity ranges
-
-    // Simple implementation using queryFiltered with basic filters
-    val status = params.status.firstOrNull() // Simplified - repository only supports single status
-    val agentId = params.assigneeIds.firstOrNull() // Simplified - repository only supports single agent
-
-    val (allTasks, total) = TaskRepository.queryFiltered(
-        status = status,
-        agentId = agentId,
-        from = params.createdAfter,
-        to = params.createdBefore,
-        limit = 1000, // Fetch more for in-memory filtering
-        offset = 0
+    val criteria = TaskRepository.Criteria(
+        search = params.search,
+        statuses = params.status,
+        types = params.type,
+        routings = params.routing,
+        assigneeIds = params.assigneeIds,
+        risk = params.riskMin..params.riskMax,
+        complexity = params.complexityMin..params.complexityMax,
+        createdAfter = params.createdAfter,
+        createdBefore = params.createdBefore,
+        dueAfter = params.dueAfter,
+        dueBefore = params.dueBefore
     )
+    val sort = TASK_SORT_KEYS[params.sortBy]
+    return TaskRepository.query(
+        criteria = criteria,
+        // NONE keeps the repository order; unknown columns show the most recently updated first
+        sort = if (params.sortOrder == SortDirection.NONE) null else sort ?: TaskRepository.SortKey.UPDATED_AT,
+        ascending = sort != null && params.sortOrder == SortDirection.ASC,
+        limit = params.pageSize,
+        offset = (params.page - 1) * params.pageSize
+    )
+}
 
-    // Apply additional filters in-memory (TODO: move to SQL for performance)
-    var filtered = allTasks
-
-    // Filter by status set
-    if (params.status.isNotEmpty()) {
-        filtered = filtered.filter { it.status in params.status }
-    }
-
-    // Filter by type set
-    if (params.type.isNotEmpty()) {
-        filtered = filtered.filter { it.type in params.type }
-    }
-
-    // Filter by routing set
-    if (params.routing.isNotEmpty()) {
-        filtered = filtered.filter { it.routing in params.routing }
-    }
-
-    // Filter by assignee IDs
-    if (params.assigneeIds.isNotEmpty()) {
-        filtered = filtered.filter { task ->
-            params.assigneeIds.any { it in task.assigneeIds }
-        }
-    }
-
-    // Filter by risk range
-    filtered = filtered.filter { it.risk in params.riskMin..params.riskMax }
-
-    // Filter by complexity range
-    filtered = filtered.filter { it.complexity in params.complexityMin..params.complexityMax }
-
-    // Filter by search text
-    if (!params.search.isNullOrBlank()) {
-        val searchLower = params.search.lowercase()
-        filtered = filtered.filter {
-            it.id.value.lowercase().contains(searchLower) ||
-            it.title.lowercase().contains(searchLower) ||
-            it.description?.lowercase()?.contains(searchLower) == true
-        }
-    }
-
-    // Sort
-    if (params.sortOrder != SortDirection.NONE) {
-        filtered = when (params.sortBy) {
-            "id" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.id.value } else filtered.sortedByDescending { it.id.value }
-            "title" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.title } else filtered.sortedByDescending { it.title }
-            "status" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.status.ordinal } else filtered.sortedByDescending { it.status.ordinal }
-            "type" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.type.ordinal } else filtered.sortedByDescending { it.type.ordinal }
-            "agents" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.assigneeIds.firstOrNull()?.value } else filtered.sortedByDescending { it.assigneeIds.firstOrNull()?.value }
-            "updated_at" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.updatedAt ?: it.createdAt } else filtered.sortedByDescending { it.updatedAt ?: it.createdAt }
-            "routing" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.routing.ordinal } else filtered.sortedByDescending { it.routing.ordinal }
-            "risk" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.risk } else filtered.sortedByDescending { it.risk }
-            "complexity" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.complexity } else filtered.sortedByDescending { it.complexity }
-            "created_at" -> if (params.sortOrder == SortDirection.ASC)
-                filtered.sortedBy { it.createdAt } else filtered.sortedByDescending { it.createdAt }
-            else -> filtered.sortedByDescending { it.updatedAt ?: it.createdAt }
-        }
-    }
-
-    val filteredTotal = filtered.size
-
-    // Apply pagination
-    val offset = (params.page - 1) * params.pageSize
-    val paginated = filtered.drop(offset).take(params.pageSize)
-
-    return Pair(paginated, filteredTotal)
+/** [TaskQueryParams.sortBy] values and the repository sort they select. */
+private val TASK_SORT_KEYS = mapOf(
+    "id" to TaskRepository.SortKey.ID,
+    "title" to TaskRepository.SortKey.TITLE,
+    "status" to TaskRepository.SortKey.STATUS,
+    "type" to TaskRepository.SortKey.TYPE,
+    "agents" to TaskRepository.SortKey.AGENTS,
+    "updated_at" to TaskRepository.SortKey.UPDATED_AT,
+    "routing" to TaskRepository.SortKey.ROUTING,
+    "risk" to TaskRepository.SortKey.RISK,
+    "complexity" to TaskRepository.SortKey.COMPLEXITY,
+    "created_at" to TaskRepository.SortKey.CREATED_AT
+)
+
+private fun buildTaskFilterConfig(
+    params: TaskQueryParams,
+    presets: List<FilterPresetRepository.FilterPresetRow>
+): SearchFilter.Config {
+    val agents = (TaskRepository.distinctAssignees() + params.assigneeIds).distinct().sortedBy { it.value }
+    val toDate = { instant: Instant? -> instant?.let { LocalDate.ofInstant(it, ZoneOffset.UTC).toString() } }
+
+    return SearchFilter.Config(
+        query = params.search.orEmpty(),
+        statuses = TaskStatus.entries.map {
+            SearchFilter.Option(it.name, it.displayName, selected = it in params.status)
+        },
+        types = TaskType.entries.map {
+            SearchFilter.Option(it.name, it.displayName, selected = it in params.type)
+        },
+        agents = agents.map {
+            SearchFilter.Option(it.value, it.value, selected = it in params.assigneeIds)
+        },
+        fromDate = toDate(params.createdAfter),
+        toDate = toDate(params.createdBefore),
+        includeDateRange = true,
+        dueFromDate = toDate(params.dueAfter),
+        dueToDate = toDate(params.dueBefore),
+        includeDueRange = true,
+        multiSelect = true,
+        savedPresets = presets.map { SearchFilter.SavedPreset(it.id, it.name, it.query) },
+        presetsEndpoint = "/tasks/presets",
+        syncUrl = true,
+        fieldNames = SearchFilter.FieldNames(
+            query = "search",
+            status = "status",
+            type = "type",
+            agent = "assigneeIds",
+            from = "createdAfter",
+            to = "createdBefore",
+            dueFrom = "dueAfter",
+            dueTo = "dueBefore"
+        ),
+        hxEndpoint = null
+    )
 }
 
 private fun buildTasksGridData(
@@ -356,6 +472,7 @@ private fun renderTasksGridFragment(gridData: TasksPage.GridData): String =
                     pageSizeOptions = gridData.pageSizeOptions,
                     height = "70vh",
                     suppressRowClickSelection = false,
+                    rowIdField = "taskId",
                     customOptions = mapOf(
                         "rowSelection" to "single",
                         "rowHeight" to 72,
@@ -0,0 +1,107 @@
+package com.orchestrator.web.services
+
+import com.orchestrator.domain.Proposal
+import com.orchestrator.modules.consensus.ConsensusModule
+import com.orchestrator.modules.consensus.strategies.ConsensusResult
+import com.orchestrator.modules.consensus.strategies.ConsensusStrategy
+import com.orchestrator.modules.consensus.strategies.ConsensusStrategyType
+import com.orchestrator.utils.Logger
+import java.util.Locale
+
+/**
+ * Scores the proposals of a consensus round with every registered strategy.
+ *
+ * Unlike [ConsensusModule.decide], every strategy runs on its own (no chain,
+ * nothing persisted), so the viewer can compare how each one ranks the
+ * current proposals while the round is still open. Strategies are pure, so
+ * scoring on each render is safe.
+ */
+class ConsensusScoringService(
+    private val strategies: Map<ConsensusStrategyType, ConsensusStrategy> = ConsensusModule.Registry.all()
+) {
+    private val logger = Logger.logger("com.orchestrator.web.services.ConsensusScoringService")
+
+    /** One strategy's verdict on the proposals. */
+    data class StrategyScores(
+        val type: ConsensusStrategyType,
+        val agreed: Boolean,
+        val winnerProposalId: String?,
+        val reasoning: String,
+        /** Keyed by proposal ID */
+        val scores: Map<String, Score>
+    )
+
+    /**
+     * @property value the number the strategy ranks by (higher is better)
+     * @property summary the inputs behind [value], for display
+     */
+    data class Score(
+        val value: Double,
+        val summary: String
+    )
+
+    fun score(proposals: List<Proposal>): List<StrategyScores> =
+        strategies.values.map { strategy -> score(strategy, proposals) }
+
+    private fun score(strategy: ConsensusStrategy, proposals: List<Proposal>): StrategyScores {
+        val result = try {
+            strategy.evaluate(proposals)
+        } catch (e: Exception) {
+            logger.warn("Consensus strategy ${strategy.type} failed: ${e.message}")
+            ConsensusResult(agreed = false, winningProposal = null, reasoning = "Strategy failed: ${e.message}")
+        }
+
+        val scores = when (strategy.type) {
+            ConsensusStrategyType.VOTING -> votingScores(proposals)
+            else -> detailScores(strategy.type, result)
+        }
+
+        return StrategyScores(
+            type = strategy.type,
+            agreed = result.agreed,
+            winnerProposalId = result.winningProposal?.id?.value,
+            reasoning = result.reasoning,
+            scores = scores
+        )
+    }
+
+    /**
+     * The voting details count votes per content option, not per proposal, so
+     * each proposal's share is recounted here with the same rule: equal
+     * content is the same option.
+     */
+    private fun votingScores(proposals: List<Proposal>): Map<String, Score> {
+        val votes = proposals.groupingBy { it.content }.eachCount()
+        return proposals.associate { proposal ->
+            val count = votes.getValue(proposal.content)
+            proposal.id.value to Score(
+                value = count.toDouble() / proposals.size,
+                summary = "$count/${proposals.size} votes for this option"
+            )
+        }
+    }
+
+    /** Reads the `proposalScores` rows the other strategies put in their details. */
+    private fun detailScores(type: ConsensusStrategyType, result: ConsensusResult): Map<String, Score> {
+        val rows = result.details["proposalScores"] as? List<*> ?: return emptyMap()
+        return rows.filterIsInstance<Map<*, *>>().mapNotNull { row ->
+            val proposalId = row["proposalId"] as? String ?: return@mapNotNull null
+            val score = when (type) {
+                ConsensusStrategyType.REASONING_QUALITY -> Score(
+                    value = row.number("finalScore"),
+                    summary = "depth ${row.format("depth")}, edge cases ${row.format("edgeCases")}, " +
+                        "trade-offs ${row.format("tradeOffs")}"
+                )
+                else -> Score(
+                    value = row.number("valueRatio"),
+                    summary = "${row["tokens"]} tokens, quality ${row.format("quality")}"
+                )
+            }
+            proposalId to score
+        }.toMap()
+    }
+
+    private fun Map<*, *>.number(key: String): Double = (this[key] as? Number)?.toDouble() ?: 0.0
+
+    private fun Map<*, *>.format(key: String): String = "%.2f".format(Locale.US, number(key))
+}
@@ -31,7 +31,7 @@ class FilesystemSnapshotCalculator(
 ) {
     private val logger = Logger.logger("com.orchestrator.web.services.FilesystemSnapshotCalculator")
 
-    private val projectRoot: Path = projectRootOverride ?: Paths.get("").toAbsolutePath().normalize()
+    val projectRoot: Path = projectRootOverride ?: Paths.get("").toAbsolutePath().normalize()
     private val configuredWatchRoots: List<Path> = resolveWatchRoots(projectRoot, contextConfig.watcher)
     val watchRoots: List<Path> = if (configuredWatchRoots.isEmpty()) listOf(projectRoot) else configuredWatchRoots
 
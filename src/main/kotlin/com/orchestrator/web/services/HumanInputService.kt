@@ -0,0 +1,156 @@
+package com.orchestrator.web.services
+
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.ProposalId
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.UserDirective
+import com.orchestrator.mcp.tools.RespondToTaskTool
+import com.orchestrator.mcp.tools.SubmitInputTool
+import com.orchestrator.modules.context.ContextModule
+import com.orchestrator.modules.context.MemoryManager.Role
+import com.orchestrator.modules.routing.DirectiveParser
+import com.orchestrator.utils.Logger
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.buildJsonObject
+import kotlinx.serialization.json.put
+import java.time.Clock
+import java.time.Instant
+
+/**
+ * Feeds a human's answer or directive from the task modal into a running task.
+ *
+ * Responses go through [RespondToTaskTool] and directives through
+ * [SubmitInputTool], the same tools MCP clients call, so a human answer is a
+ * proposal like any other and moves the task on the same way. Directives are
+ * parsed with [DirectiveParser] first; the resulting [UserDirective] flags
+ * travel with the proposal. Either way the text is appended to the task's
+ * conversation history and [SystemEvent.TaskUpdated] is published.
+ */
+class HumanInputService(
+    agentRegistry: AgentRegistry,
+    private val eventBus: EventBus = EventBus.global,
+    private val clock: Clock = Clock.systemUTC()
+) {
+    private val log = Logger.logger("com.orchestrator.web.services.HumanInputService")
+    private val directiveParser = DirectiveParser(agentRegistry)
+    private val respondTool = RespondToTaskTool()
+    private val submitInputTool = SubmitInputTool()
+
+    enum class Kind { RESPONSE, DIRECTIVE }
+
+    data class Request(
+        val taskId: TaskId,
+        val kind: Kind,
+        val text: String,
+        /** Indexed file paths the human points the agents at */
+        val contextFiles: List<String> = emptyList(),
+        /** Proposals of the same task the input refers to */
+        val proposalRefs: List<ProposalId> = emptyList()
+    )
+
+    data class Outcome(
+        val proposalId: String,
+        val taskStatus: String,
+        val directive: UserDirective?
+    )
+
+    /**
+     * Submit [request] and record it in the task history.
+     *
+     * @throws IllegalArgumentException when the task does not exist or the tool rejects the input
+     * @throws IllegalStateException when the task no longer takes input
+     */
+    fun submit(request: Request): Outcome {
+        val directive = if (request.kind == Kind.DIRECTIVE) directiveParser.parseUserDirective(request.text) else null
+        val content = buildContent(request, directive)
+        val metadata = mapOf(SOURCE_KEY to SOURCE_DASHBOARD, KIND_KEY to request.kind.name)
+
+        val (proposalId, taskStatus) = when (request.kind) {
+            Kind.RESPONSE -> respondTool.execute(
+                RespondToTaskTool.Params(
+                    taskId = request.taskId.value,
+                    response = RespondToTaskTool.ResponseContent(content = content, metadata = metadata)
+                ),
+                HUMAN_AGENT_ID
+            ).let { it.proposalId to it.taskStatus }
+            Kind.DIRECTIVE -> submitInputTool.execute(
+                SubmitInputTool.Params(taskId = request.taskId.value, content = content, metadata = metadata),
+                HUMAN_AGENT_ID
+            ).let { it.proposalId to it.taskStatus }
+        }
+
+        val now = Instant.now(clock)
+        ContextModule.updateContext(
+            request.taskId,
+            ContextModule.ContextUpdates(
+                messages = listOf(
+                    ContextModule.MessageUpdate(
+                        role = Role.USER,
+                        content = request.text,
+                        agentId = AgentId(HUMAN_AGENT_ID),
+                        metadataJson = historyMetadata(request, proposalId, directive),
+                        ts = now
+                    )
+                )
+            )
+        )
+        eventBus.publish(SystemEvent.TaskUpdated(request.taskId, now))
+        log.info("Human ${request.kind.name.lowercase()} submitted for task ${request.taskId.value} as $proposalId")
+
+        return Outcome(proposalId, taskStatus, directive)
+    }
+
+    private fun buildContent(request: Request, directive: UserDirective?): Map<String, Any> = buildMap {
+        put("text", request.text)
+        if (request.contextFiles.isNotEmpty()) put("contextFiles", request.contextFiles)
+        if (request.proposalRefs.isNotEmpty()) put("proposalRefs", request.proposalRefs.map { it.value })
+        directive?.let { put("directive", directiveFlags(it)) }
+    }
+
+    private fun historyMetadata(request: Request, proposalId: String, directive: UserDirective?): String =
+        buildJsonObject {
+            put(SOURCE_KEY, SOURCE_DASHBOARD)
+            put(KIND_KEY, request.kind.name)
+            put("proposalId", proposalId)
+            if (request.contextFiles.isNotEmpty()) {
+                put("contextFiles", JsonArray(request.contextFiles.map { JsonPrimitive(it) }))
+            }
+            if (request.proposalRefs.isNotEmpty()) {
+                put("proposalRefs", JsonArray(request.proposalRefs.map { JsonPrimitive(it.value) }))
+            }
+            directive?.let { parsed ->
+                put("directive", JsonArray(describeDirective(parsed).map { JsonPrimitive(it) }))
+            }
+        }.toString()
+
+    private fun directiveFlags(directive: UserDirective): Map<String, Any> = buildMap {
+        put("forceConsensus", directive.forceConsensus)
+        put("preventConsensus", directive.preventConsensus)
+        put("isEmergency", directive.isEmergency)
+        directive.assignToAgent?.let { put("assignToAgent", it.value) }
+        directive.assignedAgents?.takeIf { it.isNotEmpty() }?.let { agents -> put("assignedAgents", agents.map { it.value }) }
+    }
+
+    companion object {
+        /** Agent ID human input is recorded under, in proposals and history */
+        const val HUMAN_AGENT_ID = "human"
+        const val SOURCE_KEY = "source"
+        const val SOURCE_DASHBOARD = "dashboard"
+        const val KIND_KEY = "kind"
+
+        /**
+         * Plain-language reading of what the parser took from a directive,
+         * e.g. "Force consensus" or "Assign to codex".
+         */
+        fun describeDirective(directive: UserDirective): List<String> = buildList {
+            if (directive.forceConsensus) add("Force consensus")
+            if (directive.preventConsensus) add("Skip consensus")
+            directive.assignToAgent?.let { add("Assign to ${it.value}") }
+            if (directive.isEmergency) add("Emergency")
+        }
+    }
+}
@@ -1,7 +1,13 @@
 package com.orchestrator.web.services
 
+import com.orchestrator.context.ContextDataService
+import com.orchestrator.context.ContextRepository
 import com.orchestrator.context.config.ContextConfig
 import com.orchestrator.context.bootstrap.BootstrapProgressTracker
+import com.orchestrator.context.discovery.ContextIgnoreFile
+import com.orchestrator.context.domain.FileState
+import com.orchestrator.context.indexing.BatchProgress
+import com.orchestrator.context.indexing.IndexingCancellation
 import com.orchestrator.context.storage.ContextDatabase
 import com.orchestrator.context.watcher.WatcherRegistry
 import com.orchestrator.core.EventBus
@@ -12,15 +18,21 @@ import com.orchestrator.mcp.tools.RebuildContextTool.Params as RebuildParams
 import com.orchestrator.modules.context.ContextModule
 import com.orchestrator.utils.Logger
 import com.orchestrator.web.plugins.ApplicationConfigKey
+import com.orchestrator.web.services.IndexOperationSnapshot.Outcome
 import com.orchestrator.web.sse.IndexProgressEvent
 import com.orchestrator.web.sse.IndexStatusUpdatedEvent
 import io.ktor.server.application.Application
 import io.ktor.server.application.ApplicationStopping
 import io.ktor.util.AttributeKey
+import java.time.Duration
 import java.time.Instant
 import java.nio.file.Path
+import java.util.Collections
 import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.ConcurrentLinkedDeque
 import java.util.concurrent.atomic.AtomicBoolean
+import java.util.concurrent.atomic.AtomicInteger
 import kotlin.math.max
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
@@ -39,6 +51,24 @@ import kotlinx.coroutines.withContext
 interface IndexOperationsService {
     fun triggerRefresh(): OperationTriggerResult
     fun triggerRebuild(confirm: Boolean = true): OperationTriggerResult
+
+    /**
+     * Run [action] on part of the catalog. Each of [paths] is a file's relative path as
+     * listed on /files, or a directory when it ends in `/`.
+     */
+    fun triggerFileAction(action: FileIndexAction, paths: List<String>): OperationTriggerResult
+
+    /**
+     * Ask a running operation to stop. Files already being indexed finish first, so the
+     * operation reports its outcome a little later on the index stream.
+     */
+    fun cancel(operationId: String): OperationTriggerResult
+
+    /** Operations still running, oldest first. */
+    fun activeOperations(): List<IndexOperationSnapshot>
+
+    /** Finished operations, newest first, kept while the server runs. */
+    fun operationHistory(): List<IndexOperationSnapshot>
     fun filesystemSnapshot(): FilesystemIndexSnapshot
 
     companion object {
@@ -70,11 +100,72 @@ interface IndexOperationsService {
 data class OperationTriggerResult(
     val accepted: Boolean,
     val message: String,
-    val code: ResultCode = if (accepted) ResultCode.ACCEPTED else ResultCode.REJECTED
+    val code: ResultCode = if (accepted) ResultCode.ACCEPTED else ResultCode.REJECTED,
+    /** Id carried by the operation's progress events, so the caller can follow it */
+    val operationId: String? = null
 ) {
     enum class ResultCode { ACCEPTED, REJECTED }
 }
 
+/**
+ * Selective index actions offered on the files grid and the index page.
+ */
+enum class FileIndexAction(val id: String, val title: String) {
+    /** Index the files again even if they have not changed */
+    REINDEX("reindex", "Re-index"),
+    /** Add the paths to .contextignore and drop what is indexed for them */
+    EXCLUDE("exclude", "Exclude from index"),
+    /** Drop the embeddings but keep the chunks, until the next re-index */
+    PURGE_EMBEDDINGS("purge", "Purge embeddings");
+
+    companion object {
+        fun fromId(id: String?): FileIndexAction? = entries.firstOrNull { it.id == id }
+    }
+}
+
+/** A file an index operation could not process. */
+data class IndexFailure(
+    val path: String,
+    val error: String
+)
+
+/**
+ * An index operation as its progress card shows it: live while [outcome] is null, then
+ * kept in the operation history.
+ */
+data class IndexOperationSnapshot(
+    val operationId: String,
+    val title: String,
+    val percentage: Int,
+    val processed: Int? = null,
+    val total: Int? = null,
+    val message: String? = null,
+    val startedAt: Instant,
+    val updatedAt: Instant = startedAt,
+    /** Time left at the throughput so far; null until there is one to go by */
+    val estimatedRemainingMs: Long? = null,
+    val filesPerSecond: Double? = null,
+    /** The first [MAX_LISTED_FAILURES] failures; [failedCount] counts them all */
+    val failures: List<IndexFailure> = emptyList(),
+    val failedCount: Int = failures.size,
+    val cancellable: Boolean = false,
+    val cancelRequested: Boolean = false,
+    val outcome: Outcome? = null
+) {
+    enum class Outcome(val label: String) {
+        COMPLETED("Completed"),
+        COMPLETED_WITH_ERRORS("Completed with errors"),
+        FAILED("Failed"),
+        CANCELLED("Cancelled")
+    }
+
+    val isFinished: Boolean get() = outcome != null
+
+    companion object {
+        const val MAX_LISTED_FAILURES = 50
+    }
+}
+
 data class FilesystemIndexSnapshot(
     val totalFiles: Int,
     val roots: List<RootSummary>,
@@ -102,11 +193,18 @@ private class DefaultIndexOperationsService(
 
     private val refreshActive = AtomicBoolean(false)
     private val rebuildActive = AtomicBoolean(false)
+    private val fileActionActive = AtomicBoolean(false)
+
+    private val running = ConcurrentHashMap<String, RunningOperation>()
+    private val history = ConcurrentLinkedDeque<IndexOperationSnapshot>()
 
     private val refreshTool by lazy { RefreshContextTool(contextConfig) }
     private val rebuildTool by lazy { RebuildContextTool(contextConfig) }
+    private val dataService = ContextDataService()
 
-    private val snapshotCalculator = FilesystemSnapshotCalculator(contextConfig)
+    // Replaced after an exclusion so the snapshot's path filter sees the new pattern
+    @Volatile
+    private var snapshotCalculator = FilesystemSnapshotCalculator(contextConfig)
     private val effectiveWatchRoots: List<Path> = snapshotCalculator.watchRoots
 
     override fun triggerRefresh(): OperationTriggerResult {
@@ -118,47 +216,30 @@ private class DefaultIndexOperationsService(
             )
         }
 
-        val operationId = "refresh-${UUID.randomUUID()}"
+        val operation = start("refresh", "Context Refresh")
         scope.launch {
             WatcherRegistry.pauseWhile {
-                publishProgress(
-                    operationId = operationId,
-                    percentage = 5,
-                    title = "Context Refresh",
-                    message = "Initializing refresh..."
-                )
+                operation.progress(percentage = 5, message = "Initializing refresh...")
 
                 try {
                     val result = withContext(Dispatchers.IO) {
-                        refreshTool.execute(RefreshParams(async = false)) { progress ->
-                            val total = progress.totalFiles
-                            val processed = progress.processedFiles
-                            val percentage = if (total > 0) (processed * 100) / total else 10
-                            publishProgress(
-                                operationId = operationId,
-                                percentage = percentage.coerceIn(0, 95),
-                                processed = processed,
-                                total = total,
-                                title = "Context Refresh",
-                                message = progress.lastPath?.let { "Indexing $it" } ?: "Indexing files"
-                            )
-                        }
+                        refreshTool.execute(
+                            RefreshParams(async = false),
+                            onProgress = operation::batchProgress,
+                            cancellation = operation.cancellation
+                        )
                     }
 
-                    publishProgress(
-                        operationId = operationId,
-                        percentage = 100,
+                    operation.finish(
+                        outcome = result.outcome(),
+                        message = result.message ?: "Refresh completed",
                         processed = (result.newFiles ?: 0) + (result.modifiedFiles ?: 0),
-                        total = result.totalCount(),
-                        title = "Context Refresh",
-                        message = result.message ?: "Refresh completed"
+                        total = result.totalCount()
                     )
                 } catch (t: Throwable) {
                     logger.error("Index refresh failed: ${t.message}", t)
-                    publishProgress(
-                        operationId = operationId,
-                        percentage = 100,
-                        title = "Context Refresh",
+                    operation.finish(
+                        outcome = Outcome.FAILED,
                         message = "Refresh failed: ${t.message ?: t::class.simpleName ?: "error"}"
                     )
                 } finally {
@@ -170,7 +251,8 @@ private class DefaultIndexOperationsService(
 
         return OperationTriggerResult(
             accepted = true,
-            message = "Index refresh started."
+            message = "Index refresh started.",
+            operationId = operation.operationId
         )
     }
 
@@ -191,15 +273,10 @@ private class DefaultIndexOperationsService(
             )
         }
 
-        val operationId = "rebuild-${UUID.randomUUID()}"
+        val operation = start("rebuild", "Context Rebuild")
         scope.launch {
             WatcherRegistry.pauseWhile {
-                publishProgress(
-                    operationId = operationId,
-                    percentage = 5,
-                    title = "Context Rebuild",
-                    message = "Initializing rebuild..."
-                )
+                operation.progress(percentage = 5, message = "Initializing rebuild...")
 
                 try {
                     runCatching {
@@ -215,50 +292,50 @@ private class DefaultIndexOperationsService(
                                 confirm = true,
                                 async = false,
                                 validateOnly = false
-                            )
-                        ) { progress ->
-                            val total = progress.totalFiles
-                            val processed = progress.processedFiles
-                            val percentage = if (total > 0) (processed * 100) / total else 10
-                            publishProgress(
-                                operationId = operationId,
-                                percentage = percentage.coerceIn(5, 95),
-                                processed = processed,
-                                total = total,
-                                title = "Context Rebuild",
-                                message = progress.lastProcessedFile?.let { "Indexed $it" } ?: "Rebuilding..."
-                            )
-                        }
+                            ),
+                            onProgress = { progress ->
+                                progress.lastError?.let { error ->
+                                    progress.lastProcessedFile?.let { operation.recordFailure(it, error) }
+                                }
+                                val total = progress.totalFiles
+                                val processed = progress.processedFiles
+                                val percentage = if (total > 0) (processed * 100) / total else 10
+                                operation.progress(
+                                    percentage = percentage.coerceIn(5, 95),
+                                    processed = processed,
+                                    total = total,
+                                    message = progress.lastProcessedFile?.let { "Indexed $it" } ?: "Rebuilding..."
+                                )
+                            },
+                            cancellation = operation.cancellation
+                        )
                     }
 
                     if (result.jobId != null) {
                         logger.info("Rebuild job started: ${result.jobId}")
-                        monitorRebuildJob(result.jobId, operationId)
+                        monitorRebuildJob(result.jobId, operation)
                     } else {
                         val statusMessage = result.message ?: when (result.status.lowercase()) {
                             "completed" -> "Rebuild completed successfully"
                             "completed_with_errors" -> "Rebuild completed with errors"
+                            "cancelled" -> "Rebuild cancelled"
                             "failed" -> "Rebuild failed"
                             else -> "Rebuild status: ${result.status}"
                         }
 
-                        publishProgress(
-                            operationId = operationId,
-                            percentage = 100,
+                        operation.finish(
+                            outcome = outcomeOf(result.status),
+                            message = statusMessage,
                             processed = result.processedFiles,
-                            total = result.totalFiles,
-                            title = "Context Rebuild",
-                            message = statusMessage
+                            total = result.totalFiles()
                         )
                         publishSummary()
                         rebuildActive.set(false)
                     }
                 } catch (t: Throwable) {
                     logger.error("Context rebuild failed: ${t.message}", t)
-                    publishProgress(
-                        operationId = operationId,
-                        percentage = 100,
-                        title = "Context Rebuild",
+                    operation.finish(
+                        outcome = Outcome.FAILED,
                         message = "Rebuild failed: ${t.message ?: t::class.simpleName ?: "error"}"
                     )
                     publishSummary()
@@ -269,14 +346,380 @@ private class DefaultIndexOperationsService(
 
         return OperationTriggerResult(
             accepted = true,
-            message = "Index rebuild started."
+            message = "Index rebuild started.",
+            operationId = operation.operationId
+        )
+    }
+
+    override fun triggerFileAction(action: FileIndexAction, paths: List<String>): OperationTriggerResult {
+        if (action == FileIndexAction.EXCLUDE && !contextConfig.watcher.useContextignore) {
+            return OperationTriggerResult(
+                accepted = false,
+                message = "Exclusions are written to .contextignore, which watcher.useContextignore turns off."
+            )
+        }
+
+        val targets = resolveTargets(paths)
+        if (targets.files.isEmpty()) {
+            return OperationTriggerResult(
+                accepted = false,
+                message = "No indexed files match the selection."
+            )
+        }
+
+        if (!fileActionActive.compareAndSet(false, true)) {
+            return OperationTriggerResult(
+                accepted = false,
+                message = "Another file index operation is already running."
+            )
+        }
+
+        val title = "${action.title}: ${targets.describe()}"
+        val operation = start(action.id, title)
+        scope.launch {
+            WatcherRegistry.pauseWhile {
+                operation.progress(percentage = 5, processed = 0, total = targets.files.size, message = "Starting...")
+
+                try {
+                    val completion = withContext(Dispatchers.IO) {
+                        when (action) {
+                            FileIndexAction.REINDEX -> reindex(operation, targets)
+                            FileIndexAction.EXCLUDE -> exclude(operation, targets)
+                            FileIndexAction.PURGE_EMBEDDINGS -> purgeEmbeddings(operation, targets)
+                        }
+                    }
+                    operation.finish(
+                        outcome = completion.outcome,
+                        message = completion.message,
+                        processed = completion.processed,
+                        total = targets.files.size
+                    )
+                } catch (t: Throwable) {
+                    logger.error("${action.title} failed: ${t.message}", t)
+                    operation.finish(
+                        outcome = Outcome.FAILED,
+                        message = "${action.title} failed: ${t.message ?: t::class.simpleName ?: "error"}"
+                    )
+                } finally {
+                    publishSummary()
+                    fileActionActive.set(false)
+                }
+            }
+        }
+
+        return OperationTriggerResult(
+            accepted = true,
+            message = "$title started.",
+            operationId = operation.operationId
+        )
+    }
+
+    override fun cancel(operationId: String): OperationTriggerResult {
+        val operation = running[operationId]
+            ?: return OperationTriggerResult(accepted = false, message = "No running operation $operationId.")
+        if (!operation.cancellable) {
+            return OperationTriggerResult(accepted = false, message = "${operation.title} cannot be cancelled.")
+        }
+        if (operation.cancellation.cancel()) {
+            logger.info("Cancellation requested for ${operation.title} ($operationId)")
+            operation.progress(message = "Cancelling after the files in progress...")
+        }
+        return OperationTriggerResult(
+            accepted = true,
+            message = "Cancelling ${operation.title}.",
+            operationId = operationId
+        )
+    }
+
+    override fun activeOperations(): List<IndexOperationSnapshot> =
+        running.values.map { it.snapshot }.sortedBy { it.startedAt }
+
+    override fun operationHistory(): List<IndexOperationSnapshot> = history.toList()
+
+    // region Operation state
+
+    private fun start(kind: String, title: String): RunningOperation {
+        val operation = RunningOperation("$kind-${UUID.randomUUID()}", title)
+        running[operation.operationId] = operation
+        return operation
+    }
+
+    /**
+     * A running operation. Progress callbacks update it from indexing worker threads, and
+     * every update goes out on the event bus as the operation's card.
+     */
+    private inner class RunningOperation(
+        val operationId: String,
+        val title: String
+    ) {
+        val startedAt: Instant = Instant.now()
+        val cancellation = IndexingCancellation()
+
+        /** Turned off for work that runs outside this service, e.g. an async rebuild job */
+        @Volatile
+        var cancellable: Boolean = true
+
+        private val failures = Collections.synchronizedList(mutableListOf<IndexFailure>())
+        private val failedCount = AtomicInteger(0)
+
+        @Volatile
+        var snapshot = IndexOperationSnapshot(operationId = operationId, title = title, percentage = 0, startedAt = startedAt)
+            private set
+
+        val hasFailures: Boolean get() = failedCount.get() > 0
+
+        fun recordFailure(path: String, error: String) {
+            if (failedCount.incrementAndGet() <= IndexOperationSnapshot.MAX_LISTED_FAILURES) {
+                failures += IndexFailure(path, error)
+            }
+        }
+
+        /** Forward a batch indexer update, noting the file if it failed. */
+        fun batchProgress(progress: BatchProgress) {
+            progress.lastError?.let { error -> recordFailure(progress.lastPath ?: "(unknown file)", error) }
+            val total = progress.totalFiles
+            val processed = progress.processedFiles
+            val percentage = if (total > 0) (processed * 100) / total else 10
+            progress(
+                percentage = percentage.coerceIn(5, 95),
+                processed = processed,
+                total = total,
+                message = progress.lastPath?.let { "Indexing $it" } ?: "Indexing files"
+            )
+        }
+
+        /** Publish an update; arguments left null keep their last value. */
+        fun progress(
+            percentage: Int? = null,
+            processed: Int? = null,
+            total: Int? = null,
+            message: String? = null
+        ) {
+            val now = Instant.now()
+            val previous = snapshot
+            val done = processed ?: previous.processed
+            val of = total ?: previous.total
+            val elapsedMs = Duration.between(startedAt, now).toMillis()
+            // A second of work before estimating, so the first file doesn't set a wild rate
+            val filesPerSecond = if (done != null && done > 0 && elapsedMs >= 1_000) done * 1_000.0 / elapsedMs else null
+            val remainingMs = if (filesPerSecond != null && done != null && of != null && of > done) {
+                ((of - done) / filesPerSecond * 1_000).toLong()
+            } else {
+                null
+            }
+
+            publish(
+                previous.copy(
+                    percentage = (percentage ?: previous.percentage).coerceIn(0, 100),
+                    processed = done,
+                    total = of,
+                    message = message ?: previous.message,
+                    updatedAt = now,
+                    estimatedRemainingMs = remainingMs,
+                    filesPerSecond = filesPerSecond,
+                    failures = synchronized(failures) { failures.toList() },
+                    failedCount = failedCount.get(),
+                    cancellable = cancellable,
+                    cancelRequested = cancellation.isCancelled
+                )
+            )
+        }
+
+        /** Publish the final card and move the operation into the history. */
+        fun finish(outcome: Outcome, message: String, processed: Int? = null, total: Int? = null) {
+            val previous = snapshot
+            val now = Instant.now()
+            publish(
+                previous.copy(
+                    percentage = 100,
+                    processed = processed ?: previous.processed,
+                    total = total ?: previous.total,
+                    message = message,
+                    updatedAt = now,
+                    estimatedRemainingMs = null,
+                    filesPerSecond = (processed ?: previous.processed)
+                        ?.takeIf { it > 0 }
+                        ?.let { it * 1_000.0 / Duration.between(startedAt, now).toMillis().coerceAtLeast(1) },
+                    failures = synchronized(failures) { failures.toList() },
+                    failedCount = failedCount.get(),
+                    cancellable = false,
+                    cancelRequested = cancellation.isCancelled,
+                    outcome = if (outcome == Outcome.COMPLETED && hasFailures) Outcome.COMPLETED_WITH_ERRORS else outcome
+                )
+            )
+            running.remove(operationId)
+            history.addFirst(snapshot)
+            while (history.size > HISTORY_LIMIT) {
+                history.pollLast()
+            }
+        }
+
+        private fun publish(next: IndexOperationSnapshot) {
+            snapshot = next
+            eventBus.publish(
+                IndexProgressEvent(
+                    operationId = next.operationId,
+                    percentage = next.percentage,
+                    processed = next.processed,
+                    total = next.total,
+                    title = next.title,
+                    message = next.message,
+                    timestamp = next.updatedAt,
+                    operation = next
+                )
+            )
+        }
+    }
+
+    /** How an operation ended, for its final card. */
+    private data class Completion(
+        val outcome: Outcome,
+        val message: String,
+        val processed: Int? = null
+    )
+
+    private fun outcomeOf(status: String): Outcome = when (status.lowercase()) {
+        "cancelled" -> Outcome.CANCELLED
+        "completed_with_errors" -> Outcome.COMPLETED_WITH_ERRORS
+        "failed", "error" -> Outcome.FAILED
+        else -> Outcome.COMPLETED
+    }
+
+    private fun RefreshContextTool.Result.outcome(): Outcome = outcomeOf(status)
+
+    // endregion
+
+    /** Catalog files picked by a file action, with the paths that picked them. */
+    private data class FileTargets(
+        val files: List<FileState>,
+        val filePaths: List<String>,
+        val directories: List<String>
+    ) {
+        fun describe(): String = (filePaths + directories).singleOrNull() ?: "${files.size} files"
+
+        /** The selected files and directories on disk. */
+        fun absolutePaths(): List<Path> = (
+            files.filter { it.relativePath in filePaths }.map { Path.of(it.absolutePath) } +
+                directories.mapNotNull { directory ->
+                    files.firstOrNull { it.relativePath.startsWith(directory) }?.directoryPath(directory)
+                }
+            ).distinct()
+
+        /** [directory] resolved against the watch root this file was indexed under. */
+        private fun FileState.directoryPath(directory: String): Path? {
+            var root: Path? = Path.of(absolutePath)
+            repeat(relativePath.split('/').size) { root = root?.parent }
+            return root?.resolve(directory.trimEnd('/'))
+        }
+    }
+
+    private fun resolveTargets(paths: List<String>): FileTargets {
+        val requested = paths.map { it.trim().replace('\\', '/') }.filter { it.isNotEmpty() && it != "/" }.distinct()
+        val (directories, filePaths) = requested.partition { it.endsWith("/") }
+        val files = ContextRepository.listAllFiles()
+            .filterNot { it.isDeleted }
+            .filter { file -> file.relativePath in filePaths || directories.any { file.relativePath.startsWith(it) } }
+        return FileTargets(files, filePaths.filter { path -> files.any { it.relativePath == path } }, directories)
+    }
+
+    /**
+     * Force a refresh of the selected files, and of whole directories so files added to
+     * them since the last scan are picked up too.
+     */
+    private fun reindex(operation: RunningOperation, targets: FileTargets): Completion {
+        val result = refreshTool.execute(
+            RefreshParams(paths = targets.absolutePaths().map(Path::toString), force = true, async = false),
+            onProgress = operation::batchProgress,
+            cancellation = operation.cancellation
+        )
+        return Completion(
+            outcome = result.outcome(),
+            message = result.message ?: "Re-index ${result.status}",
+            processed = (result.newFiles ?: 0) + (result.modifiedFiles ?: 0) + (result.unchangedFiles ?: 0)
+        )
+    }
+
+    /**
+     * Write the exclusion to every .contextignore that refresh, the watcher and the snapshot
+     * read for these paths, then drop what is indexed for them.
+     */
+    private fun exclude(operation: RunningOperation, targets: FileTargets): Completion {
+        val comment = "Excluded from the dashboard at ${Instant.now()}"
+        val paths = targets.absolutePaths()
+        val updated = ContextIgnoreFile.readBy(contextConfig.watcher, snapshotCalculator.projectRoot)
+            .filter { it.exclude(paths, comment).isNotEmpty() }
+        snapshotCalculator = FilesystemSnapshotCalculator(contextConfig)
+
+        var removed = 0
+        val processed = forEachTarget(operation, targets) { file ->
+            if (dataService.deleteFileByAbsPath(file.absolutePath)) removed++
+        }
+        val patterns = if (updated.isEmpty()) {
+            "were already in .contextignore"
+        } else {
+            "added to ${updated.joinToString { it.path.toString() }}"
+        }
+        return Completion(
+            outcome = operation.outcomeAfter(processed, targets),
+            message = "Removed $removed files from the index; patterns $patterns",
+            processed = processed
+        )
+    }
+
+    private fun purgeEmbeddings(operation: RunningOperation, targets: FileTargets): Completion {
+        var removed = 0
+        val processed = forEachTarget(operation, targets) { file ->
+            removed += dataService.purgeEmbeddings(file.absolutePath)
+        }
+        return Completion(
+            outcome = operation.outcomeAfter(processed, targets),
+            message = "Removed $removed embeddings from $processed files; re-index them to restore",
+            processed = processed
         )
     }
 
+    /**
+     * Run [action] on each target until the operation is cancelled. A file that fails is
+     * listed on the card and the rest still run.
+     *
+     * @return the number of files handled
+     */
+    private inline fun forEachTarget(
+        operation: RunningOperation,
+        targets: FileTargets,
+        action: (FileState) -> Unit
+    ): Int {
+        val total = targets.files.size
+        var processed = 0
+        for (file in targets.files) {
+            if (operation.cancellation.isCancelled) break
+            runCatching { action(file) }.onFailure { error ->
+                logger.warn("${operation.title} failed for ${file.relativePath}: ${error.message}")
+                operation.recordFailure(file.relativePath, error.message ?: error::class.simpleName ?: "error")
+            }
+            processed++
+            operation.progress(
+                percentage = (5 + processed * 90 / total).coerceAtMost(95),
+                processed = processed,
+                total = total,
+                message = file.relativePath
+            )
+        }
+        return processed
+    }
+
+    private fun RunningOperation.outcomeAfter(processed: Int, targets: FileTargets): Outcome = when {
+        processed < targets.files.size -> Outcome.CANCELLED
+        hasFailures -> Outcome.COMPLETED_WITH_ERRORS
+        else -> Outcome.COMPLETED
+    }
+
     override fun filesystemSnapshot(): FilesystemIndexSnapshot =
         snapshotCalculator.snapshot()
 
-    private fun monitorRebuildJob(jobId: String, operationId: String) {
+    private fun monitorRebuildJob(jobId: String, operation: RunningOperation) {
+        // The job runs in the rebuild tool's own scope, out of reach of the cancellation
+        operation.cancellable = false
         scope.launch {
             try {
                 var isComplete = false
@@ -291,6 +734,7 @@ private class DefaultIndexOperationsService(
 
                     if (statusResult == null) {
                         logger.warn("Rebuild job status not found for jobId: $jobId")
+                        operation.finish(Outcome.FAILED, "Rebuild job $jobId is no longer tracked")
                         break
                     }
 
@@ -298,29 +742,23 @@ private class DefaultIndexOperationsService(
                     val normalizedStatus = statusResult.status.lowercase()
                     val percentage = phaseToPercentage(phase, normalizedStatus)
 
-                    if (phase != lastPhase || normalizedStatus != "running") {
-                        publishProgress(
-                            operationId = operationId,
-                            percentage = percentage,
-                            processed = statusResult.processedFiles,
-                            total = statusResult.totalFiles,
-                            title = "Context Rebuild",
-                            message = statusResult.message ?: "Phase: ${phase.replace('-', ' ')}"
-                        )
-                        lastPhase = phase
-                    }
-
                     isComplete = normalizedStatus in listOf("completed", "completed_with_errors", "failed")
 
                     if (isComplete) {
-                        publishProgress(
-                            operationId = operationId,
-                            percentage = 100,
+                        operation.finish(
+                            outcome = outcomeOf(normalizedStatus),
+                            message = statusResult.message ?: "Rebuild ${normalizedStatus.replace('_', ' ')}",
+                            processed = statusResult.processedFiles,
+                            total = statusResult.totalFiles
+                        )
+                    } else if (phase != lastPhase) {
+                        operation.progress(
+                            percentage = percentage,
                             processed = statusResult.processedFiles,
                             total = statusResult.totalFiles,
-                            title = "Context Rebuild",
-                            message = statusResult.message ?: "Rebuild ${normalizedStatus.replace('_', ' ')}"
+                            message = statusResult.message ?: "Phase: ${phase.replace('-', ' ')}"
                         )
+                        lastPhase = phase
                     }
                 }
             } finally {
@@ -345,29 +783,10 @@ private class DefaultIndexOperationsService(
     }
 
     fun shutdown() {
+        running.values.forEach { it.cancellation.cancel() }
         supervisor.cancel()
     }
 
-    private fun publishProgress(
-        operationId: String,
-        percentage: Int,
-        processed: Int? = null,
-        total: Int? = null,
-        title: String? = null,
-        message: String? = null
-    ) {
-        val event = IndexProgressEvent(
-            operationId = operationId,
-            percentage = percentage.coerceIn(0, 100),
-            processed = processed,
-            total = total,
-            title = title,
-            message = message,
-            timestamp = Instant.now()
-        )
-        eventBus.publish(event)
-    }
-
     private fun publishSummary() {
         runCatching {
             val snapshot = ContextModule.getIndexStatus()
@@ -386,4 +805,8 @@ private class DefaultIndexOperationsService(
         return if (values.isEmpty()) null else max(values.sum(), 0)
     }
 
+    companion object {
+        /** Finished operations kept for the index page */
+        private const val HISTORY_LIMIT = 25
+    }
 }
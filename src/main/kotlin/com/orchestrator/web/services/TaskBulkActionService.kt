@@ -0,0 +1,183 @@
+package com.orchestrator.web.services
+
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.StateMachine
+import com.orchestrator.core.SystemEvent
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.mcp.tools.CompleteTaskTool
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.utils.Logger
+import com.orchestrator.web.components.displayName
+import java.time.Clock
+import java.time.Instant
+import kotlinx.serialization.Serializable
+
+/**
+ * Applies bulk edits chosen from the tasks grid selection.
+ *
+ * Every task is handled on its own: one failing task is reported in its
+ * [ItemResult] and does not stop the rest. Successful edits publish
+ * [SystemEvent.TaskUpdated], so open grids update through the task stream.
+ * Status changes and cancels only make the moves [StateMachine] allows and
+ * are recorded in its history. Completing tasks goes through
+ * [CompleteTaskTool], so its checks (such as consensus tasks needing a
+ * decision) apply here too.
+ */
+class TaskBulkActionService(
+    /** Agents that may be assigned; empty accepts any ID. */
+    private val knownAgents: Set<AgentId> = emptySet(),
+    private val completeTaskTool: CompleteTaskTool = CompleteTaskTool(),
+    private val eventBus: EventBus = EventBus.global,
+    private val clock: Clock = Clock.systemUTC()
+) {
+    private val logger = Logger.logger("com.orchestrator.web.services.TaskBulkActionService")
+
+    sealed interface Action {
+        data class Reassign(val agentIds: Set<AgentId>) : Action
+        data class ChangeStatus(val status: TaskStatus) : Action
+        data class Cancel(val reason: String?) : Action
+        data class Reroute(val routing: RoutingStrategy) : Action
+    }
+
+    @Serializable
+    data class ItemResult(
+        val taskId: String,
+        val ok: Boolean,
+        /** Task status after the action, when it succeeded. */
+        val status: String? = null,
+        val error: String? = null,
+        val warnings: List<String> = emptyList()
+    )
+
+    fun apply(taskIds: List<TaskId>, action: Action): List<ItemResult> =
+        taskIds.distinct().map { applyOne(it, action) }
+
+    /**
+     * Move one task to [to], as dropped on the task board. Like a bulk status
+     * change, but also fails when the task is no longer in the [expected]
+     * status the board showed.
+     */
+    fun transition(taskId: TaskId, to: TaskStatus, expected: TaskStatus? = null): ItemResult = try {
+        val task = TaskRepository.findById(taskId)
+            ?: throw IllegalArgumentException("Task not found")
+        check(expected == null || task.status == expected) {
+            "Task is ${task.status.displayName} now, not ${expected?.displayName}"
+        }
+        transitionTask(task, to) { changeStatus(task, to) }
+    } catch (e: IllegalArgumentException) {
+        ItemResult(taskId = taskId.value, ok = false, error = e.message)
+    } catch (e: IllegalStateException) {
+        ItemResult(taskId = taskId.value, ok = false, error = e.message)
+    } catch (e: Exception) {
+        logger.warn("Status transition to ${to.name} failed for ${taskId.value}: ${e.message}", e)
+        ItemResult(taskId = taskId.value, ok = false, error = "Unexpected error: ${e.message}")
+    }
+
+    private fun applyOne(taskId: TaskId, action: Action): ItemResult = try {
+        val task = TaskRepository.findById(taskId)
+            ?: throw IllegalArgumentException("Task not found")
+
+        when (action) {
+            is Action.Reassign -> update(task.requireOpen("reassigned").copy(assigneeIds = validateAgents(action.agentIds)))
+            is Action.Reroute -> update(task.requireOpen("re-routed").copy(routing = action.routing))
+            is Action.Cancel -> transitionTask(task.requireOpen("cancelled"), TaskStatus.FAILED) {
+                cancel(task, action.reason)
+            }
+            is Action.ChangeStatus -> transitionTask(task, action.status) { changeStatus(task, action.status) }
+        }
+    } catch (e: IllegalArgumentException) {
+        ItemResult(taskId = taskId.value, ok = false, error = e.message)
+    } catch (e: IllegalStateException) {
+        ItemResult(taskId = taskId.value, ok = false, error = e.message)
+    } catch (e: Exception) {
+        logger.warn("Bulk action ${action::class.simpleName} failed for ${taskId.value}: ${e.message}", e)
+        ItemResult(taskId = taskId.value, ok = false, error = "Unexpected error: ${e.message}")
+    }
+
+    private fun validateAgents(agentIds: Set<AgentId>): Set<AgentId> {
+        require(agentIds.isNotEmpty()) { "Choose at least one agent" }
+        if (knownAgents.isNotEmpty()) {
+            val unknown = agentIds.filterNot { it in knownAgents }
+            require(unknown.isEmpty()) { "Unknown agent: ${unknown.joinToString { it.value }}" }
+        }
+        return agentIds
+    }
+
+    /**
+     * Apply [change] if [StateMachine] allows moving [task] to [to], then
+     * record the move. Staying in the current status is a no-op [change]
+     * reports itself.
+     */
+    private fun transitionTask(task: Task, to: TaskStatus, change: () -> ItemResult): ItemResult {
+        if (task.status == to) return change()
+        check(StateMachine.isValidTransition(task.status, to)) { transitionError(task.status, to) }
+
+        val result = change()
+        StateMachine.transition(task.id, task.status, to, mapOf("source" to "dashboard"))
+        return result
+    }
+
+    private fun changeStatus(task: Task, status: TaskStatus): ItemResult {
+        if (task.status == status) {
+            return ItemResult(task.id.value, ok = true, status = status.name, warnings = listOf("Already ${status.name}"))
+        }
+        if (status == TaskStatus.COMPLETED) {
+            val result = completeTaskTool.execute(
+                CompleteTaskTool.Params(
+                    taskId = task.id.value,
+                    resultSummary = "Marked completed from the dashboard",
+                    completedBy = "dashboard"
+                )
+            )
+            return ItemResult(task.id.value, ok = true, status = result.status, warnings = result.warnings)
+        }
+
+        val updated = TaskRepository.updateStatus(task.id, status, expectedOldStatuses = setOf(task.status))
+        check(updated) { "Task changed while updating; reload and try again" }
+        publish(task.id)
+        return ItemResult(task.id.value, ok = true, status = status.name)
+    }
+
+    private fun cancel(task: Task, reason: String?): ItemResult {
+        val now = Instant.now(clock)
+        val metadata = task.metadata + buildMap {
+            put("cancelledAt", now.toString())
+            put("cancelledBy", "dashboard")
+            reason?.takeIf { it.isNotBlank() }?.let { put("cancelReason", it.trim()) }
+        }
+        return update(task.copy(status = TaskStatus.FAILED, metadata = metadata))
+    }
+
+    private fun update(task: Task): ItemResult {
+        val now = Instant.now(clock)
+        val saved = task.copy(updatedAt = if (now.isBefore(task.createdAt)) task.createdAt else now)
+        TaskRepository.update(saved)
+        publish(saved.id)
+        return ItemResult(saved.id.value, ok = true, status = saved.status.name)
+    }
+
+    private fun publish(taskId: TaskId) {
+        eventBus.publish(SystemEvent.TaskUpdated(taskId, Instant.now(clock)))
+    }
+
+    private fun transitionError(from: TaskStatus, to: TaskStatus): String {
+        val allowed = StateMachine.getValidTransitions(from)
+        return if (allowed.isEmpty()) {
+            "${from.displayName} tasks are final and cannot be moved"
+        } else {
+            "${from.displayName} tasks cannot move to ${to.displayName}; they can move to " +
+                allowed.sortedBy { it.ordinal }.joinToString(" or ") { it.displayName }
+        }
+    }
+
+    private fun Task.requireOpen(verb: String): Task {
+        check(status != TaskStatus.COMPLETED && status != TaskStatus.FAILED) {
+            "${status.name.lowercase().replaceFirstChar { it.uppercase() }} tasks cannot be $verb"
+        }
+        return this
+    }
+}
@@ -0,0 +1,139 @@
+package com.orchestrator.web.services
+
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskType
+import com.orchestrator.mcp.tools.CreateConsensusTaskTool
+import com.orchestrator.mcp.tools.CreateSimpleTaskTool
+import com.orchestrator.modules.routing.RoutingModule
+import com.orchestrator.storage.repositories.TaskRepository
+import java.time.Clock
+import java.time.Instant
+
+/**
+ * Creates tasks from the dashboard's New task dialog.
+ *
+ * Requests go through the same [CreateSimpleTaskTool] and
+ * [CreateConsensusTaskTool] agents call over MCP, so validation and routing
+ * match exactly. [preview] runs the routing without saving anything. A created
+ * task publishes [SystemEvent.TaskCreated], which open grids show through the
+ * task stream.
+ */
+class TaskCreationService(
+    agentRegistry: AgentRegistry,
+    routingModule: RoutingModule = RoutingModule(agentRegistry),
+    private val eventBus: EventBus = EventBus.global,
+    private val clock: Clock = Clock.systemUTC()
+) {
+    private val simpleTool = CreateSimpleTaskTool(agentRegistry, routingModule, TaskRepository)
+    private val consensusTool = CreateConsensusTaskTool(agentRegistry, routingModule, TaskRepository)
+
+    enum class Mode { SIMPLE, CONSENSUS }
+
+    data class Request(
+        val mode: Mode,
+        val title: String,
+        val description: String? = null,
+        val type: TaskType = TaskType.IMPLEMENTATION,
+        val complexity: Int = 5,
+        val risk: Int = 5,
+        val assigneeIds: List<String> = emptyList(),
+        val dependencyIds: List<String> = emptyList(),
+        val dueAt: Instant? = null,
+        val metadata: Map<String, String> = emptyMap(),
+        val assignToAgent: String? = null,
+        /** Simple tasks only: keep the task SOLO whatever the heuristics say */
+        val skipConsensus: Boolean = false,
+        val emergency: Boolean = false,
+        val notes: String? = null,
+        /** Indexed file paths attached as context, stored in [CONTEXT_FILES_KEY] */
+        val contextFiles: List<String> = emptyList()
+    )
+
+    /** Routing outcome common to both tools' results. */
+    data class Outcome(
+        val taskId: String,
+        val status: String,
+        val routing: String,
+        val primaryAgentId: String?,
+        val participantAgentIds: List<String>,
+        val warnings: List<String>
+    )
+
+    /**
+     * Route [request] without creating the task.
+     *
+     * @throws IllegalArgumentException when the tool rejects the request
+     */
+    fun preview(request: Request): Outcome = when (request.mode) {
+        Mode.SIMPLE -> simpleTool.preview(request.toSimpleParams()).toOutcome()
+        Mode.CONSENSUS -> consensusTool.preview(request.toConsensusParams()).toOutcome()
+    }
+
+    /**
+     * Create the task and announce it on the event bus.
+     *
+     * @throws IllegalArgumentException when the tool rejects the request
+     */
+    fun create(request: Request): Outcome {
+        val outcome = when (request.mode) {
+            Mode.SIMPLE -> simpleTool.execute(request.toSimpleParams()).toOutcome()
+            Mode.CONSENSUS -> consensusTool.execute(request.toConsensusParams()).toOutcome()
+        }
+        eventBus.publish(SystemEvent.TaskCreated(TaskId(outcome.taskId), Instant.now(clock)))
+        return outcome
+    }
+
+    private fun Request.metadataWithContext(): Map<String, String>? {
+        val merged = if (contextFiles.isEmpty()) metadata else metadata + (CONTEXT_FILES_KEY to contextFiles.joinToString(","))
+        return merged.takeIf { it.isNotEmpty() }
+    }
+
+    private fun Request.toSimpleParams() = CreateSimpleTaskTool.Params(
+        title = title,
+        description = description,
+        type = type.name,
+        complexity = complexity,
+        risk = risk,
+        assigneeIds = assigneeIds.takeIf { it.isNotEmpty() },
+        dependencyIds = dependencyIds.takeIf { it.isNotEmpty() },
+        dueAt = dueAt?.toString(),
+        metadata = metadataWithContext(),
+        directives = CreateSimpleTaskTool.Params.Directives(
+            skipConsensus = skipConsensus,
+            assignToAgent = assignToAgent,
+            isEmergency = emergency,
+            notes = notes
+        )
+    )
+
+    private fun Request.toConsensusParams() = CreateConsensusTaskTool.Params(
+        title = title,
+        description = description,
+        type = type.name,
+        complexity = complexity,
+        risk = risk,
+        assigneeIds = assigneeIds.takeIf { it.isNotEmpty() },
+        dependencyIds = dependencyIds.takeIf { it.isNotEmpty() },
+        dueAt = dueAt?.toString(),
+        metadata = metadataWithContext(),
+        directives = CreateConsensusTaskTool.Params.Directives(
+            assignToAgent = assignToAgent,
+            isEmergency = emergency,
+            notes = notes
+        )
+    )
+
+    private fun CreateSimpleTaskTool.Result.toOutcome() =
+        Outcome(taskId, status, routing, primaryAgentId, participantAgentIds, warnings)
+
+    private fun CreateConsensusTaskTool.Result.toOutcome() =
+        Outcome(taskId, status, routing, primaryAgentId, participantAgentIds, warnings)
+
+    companion object {
+        /** Task metadata key holding the attached file paths, comma-separated */
+        const val CONTEXT_FILES_KEY = "contextFiles"
+    }
+}
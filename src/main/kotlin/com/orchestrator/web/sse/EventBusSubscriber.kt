@@ -9,9 +9,11 @@ import com.orchestrator.domain.TaskStatus
 import com.orchestrator.modules.metrics.Alert
 import com.orchestrator.modules.metrics.AlertEvent
 import com.orchestrator.modules.metrics.MetricsSnapshot
+import com.orchestrator.modules.metrics.MetricsSnapshotEvent
 import com.orchestrator.modules.context.ContextModule
 import com.orchestrator.utils.Logger
 import com.orchestrator.web.services.FilesystemIndexSnapshot
+import com.orchestrator.web.services.IndexOperationSnapshot
 import com.orchestrator.web.routes.SSEStreamKind
 import com.orchestrator.web.routes.ensureSseManager
 import com.orchestrator.web.dto.toDTO
@@ -56,7 +58,9 @@ internal data class IndexProgressEvent(
     val total: Int? = null,
     val title: String? = null,
     val message: String? = null,
-    override val timestamp: Instant = Instant.now()
+    override val timestamp: Instant = Instant.now(),
+    /** Full card state (throughput, failures, outcome) when the dashboard's operations service sent it */
+    val operation: IndexOperationSnapshot? = null
 ) : Event
 
 internal data class IndexStatusUpdatedEvent(
@@ -114,6 +118,29 @@ internal class EventBusSubscriber(
             handleTaskEvent(event.taskId, event.timestamp, "taskUpdated")
         }
 
+        jobs += eventBus.on<SystemEvent.TaskDeleted> { event ->
+            handleTaskDeleted(event)
+        }
+
+        jobs += eventBus.on<SystemEvent.ProposalSubmitted> { event ->
+            handleConsensusEvent(
+                taskId = event.taskId,
+                eventName = "proposalSubmitted",
+                timestamp = event.timestamp,
+                proposalId = event.proposalId.value,
+                attributes = mapOf("proposalId" to event.proposalId.value, "agentId" to event.agentId.value)
+            )
+        }
+
+        jobs += eventBus.on<SystemEvent.DecisionMade> { event ->
+            handleConsensusEvent(
+                taskId = event.taskId,
+                eventName = "decisionMade",
+                timestamp = event.timestamp,
+                attributes = mapOf("decisionId" to event.decisionId.value)
+            )
+        }
+
         jobs += eventBus.on<WorkflowEvent.Completed> { event ->
             handleTaskEvent(event.taskId, event.timestamp, "taskUpdated")
         }
@@ -134,6 +161,10 @@ internal class EventBusSubscriber(
             handleMetrics(event.snapshot)
         }
 
+        jobs += eventBus.on<MetricsSnapshotEvent> { event ->
+            handleMetrics(event.snapshot)
+        }
+
         jobs += eventBus.on<AlertTriggeredEvent> { event ->
             handleAlert(event.alert)
         }
@@ -142,6 +173,10 @@ internal class EventBusSubscriber(
             handleAlert(event.alert)
         }
 
+        jobs += eventBus.on<SystemEvent.AgentStatusChanged> { event ->
+            handleAgentStatus(event)
+        }
+
         logger.info("Web SSE EventBus subscriber started")
     }
 
@@ -187,6 +222,49 @@ internal class EventBusSubscriber(
         broadcast(SSEStreamKind.TASKS, event)
     }
 
+    private suspend fun handleTaskDeleted(event: SystemEvent.TaskDeleted) {
+        val fragment = fragmentGenerator.taskRemoval(event.taskId, event.title, event.timestamp)
+
+        val payload = jsonPayload(
+            event = "taskDeleted",
+            attributes = mapOf(
+                "taskId" to event.taskId.value,
+                "timestamp" to event.timestamp.toString()
+            )
+        )
+
+        val sseEvent = SSEEvent.message(
+            data = payload,
+            htmlFragment = fragment,
+            timestamp = event.timestamp
+        )
+
+        broadcast(SSEStreamKind.TASKS, sseEvent)
+    }
+
+    private suspend fun handleConsensusEvent(
+        taskId: TaskId,
+        eventName: String,
+        timestamp: Instant,
+        proposalId: String? = null,
+        attributes: Map<String, Any?>
+    ) {
+        val fragment = fragmentGenerator.consensusEvent(taskId, eventName, timestamp, proposalId)
+
+        val payload = jsonPayload(
+            event = eventName,
+            attributes = mapOf("taskId" to taskId.value) + attributes + ("timestamp" to timestamp.toString())
+        )
+
+        val sseEvent = SSEEvent.message(
+            data = payload,
+            htmlFragment = fragment,
+            timestamp = timestamp
+        )
+
+        broadcast(SSEStreamKind.TASKS, sseEvent)
+    }
+
     private suspend fun handleIndexProgress(event: IndexProgressEvent) {
         val fragment = runCatching { fragmentGenerator.indexProgress(event) }
             .onFailure { throwable ->
@@ -203,6 +281,7 @@ internal class EventBusSubscriber(
                 "percentage" to event.percentage,
                 "processed" to event.processed,
                 "total" to event.total,
+                "outcome" to event.operation?.outcome?.name?.lowercase(),
                 "timestamp" to event.timestamp.toString()
             )
         )
@@ -299,6 +378,27 @@ internal class EventBusSubscriber(
         broadcast(SSEStreamKind.METRICS, sseEvent)
     }
 
+    private suspend fun handleAgentStatus(event: SystemEvent.AgentStatusChanged) {
+        val fragment = fragmentGenerator.agentStatus(event.agentId, event.status, event.timestamp)
+
+        val payload = jsonPayload(
+            event = "agentStatusChanged",
+            attributes = mapOf(
+                "agentId" to event.agentId.value,
+                "status" to event.status.name,
+                "timestamp" to event.timestamp.toString()
+            )
+        )
+
+        val sseEvent = SSEEvent.message(
+            data = payload,
+            htmlFragment = fragment,
+            timestamp = event.timestamp
+        )
+
+        broadcast(SSEStreamKind.METRICS, sseEvent)
+    }
+
     private suspend fun broadcast(kind: SSEStreamKind, event: SSEEvent) {
         runCatching { managerProvider(kind).broadcast(event) }
             .onFailure { throwable ->
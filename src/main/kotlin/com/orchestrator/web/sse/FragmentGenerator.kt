@@ -1,23 +1,31 @@
 package com.orchestrator.web.sse
 
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.AgentStatus
 import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
 import com.orchestrator.modules.metrics.Alert
+import com.orchestrator.modules.metrics.MetricsHistoryPoint
 import com.orchestrator.modules.metrics.MetricsSnapshot
+import com.orchestrator.web.components.IndexOperationCard
 import com.orchestrator.web.components.TaskGridRowFactory
 import com.orchestrator.web.components.TaskGridRowFactory.toJson
 import com.orchestrator.web.dto.IndexStatusDTO
+import com.orchestrator.web.dto.toDTO
 import com.orchestrator.web.pages.IndexStatusPage
+import com.orchestrator.web.services.IndexOperationSnapshot
 import java.text.NumberFormat
 import java.time.Clock
 import java.time.Instant
 import java.util.Locale
 import kotlinx.html.div
 import kotlinx.html.li
-import kotlinx.html.progress
 import kotlinx.html.span
 import kotlinx.html.stream.createHTML
 import kotlinx.html.strong
 import kotlinx.html.ul
+import kotlinx.serialization.encodeToString
+import kotlinx.serialization.json.Json
 
 /**
  * Generates HTML fragments for Server-Sent Events payloads.
@@ -34,7 +42,7 @@ class FragmentGenerator(
         val row = TaskGridRowFactory.fromTask(task, clock)
 
         return createHTML().div {
-            attributes["class"] = "task-row"
+            attributes["class"] = "task-row task-grid-event"
             attributes["data-task-id"] = task.id.value
             attributes["data-event-type"] = eventName
             attributes["data-row"] = row.toJson()
@@ -51,52 +59,57 @@ class FragmentGenerator(
     }
 
     /**
-     * Render progress indicator for indexing operations.
+     * Render a removal marker for a task that no longer exists. There is no row
+     * payload; the grid only needs the id (and title, for the undo toast).
      */
-    internal fun indexProgress(event: IndexProgressEvent): String {
-        val percentage = event.percentage.coerceIn(0, 100)
-        val processed = event.processed
-        val total = event.total
-        val formatter = NumberFormat.getIntegerInstance(locale)
-
-        return createHTML().div {
-            attributes["id"] = "index-progress-region"
-            attributes["class"] = "index-progress"
-            attributes["sse-swap"] = "indexProgress"
-            attributes["hx-swap"] = "outerHTML"
-            attributes["data-operation-id"] = event.operationId
-            attributes["data-timestamp"] = event.timestamp.toString()
-
-            div(classes = "index-progress__header") {
-                span(classes = "index-progress__title") {
-                    +(event.title ?: "Index Update")
-                }
-                span(classes = "index-progress__value") {
-                    +"$percentage%"
-                }
-            }
-
-            progress(classes = "index-progress__bar") {
-                attributes["max"] = "100"
-                attributes["value"] = percentage.toString()
-            }
+    fun taskRemoval(taskId: TaskId, title: String?, timestamp: Instant): String =
+        createHTML().div {
+            attributes["class"] = "task-row task-grid-event"
+            attributes["data-task-id"] = taskId.value
+            attributes["data-event-type"] = "taskDeleted"
+            attributes["data-timestamp"] = timestamp.toString()
+            title?.let { attributes["data-title"] = it }
+        }
 
-            if (processed != null && total != null) {
-                div(classes = "index-progress__meta") {
-                    +"${formatter.format(processed)} of ${formatter.format(total)} items processed"
-                }
-            } else if (processed != null) {
-                div(classes = "index-progress__meta") {
-                    +"${formatter.format(processed)} items processed"
-                }
-            }
+    /**
+     * Render a consensus round marker. Open consensus viewers for the task
+     * reload themselves; the grid ignores it.
+     */
+    fun consensusEvent(taskId: TaskId, eventName: String, timestamp: Instant, proposalId: String? = null): String =
+        createHTML().div {
+            attributes["class"] = "consensus-event"
+            attributes["data-task-id"] = taskId.value
+            attributes["data-event-type"] = eventName
+            attributes["data-timestamp"] = timestamp.toString()
+            proposalId?.let { attributes["data-proposal-id"] = it }
+        }
 
-            event.message?.takeIf { it.isNotBlank() }?.let { message ->
-                div(classes = "index-progress__message") {
-                    +message
-                }
-            }
+    /**
+     * Render an agent status marker. The agent roster updates the agent's
+     * status pill from it and reloads its cards.
+     */
+    fun agentStatus(agentId: AgentId, status: AgentStatus, timestamp: Instant): String =
+        createHTML().div {
+            attributes["class"] = "agent-status-event"
+            attributes["data-agent-id"] = agentId.value
+            attributes["data-status"] = status.name
+            attributes["data-timestamp"] = timestamp.toString()
         }
+
+    /**
+     * Render the progress card of an indexing operation ([IndexOperationCard]).
+     */
+    internal fun indexProgress(event: IndexProgressEvent): String {
+        val operation = event.operation ?: IndexOperationSnapshot(
+            operationId = event.operationId,
+            title = event.title ?: "Index Update",
+            percentage = event.percentage.coerceIn(0, 100),
+            processed = event.processed,
+            total = event.total,
+            message = event.message,
+            startedAt = event.timestamp
+        )
+        return IndexOperationCard.render(operation, locale)
     }
 
     fun indexSummary(status: IndexStatusDTO): String =
@@ -114,6 +127,7 @@ class FragmentGenerator(
         return createHTML().div {
             attributes["class"] = "metrics-summary"
             attributes["data-metrics-timestamp"] = snapshot.timestamp.toString()
+            attributes["data-point"] = Json.encodeToString(MetricsHistoryPoint.of(snapshot).toDTO())
 
             div(classes = "metrics-summary__section") {
                 span(classes = "metrics-summary__label") { +"Total Tokens" }
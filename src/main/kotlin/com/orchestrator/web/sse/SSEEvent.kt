@@ -18,6 +18,11 @@ data class SSEEvent(
 
         private fun nextId(): String = counter.incrementAndGet().toString()
 
+        /**
+         * Highest event ID issued by this process, used to reject resume IDs from a previous run.
+         */
+        internal fun latestIssuedId(): Long = counter.get()
+
         fun connected(message: String = "connected", timestamp: Instant = Instant.now()): SSEEvent =
             SSEEvent(nextId(), SSEEventType.CONNECTED, message, null, timestamp)
 
@@ -32,6 +37,9 @@ data class SSEEvent(
 
         fun error(message: String, htmlFragment: String? = null, timestamp: Instant = Instant.now()): SSEEvent =
             SSEEvent(nextId(), SSEEventType.ERROR, message, htmlFragment, timestamp)
+
+        fun resync(reason: String = "replay-gap", timestamp: Instant = Instant.now()): SSEEvent =
+            SSEEvent(nextId(), SSEEventType.RESYNC, reason, null, timestamp)
     }
 }
 
@@ -43,5 +51,6 @@ enum class SSEEventType(internal val wireName: String) {
     MESSAGE("message"),
     KEEP_ALIVE("keep-alive"),
     DISCONNECTED("disconnected"),
-    ERROR("error")
+    ERROR("error"),
+    RESYNC("resync")
 }
@@ -1,8 +1,10 @@
 package com.orchestrator.web.sse
 
+import com.orchestrator.utils.Logger
 import java.time.Duration as JavaDuration
 import java.time.Instant
 import java.util.concurrent.ConcurrentHashMap
+import kotlinx.coroutines.CancellationException
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Job
 import kotlinx.coroutines.SupervisorJob
@@ -13,22 +15,48 @@ import kotlin.time.Duration.Companion.seconds
 
 /**
  * Coordinates Server-Sent Events connections and provides utilities for broadcasting.
+ *
+ * Message events are kept in a bounded replay buffer so reconnecting clients that send
+ * their last applied event ID receive what they missed, or a resync event when the gap
+ * is no longer covered by the buffer.
  */
 class SSEManager(
     scope: CoroutineScope,
     private val keepAliveInterval: Duration = 30.seconds,
     private val staleThreshold: JavaDuration = JavaDuration.ofMinutes(1),
-    private val clock: () -> Instant = { Instant.now() }
+    private val clock: () -> Instant = { Instant.now() },
+    private val replayCapacity: Int = DEFAULT_REPLAY_CAPACITY
 ) {
 
+    init {
+        require(replayCapacity >= 0) { "replayCapacity must be >= 0" }
+    }
+
+    private val logger = Logger.logger("com.orchestrator.web.sse.SSEManager")
+
     private val supervisor: Job = SupervisorJob(scope.coroutineContext[Job])
     private val managerScope: CoroutineScope = CoroutineScope(scope.coroutineContext + supervisor)
     private val connections = ConcurrentHashMap<String, SSEConnection>()
 
+    // Guards replayBuffer, evictedThroughId and connection registration so an event is
+    // either part of a subscriber's replay or delivered live, never both.
+    private val replayLock = Any()
+    private val replayBuffer = ArrayDeque<SSEEvent>()
+    private var evictedThroughId: Long = 0
+
     /**
      * Register a new connection and start its lifecycle.
+     *
+     * When [lastEventId] is given, buffered events after it are sent before the connection
+     * goes live. If the buffer no longer covers that ID a [SSEEventType.RESYNC] event is sent
+     * instead so the client can reload its full state. A replay that fails closes the
+     * connection before it is ever registered.
      */
-    suspend fun subscribe(connectionId: String, sender: SSEConnection.Sender): SSEConnection {
+    suspend fun subscribe(
+        connectionId: String,
+        sender: SSEConnection.Sender,
+        lastEventId: String? = null
+    ): SSEConnection {
         val connection = SSEConnection(
             id = connectionId,
             sender = sender,
@@ -38,17 +66,70 @@ class SSEManager(
             onClosed = ::handleClosed
         )
 
-        connections.put(connectionId, connection)?.close()
+        if (lastEventId == null) {
+            connections.put(connectionId, connection)?.close()
+            managerScope.launch { connection.start() }
+            return connection
+        }
 
-        managerScope.launch { connection.start() }
+        managerScope.launch {
+            try {
+                connection.start()
+                replayInto(connection, lastEventId)
+            } catch (cancellation: CancellationException) {
+                throw cancellation
+            } catch (t: Throwable) {
+                logger.warn("SSE replay to connection '{}' from event {} failed: {}", connectionId, lastEventId, t.message)
+                connection.close(t)
+            }
+        }
         return connection
     }
 
+    /**
+     * Send buffered events newer than [lastEventId], then register the connection for live
+     * delivery once it has caught up.
+     */
+    private suspend fun replayInto(connection: SSEConnection, lastEventId: String) {
+        var cursor = lastEventId.toLongOrNull()
+        var first = true
+
+        while (!connection.isClosed) {
+            val batch = synchronized(replayLock) {
+                val pending = when {
+                    cursor == null -> null
+                    first && (cursor < evictedThroughId || cursor > SSEEvent.latestIssuedId()) -> null
+                    else -> replayBuffer.filter { (it.id.toLongOrNull() ?: 0L) > cursor }
+                }
+                if (pending != null && pending.isEmpty()) {
+                    connections.put(connection.id, connection)?.close()
+                }
+                pending
+            }
+            first = false
+
+            if (batch == null) {
+                connection.send(SSEEvent.resync(timestamp = clock()))
+                cursor = latestBufferedId()
+                continue
+            }
+            if (batch.isEmpty()) return
+
+            batch.forEach { connection.send(it) }
+            cursor = batch.last().id.toLongOrNull() ?: cursor
+        }
+    }
+
     /**
      * Broadcast an event to all active connections.
      */
     suspend fun broadcast(event: SSEEvent) {
-        val snapshot = connections.values.toList()
+        val snapshot = synchronized(replayLock) {
+            if (event.type == SSEEventType.MESSAGE) {
+                remember(event)
+            }
+            connections.values.toList()
+        }
         snapshot.forEach { connection ->
             runCatching { connection.send(event) }
                 .onFailure { /* connection handles closure */ }
@@ -65,6 +146,7 @@ class SSEManager(
             SSEEventType.KEEP_ALIVE -> SSEEvent.keepAlive(payload = data, timestamp = clock())
             SSEEventType.DISCONNECTED -> SSEEvent.disconnected(reason = data, timestamp = clock())
             SSEEventType.ERROR -> SSEEvent.error(message = data, htmlFragment = htmlFragment, timestamp = clock())
+            SSEEventType.RESYNC -> SSEEvent.resync(reason = data, timestamp = clock())
         }
         broadcast(event)
     }
@@ -87,6 +169,11 @@ class SSEManager(
      */
     val activeConnections: Int get() = connections.size
 
+    /**
+     * Number of message events currently held for replay.
+     */
+    val bufferedEvents: Int get() = synchronized(replayLock) { replayBuffer.size }
+
     /**
      * Cancel all connections and stop keep-alive processing.
      */
@@ -102,6 +189,22 @@ class SSEManager(
         connections.remove(connection.id, connection)
     }
 
+    private fun remember(event: SSEEvent) {
+        if (replayCapacity == 0) {
+            evictedThroughId = maxOf(evictedThroughId, event.id.toLongOrNull() ?: 0L)
+            return
+        }
+        replayBuffer.addLast(event)
+        while (replayBuffer.size > replayCapacity) {
+            val evicted = replayBuffer.removeFirst()
+            evictedThroughId = maxOf(evictedThroughId, evicted.id.toLongOrNull() ?: 0L)
+        }
+    }
+
+    private fun latestBufferedId(): Long = synchronized(replayLock) {
+        replayBuffer.lastOrNull()?.id?.toLongOrNull() ?: evictedThroughId
+    }
+
     data class ConnectionSnapshot(
         val id: String,
         val connectedAt: Instant,
@@ -111,4 +214,8 @@ class SSEManager(
     )
 
     enum class ConnectionStatus { ACTIVE, STALE, CLOSED }
+
+    companion object {
+        const val DEFAULT_REPLAY_CAPACITY = 256
+    }
 }
@@ -0,0 +1,189 @@
+package com.orchestrator.web.utils
+
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+
+/**
+ * The dependency DAG of a set of tasks, with what keeps it from being one.
+ *
+ * Edges point from a dependency to the task waiting on it. A task is in a
+ * cycle when it (indirectly) depends on itself; an open task is blocked when
+ * something it waits on, directly or down a chain, failed, no longer exists
+ * or sits in a cycle.
+ */
+object DependencyGraph {
+
+    data class Edge(val from: TaskId, val to: TaskId)
+
+    data class Graph(
+        /** Tasks to draw, in a stable order */
+        val tasks: List<Task>,
+        /** Dependencies that point at no known task */
+        val missing: Set<TaskId>,
+        val edges: List<Edge>,
+        /** Each dependency cycle, as the tasks in it */
+        val cycles: List<Set<TaskId>>,
+        val blocked: Set<TaskId>,
+        /** Task the graph was built around, if any */
+        val focus: TaskId? = null
+    ) {
+        val inCycle: Set<TaskId> get() = cycles.flatten().toSet()
+
+        fun isCycleEdge(edge: Edge): Boolean = cycles.any { edge.from in it && edge.to in it }
+
+        /** An edge that carries a blocker on to a blocked task. */
+        fun isBlockedEdge(edge: Edge): Boolean =
+            edge.to in blocked && (edge.from in blocked || edge.from in missing || edge.from in inCycle ||
+                tasks.any { it.id == edge.from && it.status == TaskStatus.FAILED })
+    }
+
+    private val OPEN_STATUSES = setOf(TaskStatus.PENDING, TaskStatus.IN_PROGRESS, TaskStatus.WAITING_INPUT)
+
+    /**
+     * Build the graph of the tasks matching [include]. Cycles and blocked
+     * chains are worked out over [all] tasks, so hiding a task never hides
+     * the reason another one is stuck.
+     *
+     * @param withIsolated also draw tasks that neither depend on nor are depended on by anything
+     */
+    fun build(all: List<Task>, include: (Task) -> Boolean = { true }, withIsolated: Boolean = false): Graph {
+        val byId = all.associateBy { it.id }
+        val cycles = findCycles(all, byId)
+        val blocked = findBlocked(all, byId, cycles.flatten().toSet())
+
+        val dependedOn = all.flatMap { it.dependencies }.toSet()
+        val shown = all.filter(include).filter { task ->
+            withIsolated || task.dependencies.isNotEmpty() || task.id in dependedOn
+        }
+        return assemble(shown, byId, cycles, blocked, focus = null)
+    }
+
+    /**
+     * The graph around [focus]: everything it waits on and everything
+     * waiting on it, transitively.
+     */
+    fun around(all: List<Task>, focus: TaskId): Graph {
+        val byId = all.associateBy { it.id }
+        val cycles = findCycles(all, byId)
+        val blocked = findBlocked(all, byId, cycles.flatten().toSet())
+
+        val dependents = mutableMapOf<TaskId, MutableList<TaskId>>()
+        all.forEach { task -> task.dependencies.forEach { dependents.getOrPut(it) { mutableListOf() }.add(task.id) } }
+
+        val upstream = reachable(focus) { id -> byId[id]?.dependencies.orEmpty() }
+        val downstream = reachable(focus) { id -> dependents[id].orEmpty() }
+        val ids = upstream + downstream + focus
+        val shown = all.filter { it.id in ids }
+        return assemble(shown, byId, cycles, blocked, focus)
+    }
+
+    private fun assemble(
+        shown: List<Task>,
+        byId: Map<TaskId, Task>,
+        cycles: List<Set<TaskId>>,
+        blocked: Set<TaskId>,
+        focus: TaskId?
+    ): Graph {
+        val shownIds = shown.map { it.id }.toSet()
+        val edges = mutableListOf<Edge>()
+        val missing = linkedSetOf<TaskId>()
+        shown.forEach { task ->
+            task.dependencies.sortedBy { it.value }.forEach { dependency ->
+                when {
+                    dependency in shownIds -> edges += Edge(dependency, task.id)
+                    dependency !in byId -> {
+                        missing += dependency
+                        edges += Edge(dependency, task.id)
+                    }
+                }
+            }
+        }
+        return Graph(
+            tasks = shown.sortedWith(compareBy<Task> { it.createdAt }.thenBy { it.id.value }),
+            missing = missing,
+            edges = edges,
+            cycles = cycles.filter { cycle -> cycle.any { it in shownIds } },
+            blocked = blocked intersect shownIds,
+            focus = focus
+        )
+    }
+
+    private fun reachable(start: TaskId, next: (TaskId) -> List<TaskId>): Set<TaskId> {
+        val seen = linkedSetOf<TaskId>()
+        val queue = ArrayDeque(next(start))
+        while (queue.isNotEmpty()) {
+            val id = queue.removeFirst()
+            if (id == start || !seen.add(id)) continue
+            queue.addAll(next(id))
+        }
+        return seen
+    }
+
+    /**
+     * Strongly connected components with more than one task, or a task that
+     * depends on itself (Tarjan).
+     */
+    private fun findCycles(all: List<Task>, byId: Map<TaskId, Task>): List<Set<TaskId>> {
+        var counter = 0
+        val index = mutableMapOf<TaskId, Int>()
+        val lowLink = mutableMapOf<TaskId, Int>()
+        val onStack = mutableSetOf<TaskId>()
+        val stack = ArrayDeque<TaskId>()
+        val cycles = mutableListOf<Set<TaskId>>()
+
+        fun connect(id: TaskId) {
+            index[id] = counter
+            lowLink[id] = counter
+            counter++
+            stack.addLast(id)
+            onStack += id
+
+            byId[id]?.dependencies.orEmpty().filter { it in byId }.forEach { dependency ->
+                if (dependency !in index) {
+                    connect(dependency)
+                    lowLink[id] = minOf(lowLink.getValue(id), lowLink.getValue(dependency))
+                } else if (dependency in onStack) {
+                    lowLink[id] = minOf(lowLink.getValue(id), index.getValue(dependency))
+                }
+            }
+
+            if (lowLink[id] == index[id]) {
+                val component = linkedSetOf<TaskId>()
+                do {
+                    val member = stack.removeLast()
+                    onStack -= member
+                    component += member
+                } while (member != id)
+                val selfLoop = component.size == 1 && id in byId.getValue(id).dependencies
+                if (component.size > 1 || selfLoop) cycles += component
+            }
+        }
+
+        all.forEach { task -> if (task.id !in index) connect(task.id) }
+        return cycles
+    }
+
+    private fun findBlocked(all: List<Task>, byId: Map<TaskId, Task>, inCycle: Set<TaskId>): Set<TaskId> {
+        val memo = mutableMapOf<TaskId, Boolean>()
+
+        fun isBlocker(id: TaskId): Boolean {
+            val task = byId[id] ?: return true
+            return task.status == TaskStatus.FAILED || id in inCycle
+        }
+
+        fun blocked(id: TaskId, visiting: MutableSet<TaskId>): Boolean {
+            memo[id]?.let { return it }
+            val task = byId[id] ?: return false
+            if (task.status !in OPEN_STATUSES || !visiting.add(id)) return false
+            val result = task.dependencies.any { dependency ->
+                isBlocker(dependency) || blocked(dependency, visiting)
+            }
+            visiting -= id
+            memo[id] = result
+            return result
+        }
+
+        return all.filter { blocked(it.id, mutableSetOf()) }.map { it.id }.toSet()
+    }
+}
@@ -0,0 +1,80 @@
+package com.orchestrator.web.utils
+
+/**
+ * Line-based diff (longest common subsequence) laid out for a side-by-side view.
+ */
+object LineDiff {
+
+    enum class Kind { SAME, CHANGED, REMOVED, ADDED }
+
+    /** One row of the side-by-side view; a null side has no line in that row. */
+    data class Row(
+        val kind: Kind,
+        val left: String?,
+        val right: String?
+    )
+
+    /** Above this many line pairs the LCS table is skipped and both sides are shown whole. */
+    private const val MAX_CELLS = 250_000
+
+    fun sideBySide(left: String, right: String): List<Row> =
+        sideBySide(left.lines(), right.lines())
+
+    fun sideBySide(left: List<String>, right: List<String>): List<Row> {
+        if (left.size.toLong() * right.size > MAX_CELLS) {
+            return pairUp(left, right)
+        }
+
+        // lengths[i][j] = LCS length of left[i..] and right[j..]
+        val lengths = Array(left.size + 1) { IntArray(right.size + 1) }
+        for (i in left.indices.reversed()) {
+            for (j in right.indices.reversed()) {
+                lengths[i][j] = if (left[i] == right[j]) {
+                    lengths[i + 1][j + 1] + 1
+                } else {
+                    maxOf(lengths[i + 1][j], lengths[i][j + 1])
+                }
+            }
+        }
+
+        val rows = mutableListOf<Row>()
+        val removed = mutableListOf<String>()
+        val added = mutableListOf<String>()
+        fun flush() {
+            rows += pairUp(removed, added)
+            removed.clear()
+            added.clear()
+        }
+
+        var i = 0
+        var j = 0
+        while (i < left.size && j < right.size) {
+            when {
+                left[i] == right[j] -> {
+                    flush()
+                    rows += Row(Kind.SAME, left[i], right[j])
+                    i++
+                    j++
+                }
+                lengths[i + 1][j] >= lengths[i][j + 1] -> removed += left[i++]
+                else -> added += right[j++]
+            }
+        }
+        while (i < left.size) removed += left[i++]
+        while (j < right.size) added += right[j++]
+        flush()
+        return rows
+    }
+
+    /** A run of removed lines next to a run of added lines reads as changed lines. */
+    private fun pairUp(removed: List<String>, added: List<String>): List<Row> =
+        (0 until maxOf(removed.size, added.size)).map { index ->
+            val l = removed.getOrNull(index)
+            val r = added.getOrNull(index)
+            when {
+                l != null && r != null -> Row(if (l == r) Kind.SAME else Kind.CHANGED, l, r)
+                l != null -> Row(Kind.REMOVED, l, null)
+                else -> Row(Kind.ADDED, null, r)
+            }
+        }
+}
@@ -4,12 +4,15 @@ import com.orchestrator.domain.Decision
 import com.orchestrator.domain.Proposal
 import com.orchestrator.domain.RoutingStrategy
 import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
 import java.time.format.DateTimeFormatter
 import java.util.Locale
 
 /**
  * Utility to generate Mermaid sequence diagrams that describe how a task
- * moved through the orchestration pipeline.
+ * moved through the orchestration pipeline, and flowcharts of the task
+ * dependency graph.
  *
  * The output string is suitable for embedding directly inside a
  * `<div class="mermaid">…</div>` container.
@@ -102,6 +105,85 @@ object MermaidGenerator {
         return builder.toString()
     }
 
+    /** A dependency flowchart and the task behind each of its node IDs. */
+    data class DependencyDiagram(
+        val source: String,
+        val nodes: Map<String, TaskId>
+    )
+
+    /**
+     * Flowchart of [graph], dependencies on the left. Nodes get a
+     * `status_<STATUS>` class (every status is defined, so a node can be
+     * recoloured by swapping the class on the rendered SVG), plus `cycle`,
+     * `blocked`, `missing` or `focus` where they apply. Cycle edges are drawn
+     * red and edges carrying a blocker orange.
+     */
+    fun buildDependencyGraph(graph: DependencyGraph.Graph): DependencyDiagram {
+        val builder = StringBuilder()
+        builder.appendLine("flowchart LR")
+
+        val nodes = linkedMapOf<String, TaskId>()
+        val aliases = mutableMapOf<TaskId, String>()
+        graph.tasks.forEach { task ->
+            val alias = "t${aliases.size}"
+            aliases[task.id] = alias
+            nodes[alias] = task.id
+            val label = "${labelText(truncate(task.title.ifBlank { task.id.value }))}<br/><small>${labelText(task.id.value)}</small>"
+            builder.appendLine("${INDENT}$alias[\"$label\"]")
+        }
+        graph.missing.forEach { id ->
+            val alias = "t${aliases.size}"
+            aliases[id] = alias
+            nodes[alias] = id
+            builder.appendLine("${INDENT}$alias[\"${labelText(id.value)}<br/><small>missing</small>\"]")
+        }
+
+        graph.edges.forEach { edge ->
+            builder.appendLine("${INDENT}${aliases.getValue(edge.from)} --> ${aliases.getValue(edge.to)}")
+        }
+
+        TaskStatus.entries.forEach { status ->
+            builder.appendLine("${INDENT}classDef ${statusClass(status)} ${STATUS_STYLES.getValue(status)}")
+        }
+        builder.appendLine("${INDENT}classDef missing fill:#f3f4f6,stroke:#9ca3af,stroke-dasharray:4 3,color:#6b7280")
+        builder.appendLine("${INDENT}classDef blocked stroke:#ea580c,stroke-width:3px")
+        builder.appendLine("${INDENT}classDef cycle stroke:#dc2626,stroke-width:3px,stroke-dasharray:6 3")
+        builder.appendLine("${INDENT}classDef focus stroke:#111827,stroke-width:4px")
+
+        val inCycle = graph.inCycle
+        graph.tasks.forEach { task ->
+            val alias = aliases.getValue(task.id)
+            builder.appendLine("${INDENT}class $alias ${statusClass(task.status)}")
+            if (task.id in graph.blocked) builder.appendLine("${INDENT}class $alias blocked")
+            if (task.id in inCycle) builder.appendLine("${INDENT}class $alias cycle")
+            if (task.id == graph.focus) builder.appendLine("${INDENT}class $alias focus")
+        }
+        graph.missing.forEach { id -> builder.appendLine("${INDENT}class ${aliases.getValue(id)} missing") }
+
+        graph.edges.forEachIndexed { index, edge ->
+            when {
+                graph.isCycleEdge(edge) -> builder.appendLine("${INDENT}linkStyle $index stroke:#dc2626,stroke-width:2px")
+                graph.isBlockedEdge(edge) -> builder.appendLine("${INDENT}linkStyle $index stroke:#ea580c,stroke-width:2px")
+            }
+        }
+
+        return DependencyDiagram(builder.toString(), nodes)
+    }
+
+    /** Mermaid class of a node with [status], e.g. `status_IN_PROGRESS`. */
+    fun statusClass(status: TaskStatus): String = "status_${status.name}"
+
+    private val STATUS_STYLES = mapOf(
+        TaskStatus.PENDING to "fill:#fef3c7,stroke:#f59e0b,color:#78350f",
+        TaskStatus.IN_PROGRESS to "fill:#dbeafe,stroke:#3b82f6,color:#1e3a8a",
+        TaskStatus.WAITING_INPUT to "fill:#fce7f3,stroke:#ec4899,color:#831843",
+        TaskStatus.COMPLETED to "fill:#d1fae5,stroke:#10b981,color:#064e3b",
+        TaskStatus.FAILED to "fill:#fee2e2,stroke:#ef4444,color:#7f1d1d"
+    )
+
+    /** Node label text: HTML-escaped, with quotes as Mermaid entities. */
+    private fun labelText(value: String): String = escape(value).replace("\"", "#quot;")
+
     private fun appendSoloFlow(
         builder: StringBuilder,
         routerAlias: String,
@@ -30,6 +30,16 @@ object TimeFormatters {
         return RelativeTime(humanized = humanized, absolute = absolute)
     }
 
+    /** Short duration such as "45s", "3m 05s" or "1h 02m". */
+    fun compactDuration(duration: Duration): String {
+        val seconds = duration.abs().seconds
+        return when {
+            seconds < 60 -> "${seconds}s"
+            seconds < 3_600 -> "%dm %02ds".format(seconds / 60, seconds % 60)
+            else -> "%dh %02dm".format(seconds / 3_600, seconds % 3_600 / 60)
+        }
+    }
+
     private fun format(duration: Duration, unit: Duration, label: String, future: Boolean): String {
         val amount = (duration.abs().toMillis() / unit.toMillis()).coerceAtLeast(1)
         val plural = if (amount == 1L) label else "${label}s"
@@ -0,0 +1,144 @@
+/**
+ * Agent roster (see AgentRoster.kt).
+ *
+ * An agentStatusChanged event flips the agent's status pill at once. Task
+ * events and metrics snapshots change open tasks, success rates and token
+ * spend, so the roster then reloads from its data-refresh-url.
+ */
+(function () {
+  'use strict';
+
+  if (window.AgentRoster) return;
+
+  const ROSTER_SELECTOR = '[data-agent-roster]';
+  const REFRESH_DELAY_MS = 500;
+
+  let subscriptions = [];
+  let refreshTimer = null;
+  let refreshController = null;
+
+  function formatStatus(status) {
+    const text = status.toLowerCase().replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // region Live updates
+
+  function refresh() {
+    const roster = document.querySelector(ROSTER_SELECTOR);
+    if (!roster) return;
+    if (refreshController) refreshController.abort();
+    const controller = new AbortController();
+    refreshController = controller;
+
+    fetch(roster.dataset.refreshUrl, { headers: { Accept: 'text/html' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then((html) => {
+        if (!roster.isConnected) return;
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const next = template.content.firstElementChild;
+        if (!next) return;
+
+        const focused = document.activeElement && roster.contains(document.activeElement)
+          ? document.activeElement.getAttribute('href')
+          : null;
+        roster.replaceWith(next);
+        if (window.htmx) window.htmx.process(next);
+        if (focused) {
+          const target = Array.from(next.querySelectorAll('a[href]'))
+            .find((link) => link.getAttribute('href') === focused);
+          if (target) target.focus();
+        }
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Agent roster refresh failed', err);
+      });
+  }
+
+  function scheduleRefresh() {
+    if (!document.querySelector(ROSTER_SELECTOR)) {
+      release();
+      return;
+    }
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, REFRESH_DELAY_MS);
+  }
+
+  function onAgentStatus(message) {
+    const template = document.createElement('template');
+    template.innerHTML = (message.data || '').trim();
+    const event = template.content.querySelector('.agent-status-event');
+    if (!event || !event.dataset.agentId || !event.dataset.status) return;
+
+    const card = document.querySelector(
+      `${ROSTER_SELECTOR} .agent-card[data-agent-id="${CSS.escape(event.dataset.agentId)}"]`
+    );
+    const pill = card && card.querySelector('[data-agent-status]');
+    if (pill) {
+      const status = event.dataset.status;
+      card.dataset.status = status;
+      pill.dataset.agentStatus = status;
+      pill.className = `agent-card__status agent-card__status--${status.toLowerCase()}`;
+      pill.textContent = formatStatus(status);
+    }
+    scheduleRefresh();
+  }
+
+  // endregion
+
+  function init() {
+    const sse = window.OrchestratorSSE;
+    if (!document.querySelector(ROSTER_SELECTOR) || subscriptions.length) return;
+    if (!sse) {
+      console.error('OrchestratorSSE client not loaded; live roster updates disabled');
+      return;
+    }
+    subscriptions = [
+      sse.subscribe(sse.Streams.TASKS, {
+        taskCreated: scheduleRefresh,
+        taskUpdated: scheduleRefresh,
+        taskDeleted: scheduleRefresh,
+        // Events were missed; reload to catch up
+        resync: scheduleRefresh
+      }),
+      sse.subscribe(sse.Streams.METRICS, {
+        metricsUpdated: scheduleRefresh,
+        agentStatusChanged: onAgentStatus,
+        resync: scheduleRefresh
+      })
+    ];
+  }
+
+  /**
+   * Drop the subscriptions once the roster has left the page.
+   */
+  function release() {
+    if (!subscriptions.length || document.querySelector(ROSTER_SELECTOR)) return;
+    clearTimeout(refreshTimer);
+    if (refreshController) refreshController.abort();
+    subscriptions.forEach((unsubscribe) => unsubscribe());
+    subscriptions = [];
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  // Boosted navigation swaps the roster in and out without a page load.
+  document.addEventListener('htmx:afterSettle', () => {
+    release();
+    init();
+  });
+
+  window.AgentRoster = {
+    init,
+    refresh,
+    release
+  };
+})();
@@ -0,0 +1,95 @@
+/**
+ * Chunk explorer in the file detail modal (see FileDetail.kt).
+ *
+ * Picking a chunk in the list scrolls the source pane to its first line and
+ * marks its lines in the gutter; picking a gutter line picks its chunk.
+ * Handlers are delegated, so the modal can be loaded any number of times.
+ */
+(function () {
+  'use strict';
+
+  if (window.ChunkExplorer) {
+    window.ChunkExplorer.init();
+    return;
+  }
+
+  const EXPLORER_SELECTOR = '[data-chunk-explorer]';
+  const ITEM_SELECTOR = '.file-detail__chunk-item[data-start-line]';
+
+  function select(explorer, chunkId) {
+    explorer.querySelectorAll(ITEM_SELECTOR).forEach((item) => {
+      const selected = item.dataset.chunkId === chunkId;
+      item.classList.toggle('is-selected', selected);
+      item.setAttribute('aria-pressed', selected ? 'true' : 'false');
+    });
+    explorer.querySelectorAll('.file-source__ln').forEach((line) => {
+      line.classList.toggle('is-selected', line.dataset.chunkId === chunkId);
+    });
+  }
+
+  function scrollToLine(explorer, lineNumber) {
+    const pane = explorer.querySelector('[data-source-pane]');
+    const line = explorer.querySelector(`.file-source__ln[data-line="${CSS.escape(String(lineNumber))}"]`);
+    if (!pane || !line) return;
+    // Scroll the pane only; scrollIntoView would move the modal as well.
+    const offset = line.getBoundingClientRect().top - pane.getBoundingClientRect().top;
+    pane.scrollTop += offset - pane.clientHeight / 4;
+  }
+
+  function pick(item) {
+    const explorer = item.closest(EXPLORER_SELECTOR);
+    if (!explorer) return;
+    select(explorer, item.dataset.chunkId);
+    scrollToLine(explorer, item.dataset.startLine);
+  }
+
+  // region Events
+
+  document.addEventListener('click', (event) => {
+    if (!event.target.closest) return;
+    const item = event.target.closest(ITEM_SELECTOR);
+    if (item) {
+      pick(item);
+      return;
+    }
+    const line = event.target.closest('.file-source__ln[data-chunk-id]');
+    const explorer = line && line.closest(EXPLORER_SELECTOR);
+    if (!explorer) return;
+    select(explorer, line.dataset.chunkId);
+    const match = explorer.querySelector(`${ITEM_SELECTOR}[data-chunk-id="${CSS.escape(line.dataset.chunkId)}"]`);
+    if (match) match.scrollIntoView({ block: 'nearest' });
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    const item = event.target.closest && event.target.closest(ITEM_SELECTOR);
+    if (!item) return;
+    event.preventDefault();
+    pick(item);
+  });
+
+  // endregion
+
+  /** Start each newly loaded explorer with nothing picked and the source at the top. */
+  function init() {
+    document.querySelectorAll(EXPLORER_SELECTOR).forEach((explorer) => {
+      if (explorer.dataset.ready) return;
+      explorer.dataset.ready = 'true';
+      const pane = explorer.querySelector('[data-source-pane]');
+      if (pane) pane.scrollTop = 0;
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  document.addEventListener('modal:loaded', init);
+  document.addEventListener('htmx:afterSettle', init);
+
+  window.ChunkExplorer = {
+    init,
+    select
+  };
+})();
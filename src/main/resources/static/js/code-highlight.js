@@ -0,0 +1,125 @@
+/**
+ * Syntax highlighting for code blocks marked `<code data-highlight
+ * data-language="kotlin">`, such as search hits and the file detail source
+ * view. No library: a small single-pass tokenizer (comments, strings,
+ * numbers, keywords) rather than a full grammar, enough to read code at a
+ * glance. Multi-line comments and strings are kept whole, so highlight the
+ * whole text rather than line by line.
+ *
+ * Blocks are highlighted when the script loads, after htmx swaps and when a
+ * modal loads; each block only once.
+ */
+(function () {
+  'use strict';
+
+  if (window.CodeHighlight) {
+    window.CodeHighlight.highlightAll();
+    return;
+  }
+
+  const CODE_SELECTOR = 'code[data-highlight]';
+
+  const KEYWORDS = [
+    'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'companion', 'const', 'continue',
+    'data', 'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends',
+    'false', 'final', 'finally', 'fn', 'for', 'from', 'fun', 'func', 'function', 'go', 'if', 'impl',
+    'implements', 'import', 'in', 'interface', 'internal', 'is', 'lambda', 'let', 'match', 'mut', 'new',
+    'nil', 'None', 'null', 'object', 'open', 'override', 'package', 'pass', 'private', 'protected', 'pub',
+    'public', 'raise', 'return', 'sealed', 'self', 'static', 'struct', 'super', 'suspend', 'switch', 'this',
+    'throw', 'throws', 'trait', 'True', 'False', 'true', 'try', 'type', 'typealias', 'use', 'val', 'var',
+    'void', 'when', 'where', 'while', 'with', 'yield'
+  ];
+  const SQL_KEYWORDS = [
+    'add', 'all', 'alter', 'and', 'as', 'asc', 'between', 'by', 'case', 'create', 'delete', 'desc',
+    'distinct', 'drop', 'else', 'end', 'exists', 'false', 'from', 'group', 'having', 'if', 'in', 'index',
+    'insert', 'into', 'is', 'join', 'key', 'left', 'like', 'limit', 'not', 'null', 'on', 'or', 'order',
+    'primary', 'references', 'returning', 'right', 'select', 'set', 'table', 'then', 'true', 'union',
+    'unique', 'update', 'values', 'when', 'where', 'with'
+  ];
+
+  const STRING = /"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/;
+  const NUMBER = /\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?[fFL]?)\b/;
+  const SLASH_COMMENT = /\/\*[\s\S]*?\*\/|\/\/[^\n]*/;
+  const HASH_COMMENT = /#[^\n]*/;
+  const DASH_COMMENT = /--[^\n]*/;
+  const ANNOTATION = /@[A-Za-z_]\w*/;
+
+  const HASH_LANGUAGES = new Set(['python', 'yaml', 'yml', 'toml', 'shell', 'bash', 'sh', 'ruby', 'perl', 'r']);
+  const PLAIN_LANGUAGES = new Set(['', 'markdown', 'md', 'text', 'plaintext', 'txt']);
+
+  const keywordPattern = (words) => new RegExp(`\\b(?:${words.join('|')})\\b`);
+
+  function rulesFor(language) {
+    if (PLAIN_LANGUAGES.has(language)) return null;
+    if (language === 'json') {
+      return [['string', STRING], ['number', NUMBER], ['keyword', keywordPattern(['true', 'false', 'null'])]];
+    }
+    if (language === 'sql') {
+      return [['comment', DASH_COMMENT], ['string', STRING], ['number', NUMBER], ['keyword', keywordPattern(SQL_KEYWORDS)]];
+    }
+    const comment = HASH_LANGUAGES.has(language) ? HASH_COMMENT : SLASH_COMMENT;
+    return [['comment', comment], ['string', STRING], ['number', NUMBER], ['keyword', keywordPattern(KEYWORDS)],
+      ['annotation', ANNOTATION]];
+  }
+
+  const tokenizers = new Map();
+
+  /** One regex per language with a capture group per rule, built once. */
+  function tokenizer(language) {
+    if (tokenizers.has(language)) return tokenizers.get(language);
+    const rules = rulesFor(language);
+    const compiled = rules && {
+      names: rules.map(([name]) => name),
+      pattern: new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), language === 'sql' ? 'gi' : 'g')
+    };
+    tokenizers.set(language, compiled);
+    return compiled;
+  }
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function highlight(code) {
+    if (code.dataset.highlighted) return;
+    code.dataset.highlighted = 'true';
+    const compiled = tokenizer((code.dataset.language || '').toLowerCase());
+    if (!compiled) return;
+
+    const text = code.textContent;
+    const { names, pattern } = compiled;
+    let html = '';
+    let last = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+      const group = match.slice(1).findIndex((part) => part !== undefined);
+      html += escapeHtml(text.slice(last, match.index));
+      html += `<span class="tok-${names[group]}">${escapeHtml(match[0])}</span>`;
+      last = match.index + match[0].length;
+    }
+    html += escapeHtml(text.slice(last));
+    code.innerHTML = html;
+  }
+
+  function highlightAll(scope) {
+    (scope || document).querySelectorAll(CODE_SELECTOR).forEach(highlight);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => highlightAll());
+  } else {
+    highlightAll();
+  }
+  document.addEventListener('htmx:afterSettle', () => highlightAll());
+  document.addEventListener('modal:loaded', () => highlightAll());
+
+  window.CodeHighlight = {
+    highlight,
+    highlightAll
+  };
+})();
@@ -0,0 +1,143 @@
+/**
+ * Live consensus round viewer (see ConsensusViewer.kt).
+ *
+ * Each viewer on the page listens on the task stream for proposalSubmitted and
+ * decisionMade events about its task and reloads itself from its
+ * data-refresh-url, keeping the proposals picked for the diff. Subscriptions are
+ * dropped once the viewer leaves the page (modal closed or swapped out).
+ */
+(function () {
+  'use strict';
+
+  if (window.ConsensusViewer) return;
+
+  const VIEWER_SELECTOR = '[data-consensus-viewer]';
+  const REFRESH_DELAY_MS = 150;
+  const NEW_PROPOSAL_MS = 2000;
+
+  // taskId -> { unsubscribe, timer, proposalId, controller }
+  const subscriptions = new Map();
+
+  function findViewer(taskId) {
+    return Array.from(document.querySelectorAll(VIEWER_SELECTOR))
+      .find((viewer) => viewer.dataset.consensusViewer === taskId) || null;
+  }
+
+  function parseEvent(html) {
+    const template = document.createElement('template');
+    template.innerHTML = (html || '').trim();
+    const marker = template.content.firstElementChild;
+    if (!marker) return null;
+    return {
+      taskId: marker.dataset.taskId,
+      proposalId: marker.dataset.proposalId || null
+    };
+  }
+
+  function refreshUrl(viewer) {
+    const url = new URL(viewer.dataset.refreshUrl, window.location.origin);
+    viewer.querySelectorAll('[data-diff-side]').forEach((select) => {
+      url.searchParams.set(select.dataset.diffSide, select.value);
+    });
+    return url.pathname + url.search;
+  }
+
+  function markNewProposal(viewer, proposalId) {
+    if (!proposalId) return;
+    const card = viewer.querySelector(`[data-proposal-id="${CSS.escape(proposalId)}"]`);
+    if (!card) return;
+    card.classList.add('is-new');
+    setTimeout(() => card.classList.remove('is-new'), NEW_PROPOSAL_MS);
+  }
+
+  function refresh(taskId) {
+    const entry = subscriptions.get(taskId);
+    const viewer = findViewer(taskId);
+    if (!entry || !viewer) return;
+
+    if (entry.controller) entry.controller.abort();
+    const controller = new AbortController();
+    entry.controller = controller;
+    const proposalId = entry.proposalId;
+    entry.proposalId = null;
+
+    fetch(refreshUrl(viewer), { headers: { Accept: 'text/html' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then((html) => {
+        const current = findViewer(taskId);
+        if (!current || controller !== entry.controller) return;
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const next = template.content.firstElementChild;
+        if (!next) return;
+        current.replaceWith(next);
+        if (window.htmx) window.htmx.process(next);
+        markNewProposal(next, proposalId);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Consensus viewer refresh failed', err);
+      });
+  }
+
+  function scheduleRefresh(message) {
+    const event = parseEvent(message.data);
+    if (!event || !subscriptions.has(event.taskId)) return;
+    if (!findViewer(event.taskId)) {
+      release();
+      return;
+    }
+
+    const entry = subscriptions.get(event.taskId);
+    if (event.proposalId) entry.proposalId = event.proposalId;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => refresh(event.taskId), REFRESH_DELAY_MS);
+  }
+
+  function init() {
+    const sse = window.OrchestratorSSE;
+    if (!sse) return;
+
+    document.querySelectorAll(VIEWER_SELECTOR).forEach((viewer) => {
+      const taskId = viewer.dataset.consensusViewer;
+      if (!taskId || subscriptions.has(taskId)) return;
+      const unsubscribe = sse.subscribe(sse.Streams.TASKS, {
+        proposalSubmitted: scheduleRefresh,
+        decisionMade: scheduleRefresh,
+        // Events were missed; reload to catch up
+        resync: () => refresh(taskId)
+      });
+      subscriptions.set(taskId, { unsubscribe, timer: null, proposalId: null, controller: null });
+    });
+  }
+
+  /**
+   * Drop the subscriptions of viewers that are no longer on the page.
+   */
+  function release() {
+    subscriptions.forEach((entry, taskId) => {
+      if (findViewer(taskId)) return;
+      clearTimeout(entry.timer);
+      if (entry.controller) entry.controller.abort();
+      entry.unsubscribe();
+      subscriptions.delete(taskId);
+    });
+  }
+
+  document.addEventListener('modal:loaded', init);
+  document.addEventListener('modal:closed', release);
+  document.addEventListener('htmx:afterSettle', () => {
+    release();
+    init();
+  });
+  document.addEventListener('DOMContentLoaded', init);
+
+  window.ConsensusViewer = {
+    init,
+    refresh,
+    release
+  };
+})();
@@ -0,0 +1,51 @@
+/**
+ * Context search playground (see ContextSearch.kt).
+ *
+ * Shows the second provider set when "compare" is ticked and reports
+ * rejected searches. Chunk text is highlighted by code-highlight.js.
+ */
+(function () {
+  'use strict';
+
+  if (window.ContextSearch) return;
+
+  const FORM_SELECTOR = '[data-context-search]';
+
+  function syncCompare(form) {
+    const toggle = form.querySelector('[data-compare-toggle]');
+    const providers = form.querySelector('[data-compare-providers]');
+    if (toggle && providers) providers.hidden = !toggle.checked;
+  }
+
+  function init() {
+    const form = document.querySelector(FORM_SELECTOR);
+    if (!form) return;
+    syncCompare(form);
+  }
+
+  document.addEventListener('change', (event) => {
+    const toggle = event.target.closest && event.target.closest('[data-compare-toggle]');
+    const form = toggle && toggle.closest(FORM_SELECTOR);
+    if (form) syncCompare(form);
+  });
+
+  // htmx leaves 4xx responses unswapped; say why nothing changed.
+  document.addEventListener('htmx:responseError', (event) => {
+    const source = event.detail && event.detail.elt;
+    if (!source || !source.closest || !source.closest(FORM_SELECTOR)) return;
+    const xhr = event.detail.xhr;
+    if (window.Toast) window.Toast.notify((xhr && xhr.responseText) || 'Search failed', 'error');
+  });
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  // New results, or the page itself arriving through boosted navigation.
+  document.addEventListener('htmx:afterSettle', init);
+
+  window.ContextSearch = {
+    init
+  };
+})();
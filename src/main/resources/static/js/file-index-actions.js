@@ -0,0 +1,121 @@
+/**
+ * Index actions for the files grid selection (see FilesPage.indexActionBar).
+ *
+ * Shows the `#files-index-bar` toolbar while rows are selected and keeps one hidden
+ * `path` field per selected file - or per parent directory when "Whole folders" is
+ * ticked - so index-status.js can post the form when an action button is clicked.
+ */
+(function () {
+  'use strict';
+
+  if (window.FileIndexActions) {
+    window.FileIndexActions.attachExisting();
+    return;
+  }
+
+  const GRID_ID = 'files-grid';
+  const BAR_ID = 'files-index-bar';
+
+  let gridApi = null;
+
+  function bar() {
+    return document.getElementById(BAR_ID);
+  }
+
+  function selectedPaths() {
+    if (!gridApi || typeof gridApi.getSelectedNodes !== 'function') return [];
+    return gridApi.getSelectedNodes()
+      .map((node) => node.data && node.data.path)
+      .filter(Boolean);
+  }
+
+  /** The paths to act on: the files, or their directories ending in '/'. */
+  function targetPaths(el) {
+    const paths = selectedPaths();
+    const folders = el.querySelector('[data-whole-folders]');
+    if (!folders || !folders.checked) return paths;
+
+    const directories = paths.map((path) => {
+      const slash = path.lastIndexOf('/');
+      // Files at the top of a watch root have no folder to widen to
+      return slash === -1 ? path : path.slice(0, slash + 1);
+    });
+    return Array.from(new Set(directories));
+  }
+
+  function updateBar() {
+    const el = bar();
+    if (!el) return;
+
+    const files = selectedPaths().length;
+    const targets = targetPaths(el);
+    el.hidden = files === 0;
+
+    const count = el.querySelector('[data-selection-count]');
+    if (count) {
+      const folders = el.querySelector('[data-whole-folders]');
+      count.textContent = folders && folders.checked
+        ? files + ' selected in ' + targets.length + (targets.length === 1 ? ' folder' : ' folders')
+        : files + ' selected';
+    }
+
+    const holder = el.querySelector('[data-selection-paths]');
+    if (holder) {
+      holder.replaceChildren(...targets.map((path) => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'path';
+        input.value = path;
+        return input;
+      }));
+    }
+  }
+
+  function attach(api) {
+    gridApi = api;
+    if (typeof api.addEventListener === 'function') {
+      api.addEventListener('selectionChanged', updateBar);
+    }
+    updateBar();
+  }
+
+  /** Pick up a grid created before this script ran, e.g. after boosted navigation. */
+  function attachExisting() {
+    const container = document.getElementById(GRID_ID);
+    if (container && container._gridApi && container._gridApi !== gridApi) {
+      attach(container._gridApi);
+    } else {
+      updateBar();
+    }
+  }
+
+  document.addEventListener('ag-grid:ready', (event) => {
+    if (!event || !event.target || event.target.id !== GRID_ID) return;
+    const detail = event.detail || {};
+    if (detail.gridApi) attach(detail.gridApi);
+  });
+
+  document.addEventListener('change', (event) => {
+    const el = bar();
+    if (el && event.target.closest && event.target.closest('[data-whole-folders]')) {
+      updateBar();
+    }
+  });
+
+  document.addEventListener('click', (event) => {
+    const el = bar();
+    if (!el || !event.target.closest || !event.target.closest('[data-selection-clear]')) return;
+    if (gridApi && typeof gridApi.deselectAll === 'function') {
+      gridApi.deselectAll();
+    }
+    updateBar();
+  });
+
+  attachExisting();
+
+  window.FileIndexActions = {
+    selectedPaths,
+    targetPaths: () => (bar() ? targetPaths(bar()) : []),
+    attachExisting
+  };
+})();
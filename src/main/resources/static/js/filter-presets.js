@@ -7,6 +7,13 @@
   const CLEAR_ATTR = 'data-filter-clear';
   const PRESET_ATTR = 'data-filter-preset';
   const TARGET_ATTR = 'data-filter-target';
+  const SAVE_ATTR = 'data-filter-save';
+  const DELETE_ATTR = 'data-filter-preset-delete';
+  const SYNC_ATTR = 'data-filter-sync-url';
+  const ENDPOINT_ATTR = 'data-filter-presets-endpoint';
+  const SYNC_DELAY_MS = 300;
+
+  const syncTimers = new WeakMap();
 
   function dispatchUpdate(form) {
     if (!form) return;
@@ -18,6 +25,232 @@
     }
   }
 
+  function resolveForm(trigger, selectorAttr) {
+    const formSelector = trigger.getAttribute(selectorAttr);
+    return formSelector ? document.querySelector(formSelector) : trigger.closest('form');
+  }
+
+  // region Form state
+
+  /**
+   * Non-empty form values, with multi-selects as repeated keys.
+   */
+  function formParams(form) {
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, key) => {
+      const text = String(value).trim();
+      if (text) params.append(key, text);
+    });
+    return params;
+  }
+
+  function fieldNames(form) {
+    return Array.from(new Set(
+      Array.from(form.elements).map((el) => el.name).filter(Boolean)
+    ));
+  }
+
+  /**
+   * Set every named field from a query string; fields it doesn't mention are cleared.
+   */
+  function applyParams(form, params) {
+    Array.from(form.elements).forEach((el) => {
+      if (!el.name) return;
+      const values = params.getAll(el.name)
+        .flatMap((value) => value.split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+
+      if (el.tagName === 'SELECT') {
+        if (el.multiple) {
+          Array.from(el.options).forEach((option) => {
+            option.selected = values.includes(option.value);
+          });
+        } else {
+          el.value = values[0] || '';
+        }
+      } else if (el.type === 'date') {
+        // Stored bounds may be full timestamps; date inputs only take the day.
+        el.value = (values[0] || '').slice(0, 10);
+      } else if (el.type !== 'button' && el.type !== 'submit') {
+        el.value = values[0] || '';
+      }
+    });
+  }
+
+  function clearForm(form) {
+    if (!form.hasAttribute(SYNC_ATTR)) {
+      form.reset();
+      return;
+    }
+    // reset() would restore the values rendered from the URL, not an empty filter.
+    applyParams(form, new URLSearchParams());
+  }
+
+  function applyLegacyPreset(form, presetButton) {
+    const query = presetButton.getAttribute('data-preset-query') || '';
+    const status = presetButton.getAttribute('data-preset-status') || '';
+    const type = presetButton.getAttribute('data-preset-type') || '';
+    const agent = presetButton.getAttribute('data-preset-agent') || '';
+
+    const queryField = form.querySelector('input[name="query"]');
+    const statusField = form.querySelector('select[name="status"]');
+    const typeField = form.querySelector('select[name="type"]');
+    const agentField = form.querySelector('select[name="agent"]');
+
+    if (queryField) {
+      queryField.value = query;
+    }
+    if (statusField) {
+      statusField.value = status;
+    }
+    if (typeField) {
+      typeField.value = type;
+    }
+    if (agentField) {
+      agentField.value = agent;
+    }
+  }
+
+  // endregion
+
+  // region URL sync
+
+  /**
+   * Write the form's filters into the page URL, keeping unrelated parameters,
+   * and announce the change so the grid can re-query.
+   */
+  function syncUrl(form) {
+    const url = new URL(window.location.href);
+    fieldNames(form).forEach((name) => url.searchParams.delete(name));
+    formParams(form).forEach((value, key) => url.searchParams.append(key, value));
+
+    if (url.toString() !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url.toString());
+    }
+    form.dispatchEvent(new CustomEvent('filters:change', {
+      bubbles: true,
+      detail: { params: formParams(form) }
+    }));
+  }
+
+  function scheduleSync(form) {
+    clearTimeout(syncTimers.get(form));
+    syncTimers.set(form, setTimeout(() => syncUrl(form), SYNC_DELAY_MS));
+  }
+
+  function onFormEdit(event) {
+    const form = event.target && event.target.closest ? event.target.closest('form[' + SYNC_ATTR + ']') : null;
+    if (form) {
+      scheduleSync(form);
+    }
+  }
+
+  // endregion
+
+  // region Saved presets
+
+  function presetGroup(form) {
+    return form.querySelector('[data-filter-preset-group]');
+  }
+
+  function renderSavedPreset(form, preset) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'task-filter__saved-preset';
+    wrapper.dataset.presetId = preset.id;
+
+    const apply = document.createElement('button');
+    apply.type = 'button';
+    apply.className = 'task-filter__preset';
+    apply.setAttribute(PRESET_ATTR, preset.name);
+    apply.setAttribute('data-preset-params', preset.query);
+    apply.setAttribute('data-preset-target', '#' + form.id);
+    apply.setAttribute('aria-label', 'Apply preset ' + preset.name);
+    apply.textContent = preset.name;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'task-filter__preset-delete';
+    remove.setAttribute(DELETE_ATTR, preset.id);
+    remove.setAttribute('aria-label', 'Delete preset ' + preset.name);
+    remove.textContent = '×';
+
+    wrapper.append(apply, remove);
+    return wrapper;
+  }
+
+  function insertSavedPreset(form, preset) {
+    const group = presetGroup(form);
+    if (!group) return;
+
+    const existing = group.querySelector('[data-preset-id="' + CSS.escape(preset.id) + '"]');
+    const element = renderSavedPreset(form, preset);
+    if (existing) {
+      existing.replaceWith(element);
+    } else {
+      group.appendChild(element);
+    }
+  }
+
+  function savePreset(form) {
+    const endpoint = form.getAttribute(ENDPOINT_ATTR);
+    if (!endpoint) return;
+
+    const input = window.prompt('Name for this filter preset:');
+    const name = input == null ? '' : input.trim();
+    if (!name) return;
+
+    const body = formParams(form);
+    body.set('name', name);
+
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: body.toString()
+    })
+      .then((response) => {
+        if (!response.ok) {
+          return response.text().then((text) => { throw new Error(text || 'HTTP ' + response.status); });
+        }
+        return response.json();
+      })
+      .then((preset) => {
+        insertSavedPreset(form, preset);
+        if (window.Toast) window.Toast.notify('Saved filter preset "' + preset.name + '".');
+      })
+      .catch((err) => {
+        console.error('Failed to save filter preset', err);
+        if (window.Toast) window.Toast.notify('Could not save the filter preset: ' + err.message, 'error');
+      });
+  }
+
+  function deletePreset(button) {
+    const form = button.closest('form');
+    const endpoint = form && form.getAttribute(ENDPOINT_ATTR);
+    const id = button.getAttribute(DELETE_ATTR);
+    if (!endpoint || !id) return;
+
+    const wrapper = button.closest('.task-filter__saved-preset');
+    const applyButton = wrapper && wrapper.querySelector('[' + PRESET_ATTR + ']');
+    const name = applyButton ? applyButton.getAttribute(PRESET_ATTR) : id;
+    if (!window.confirm('Delete the filter preset "' + name + '"?')) return;
+
+    fetch(endpoint + '/' + encodeURIComponent(id), { method: 'DELETE' })
+      .then((response) => {
+        // Already gone elsewhere counts as deleted.
+        if (!response.ok && response.status !== 404) {
+          throw new Error('HTTP ' + response.status);
+        }
+        if (wrapper) wrapper.remove();
+      })
+      .catch((err) => {
+        console.error('Failed to delete filter preset', err);
+        if (window.Toast) window.Toast.notify('Could not delete the filter preset.', 'error');
+      });
+  }
+
+  // endregion
+
   document.addEventListener('keydown', function (event) {
     if (event.defaultPrevented) {
       return;
@@ -40,45 +273,55 @@
     }
   });
 
+  document.addEventListener('input', onFormEdit);
+  document.addEventListener('change', onFormEdit);
+
+  document.addEventListener('submit', function (event) {
+    const form = event.target.closest('form[' + SYNC_ATTR + ']');
+    if (form) {
+      // Enter in the search box: apply now instead of navigating.
+      event.preventDefault();
+      clearTimeout(syncTimers.get(form));
+      syncUrl(form);
+    }
+  });
+
   document.addEventListener('click', function (event) {
     const clearButton = event.target.closest('[' + CLEAR_ATTR + ']');
     if (clearButton) {
-      const formSelector = clearButton.getAttribute(TARGET_ATTR);
-      const form = formSelector ? document.querySelector(formSelector) : clearButton.closest('form');
+      const form = resolveForm(clearButton, TARGET_ATTR);
       if (form) {
-        form.reset();
+        clearForm(form);
         dispatchUpdate(form);
       }
     }
 
+    const saveButton = event.target.closest('[' + SAVE_ATTR + ']');
+    if (saveButton) {
+      const form = resolveForm(saveButton, TARGET_ATTR);
+      if (form) {
+        savePreset(form);
+      }
+      return;
+    }
+
+    const deleteButton = event.target.closest('[' + DELETE_ATTR + ']');
+    if (deleteButton) {
+      deletePreset(deleteButton);
+      return;
+    }
+
     const presetButton = event.target.closest('[' + PRESET_ATTR + ']');
     if (presetButton) {
-      const formSelector = presetButton.getAttribute('data-preset-target');
-      const form = formSelector ? document.querySelector(formSelector) : presetButton.closest('form');
+      const form = resolveForm(presetButton, 'data-preset-target');
       if (!form) {
         return;
       }
-      const query = presetButton.getAttribute('data-preset-query') || '';
-      const status = presetButton.getAttribute('data-preset-status') || '';
-      const type = presetButton.getAttribute('data-preset-type') || '';
-      const agent = presetButton.getAttribute('data-preset-agent') || '';
-
-      const queryField = form.querySelector('input[name="query"]');
-      const statusField = form.querySelector('select[name="status"]');
-      const typeField = form.querySelector('select[name="type"]');
-      const agentField = form.querySelector('select[name="agent"]');
-
-      if (queryField) {
-        queryField.value = query;
-      }
-      if (statusField) {
-        statusField.value = status;
-      }
-      if (typeField) {
-        typeField.value = type;
-      }
-      if (agentField) {
-        agentField.value = agent;
+
+      if (presetButton.hasAttribute('data-preset-params')) {
+        applyParams(form, new URLSearchParams(presetButton.getAttribute('data-preset-params')));
+      } else {
+        applyLegacyPreset(form, presetButton);
       }
 
       dispatchUpdate(form);
@@ -0,0 +1,382 @@
+/**
+ * Persisted grid views.
+ *
+ * Any ag-Grid rendered by AgGrid.agGrid whose page also contains a toolbar
+ * mount point `[data-grid-views-for="<grid id>"]` gets:
+ *
+ *  - column order/width/visibility/pinning, sort and filters saved to
+ *    localStorage as they change and restored on the next visit;
+ *  - named views that can be created, renamed, deleted and switched from the
+ *    toolbar;
+ *  - a Share action that copies a link carrying the current view in the
+ *    `view` query parameter. Opening that link applies the view once and then
+ *    drops the parameter, so later edits are not overwritten on reload.
+ */
+(function () {
+  'use strict';
+
+  if (window.GridViews) return;
+
+  const STORAGE_PREFIX = 'orchestrator:grid-views:';
+  const URL_PARAM = 'view';
+  const SAVE_DELAY_MS = 300;
+  const STATE_EVENTS = [
+    'sortChanged',
+    'filterChanged',
+    'columnMoved',
+    'columnResized',
+    'columnVisible',
+    'columnPinned'
+  ];
+
+  const attached = new Map();
+
+  // region Storage
+
+  function emptyStore() {
+    return { version: 1, active: null, current: null, views: {} };
+  }
+
+  function loadStore(gridId) {
+    try {
+      const raw = window.localStorage.getItem(STORAGE_PREFIX + gridId);
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && parsed.version === 1 && parsed.views) {
+        return parsed;
+      }
+    } catch (err) {
+      console.warn(`Ignoring unreadable saved views for ${gridId}`, err);
+    }
+    return emptyStore();
+  }
+
+  function saveStore(gridId, store) {
+    try {
+      window.localStorage.setItem(STORAGE_PREFIX + gridId, JSON.stringify(store));
+    } catch (err) {
+      console.warn(`Could not persist grid views for ${gridId}`, err);
+    }
+  }
+
+  // endregion
+
+  // region View state
+
+  function captureState(api) {
+    const columns = (api.getColumnState() || []).map((col) => ({
+      colId: col.colId,
+      width: col.width,
+      hide: !!col.hide,
+      pinned: col.pinned || null,
+      sort: col.sort || null,
+      sortIndex: col.sortIndex != null ? col.sortIndex : null
+    }));
+    return { columns, filters: api.getFilterModel() || {} };
+  }
+
+  function applyState(api, state) {
+    if (!state) return;
+    if (Array.isArray(state.columns) && state.columns.length) {
+      api.applyColumnState({
+        state: state.columns,
+        applyOrder: true,
+        defaultState: { sort: null }
+      });
+    }
+    api.setFilterModel(state.filters && Object.keys(state.filters).length ? state.filters : null);
+  }
+
+  function sameState(a, b) {
+    return JSON.stringify(a || null) === JSON.stringify(b || null);
+  }
+
+  function encodeState(state) {
+    const json = JSON.stringify(state);
+    const bytes = new TextEncoder().encode(json);
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decodeState(encoded) {
+    try {
+      const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+      const binary = atob(base64);
+      const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+      const state = JSON.parse(new TextDecoder().decode(bytes));
+      return state && Array.isArray(state.columns) ? state : null;
+    } catch (err) {
+      console.warn('Ignoring malformed shared grid view', err);
+      return null;
+    }
+  }
+
+  function takeSharedState() {
+    const url = new URL(window.location.href);
+    const encoded = url.searchParams.get(URL_PARAM);
+    if (!encoded) return null;
+
+    url.searchParams.delete(URL_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+    return decodeState(encoded);
+  }
+
+  function shareUrl(state) {
+    const url = new URL(window.location.href);
+    url.hash = '';
+    url.searchParams.set(URL_PARAM, encodeState(state));
+    return url.toString();
+  }
+
+  // endregion
+
+  // region Toolbar
+
+  function button(label, action, title) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'btn btn-sm btn-outline-secondary grid-views__action';
+    el.dataset.gridViewAction = action;
+    el.textContent = label;
+    if (title) el.title = title;
+    return el;
+  }
+
+  function buildToolbar(mount) {
+    mount.innerHTML = '';
+    mount.classList.add('grid-views');
+
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm grid-views__select';
+    select.setAttribute('aria-label', 'Saved view');
+
+    const status = document.createElement('span');
+    status.className = 'grid-views__status';
+    status.setAttribute('aria-live', 'polite');
+
+    mount.append(
+      select,
+      status,
+      button('Save', 'save', 'Save changes to the selected view'),
+      button('Save as…', 'save-as', 'Save the current layout as a new view'),
+      button('Rename', 'rename'),
+      button('Delete', 'delete'),
+      button('Share', 'share', 'Copy a link to the current layout'),
+      button('Reset', 'reset', 'Restore the default layout')
+    );
+
+    return { select, status };
+  }
+
+  function renderToolbar(view) {
+    const { select, status } = view.toolbar;
+    const { store } = view;
+
+    select.innerHTML = '';
+    const unsaved = document.createElement('option');
+    unsaved.value = '';
+    unsaved.textContent = 'Unsaved view';
+    select.appendChild(unsaved);
+
+    Object.keys(store.views).sort((a, b) => a.localeCompare(b)).forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = store.active && store.views[store.active] ? store.active : '';
+
+    const dirty = !!store.active && !sameState(store.current, store.views[store.active]);
+    status.textContent = dirty ? 'Modified' : '';
+    view.mount.classList.toggle('is-dirty', dirty);
+
+    view.mount.querySelectorAll('[data-grid-view-action]').forEach((el) => {
+      const action = el.dataset.gridViewAction;
+      if (action === 'rename' || action === 'delete') {
+        el.disabled = !store.active;
+      } else if (action === 'save') {
+        el.disabled = !!store.active && !dirty;
+      }
+    });
+  }
+
+  function askName(message, initial) {
+    const value = window.prompt(message, initial || '');
+    const name = value == null ? '' : value.trim();
+    return name || null;
+  }
+
+  function handleAction(view, action) {
+    const { api, store, gridId } = view;
+    store.current = captureState(api);
+
+    switch (action) {
+      case 'save':
+        if (store.active) {
+          store.views[store.active] = store.current;
+          break;
+        }
+        // No view selected yet: saving means naming one.
+        return handleAction(view, 'save-as');
+
+      case 'save-as': {
+        const name = askName('Name for this view:', store.active || '');
+        if (!name) return;
+        if (store.views[name] && name !== store.active
+            && !window.confirm(`Replace the existing view "${name}"?`)) {
+          return;
+        }
+        store.views[name] = store.current;
+        store.active = name;
+        break;
+      }
+
+      case 'rename': {
+        if (!store.active) return;
+        const name = askName('Rename view to:', store.active);
+        if (!name || name === store.active) return;
+        if (store.views[name] && !window.confirm(`Replace the existing view "${name}"?`)) {
+          return;
+        }
+        store.views[name] = store.views[store.active];
+        delete store.views[store.active];
+        store.active = name;
+        break;
+      }
+
+      case 'delete':
+        if (!store.active || !window.confirm(`Delete the view "${store.active}"?`)) return;
+        delete store.views[store.active];
+        store.active = null;
+        break;
+
+      case 'share': {
+        const link = shareUrl(store.current);
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+          navigator.clipboard.writeText(link)
+            .then(() => window.Toast && window.Toast.notify('Link to this view copied to the clipboard.'))
+            .catch(() => window.prompt('Copy this link to share the view:', link));
+        } else {
+          window.prompt('Copy this link to share the view:', link);
+        }
+        return;
+      }
+
+      case 'reset':
+        view.applying = true;
+        api.resetColumnState();
+        api.setFilterModel(null);
+        view.applying = false;
+        store.active = null;
+        store.current = captureState(api);
+        break;
+
+      default:
+        return;
+    }
+
+    saveStore(gridId, store);
+    renderToolbar(view);
+  }
+
+  function switchView(view, name) {
+    const { api, store, gridId } = view;
+    store.active = name && store.views[name] ? name : null;
+    if (store.active) {
+      view.applying = true;
+      applyState(api, store.views[store.active]);
+      view.applying = false;
+    }
+    store.current = captureState(api);
+    saveStore(gridId, store);
+    renderToolbar(view);
+  }
+
+  // endregion
+
+  /**
+   * Wire persistence and the toolbar to a freshly created grid.
+   */
+  function attach(gridId, api, mount) {
+    const previous = attached.get(gridId);
+    if (previous) {
+      previous.detach();
+    }
+
+    const view = {
+      gridId,
+      api,
+      mount,
+      store: loadStore(gridId),
+      toolbar: buildToolbar(mount),
+      applying: false,
+      timer: null
+    };
+
+    const shared = takeSharedState();
+    view.applying = true;
+    if (shared) {
+      view.store.active = null;
+      applyState(api, shared);
+    } else if (view.store.current) {
+      applyState(api, view.store.current);
+    }
+    view.applying = false;
+    view.store.current = captureState(api);
+    saveStore(gridId, view.store);
+    renderToolbar(view);
+
+    const onStateChange = (event) => {
+      // Ignore transient drag events; columnResized fires once more with finished=true.
+      if (view.applying || (event && event.finished === false)) return;
+      clearTimeout(view.timer);
+      view.timer = setTimeout(() => {
+        view.store.current = captureState(api);
+        saveStore(gridId, view.store);
+        renderToolbar(view);
+      }, SAVE_DELAY_MS);
+    };
+    STATE_EVENTS.forEach((name) => api.addEventListener(name, onStateChange));
+
+    const onClick = (event) => {
+      const target = event.target.closest('[data-grid-view-action]');
+      if (target) handleAction(view, target.dataset.gridViewAction);
+    };
+    const onChange = (event) => {
+      if (event.target === view.toolbar.select) switchView(view, event.target.value);
+    };
+    mount.addEventListener('click', onClick);
+    mount.addEventListener('change', onChange);
+
+    view.detach = () => {
+      clearTimeout(view.timer);
+      mount.removeEventListener('click', onClick);
+      mount.removeEventListener('change', onChange);
+      if (!api.isDestroyed || !api.isDestroyed()) {
+        STATE_EVENTS.forEach((name) => api.removeEventListener(name, onStateChange));
+      }
+      attached.delete(gridId);
+    };
+
+    attached.set(gridId, view);
+  }
+
+  document.addEventListener('ag-grid:ready', (event) => {
+    const container = event.target;
+    const api = event.detail && event.detail.gridApi;
+    if (!container || !container.id || !api) return;
+
+    const escaped = window.CSS && CSS.escape ? CSS.escape(container.id) : container.id;
+    const mount = document.querySelector(`[data-grid-views-for="${escaped}"]`);
+    if (!mount) return;
+
+    attach(container.id, api, mount);
+  });
+
+  window.GridViews = Object.freeze({
+    /** Saved view names for a grid, e.g. for tests or debugging. */
+    list: (gridId) => Object.keys(loadStore(gridId).views),
+    encodeState,
+    decodeState
+  });
+})();
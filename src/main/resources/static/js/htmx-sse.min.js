@@ -238,156 +238,76 @@ Element.prototype.dispatchEvent = function(event) {
       }
     }, false);
 
-    // Manually create and connect EventSource for our custom SSE handling
-    // Wait for body element to be available since this script runs in head before body is parsed
-    var indexSseRetryDelay = 1000;
-    function initEventSource(force) {
-      console.log('[initEventSource] Called with force=' + force);
-      // If force=true is passed, it means a new operation is starting.
-      // However, we should NOT close an existing active connection since events may
-      // arrive immediately after the button is clicked. The existing connection will
-      // continue to receive those events.
-
-      if (window.__indexSSEInitializing) {
-        console.log('[initEventSource] Already initializing, returning early');
-        return;
-      }
-      window.__indexSSEInitializing = true;
-      console.log('[initEventSource] Set __indexSSEInitializing=true');
-
-      var ensureBody = function(callback) {
-        var body = document.body;
-        console.log('[initEventSource] ensureBody: body element exists?', !!body);
-        if (!body) {
-          console.debug("Body element not ready yet, retrying in 100ms...");
-          setTimeout(function() {
-            ensureBody(callback);
-          }, 100);
-          return;
-        }
-        callback(body);
+    // Bridge declarative sse-swap targets onto the shared OrchestratorSSE client.
+    // The stream comes from the body's data-sse-url; no EventSource is created here.
+    var bridgeUnsubscribe = null;
+    var bridgeStream = null;
+
+    function dispatchMessage(lastEventName, data) {
+      var detail = {
+        data: data,
+        lastEvent: lastEventName
       };
+      var beforeEvent = new CustomEvent('htmx:sseBeforeMessage', {
+        detail: detail,
+        bubbles: true,
+        cancelable: true
+      });
+      document.dispatchEvent(beforeEvent);
 
-      ensureBody(function(body) {
-        console.log('[initEventSource] Body element ready, checking for data-sse-url');
-        window.__indexSSEInitializing = false;
-
-        var sseUrl = body.getAttribute('data-sse-url');
-        console.log('[initEventSource] data-sse-url value:', sseUrl);
-        if (!sseUrl) {
-          console.log("No data-sse-url found on body element");
-          return;
-        }
-
-        // If we already have an active connection to the same URL, keep using it
-        // This is important because events may arrive immediately after a button click
-        // and we don't want to miss them by closing/reopening the connection
-        if (window.__indexSSE && window.__indexSSE.url === sseUrl) {
-          var readyState = window.__indexSSE.readyState;
-          console.log('[initEventSource] Existing SSE connection found, readyState:', readyState, '(CONNECTING=0, OPEN=1, CLOSED=2)');
-          if (readyState === EventSource.OPEN || readyState === EventSource.CONNECTING) {
-            console.log("SSE connection already active, reusing existing connection");
-            return;
-          }
-        }
-
-        // Only close and reconnect if the previous connection is closed or doesn't exist
-        if (window.__indexSSE) {
-          console.log('[initEventSource] Closing previous EventSource');
-          try {
-            window.__indexSSE.close();
-          } catch (e) {
-            console.warn("Failed to close previous EventSource:", e.message);
-          }
-          window.__indexSSE = null;
-        }
-
-        console.log("[initEventSource] Found SSE URL:", sseUrl);
-        console.log('[initEventSource] Creating new EventSource...');
-        var eventSource = new EventSource(sseUrl, { withCredentials: true });
-        window.__indexSSE = eventSource;
-        console.log("[initEventSource] Created EventSource for:", sseUrl, "readyState:", eventSource.readyState);
-
-        eventSource.addEventListener('open', function() {
-          console.log("EventSource connection opened");
-          indexSseRetryDelay = 1000;
-        });
-
-        var dispatchMessage = function(lastEventName, data) {
-          var detail = {
-            data: data,
-            lastEvent: lastEventName
-          };
-          var beforeEvent = new CustomEvent('htmx:sseBeforeMessage', {
-            detail: detail,
-            bubbles: true,
-            cancelable: true
-          });
-          document.dispatchEvent(beforeEvent);
+      var messageEvent = new CustomEvent('htmx:sseMessage', {
+        detail: detail,
+        bubbles: true
+      });
+      document.dispatchEvent(messageEvent);
+    }
 
-          var messageEvent = new CustomEvent('htmx:sseMessage', {
-            detail: detail,
-            bubbles: true
-          });
-          document.dispatchEvent(messageEvent);
-        };
+    function initEventSource() {
+      var body = document.body;
+      if (!body) {
+        setTimeout(initEventSource, 100);
+        return;
+      }
 
-        eventSource.addEventListener('indexProgress', function(event) {
-          dispatchMessage('indexProgress', event.data);
-        });
+      var sse = window.OrchestratorSSE;
+      if (!sse) {
+        console.warn('[htmx-sse] OrchestratorSSE client not loaded; declarative SSE swaps disabled');
+        return;
+      }
 
-        eventSource.addEventListener('indexSummary', function(event) {
-          dispatchMessage('indexSummary', event.data);
-        });
+      var stream = sse.streamForUrl(body.getAttribute('data-sse-url'));
+      if (stream === bridgeStream) {
+        return;
+      }
 
-        eventSource.addEventListener('connected', function(event) {
-          dispatchMessage('connected', event.data);
-        });
+      if (bridgeUnsubscribe) {
+        bridgeUnsubscribe();
+        bridgeUnsubscribe = null;
+      }
+      bridgeStream = stream;
+      if (!stream) {
+        return;
+      }
 
-        eventSource.onerror = function(error) {
-          console.error("EventSource error - readyState:", eventSource.readyState, "error:", error);
-          try {
-            eventSource.close();
-          } catch (e) {
-            console.warn("Error closing EventSource:", e.message);
-          }
-          window.__indexSSE = null;
-          var delay = indexSseRetryDelay;
-          indexSseRetryDelay = Math.min(indexSseRetryDelay * 2, 10000);
-          console.log("Attempting to reconnect SSE in", delay, "ms");
-          setTimeout(initEventSource, delay);
+      var handlers = {};
+      sse.eventsFor(stream).concat([sse.Events.CONNECTED]).forEach(function(eventName) {
+        handlers[eventName] = function(message) {
+          dispatchMessage(eventName, message.data);
         };
-
-        window.addEventListener('beforeunload', function() {
-          if (window.__indexSSE) {
-            try {
-              window.__indexSSE.close();
-            } catch (e) {
-              console.warn("Error closing EventSource on unload:", e.message);
-            }
-            window.__indexSSE = null;
-          }
-        }, { once: true });
       });
+      bridgeUnsubscribe = sse.subscribe(stream, handlers);
+      if (window.location.search.indexOf('debug=1') !== -1) {
+        console.log('[htmx-sse] Bridging sse-swap targets to stream:', stream);
+      }
     }
 
-    console.log('[htmx-sse] Calling initial initEventSource()');
     initEventSource();
-    console.log('[htmx-sse] Setting window.__initIndexSSE = initEventSource');
     window.__initIndexSSE = initEventSource;
-    console.log('[htmx-sse] window.__initIndexSSE is now:', typeof window.__initIndexSSE);
 
     document.addEventListener('htmx:afterSettle', function() {
-      console.log('[htmx-sse] htmx:afterSettle event fired, calling initEventSource()');
       initEventSource();
     });
     document.addEventListener('htmx:afterSwap', function(evt) {
-      if (evt && evt.target && evt.target.getAttribute && evt.target.getAttribute('id') === 'index-status-container') {
-        console.log('[htmx-sse] htmx:afterSwap for index-status-container, calling initEventSource(true)');
-        initEventSource(true);
-        return;
-      }
-
       if (evt && evt.target && evt.target.classList && evt.target.classList.contains('modal__body')) {
         var hasMermaid = evt.target.querySelector('.mermaid') !== null;
         if (hasMermaid) {
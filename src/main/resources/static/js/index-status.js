@@ -1,16 +1,35 @@
+/**
+ * Index operations on the index page and the files page.
+ *
+ * Posts `[data-index-action]` buttons to their endpoint - with their form's fields when
+ * they sit in a `[data-index-action-form]` - and keeps one card per operation in
+ * `#index-progress-region` from the index stream (see IndexOperationCard.kt). Finished
+ * cards move into `#index-operation-history` where the page has one. Only the buttons
+ * that started an operation are disabled, and only until it finishes; the server names
+ * it in `X-Index-Operation`.
+ */
 (function() {
   'use strict';
 
   var STATE = window.__indexStatusState || (window.__indexStatusState = {
-    connection: null,
-    listenersBound: false
+    unsubscribe: null,
+    listenersBound: false,
+    // Operations that reached 100%, in case that arrives before the POST response
+    finished: []
   });
 
   var SELECTOR = '[data-index-action]';
-  var ROOT_SELECTOR = '#index-status-container';
+  var FORM_SELECTOR = '[data-index-action-form]';
   var PROGRESS_ID = 'index-progress-region';
+  var HISTORY_ID = 'index-operation-history';
+  var ROOT_SELECTOR = '#index-status-container, #' + PROGRESS_ID;
   var SUMMARY_ID = 'index-summary';
-  var SSE_URL = '/sse/index';
+  var CARD_SELECTOR = '.index-op-card';
+  var CANCEL_SELECTOR = '[data-cancel-operation]';
+  var OPERATION_HEADER = 'X-Index-Operation';
+  var PENDING = 'pending';
+  // Matches HISTORY_LIMIT in IndexOperationsService
+  var HISTORY_LIMIT = 25;
 
   function hasIndexContent(scope) {
     var context = scope || document;
@@ -18,122 +37,276 @@
   }
 
   function closeConnection() {
-    if (STATE.connection) {
-      try {
-        STATE.connection.close();
-      } catch (err) {
-        console.warn('[IndexStatus] Failed to close SSE connection', err);
-      }
+    if (STATE.unsubscribe) {
+      STATE.unsubscribe();
     }
-    STATE.connection = null;
+    STATE.unsubscribe = null;
   }
 
-  function ensureSSE(force) {
+  function ensureSSE() {
     if (!hasIndexContent()) {
       closeConnection();
       return;
     }
 
-    var connection = STATE.connection;
-    if (connection) {
-      var ready = connection.readyState;
-      if (!force && (ready === EventSource.OPEN || ready === EventSource.CONNECTING)) {
-        return;
-      }
-      closeConnection();
+    if (STATE.unsubscribe) {
+      return;
     }
 
-    try {
-      connection = new EventSource(SSE_URL, { withCredentials: true });
-      registerHandlers(connection);
-      STATE.connection = connection;
-    } catch (err) {
-      console.error('[IndexStatus] Failed to create SSE connection', err);
-      STATE.connection = null;
+    var sse = window.OrchestratorSSE;
+    if (!sse) {
+      console.error('[IndexStatus] OrchestratorSSE client not loaded');
+      return;
     }
-  }
-
-  function registerHandlers(source) {
-    if (!source) return;
-
-    source.addEventListener('indexProgress', function(event) {
-      handleIndexProgressEvent(event.data);
-    });
-
-    source.addEventListener('indexSummary', function(event) {
-      handleIndexSummaryEvent(event.data);
-    });
 
-    source.addEventListener('error', function(err) {
-      if (source.readyState === EventSource.CLOSED) {
-        console.warn('[IndexStatus] SSE connection closed; attempting reconnect');
-      } else {
-        console.error('[IndexStatus] SSE error', err);
+    STATE.unsubscribe = sse.subscribe(sse.Streams.INDEX, {
+      indexProgress: function(message) {
+        handleIndexProgressEvent(message.data);
+      },
+      indexSummary: function(message) {
+        handleIndexSummaryEvent(message.data);
       }
-      closeConnection();
-      setTimeout(function() {
-        ensureSSE(true);
-      }, 1000);
     });
   }
 
   function handleIndexProgressEvent(htmlFragment) {
-    var container = document.getElementById(PROGRESS_ID);
-    if (!container) {
+    var template = document.createElement('template');
+    template.innerHTML = (htmlFragment || '').trim();
+    var card = template.content.firstElementChild;
+    var operationId = card && card.getAttribute('data-operation-id');
+    if (!operationId) {
+      return;
+    }
+    var bar = card.querySelector('progress');
+    var done = card.hasAttribute('data-outcome') || (!!bar && Number(bar.getAttribute('value')) >= 100);
+
+    var existing = findCard(operationId);
+    var history = document.getElementById(HISTORY_ID);
+    if (existing && history && history.contains(existing) && !done) {
+      // A late update for an operation that has already finished
       return;
     }
-    container.outerHTML = htmlFragment;
+
+    var region = document.getElementById(PROGRESS_ID);
+    if (existing) {
+      existing.replaceWith(card);
+    } else if (region) {
+      region.appendChild(card);
+    }
+
+    if (done) {
+      finishOperation(operationId);
+      moveToHistory(card);
+    }
+    updateEmptyStates();
   }
 
   function handleIndexSummaryEvent(htmlFragment) {
     var summary = document.getElementById(SUMMARY_ID);
-    if (!summary) {
+    if (summary) {
+      summary.outerHTML = htmlFragment;
+    }
+
+    // Leave finished cards up while another operation is still running
+    if (document.querySelector(SELECTOR + '[data-operation-id]')) {
       return;
     }
-    summary.outerHTML = htmlFragment;
+    var region = document.getElementById(PROGRESS_ID);
+    if (region) {
+      region.querySelectorAll('[data-outcome], .index-op-card--error').forEach(function(card) {
+        card.remove();
+      });
+    }
+    updateEmptyStates();
+  }
+
+  // region Operation cards
+
+  function findCard(operationId) {
+    return document.querySelector(CARD_SELECTOR + '[data-operation-id="' + CSS.escape(operationId) + '"]');
+  }
 
-    var progress = document.getElementById(PROGRESS_ID);
-    if (progress) {
-      progress.className = 'index-progress index-progress--idle';
-      progress.innerHTML = '<span class="text-muted">No active operations.</span>';
+  /** Move a finished card to the top of the history, where the page has one. */
+  function moveToHistory(card) {
+    var history = document.getElementById(HISTORY_ID);
+    if (!history) {
+      return;
+    }
+    history.insertBefore(card, history.querySelector(CARD_SELECTOR));
+    var cards = history.querySelectorAll(CARD_SELECTOR);
+    for (var i = HISTORY_LIMIT; i < cards.length; i++) {
+      cards[i].remove();
     }
+  }
 
-    enableAllIndexButtons();
+  /** Show the "nothing here" lines of the region and the history only while they are empty. */
+  function updateEmptyStates() {
+    var region = document.getElementById(PROGRESS_ID);
+    if (region) {
+      var active = !!region.querySelector(CARD_SELECTOR);
+      region.classList.toggle('index-progress-list--idle', !active);
+      var emptyRegion = region.querySelector('.index-progress-list__empty');
+      if (emptyRegion) {
+        emptyRegion.hidden = active;
+      }
+    }
+    var history = document.getElementById(HISTORY_ID);
+    var emptyHistory = history && history.querySelector('.index-history__empty');
+    if (emptyHistory) {
+      emptyHistory.hidden = !!history.querySelector(CARD_SELECTOR);
+    }
   }
 
-  function showPendingState(label) {
+  /** A placeholder card until the operation's first update arrives. */
+  function showPendingCard(label) {
     var region = document.getElementById(PROGRESS_ID);
     if (!region) {
-      return;
+      return null;
     }
+    region.querySelectorAll('.index-op-card--error').forEach(function(card) {
+      card.remove();
+    });
 
-    region.classList.remove('index-progress--idle');
-    region.classList.add('index-progress', 'index-progress--pending');
-
-    var safeLabel = (label || 'Index Operation').trim();
-    region.innerHTML = ''
+    var card = document.createElement('div');
+    card.className = 'index-progress index-op-card index-op-card--pending';
+    card.innerHTML = ''
       + '<div class="index-progress__header">'
-      +   '<span class="index-progress__title">' + safeLabel + '</span>'
+      +   '<span class="index-progress__title"></span>'
       +   '<span class="index-progress__value">Preparing…</span>'
       + '</div>'
       + '<progress class="index-progress__bar" max="100" value="0"></progress>'
       + '<div class="index-progress__meta">Waiting for server updates…</div>';
+    card.querySelector('.index-progress__title').textContent = (label || 'Index Operation').trim();
+    region.appendChild(card);
+    updateEmptyStates();
+    return card;
+  }
+
+  /** Follow the operation the server started, or drop the placeholder if it is already covered. */
+  function adoptPendingCard(card, operationId) {
+    if (!card) {
+      return;
+    }
+    if (!operationId || findCard(operationId) || STATE.finished.indexOf(operationId) !== -1) {
+      card.remove();
+    } else {
+      card.setAttribute('data-operation-id', operationId);
+    }
+    updateEmptyStates();
+  }
+
+  function showErrorState(card, label, message) {
+    if (!card) {
+      return;
+    }
+
+    card.className = 'index-progress index-op-card index-op-card--error';
+    card.removeAttribute('data-operation-id');
+    card.innerHTML = ''
+      + '<div class="index-progress__header">'
+      +   '<span class="index-progress__title"></span>'
+      +   '<span class="index-progress__value">Not started</span>'
+      + '</div>'
+      + '<div class="index-progress__message"></div>';
+    card.querySelector('.index-progress__title').textContent = (label || 'Index Operation').trim();
+    card.querySelector('.index-progress__message').textContent = message;
+  }
+
+  function cancelOperation(btn) {
+    var endpoint = btn.getAttribute('data-cancel-endpoint');
+    if (!endpoint) {
+      return;
+    }
+    btn.disabled = true;
+    btn.textContent = 'Cancelling…';
+
+    var restore = function(message) {
+      btn.disabled = false;
+      btn.textContent = 'Cancel';
+      var card = btn.closest(CARD_SELECTOR);
+      var target = card && card.querySelector('.index-progress__message');
+      if (card && !target) {
+        target = document.createElement('div');
+        target.className = 'index-progress__message';
+        card.insertBefore(target, btn);
+      }
+      if (target) {
+        target.textContent = message;
+      }
+    };
+
+    fetch(endpoint, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'X-Requested-With': 'fetch'
+      }
+    }).then(function(response) {
+      // 404: the operation finished meanwhile; its final update is on the way
+      if (response.ok || response.status === 404) {
+        return;
+      }
+      return response.text().then(function(text) {
+        restore(text || 'Cancel failed (HTTP ' + response.status + ')');
+      });
+    }).catch(function(error) {
+      console.error('[IndexStatus] Cancel request failed', error);
+      restore('Cancel failed: ' + error.message);
+    });
+  }
+
+  // endregion
+
+  // region Operation-scoped buttons
+
+  /** The button and, inside an action form, the form's other action buttons. */
+  function relatedButtons(btn) {
+    var form = btn.closest(FORM_SELECTOR);
+    return form ? Array.prototype.slice.call(form.querySelectorAll(SELECTOR)) : [btn];
   }
 
-  function disableAllIndexButtons() {
-    document.querySelectorAll(SELECTOR).forEach(function(btn) {
+  function claimButtons(buttons, operationId) {
+    buttons.forEach(function(btn) {
       btn.disabled = true;
       btn.classList.add('button--disabled');
+      btn.dataset.operationId = operationId;
     });
   }
 
-  function enableAllIndexButtons() {
-    document.querySelectorAll(SELECTOR).forEach(function(btn) {
+  function releaseButtons(buttons) {
+    buttons.forEach(function(btn) {
       btn.disabled = false;
       btn.classList.remove('button--disabled');
+      delete btn.dataset.operationId;
+    });
+  }
+
+  function finishOperation(operationId) {
+    STATE.finished.push(operationId);
+    if (STATE.finished.length > 20) {
+      STATE.finished.shift();
+    }
+    var buttons = Array.prototype.filter.call(document.querySelectorAll(SELECTOR), function(btn) {
+      return btn.dataset.operationId === operationId;
     });
+    releaseButtons(buttons);
+  }
+
+  /** Fields of the button's action form, plus the button's own name and value. */
+  function actionBody(btn) {
+    var form = btn.closest(FORM_SELECTOR);
+    if (!form) {
+      return null;
+    }
+    var body = new URLSearchParams(new FormData(form));
+    if (btn.name) {
+      body.set(btn.name, btn.value);
+    }
+    return body;
   }
 
+  // endregion
+
   function bindIndexActionButtons(root) {
     var scope = root || document;
     var buttons = scope.querySelectorAll(SELECTOR);
@@ -149,6 +322,11 @@
           return;
         }
 
+        var form = btn.closest(FORM_SELECTOR);
+        if (form && typeof form.reportValidity === 'function' && !form.reportValidity()) {
+          return;
+        }
+
         var confirmMessage = btn.getAttribute('data-action-confirm');
         if (confirmMessage && !window.confirm(confirmMessage)) {
           return;
@@ -156,20 +334,38 @@
 
         event.preventDefault();
         var label = btn.getAttribute('data-action-label') || btn.textContent || '';
+        var buttons = relatedButtons(btn);
+        var body = actionBody(btn);
 
-        ensureSSE(true);
-        showPendingState(label);
-        disableAllIndexButtons();
+        ensureSSE();
+        var pendingCard = showPendingCard(label);
+        claimButtons(buttons, PENDING);
 
         fetch(endpoint, {
           method: 'POST',
           credentials: 'same-origin',
           headers: {
             'X-Requested-With': 'fetch'
+          },
+          body: body
+        }).then(function(response) {
+          if (!response.ok) {
+            return response.text().then(function(text) {
+              showErrorState(pendingCard, label, text || 'Request failed (HTTP ' + response.status + ')');
+              releaseButtons(buttons);
+            });
+          }
+          var operationId = response.headers.get(OPERATION_HEADER);
+          adoptPendingCard(pendingCard, operationId);
+          if (!operationId || STATE.finished.indexOf(operationId) !== -1) {
+            releaseButtons(buttons);
+          } else {
+            claimButtons(buttons, operationId);
           }
         }).catch(function(error) {
           console.error('[IndexStatus] Index action request failed', error);
-          enableAllIndexButtons();
+          showErrorState(pendingCard, label, 'Request failed: ' + error.message);
+          releaseButtons(buttons);
         });
       });
     });
@@ -180,7 +376,7 @@
       return;
     }
     bindIndexActionButtons(scope);
-    ensureSSE(true);
+    ensureSSE();
   }
 
   function bindGlobalListeners() {
@@ -200,6 +396,21 @@
     document.addEventListener('htmx:afterSettle', function() {
       ensureSSE();
     });
+
+    document.addEventListener('click', function(evt) {
+      var btn = evt.target.closest && evt.target.closest(CANCEL_SELECTOR);
+      if (btn && !btn.disabled) {
+        evt.preventDefault();
+        cancelOperation(btn);
+      }
+    });
+
+    // Enter in an action form's field would otherwise submit it as a page load
+    document.addEventListener('submit', function(evt) {
+      if (evt.target.matches && evt.target.matches(FORM_SELECTOR)) {
+        evt.preventDefault();
+      }
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,539 @@
+/**
+ * Metrics charts on /metrics (see MetricsPage.metricsCharts).
+ *
+ * Loads the recorded points for the chosen range from /metrics/history and
+ * draws each chart as plain SVG, so nothing has to come from a CDN. While a
+ * rolling range (1h, 24h, 7d) is shown, every metricsUpdated event appends
+ * the point carried in its fragment's data-point. Hovering a chart, or
+ * moving along it with the arrow keys, shows the values at that time; each
+ * chart downloads as PNG or CSV.
+ */
+(function () {
+  'use strict';
+
+  if (window.MetricsCharts) return;
+
+  const ROOT_SELECTOR = '[data-metrics-charts]';
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const HEIGHT = 220;
+  const MARGIN = { top: 28, right: 16, bottom: 28, left: 60 };
+  const RESIZE_DELAY_MS = 150;
+  const SPANS_MS = { '1h': 3600 * 1000, '24h': 24 * 3600 * 1000, '7d': 7 * 24 * 3600 * 1000 };
+  const SEVERITIES = [
+    { key: 'INFO', label: 'Info', colour: '#3b82f6' },
+    { key: 'WARNING', label: 'Warning', colour: '#f59e0b' },
+    { key: 'ERROR', label: 'Error', colour: '#ef4444' },
+    { key: 'CRITICAL', label: 'Critical', colour: '#7f1d1d' }
+  ];
+
+  const numberFormat = new Intl.NumberFormat();
+
+  const CHARTS = {
+    tokens: {
+      format: (value) => numberFormat.format(Math.round(value)),
+      series: [{ label: 'Total tokens', colour: '#3b82f6', value: (point) => point.totalTokens }]
+    },
+    savings: {
+      format: (value) => numberFormat.format(Math.round(value)),
+      series: [{ label: 'Tokens saved', colour: '#10b981', value: (point) => point.savings }]
+    },
+    successRate: {
+      max: 100,
+      format: (value) => `${Math.round(value)}%`,
+      series: [{ label: 'Success rate (%)', colour: '#10b981', value: (point) => point.successRate * 100 }]
+    },
+    completion: {
+      format: (value) => (value < 10 ? value.toFixed(1) : Math.round(value)) + ' s',
+      series: [{ label: 'Avg completion (s)', colour: '#8b5cf6', value: (point) => point.avgCompletionMs / 1000 }]
+    },
+    alerts: {
+      integer: true,
+      format: (value) => numberFormat.format(Math.round(value)),
+      series: SEVERITIES.map((severity) => ({
+        label: severity.label,
+        colour: severity.colour,
+        value: (point) => (point.alerts && point.alerts[severity.key]) || 0
+      }))
+    }
+  };
+
+  let root = null;
+  let unsubscribe = null;
+  let loadController = null;
+  let resizeTimer = null;
+  const state = { range: '1h', from: 0, to: 0, points: [], custom: null };
+
+  // region Helpers
+
+  function svg(name, attributes, parent) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes || {}).forEach((key) => el.setAttribute(key, attributes[key]));
+    if (parent) parent.appendChild(el);
+    return el;
+  }
+
+  function setStatus(text) {
+    const status = root && root.querySelector('[data-charts-status]');
+    if (status) status.textContent = text;
+  }
+
+  function formatTime(ms, withDate) {
+    const options = withDate
+      ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+      : { hour: '2-digit', minute: '2-digit' };
+    return new Date(ms).toLocaleString(undefined, options);
+  }
+
+  function toLocalInput(ms) {
+    const offset = new Date(ms).getTimezoneOffset() * 60 * 1000;
+    return new Date(ms - offset).toISOString().slice(0, 16);
+  }
+
+  // Round up to 1, 2 or 5 times a power of ten so the gridlines fall on round numbers.
+  function niceMax(value, integer) {
+    if (!(value > 0)) return integer ? 4 : 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find((m) => m * magnitude >= value) * magnitude;
+    return integer ? Math.max(4, Math.ceil(step)) : step;
+  }
+
+  function nearestIndex(points, ms) {
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].epochMs < ms) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0 && ms - points[lo - 1].epochMs < points[lo].epochMs - ms) return lo - 1;
+    return lo;
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportName(chart, extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `metrics-${chart.dataset.chart}-${state.range}-${stamp}.${extension}`;
+  }
+
+  // endregion
+
+  // region Drawing
+
+  function drawChart(chart) {
+    const def = CHARTS[chart.dataset.chart];
+    const plot = chart.querySelector('[data-chart-plot]');
+    if (!def || !plot) return;
+
+    const points = state.points;
+    const width = Math.max(plot.clientWidth, 320);
+    const innerWidth = width - MARGIN.left - MARGIN.right;
+    const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const span = Math.max(state.to - state.from, 1);
+    let highest = 0;
+    points.forEach((point) => def.series.forEach((series) => {
+      highest = Math.max(highest, series.value(point));
+    }));
+    const yMax = def.max || niceMax(highest, def.integer);
+    const xOf = (ms) => MARGIN.left + ((ms - state.from) / span) * innerWidth;
+    const yOf = (value) => MARGIN.top + innerHeight - (Math.min(value, yMax) / yMax) * innerHeight;
+
+    const drawing = svg('svg', {
+      xmlns: SVG_NS,
+      width,
+      height: HEIGHT,
+      viewBox: `0 0 ${width} ${HEIGHT}`,
+      'font-family': 'system-ui, sans-serif',
+      'font-size': 11
+    });
+    // Painted rather than left to CSS so PNG exports get it too.
+    svg('rect', { x: 0, y: 0, width, height: HEIGHT, fill: '#ffffff' }, drawing);
+
+    for (let i = 0; i <= 4; i++) {
+      const value = (yMax / 4) * i;
+      const y = yOf(value);
+      svg('line', { x1: MARGIN.left, x2: width - MARGIN.right, y1: y, y2: y, stroke: '#e5e7eb' }, drawing);
+      const label = svg('text', { x: MARGIN.left - 6, y: y + 4, 'text-anchor': 'end', fill: '#6b7280' }, drawing);
+      label.textContent = def.format(value);
+    }
+
+    const withDate = span > SPANS_MS['24h'];
+    for (let i = 0; i <= 4; i++) {
+      const ms = state.from + (span / 4) * i;
+      const label = svg('text', {
+        x: xOf(ms),
+        y: HEIGHT - 8,
+        'text-anchor': i === 0 ? 'start' : i === 4 ? 'end' : 'middle',
+        fill: '#6b7280'
+      }, drawing);
+      label.textContent = formatTime(ms, withDate);
+    }
+
+    if (def.series.length > 1) {
+      let x = MARGIN.left;
+      def.series.forEach((series) => {
+        svg('rect', { x, y: 8, width: 10, height: 10, fill: series.colour }, drawing);
+        const label = svg('text', { x: x + 14, y: 17, fill: '#374151' }, drawing);
+        label.textContent = series.label;
+        x += 24 + series.label.length * 6.5;
+      });
+    }
+
+    def.series.forEach((series) => {
+      if (points.length === 1) {
+        svg('circle', { cx: xOf(points[0].epochMs), cy: yOf(series.value(points[0])), r: 3, fill: series.colour }, drawing);
+        return;
+      }
+      const d = points
+        .map((point, i) => `${i === 0 ? 'M' : 'L'}${xOf(point.epochMs).toFixed(1)},${yOf(series.value(point)).toFixed(1)}`)
+        .join(' ');
+      if (d) svg('path', { d, fill: 'none', stroke: series.colour, 'stroke-width': 2, 'stroke-linejoin': 'round' }, drawing);
+    });
+
+    const cursor = svg('g', { 'data-chart-cursor': 'true', display: 'none' }, drawing);
+    svg('line', { y1: MARGIN.top, y2: MARGIN.top + innerHeight, stroke: '#9ca3af', 'stroke-dasharray': '3 3' }, cursor);
+    def.series.forEach((series) => svg('circle', { r: 4, fill: series.colour, stroke: '#ffffff', 'stroke-width': 2 }, cursor));
+
+    plot.replaceChildren(drawing);
+    chart._chart = { def, xOf, yOf, cursorIndex: null };
+
+    const latest = points[points.length - 1];
+    const title = chart.querySelector('.metrics-chart__title');
+    plot.setAttribute('aria-label', latest
+      ? `${title ? title.textContent : ''}: ${def.series.map((s) => `${s.label} ${def.format(s.value(latest))}`).join(', ')} at ${formatTime(latest.epochMs, true)}`
+      : `${title ? title.textContent : ''}: no data for this range`);
+
+    hideCursor(chart);
+  }
+
+  function drawAll() {
+    if (!root) return;
+    root.querySelectorAll('[data-chart]').forEach(drawChart);
+  }
+
+  function showCursor(chart, index) {
+    const info = chart._chart;
+    const point = state.points[index];
+    if (!info || !point) return;
+    info.cursorIndex = index;
+
+    const x = info.xOf(point.epochMs);
+    const cursor = chart.querySelector('[data-chart-cursor]');
+    cursor.setAttribute('display', 'inline');
+    const line = cursor.querySelector('line');
+    line.setAttribute('x1', x);
+    line.setAttribute('x2', x);
+    cursor.querySelectorAll('circle').forEach((circle, i) => {
+      circle.setAttribute('cx', x);
+      circle.setAttribute('cy', info.yOf(info.def.series[i].value(point)));
+    });
+
+    const tooltip = chart.querySelector('[data-chart-tooltip]');
+    tooltip.replaceChildren();
+    const time = document.createElement('strong');
+    time.textContent = formatTime(point.epochMs, true);
+    tooltip.appendChild(time);
+    info.def.series.forEach((series) => {
+      const row = document.createElement('div');
+      const swatch = document.createElement('span');
+      swatch.className = 'metrics-chart__swatch';
+      swatch.style.background = series.colour;
+      row.append(swatch, `${series.label}: ${info.def.format(series.value(point))}`);
+      tooltip.appendChild(row);
+    });
+    tooltip.hidden = false;
+
+    const plot = chart.querySelector('[data-chart-plot]');
+    const left = plot.offsetLeft + x;
+    const flip = x > plot.clientWidth / 2;
+    tooltip.style.left = flip ? '' : `${left + 12}px`;
+    tooltip.style.right = flip ? `${chart.clientWidth - left + 12}px` : '';
+    tooltip.style.top = `${plot.offsetTop + MARGIN.top}px`;
+  }
+
+  function hideCursor(chart) {
+    const cursor = chart.querySelector('[data-chart-cursor]');
+    if (cursor) cursor.setAttribute('display', 'none');
+    const tooltip = chart.querySelector('[data-chart-tooltip]');
+    if (tooltip) tooltip.hidden = true;
+    if (chart._chart) chart._chart.cursorIndex = null;
+  }
+
+  // endregion
+
+  // region Export
+
+  function exportCsv(chart) {
+    const def = CHARTS[chart.dataset.chart];
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const lines = [['timestamp'].concat(def.series.map((s) => s.label)).map(quote).join(',')];
+    state.points.forEach((point) => {
+      lines.push([quote(point.timestamp)].concat(def.series.map((s) => s.value(point))).join(','));
+    });
+    download(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), exportName(chart, 'csv'));
+  }
+
+  function exportPng(chart) {
+    const source = chart.querySelector('[data-chart-plot] svg');
+    if (!source) return;
+    const copy = source.cloneNode(true);
+    const cursor = copy.querySelector('[data-chart-cursor]');
+    if (cursor) cursor.remove();
+
+    const width = Number(copy.getAttribute('width'));
+    const header = 28;
+    const scale = 2;
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(copy)], { type: 'image/svg+xml' }));
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = (HEIGHT + header) * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, HEIGHT + header);
+      ctx.fillStyle = '#111827';
+      ctx.font = '600 14px system-ui, sans-serif';
+      const title = chart.querySelector('.metrics-chart__title');
+      ctx.fillText(title ? title.textContent : chart.dataset.chart, 12, 19);
+      ctx.drawImage(image, 0, header, width, HEIGHT);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (blob) download(blob, exportName(chart, 'png'));
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      console.error('Metrics chart PNG export failed');
+    };
+    image.src = url;
+  }
+
+  // endregion
+
+  // region Loading and live updates
+
+  function describe() {
+    if (!state.points.length) {
+      return 'No metrics recorded in this range yet. A point is added every minute while the orchestrator runs.';
+    }
+    const withDate = state.to - state.from > SPANS_MS['24h'] || state.range === 'custom';
+    return `${state.points.length} point(s) from ${formatTime(state.from, withDate)} to ${formatTime(state.to, withDate)}.`;
+  }
+
+  function load() {
+    if (!root) return;
+    if (loadController) loadController.abort();
+    const controller = new AbortController();
+    loadController = controller;
+
+    const params = new URLSearchParams({ range: state.range });
+    if (state.range === 'custom') {
+      params.set('from', state.custom.from);
+      params.set('to', state.custom.to);
+    }
+    setStatus('Loading history…');
+
+    fetch(`${root.dataset.historyUrl}?${params}`, { headers: { Accept: 'application/json' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) {
+          return response.text().then((text) => { throw new Error(text || 'HTTP ' + response.status); });
+        }
+        return response.json();
+      })
+      .then((history) => {
+        if (controller !== loadController || !root) return;
+        state.from = Date.parse(history.from);
+        state.to = Date.parse(history.to);
+        state.points = history.points || [];
+        drawAll();
+        setStatus(describe());
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Metrics history load failed', err);
+        setStatus('Could not load the metrics history: ' + err.message);
+      });
+  }
+
+  function onMetricsUpdated(message) {
+    if (!root) return;
+    const template = document.createElement('template');
+    template.innerHTML = (message.data || '').trim();
+    const summary = template.content.querySelector('.metrics-summary');
+    if (!summary) return;
+
+    const container = document.getElementById('metrics-container');
+    if (container) container.replaceChildren(summary.cloneNode(true));
+
+    if (state.range === 'custom' || !summary.dataset.point) return;
+    let point;
+    try {
+      point = JSON.parse(summary.dataset.point);
+    } catch (err) {
+      console.warn('Metrics update has an unreadable point', err);
+      return;
+    }
+
+    const last = state.points[state.points.length - 1];
+    if (last && point.epochMs <= last.epochMs) return;
+    state.points.push(point);
+    state.to = Math.max(Date.now(), point.epochMs);
+    state.from = state.to - SPANS_MS[state.range];
+    state.points = state.points.filter((p) => p.epochMs >= state.from);
+    drawAll();
+    setStatus(describe());
+  }
+
+  // endregion
+
+  // region Interaction
+
+  function selectRange(range) {
+    const form = root.querySelector('[data-range-form]');
+    form.querySelectorAll('.view-toggle__option').forEach((option) => {
+      const input = option.querySelector('input');
+      option.classList.toggle('is-active', input.value === range);
+    });
+    const custom = form.querySelector('[data-range-custom]');
+    custom.hidden = range !== 'custom';
+
+    if (range === 'custom') {
+      // Start from the window on screen; the user applies the change.
+      form.elements.from.value = form.elements.from.value || toLocalInput(state.from || Date.now() - SPANS_MS['24h']);
+      form.elements.to.value = form.elements.to.value || toLocalInput(state.to || Date.now());
+      form.elements.from.focus();
+      return;
+    }
+    state.range = range;
+    load();
+  }
+
+  function applyCustomRange(form) {
+    const from = new Date(form.elements.from.value);
+    const to = new Date(form.elements.to.value);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      setStatus('Pick both a start and an end time.');
+      return;
+    }
+    if (from >= to) {
+      setStatus('The start time must be before the end time.');
+      return;
+    }
+    state.range = 'custom';
+    state.custom = { from: from.toISOString(), to: to.toISOString() };
+    load();
+  }
+
+  function attachHandlers() {
+    const form = root.querySelector('[data-range-form]');
+    form.addEventListener('change', (event) => {
+      if (event.target.name === 'range') selectRange(event.target.value);
+    });
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      applyCustomRange(form);
+    });
+
+    root.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-chart-export]');
+      if (!button) return;
+      const chart = button.closest('[data-chart]');
+      if (button.dataset.chartExport === 'png') exportPng(chart); else exportCsv(chart);
+    });
+
+    root.querySelectorAll('[data-chart]').forEach((chart) => {
+      const plot = chart.querySelector('[data-chart-plot]');
+      plot.addEventListener('mousemove', (event) => {
+        const info = chart._chart;
+        const svgEl = plot.querySelector('svg');
+        if (!info || !svgEl || !state.points.length) return;
+        const box = svgEl.getBoundingClientRect();
+        const width = Number(svgEl.getAttribute('width'));
+        // In drawing units, in case the SVG has been scaled down to fit
+        const x = (event.clientX - box.left) * (width / box.width);
+        const innerWidth = width - MARGIN.left - MARGIN.right;
+        const ms = state.from + ((x - MARGIN.left) / innerWidth) * (state.to - state.from);
+        showCursor(chart, nearestIndex(state.points, ms));
+      });
+      plot.addEventListener('mouseleave', () => hideCursor(chart));
+      plot.addEventListener('blur', () => hideCursor(chart));
+      plot.addEventListener('keydown', (event) => {
+        const count = state.points.length;
+        if (!count || !chart._chart) return;
+        const current = chart._chart.cursorIndex;
+        let next = null;
+        if (event.key === 'ArrowLeft') next = current == null ? count - 1 : Math.max(0, current - 1);
+        else if (event.key === 'ArrowRight') next = current == null ? count - 1 : Math.min(count - 1, current + 1);
+        else if (event.key === 'Home') next = 0;
+        else if (event.key === 'End') next = count - 1;
+        else if (event.key === 'Escape') hideCursor(chart);
+        if (next == null) return;
+        event.preventDefault();
+        showCursor(chart, next);
+      });
+    });
+  }
+
+  // endregion
+
+  function init() {
+    const found = document.querySelector(ROOT_SELECTOR);
+    if (!found || found === root) return;
+    root = found;
+    state.range = '1h';
+    state.points = [];
+
+    attachHandlers();
+
+    const sse = window.OrchestratorSSE;
+    if (sse) {
+      unsubscribe = sse.subscribe(sse.Streams.METRICS, {
+        metricsUpdated: onMetricsUpdated,
+        // Events were missed; reload to catch up
+        resync: load
+      });
+    } else {
+      console.error('OrchestratorSSE client not loaded; live chart updates disabled');
+    }
+    load();
+  }
+
+  function release() {
+    if (root && root.isConnected) return;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    if (loadController) loadController.abort();
+    root = null;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  // Boosted navigation swaps the charts in and out without a page load.
+  document.addEventListener('htmx:afterSettle', () => {
+    release();
+    init();
+  });
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(drawAll, RESIZE_DELAY_MS);
+  });
+
+  window.MetricsCharts = {
+    init,
+    reload: load,
+    release
+  };
+})();
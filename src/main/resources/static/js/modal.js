@@ -1,12 +1,18 @@
 // Prevent redeclaration if script is loaded multiple times
 if (typeof window.openModal === 'undefined') {
+    // Modals can stack, so the page only scrolls again once the last one is closed.
+    const syncScrollLock = () => {
+        document.body.style.overflow = document.querySelector('.modal.is-open') ? 'hidden' : '';
+    };
+
     const openModal = (modalId) => {
         const modal = document.getElementById(modalId);
         console.log('openModal called', { modalId, found: !!modal, classList: modal?.classList.toString() });
         if (modal) {
             console.log('Adding is-open class to modal', modalId);
             modal.classList.add('is-open');
-            document.body.style.overflow = 'hidden';
+            modal.setAttribute('aria-hidden', 'false');
+            syncScrollLock();
         } else {
             console.error('Modal not found:', modalId);
         }
@@ -16,8 +22,11 @@ if (typeof window.openModal === 'undefined') {
         const modal = document.getElementById(modalId);
         if (modal) {
             modal.classList.remove('is-open');
+            modal.setAttribute('aria-hidden', 'true');
             modal.innerHTML = '';
-            document.body.style.overflow = '';
+            syncScrollLock();
+            // ModalLoader listens for this to cancel loads, restore focus and clear deep links.
+            modal.dispatchEvent(new CustomEvent('modal:closed', { bubbles: true }));
             console.log('Modal closed and content cleared:', modalId);
         }
     };
@@ -25,6 +34,18 @@ if (typeof window.openModal === 'undefined') {
     // Make functions available globally
     window.openModal = openModal;
     window.closeModal = closeModal;
+    window.syncModalScrollLock = syncScrollLock;
+}
+
+// Function declarations (not const) so loading this file twice doesn't throw.
+function modalFor(element) {
+    return (element && element.closest('.modal')) || null;
+}
+
+// Stacked layers are appended to <body>, so the last open modal is the top one.
+function topOpenModal() {
+    const open = document.querySelectorAll('.modal.is-open');
+    return open[open.length - 1] || null;
 }
 
 // OUTSIDE DOMContentLoaded so it works for dynamically added elements
@@ -36,9 +57,13 @@ document.addEventListener('click', (event) => {
         window.openModal(event.target.dataset.modalOpen);
     }
 
-    if (event.target.dataset.modalClose) {
-        console.log('Closing modal:', event.target.dataset.modalClose);
-        window.closeModal(event.target.dataset.modalClose);
+    if (event.target.dataset.modalClose && !event.defaultPrevented) {
+        event.preventDefault();
+        // Fragments name #modal-container, but may be showing in a stacked layer.
+        const modal = modalFor(event.target);
+        const modalId = modal ? modal.id : event.target.dataset.modalClose;
+        console.log('Closing modal:', modalId);
+        window.closeModal(modalId);
     }
 
     // Close modal when clicking on backdrop
@@ -54,15 +79,13 @@ document.addEventListener('click', (event) => {
 // ESC key handler OUTSIDE DOMContentLoaded
 document.addEventListener('keydown', (event) => {
     console.log('Keydown event:', { key: event.key });
-    if (event.key === 'Escape') {
-        console.log('ESC pressed - closing modals');
+    if (event.key === 'Escape' && !event.defaultPrevented) {
+        const modal = topOpenModal();
+        if (!modal) return;
+        // Only the top of the stack; the modal underneath stays where it was.
         event.preventDefault();
-        const openModals = document.querySelectorAll('.modal.is-open');
-        console.log('Open modals found:', openModals.length);
-        openModals.forEach(modal => {
-            console.log('Closing modal:', modal.id);
-            window.closeModal(modal.id);
-        });
+        console.log('ESC pressed - closing modal:', modal.id);
+        window.closeModal(modal.id);
     }
 }, true);
 
@@ -90,6 +113,17 @@ document.addEventListener('htmx:beforeSwap', (event) => {
     }
 });
 
+// Forms in a modal answer 422 (validation) or 409 (conflict) with the form and
+// its inline errors; htmx drops 4xx bodies unless told otherwise
+document.addEventListener('htmx:beforeSwap', (event) => {
+    const status = event.detail?.xhr?.status;
+    const target = event.detail?.target;
+    if ((status === 422 || status === 409) && target?.matches?.('form') && target.closest('.modal')) {
+        event.detail.shouldSwap = true;
+        event.detail.isError = false;
+    }
+});
+
 // Clear any open modals before page navigation (HTMX page change)
 document.addEventListener('htmx:prompt', () => {
     const openModals = document.querySelectorAll('.modal.is-open');
@@ -102,12 +136,527 @@ document.addEventListener('htmx:prompt', () => {
 // Also clear modals on htmx requests to different pages
 document.addEventListener('htmx:beforeRequest', (event) => {
     const target = event.detail?.target;
-    // Only clear modals if this is NOT a modal-container request
-    if (target && target.id !== 'modal-container') {
+    // Only clear modals if this is NOT a modal-container request, nor one made from inside a modal
+    const source = event.detail?.elt;
+    if (target && target.id !== 'modal-container' && !(source && source.closest && source.closest('.modal'))) {
         const openModals = document.querySelectorAll('.modal.is-open');
         openModals.forEach(modal => {
             console.log('Clearing modal before page navigation:', modal.id);
             window.closeModal(modal.id);
         });
     }
-}, true);
\ No newline at end of file
+}, true);
+/**
+ * ModalLoader - fetch modal fragments into a stack of modal layers.
+ *
+ * ModalLoader.load(url, { deepLink }) opens `url` as the only modal.
+ * ModalLoader.push(url, { deepLink }) opens it on top of the current modal,
+ * which stays in the DOM underneath, scroll position and all. Links rendered
+ * with `data-modal-link` (see Modal.modalLink) push, and the top layer gets
+ * Back/Forward controls: Back (or Escape, or ×) pops the top layer, Forward
+ * re-opens the last popped one. Closing the bottom layer closes the stack.
+ *
+ * Each load shows a loading state at once, aborts the layer's earlier load
+ * and ignores responses that arrive after a newer load has started. Failures
+ * are shown in the modal with Retry instead of only being logged. Scripts in
+ * the fragment are re-executed; htmx attributes are processed.
+ *
+ * Focus moves into the top layer, Tab is trapped inside it, and focus returns
+ * to the element that opened a layer when it closes.
+ *
+ * Deep links: the top layer's `deepLink` is written to the URL as
+ * `#<key>=<value>`, and opening a page with such a hash (or changing the hash)
+ * loads the modal registered via ModalLoader.registerDeepLink(key, valueToUrl).
+ * `#task=<id>`, `#proposal=<id>` and `#file=<path>` are registered here.
+ */
+if (typeof window.ModalLoader === 'undefined') {
+    const DEFAULT_CONTAINER_ID = 'modal-container';
+    const LAYER_ID_PREFIX = 'modal-layer-';
+    const BASE_Z_INDEX = 1000;
+    const FOCUSABLE = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+    const HASH_PATTERN = /^#([A-Za-z][\w-]*)=(.+)$/;
+
+    const deepLinks = new Map();
+    // Open layers, bottom first: { container, url, deepLink, token, controller, returnFocus }
+    const layers = [];
+    // Layers popped with Back, most recent last: { url, deepLink }
+    const forwardStack = [];
+
+    const topLayer = () => layers[layers.length - 1] || null;
+
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    };
+
+    const modalContainer = (id, zIndex) => {
+        const container = element('div', 'modal');
+        container.id = id;
+        container.setAttribute('role', 'dialog');
+        container.setAttribute('aria-modal', 'true');
+        container.setAttribute('aria-hidden', 'true');
+        if (zIndex) {
+            container.classList.add('modal--stacked');
+            container.style.zIndex = String(zIndex);
+        }
+        document.body.appendChild(container);
+        return container;
+    };
+
+    const baseContainer = (containerId) =>
+        document.getElementById(containerId) || modalContainer(containerId);
+
+    const newLayer = (container) => ({
+        container,
+        url: null,
+        deepLink: null,
+        token: 0,
+        controller: null,
+        returnFocus: document.activeElement
+    });
+
+    // region Rendering
+
+    const renderLoading = (container) => {
+        const content = element('div', 'modal__content modal__content--status');
+        content.setAttribute('tabindex', '-1');
+        content.setAttribute('aria-busy', 'true');
+        const spinner = element('span', 'modal__spinner');
+        spinner.setAttribute('aria-hidden', 'true');
+        const body = element('div', 'modal__body modal__status');
+        body.setAttribute('role', 'status');
+        body.append(spinner, element('span', null, 'Loading…'));
+        content.appendChild(body);
+        container.replaceChildren(element('div', 'modal__backdrop'), content);
+    };
+
+    const renderError = (container, message, retry) => {
+        const content = element('div', 'modal__content modal__content--status');
+        content.setAttribute('tabindex', '-1');
+
+        const header = element('div', 'modal__header');
+        const close = element('button', 'modal__close', '×');
+        close.type = 'button';
+        close.setAttribute('aria-label', 'Close modal');
+        close.dataset.modalClose = container.id;
+        header.append(element('h3', 'modal__title', 'Could not load this view'), close);
+
+        const body = element('div', 'modal__body modal__status modal__status--error');
+        body.setAttribute('role', 'alert');
+        body.textContent = message;
+
+        const footer = element('div', 'modal__footer');
+        const retryButton = element('button', 'btn btn-primary', 'Retry');
+        retryButton.type = 'button';
+        retryButton.addEventListener('click', retry);
+        footer.appendChild(retryButton);
+
+        content.append(header, body, footer);
+        container.replaceChildren(element('div', 'modal__backdrop'), content);
+    };
+
+    const injectHtml = (container, html) => {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const scripts = Array.from(doc.querySelectorAll('script'));
+        scripts.forEach((script) => script.remove());
+        container.innerHTML = doc.body.innerHTML;
+
+        // Scripts parsed from a string never run; re-create them so they do.
+        scripts.forEach((script) => {
+            const fresh = document.createElement('script');
+            if (script.src) {
+                fresh.src = script.src;
+            } else {
+                fresh.textContent = script.textContent;
+            }
+            container.appendChild(fresh);
+        });
+
+        if (window.htmx && typeof window.htmx.process === 'function') {
+            window.htmx.process(container);
+        }
+    };
+
+    const layerTitle = (layer) => {
+        const title = layer.container.querySelector('.modal__title');
+        return (title && title.textContent.trim()) || 'Loading…';
+    };
+
+    /**
+     * Back/Forward controls and the trail of open layers, shown on the top
+     * layer whenever there is somewhere to go.
+     */
+    const renderNav = () => {
+        layers.forEach((layer) => {
+            layer.container.querySelectorAll('.modal__nav').forEach((nav) => nav.remove());
+        });
+        const top = topLayer();
+        if (!top || (layers.length < 2 && forwardStack.length === 0)) return;
+        const content = top.container.querySelector('.modal__content');
+        if (!content) return;
+
+        const nav = element('nav', 'modal__nav');
+        nav.setAttribute('aria-label', 'Modal history');
+
+        const back = element('button', 'modal__nav-button', '← Back');
+        back.type = 'button';
+        back.dataset.modalBack = '';
+        back.disabled = layers.length < 2;
+
+        const forward = element('button', 'modal__nav-button', 'Forward →');
+        forward.type = 'button';
+        forward.dataset.modalForward = '';
+        forward.disabled = forwardStack.length === 0;
+
+        const trail = element('ol', 'modal__nav-trail');
+        layers.forEach((layer, index) => {
+            const item = element('li', null, layerTitle(layer));
+            if (index === layers.length - 1) item.setAttribute('aria-current', 'true');
+            trail.appendChild(item);
+        });
+
+        nav.append(back, forward, trail);
+        content.prepend(nav);
+    };
+
+    // endregion
+
+    const focusables = (root) =>
+        Array.from(root.querySelectorAll(FOCUSABLE)).filter((el) => el.offsetParent !== null || el === document.activeElement);
+
+    const focusInitial = (container) => {
+        const content = container.querySelector('.modal__content') || container;
+        const target = content.querySelector('[autofocus]')
+            || focusables(content).find((el) => !el.closest('.modal__nav'))
+            || content;
+        if (target === content && !content.hasAttribute('tabindex')) {
+            content.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+    };
+
+    const restoreFocus = (layer, fallback) => {
+        const target = layer.returnFocus;
+        if (target && target.isConnected && typeof target.focus === 'function') {
+            target.focus({ preventScroll: true });
+        } else if (fallback) {
+            focusInitial(fallback.container);
+        }
+    };
+
+    // region Deep links
+
+    const currentHashLink = () => {
+        const match = HASH_PATTERN.exec(window.location.hash);
+        if (!match) return null;
+        try {
+            return { key: match[1], value: decodeURIComponent(match[2]) };
+        } catch (err) {
+            return null;
+        }
+    };
+
+    /**
+     * Point the URL at the top layer. replaceState does not fire hashchange,
+     * so this won't re-open anything.
+     */
+    const syncHash = () => {
+        const top = topLayer();
+        if (top && top.deepLink) {
+            const hash = `#${top.deepLink.key}=${encodeURIComponent(top.deepLink.value)}`;
+            if (window.location.hash !== hash) {
+                window.history.replaceState(window.history.state, '', hash);
+            }
+            return;
+        }
+        const link = currentHashLink();
+        if (link && deepLinks.has(link.key)) {
+            const { pathname, search } = window.location;
+            window.history.replaceState(window.history.state, '', pathname + search);
+        }
+    };
+
+    const sameLink = (a, b) => !!a && !!b && a.key === b.key && a.value === b.value;
+
+    // endregion
+
+    // region Stack
+
+    const discard = (layer) => {
+        layer.token += 1;
+        if (layer.controller) {
+            layer.controller.abort();
+            layer.controller = null;
+        }
+    };
+
+    /** Remove layers above `index` without the close bookkeeping (used when a lower layer closes). */
+    const dropAbove = (index) => {
+        while (layers.length > index + 1) {
+            const layer = layers.pop();
+            discard(layer);
+            layer.container.remove();
+        }
+    };
+
+    const fetchInto = (layer, url, deepLink) => {
+        if (layer.controller) {
+            layer.controller.abort();
+        }
+        const controller = new AbortController();
+        const token = ++layer.token;
+        layer.controller = controller;
+        layer.url = url;
+        layer.deepLink = deepLink || null;
+
+        renderLoading(layer.container);
+        window.openModal(layer.container.id);
+        syncHash();
+        renderNav();
+        focusInitial(layer.container);
+
+        return fetch(url, { signal: controller.signal, headers: { Accept: 'text/html' } })
+            .then((response) => response.text().then((text) => {
+                if (!response.ok) {
+                    const plain = text && text.length < 200 && !text.trim().startsWith('<');
+                    throw new Error(plain ? text.trim() : `HTTP ${response.status}`);
+                }
+                return text;
+            }))
+            .then((html) => {
+                if (token !== layer.token) return;
+                layer.controller = null;
+                injectHtml(layer.container, html);
+                renderNav();
+                if (layer === topLayer()) focusInitial(layer.container);
+                layer.container.dispatchEvent(new CustomEvent('modal:loaded', { bubbles: true, detail: { url } }));
+            })
+            .catch((error) => {
+                if (error.name === 'AbortError' || token !== layer.token) return;
+                layer.controller = null;
+                console.error('Error loading modal:', url, error);
+                renderError(layer.container, error.message || 'Request failed', () => fetchInto(layer, url, deepLink));
+                renderNav();
+                if (layer === topLayer()) focusInitial(layer.container);
+            });
+    };
+
+    /** Open `url` as the only modal, closing any stacked layers. */
+    const load = (url, options = {}) => {
+        const container = baseContainer(options.containerId || DEFAULT_CONTAINER_ID);
+        let base = layers[0];
+        if (base && base.container === container) {
+            dropAbove(0);
+        } else {
+            layers.forEach(discard);
+            dropAbove(0);
+            layers.length = 0;
+            base = newLayer(container);
+            layers.push(base);
+        }
+        forwardStack.length = 0;
+        return fetchInto(base, url, options.deepLink);
+    };
+
+    /** Open `url` on top of the current modal, or as the only one if none is open. */
+    const push = (url, options = {}) => {
+        if (layers.length === 0) {
+            const existing = document.getElementById(DEFAULT_CONTAINER_ID);
+            if (!existing || !existing.classList.contains('is-open')) {
+                return load(url, options);
+            }
+            // Opened by htmx rather than by us: adopt it as the bottom layer.
+            const adopted = newLayer(existing);
+            adopted.returnFocus = null;
+            layers.push(adopted);
+        }
+        if (!options.fromForward) {
+            forwardStack.length = 0;
+        }
+
+        const layer = newLayer(modalContainer(LAYER_ID_PREFIX + layers.length, BASE_Z_INDEX + layers.length));
+        layers.push(layer);
+        return fetchInto(layer, url, options.deepLink);
+    };
+
+    const back = () => {
+        const top = topLayer();
+        if (top && layers.length > 1) {
+            window.closeModal(top.container.id);
+        }
+    };
+
+    const forward = () => {
+        const next = forwardStack.pop();
+        if (next) {
+            push(next.url, { deepLink: next.deepLink, fromForward: true });
+        }
+    };
+
+    document.addEventListener('modal:closed', (event) => {
+        const index = layers.findIndex((layer) => layer.container === event.target);
+        if (index === -1) return;
+        const closed = layers[index];
+        const wasTop = index === layers.length - 1;
+
+        dropAbove(index);
+        discard(closed);
+        layers.splice(index, 1);
+
+        if (index === 0) {
+            forwardStack.length = 0;
+        } else {
+            if (wasTop && closed.url) {
+                forwardStack.push({ url: closed.url, deepLink: closed.deepLink });
+            }
+            closed.container.remove();
+        }
+
+        window.syncModalScrollLock();
+        syncHash();
+        renderNav();
+        restoreFocus(closed, topLayer());
+    });
+
+    // endregion
+
+    const registerDeepLink = (key, toUrl) => {
+        deepLinks.set(key, toUrl);
+    };
+
+    const deepLinkUrl = (link) => {
+        const toUrl = deepLinks.get(link.key);
+        return toUrl ? toUrl(link.value) : null;
+    };
+
+    const openDeepLink = (key, value, options = {}) => {
+        const deepLink = { key, value: String(value) };
+        const url = deepLinkUrl(deepLink);
+        if (!url) {
+            console.warn('No modal registered for deep link', key);
+            return null;
+        }
+        return (options.stack ? push : load)(url, { ...options, deepLink });
+    };
+
+    const openFromHash = () => {
+        const link = currentHashLink();
+        if (!link || !deepLinks.has(link.key)) return;
+        const top = topLayer();
+        if (top && sameLink(top.deepLink, link)) return;
+        openDeepLink(link.key, link.value, { stack: layers.length > 0 });
+    };
+
+    /** `#key=value` from a link's href, when it names a registered deep link. */
+    const linkDeepLink = (anchor) => {
+        const href = anchor.getAttribute('href') || '';
+        const match = HASH_PATTERN.exec(href.slice(href.indexOf('#')));
+        if (!match || !deepLinks.has(match[1])) return null;
+        try {
+            return { key: match[1], value: decodeURIComponent(match[2]) };
+        } catch (err) {
+            return null;
+        }
+    };
+
+    document.addEventListener('click', (event) => {
+        const link = event.target.closest('[data-modal-link]');
+        if (link) {
+            // Let modified clicks open the deep link in a new tab.
+            if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            event.preventDefault();
+            push(link.getAttribute('data-modal-link'), { deepLink: linkDeepLink(link) });
+            return;
+        }
+        if (event.target.closest('[data-modal-back]')) {
+            back();
+            return;
+        }
+        if (event.target.closest('[data-modal-forward]')) {
+            forward();
+        }
+    });
+
+    // Keep Tab and Shift+Tab inside the topmost open modal.
+    document.addEventListener('keydown', (event) => {
+        if (event.key !== 'Tab') return;
+        const modal = topOpenModal();
+        if (!modal) return;
+
+        const items = focusables(modal);
+        if (items.length === 0) {
+            event.preventDefault();
+            focusInitial(modal);
+            return;
+        }
+        const first = items[0];
+        const last = items[items.length - 1];
+        const active = document.activeElement;
+
+        if (!modal.contains(active)) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && active === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && active === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    });
+
+    window.addEventListener('hashchange', openFromHash);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', openFromHash);
+    } else {
+        openFromHash();
+    }
+
+    registerDeepLink('task', (taskId) => `/tasks/${encodeURIComponent(taskId)}/modal`);
+    registerDeepLink('proposal', (proposalId) => `/proposals/${encodeURIComponent(proposalId)}/modal`);
+    registerDeepLink('file', (filePath) => `/files/${encodeURIComponent(filePath)}/detail`);
+
+    window.ModalLoader = {
+        load,
+        push,
+        back,
+        forward,
+        registerDeepLink,
+        openDeepLink,
+        depth: () => layers.length,
+        close: () => {
+            const base = layers[0];
+            if (base) window.closeModal(base.container.id);
+        }
+    };
+}
+
+// Tabs inside modal bodies: [role="tab"] buttons with aria-controls naming their panel.
+// Panels hear `tab:shown` each time they come up, so they can lazy-load with hx-trigger.
+document.addEventListener('click', (event) => {
+    const tab = event.target.closest('[role="tab"][aria-controls]');
+    if (!tab) return;
+    const list = tab.closest('[role="tablist"]');
+    if (!list) return;
+    event.preventDefault();
+
+    list.querySelectorAll('[role="tab"][aria-controls]').forEach((other) => {
+        const selected = other === tab;
+        other.setAttribute('aria-selected', selected ? 'true' : 'false');
+        other.tabIndex = selected ? 0 : -1;
+        const panel = document.getElementById(other.getAttribute('aria-controls'));
+        if (panel) panel.hidden = !selected;
+    });
+
+    const panel = document.getElementById(tab.getAttribute('aria-controls'));
+    if (panel) panel.dispatchEvent(new CustomEvent('tab:shown', { bubbles: false }));
+});
@@ -0,0 +1,475 @@
+/**
+ * Orchestrator SSE Client
+ *
+ * Single shared EventSource manager for the dashboard. Every script that needs
+ * live updates subscribes through window.OrchestratorSSE instead of opening its
+ * own connection, so each stream (/sse/tasks, /sse/index, /sse/metrics, /sse/all)
+ * is backed by at most one EventSource per page.
+ *
+ * Connections are ref-counted: the first subscription to a stream opens it and the
+ * last unsubscribe closes it. Reconnects follow one exponential backoff policy and
+ * resume from the last applied event ID, so the server can replay missed events or
+ * answer with a "resync" event when its replay buffer no longer covers the gap.
+ */
+
+(function () {
+  'use strict';
+
+  if (window.OrchestratorSSE) {
+    return;
+  }
+
+  const Streams = Object.freeze({
+    TASKS: 'tasks',
+    INDEX: 'index',
+    METRICS: 'metrics',
+    ALL: 'all'
+  });
+
+  const Events = Object.freeze({
+    CONNECTED: 'connected',
+    KEEP_ALIVE: 'keep-alive',
+    MESSAGE: 'message',
+    RESYNC: 'resync',
+    TASK_CREATED: 'taskCreated',
+    TASK_UPDATED: 'taskUpdated',
+    TASK_DELETED: 'taskDeleted',
+    PROPOSAL_SUBMITTED: 'proposalSubmitted',
+    DECISION_MADE: 'decisionMade',
+    INDEX_PROGRESS: 'indexProgress',
+    INDEX_SUMMARY: 'indexSummary',
+    METRICS_UPDATED: 'metricsUpdated',
+    ALERT_TRIGGERED: 'alertTriggered',
+    AGENT_STATUS_CHANGED: 'agentStatusChanged'
+  });
+
+  const Status = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed'
+  });
+
+  const LIFECYCLE_EVENTS = [Events.CONNECTED, Events.KEEP_ALIVE, Events.MESSAGE, Events.RESYNC];
+
+  // Events whose IDs do not mark application progress and so are never resumed from.
+  const UNTRACKED_EVENTS = [Events.CONNECTED, Events.KEEP_ALIVE];
+
+  const TASK_EVENTS = [
+    Events.TASK_CREATED,
+    Events.TASK_UPDATED,
+    Events.TASK_DELETED,
+    Events.PROPOSAL_SUBMITTED,
+    Events.DECISION_MADE
+  ];
+  const INDEX_EVENTS = [Events.INDEX_PROGRESS, Events.INDEX_SUMMARY];
+  const METRICS_EVENTS = [Events.METRICS_UPDATED, Events.ALERT_TRIGGERED, Events.AGENT_STATUS_CHANGED];
+
+  const CATALOG = {
+    [Streams.TASKS]: { url: '/sse/tasks', events: TASK_EVENTS },
+    [Streams.INDEX]: { url: '/sse/index', events: INDEX_EVENTS },
+    [Streams.METRICS]: { url: '/sse/metrics', events: METRICS_EVENTS },
+    [Streams.ALL]: { url: '/sse/all', events: TASK_EVENTS.concat(INDEX_EVENTS, METRICS_EVENTS) }
+  };
+
+  const BACKOFF = Object.freeze({
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    multiplier: 2,
+    jitterRatio: 0.2
+  });
+
+  // Grace period before closing an unreferenced stream, so HTMX swaps that
+  // unsubscribe and immediately resubscribe do not churn the connection.
+  const RELEASE_DELAY_MS = 1000;
+
+  const channels = new Map();
+  const statusListeners = new Set();
+
+  function log() {
+    if (window.location.search.indexOf('debug=1') !== -1) {
+      console.log.apply(console, ['[OrchestratorSSE]'].concat(Array.prototype.slice.call(arguments)));
+    }
+  }
+
+  function assertStream(stream) {
+    if (!Object.prototype.hasOwnProperty.call(CATALOG, stream)) {
+      throw new TypeError(`Unknown SSE stream "${stream}"`);
+    }
+  }
+
+  function assertEvent(stream, eventName) {
+    if (LIFECYCLE_EVENTS.indexOf(eventName) === -1 && CATALOG[stream].events.indexOf(eventName) === -1) {
+      throw new TypeError(`Stream "${stream}" does not emit "${eventName}" events`);
+    }
+  }
+
+  /**
+   * Resolve a stream name from either a name or its URL (e.g. "/sse/index").
+   */
+  function streamForUrl(urlOrName) {
+    if (!urlOrName) return null;
+    if (Object.prototype.hasOwnProperty.call(CATALOG, urlOrName)) return urlOrName;
+    const match = Object.keys(CATALOG).find((name) => CATALOG[name].url === urlOrName);
+    return match || null;
+  }
+
+  function getChannel(stream) {
+    let channel = channels.get(stream);
+    if (!channel) {
+      channel = {
+        stream,
+        source: null,
+        refCount: 0,
+        listeners: new Map(),
+        status: Status.IDLE,
+        attempt: 0,
+        retryTimer: null,
+        retryAt: null,
+        releaseTimer: null,
+        reconnects: 0,
+        openedAt: null,
+        lastEventAt: null,
+        lastKeepAliveAt: null,
+        lastEventId: null
+      };
+      channels.set(stream, channel);
+    }
+    return channel;
+  }
+
+  function setStatus(channel, status, extra) {
+    channel.status = status;
+    const detail = Object.assign({
+      stream: channel.stream,
+      status,
+      attempt: channel.attempt,
+      lastEventAt: channel.lastEventAt
+    }, extra || {});
+
+    statusListeners.forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (err) {
+        console.error('[OrchestratorSSE] Status listener failed', err);
+      }
+    });
+  }
+
+  function rememberEventId(channel, id) {
+    const numeric = Number(id);
+    if (!id || !Number.isFinite(numeric)) return;
+    if (channel.lastEventId == null || numeric > Number(channel.lastEventId)) {
+      channel.lastEventId = String(id);
+    }
+  }
+
+  function dispatch(channel, eventName, event) {
+    channel.lastEventAt = Date.now();
+    if (eventName === Events.KEEP_ALIVE) {
+      channel.lastKeepAliveAt = channel.lastEventAt;
+    }
+
+    const handlers = channel.listeners.get(eventName);
+    if (!handlers || handlers.size === 0) {
+      trackApplied(channel, eventName, event);
+      return;
+    }
+
+    const message = {
+      stream: channel.stream,
+      type: eventName,
+      id: event ? event.lastEventId || null : null,
+      data: event ? event.data : null,
+      receivedAt: channel.lastEventAt
+    };
+
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(message);
+      } catch (err) {
+        console.error(`[OrchestratorSSE] Handler for ${channel.stream}/${eventName} failed`, err);
+      }
+    });
+
+    trackApplied(channel, eventName, event);
+  }
+
+  function trackApplied(channel, eventName, event) {
+    if (!event || UNTRACKED_EVENTS.indexOf(eventName) !== -1) return;
+    rememberEventId(channel, event.lastEventId);
+  }
+
+  function streamUrl(channel) {
+    const base = CATALOG[channel.stream].url;
+    if (channel.lastEventId == null) return base;
+    return `${base}?lastEventId=${encodeURIComponent(channel.lastEventId)}`;
+  }
+
+  function computeDelay(attempt) {
+    const base = Math.min(BACKOFF.maxDelayMs, BACKOFF.initialDelayMs * Math.pow(BACKOFF.multiplier, attempt));
+    const jitter = base * BACKOFF.jitterRatio * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + jitter));
+  }
+
+  function closeSource(channel) {
+    if (!channel.source) return;
+    try {
+      channel.source.close();
+    } catch (err) {
+      console.warn(`[OrchestratorSSE] Failed to close ${channel.stream} stream`, err);
+    }
+    channel.source = null;
+  }
+
+  function clearTimers(channel) {
+    if (channel.retryTimer) {
+      clearTimeout(channel.retryTimer);
+      channel.retryTimer = null;
+      channel.retryAt = null;
+    }
+    if (channel.releaseTimer) {
+      clearTimeout(channel.releaseTimer);
+      channel.releaseTimer = null;
+    }
+  }
+
+  function open(channel) {
+    closeSource(channel);
+    if (channel.refCount <= 0) return;
+
+    const config = CATALOG[channel.stream];
+    let source;
+    try {
+      source = new EventSource(streamUrl(channel), { withCredentials: true });
+    } catch (err) {
+      console.error(`[OrchestratorSSE] Failed to open ${channel.stream} stream`, err);
+      scheduleReconnect(channel);
+      return;
+    }
+
+    channel.source = source;
+    setStatus(channel, channel.attempt > 0 ? Status.RECONNECTING : Status.CONNECTING);
+    log('opening', config.url, 'resuming from', channel.lastEventId);
+
+    source.addEventListener('open', () => {
+      if (channel.source !== source) return;
+      channel.attempt = 0;
+      channel.openedAt = Date.now();
+      setStatus(channel, Status.OPEN);
+    });
+
+    LIFECYCLE_EVENTS.concat(config.events).forEach((eventName) => {
+      source.addEventListener(eventName, (event) => {
+        if (channel.source !== source) return;
+        dispatch(channel, eventName, event);
+      });
+    });
+
+    source.onerror = () => {
+      if (channel.source !== source) return;
+      log('error on', config.url, 'readyState', source.readyState);
+      closeSource(channel);
+      scheduleReconnect(channel);
+    };
+  }
+
+  function scheduleReconnect(channel) {
+    if (channel.refCount <= 0 || channel.retryTimer) return;
+
+    const delayMs = computeDelay(channel.attempt);
+    channel.attempt += 1;
+    channel.reconnects += 1;
+    channel.retryAt = Date.now() + delayMs;
+    setStatus(channel, Status.RECONNECTING, { delayMs, retryAt: channel.retryAt });
+    log('reconnecting', channel.stream, 'in', delayMs, 'ms');
+
+    channel.retryTimer = setTimeout(() => {
+      channel.retryTimer = null;
+      channel.retryAt = null;
+      open(channel);
+    }, delayMs);
+  }
+
+  function retain(channel) {
+    channel.refCount += 1;
+    if (channel.releaseTimer) {
+      clearTimeout(channel.releaseTimer);
+      channel.releaseTimer = null;
+    }
+    if (!channel.source && !channel.retryTimer) {
+      open(channel);
+    }
+  }
+
+  function release(channel) {
+    channel.refCount = Math.max(0, channel.refCount - 1);
+    if (channel.refCount > 0 || channel.releaseTimer) return;
+
+    channel.releaseTimer = setTimeout(() => {
+      channel.releaseTimer = null;
+      if (channel.refCount > 0) return;
+      clearTimers(channel);
+      closeSource(channel);
+      channel.attempt = 0;
+      setStatus(channel, Status.CLOSED);
+    }, RELEASE_DELAY_MS);
+  }
+
+  /**
+   * Subscribe to one or more events on a stream.
+   *
+   * subscribe('tasks', 'taskUpdated', handler)
+   * subscribe('tasks', { taskCreated: onCreated, taskUpdated: onUpdated })
+   *
+   * Handlers receive { stream, type, id, data, receivedAt }. Returns a function
+   * that removes the handlers and releases the stream reference; calling it more
+   * than once is harmless.
+   */
+  function subscribe(stream, eventNameOrHandlers, handler) {
+    assertStream(stream);
+
+    let handlers;
+    if (typeof eventNameOrHandlers === 'string') {
+      if (typeof handler !== 'function') {
+        throw new TypeError('SSE handler must be a function');
+      }
+      handlers = { [eventNameOrHandlers]: handler };
+    } else {
+      handlers = eventNameOrHandlers || {};
+    }
+
+    const entries = Object.keys(handlers).map((eventName) => {
+      assertEvent(stream, eventName);
+      if (typeof handlers[eventName] !== 'function') {
+        throw new TypeError(`SSE handler for "${eventName}" must be a function`);
+      }
+      return [eventName, handlers[eventName]];
+    });
+
+    const channel = getChannel(stream);
+    entries.forEach(([eventName, fn]) => {
+      if (!channel.listeners.has(eventName)) {
+        channel.listeners.set(eventName, new Set());
+      }
+      channel.listeners.get(eventName).add(fn);
+    });
+
+    retain(channel);
+
+    let active = true;
+    return function unsubscribe() {
+      if (!active) return;
+      active = false;
+      entries.forEach(([eventName, fn]) => {
+        const set = channel.listeners.get(eventName);
+        if (set) set.delete(fn);
+      });
+      release(channel);
+    };
+  }
+
+  /**
+   * Listen for connection status changes across all streams. Status listeners do
+   * not hold a stream reference. Returns an unsubscribe function.
+   */
+  function onStatus(listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('SSE status listener must be a function');
+    }
+    statusListeners.add(listener);
+    return function () {
+      statusListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Current status snapshot for a stream.
+   */
+  function getStatus(stream) {
+    assertStream(stream);
+    const channel = channels.get(stream);
+    if (!channel) {
+      return {
+        stream,
+        status: Status.IDLE,
+        refCount: 0,
+        attempt: 0,
+        reconnects: 0,
+        retryAt: null,
+        openedAt: null,
+        lastEventAt: null,
+        lastKeepAliveAt: null,
+        lastEventId: null
+      };
+    }
+    return {
+      stream,
+      status: channel.status,
+      refCount: channel.refCount,
+      attempt: channel.attempt,
+      reconnects: channel.reconnects,
+      retryAt: channel.retryAt,
+      openedAt: channel.openedAt,
+      lastEventAt: channel.lastEventAt,
+      lastKeepAliveAt: channel.lastKeepAliveAt,
+      lastEventId: channel.lastEventId
+    };
+  }
+
+  /**
+   * Drop any pending backoff and reconnect subscribed streams immediately.
+   */
+  function reconnect(stream) {
+    const targets = stream ? [getChannel(streamForUrl(stream) || stream)] : Array.from(channels.values());
+    targets.forEach((channel) => {
+      assertStream(channel.stream);
+      if (channel.refCount <= 0) return;
+      clearTimers(channel);
+      channel.attempt = 0;
+      channel.reconnects += 1;
+      open(channel);
+    });
+  }
+
+  /**
+   * Seed the resume point for a stream, e.g. with the event ID the server rendered the
+   * page at. Only moves the resume point forward.
+   */
+  function resumeFrom(stream, eventId) {
+    assertStream(stream);
+    rememberEventId(getChannel(stream), eventId);
+  }
+
+  function closeAll() {
+    channels.forEach((channel) => {
+      clearTimers(channel);
+      closeSource(channel);
+    });
+  }
+
+  window.addEventListener('pagehide', closeAll);
+  window.addEventListener('pageshow', (event) => {
+    if (event.persisted) {
+      reconnect();
+    }
+  });
+  window.addEventListener('online', () => reconnect());
+
+  window.OrchestratorSSE = Object.freeze({
+    Streams,
+    Events,
+    Status,
+    subscribe,
+    onStatus,
+    getStatus,
+    reconnect,
+    resumeFrom,
+    streamForUrl,
+    eventsFor: (stream) => {
+      assertStream(stream);
+      return CATALOG[stream].events.slice();
+    }
+  });
+})();
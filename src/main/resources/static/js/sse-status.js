@@ -1,7 +1,15 @@
 /**
  * SSE Connection Status Indicator
  *
- * Monitors HTMX SSE connection and updates visual status indicator
+ * Derives a connection-health state from the shared OrchestratorSSE client:
+ *
+ *   connecting   → stream opening, nothing received yet
+ *   live         → heartbeat (keep-alive or any event) seen within the stale window
+ *   stale        → connection nominally open but no heartbeat for staleAfterMs
+ *   reconnecting → waiting out the backoff delay, with a countdown
+ *   offline      → browser offline, or every stream closed
+ *
+ * Clicking the indicator (or pressing Enter/Space on it) reconnects immediately.
  */
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -14,75 +22,161 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
     }
 
+    const sse = window.OrchestratorSSE;
+    if (!sse) {
+        console.warn('OrchestratorSSE client not loaded; status indicator disabled');
+        return;
+    }
+
+    // Server keep-alives arrive every 30s; allow one and a half intervals before calling it stale.
+    const staleAfterMs = Number(statusIndicator.dataset.staleAfterMs) || 45000;
+    // A stream that stays stale this long is assumed dead (e.g. after laptop sleep) and is reopened.
+    const forceReconnectAfterMs = staleAfterMs * 2;
+
+    const Health = Object.freeze({
+        CONNECTING: 'connecting',
+        LIVE: 'live',
+        STALE: 'stale',
+        RECONNECTING: 'reconnecting',
+        OFFLINE: 'offline'
+    });
+
+    // Worst state wins when several streams are active on one page.
+    const SEVERITY = [Health.LIVE, Health.CONNECTING, Health.STALE, Health.RECONNECTING, Health.OFFLINE];
+
+    const LIGHT_CLASSES = {
+        [Health.CONNECTING]: 'connecting',
+        [Health.LIVE]: 'connected',
+        [Health.STALE]: 'stale',
+        [Health.RECONNECTING]: 'connecting',
+        [Health.OFFLINE]: 'disconnected'
+    };
+
+    const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleTimeString() : 'never';
+
+    const secondsUntil = (timestamp, now) => Math.max(0, Math.ceil((timestamp - now) / 1000));
+
+    const lastSignOfLife = (snapshot) => Math.max(
+        snapshot.openedAt || 0,
+        snapshot.lastKeepAliveAt || 0,
+        snapshot.lastEventAt || 0
+    );
+
     /**
-     * Update status light and text
+     * Classify one stream's snapshot into a health state.
      */
-    const updateStatus = (state, message) => {
-        // Remove all state classes
+    const healthOf = (snapshot, now) => {
+        switch (snapshot.status) {
+            case sse.Status.RECONNECTING:
+                return snapshot.retryAt ? Health.RECONNECTING : Health.CONNECTING;
+            case sse.Status.CONNECTING:
+                return Health.CONNECTING;
+            case sse.Status.CLOSED:
+                return Health.OFFLINE;
+            case sse.Status.OPEN:
+                return now - lastSignOfLife(snapshot) > staleAfterMs ? Health.STALE : Health.LIVE;
+            default:
+                return null;
+        }
+    };
+
+    const activeSnapshots = () => Object.values(sse.Streams)
+        .map((stream) => sse.getStatus(stream))
+        .filter((snapshot) => snapshot.refCount > 0 || snapshot.status === sse.Status.CLOSED);
+
+    let currentHealth = null;
+
+    const render = () => {
+        const now = Date.now();
+        const snapshots = activeSnapshots();
+
+        let health = Health.CONNECTING;
+        let worst = null;
+        if (navigator.onLine === false) {
+            health = Health.OFFLINE;
+        } else if (snapshots.length > 0) {
+            snapshots.forEach((snapshot) => {
+                const state = healthOf(snapshot, now);
+                if (state && (!worst || SEVERITY.indexOf(state) > SEVERITY.indexOf(worst.health))) {
+                    worst = { health: state, snapshot };
+                }
+            });
+            if (worst) {
+                health = worst.health;
+            }
+        }
+
+        let message;
+        switch (health) {
+            case Health.LIVE:
+                message = 'Live';
+                break;
+            case Health.STALE:
+                message = `Stale (${Math.round((now - lastSignOfLife(worst.snapshot)) / 1000)}s)`;
+                break;
+            case Health.RECONNECTING:
+                message = `Reconnecting in ${secondsUntil(worst.snapshot.retryAt, now)}s`;
+                break;
+            case Health.OFFLINE:
+                message = 'Offline';
+                break;
+            default:
+                message = 'Connecting...';
+        }
+
+        const lastEventAt = Math.max(0, ...snapshots.map((snapshot) => snapshot.lastEventAt || 0));
+        const reconnects = snapshots.reduce((total, snapshot) => total + (snapshot.reconnects || 0), 0);
+        const tooltip = [
+            `Status: ${message}`,
+            `Last event: ${formatTime(lastEventAt || null)}`,
+            `Reconnects: ${reconnects}`,
+            'Click to reconnect now'
+        ].join('\n');
+
         statusLight.classList.remove(
             'sse-status__light--connected',
             'sse-status__light--disconnected',
-            'sse-status__light--connecting'
+            'sse-status__light--connecting',
+            'sse-status__light--stale'
         );
-
-        // Add new state class
-        statusLight.classList.add(`sse-status__light--${state}`);
-        statusText.textContent = message;
+        statusLight.classList.add(`sse-status__light--${LIGHT_CLASSES[health]}`);
         statusLight.setAttribute('aria-label', message);
-    };
+        statusText.textContent = message;
+        statusIndicator.title = tooltip;
+        statusIndicator.dataset.health = health;
 
-    // Initial state
-    updateStatus('connecting', 'Connecting...');
+        if (health === Health.STALE && now - lastSignOfLife(worst.snapshot) > forceReconnectAfterMs) {
+            console.warn(`SSE stream ${worst.snapshot.stream} missed its heartbeat; reconnecting`);
+            sse.reconnect(worst.snapshot.stream);
+        }
 
-    // Track if we've received at least one message (indicates connection is live)
-    let hasReceivedMessage = false;
+        currentHealth = health;
+    };
 
-    // Listen for HTMX SSE events - the custom extension dispatches htmx:sseMessage instead of htmx:sseOpen
-    document.addEventListener('htmx:sseMessage', function(event) {
-        console.log('SSE message received, marking as connected');
-        if (!hasReceivedMessage) {
-            hasReceivedMessage = true;
-            updateStatus('connected', 'Connected');
+    const reconnectNow = () => {
+        if (currentHealth === Health.OFFLINE && navigator.onLine === false) {
+            return;
         }
-    });
+        statusText.textContent = 'Reconnecting...';
+        sse.reconnect();
+    };
 
-    // Alternative: Listen for message events before they're processed
-    document.addEventListener('htmx:sseBeforeMessage', function(event) {
-        console.log('SSE message before processing');
-        if (!hasReceivedMessage) {
-            hasReceivedMessage = true;
-            updateStatus('connected', 'Connected');
+    statusIndicator.setAttribute('role', 'button');
+    statusIndicator.setAttribute('tabindex', '0');
+    statusIndicator.classList.add('sse-status--interactive');
+    statusIndicator.addEventListener('click', reconnectNow);
+    statusIndicator.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            reconnectNow();
         }
     });
 
-    // Standard HTMX SSE events (for compatibility with standard HTMX SSE)
-    document.addEventListener('htmx:sseOpen', function(event) {
-        console.log('SSE connection opened (standard event)');
-        updateStatus('connected', 'Connected');
-        hasReceivedMessage = true;
-    });
-
-    document.addEventListener('htmx:sseError', function(event) {
-        console.error('SSE connection error', event);
-        updateStatus('disconnected', 'Connection error');
-        hasReceivedMessage = false;
-    });
-
-    document.addEventListener('htmx:sseClose', function(event) {
-        console.log('SSE connection closed');
-        updateStatus('disconnected', 'Disconnected');
-        hasReceivedMessage = false;
-    });
+    sse.onStatus(render);
+    window.addEventListener('online', render);
+    window.addEventListener('offline', render);
 
-    // Fallback: Check connection every 5 seconds
-    setInterval(() => {
-        // If we have an SSE source, update status accordingly
-        const sseSource = document.querySelector('[hx-ext~="sse"]');
-        if (sseSource && statusLight.classList.contains('sse-status__light--disconnected')) {
-            // Try to reconnect or verify connection
-            if (typeof htmx !== 'undefined') {
-                console.log('Checking HTMX SSE connection...');
-            }
-        }
-    }, 5000);
+    // Drives the stale check and the reconnect countdown.
+    setInterval(render, 1000);
+    render();
 });
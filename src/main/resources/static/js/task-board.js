@@ -0,0 +1,368 @@
+/**
+ * Task board: the Board view of /tasks (see TasksPage.taskBoard).
+ *
+ * Cards are built from the same /tasks/data rows as the grid, with the
+ * grid's badge and assignee renderers, and follow the same task stream
+ * (taskCreated, taskUpdated, taskDeleted). Dropping a card on another column,
+ * or picking a column from its "Move to" menu, posts to
+ * /tasks/{id}/transition. The card moves at once; when the server refuses
+ * the move it snaps back and the reason is shown on the card and in a toast.
+ */
+(function () {
+  'use strict';
+
+  if (window.TaskBoard) return;
+
+  const BOARD_SELECTOR = '[data-task-board]';
+  const REJECTED_MS = 6000;
+
+  let board = null;
+  let unsubscribe = null;
+  let loaded = false;
+  // Events that arrive before the first load finishes, applied after it.
+  const pendingEvents = [];
+  // taskId -> grid row
+  const rows = new Map();
+  // taskId -> message, for moves the server refused
+  const rejections = new Map();
+  let transitions = {};
+  let filterParams = new URLSearchParams();
+  let loadController = null;
+
+  function escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function columnLabel(status) {
+    const column = board && board.querySelector(`[data-board-column="${CSS.escape(status)}"] .task-board__heading`);
+    return column ? column.firstChild.textContent.trim() : status;
+  }
+
+  // region Rendering
+
+  function renderCard(row) {
+    const grid = window.TaskGrid;
+    const taskId = row.taskId;
+    const allowed = transitions[row.status] || [];
+    const rejection = rejections.get(taskId);
+
+    const typeBadge = grid ? grid.renderBadge(row.typeLabel || '', row.typeTone || 'default', true) : '';
+    const assignees = grid ? grid.renderAssignees({ data: row }) : escapeHtml(row.assigneesDisplay);
+    const moveOptions = allowed
+      .map((status) => `<option value="${escapeHtml(status)}">${escapeHtml(columnLabel(status))}</option>`)
+      .join('');
+    const move = allowed.length
+      ? `<select class="task-board__move" data-board-move aria-label="Move ${escapeHtml(row.title)} to">
+           <option value="">Move to…</option>${moveOptions}
+         </select>`
+      : '';
+
+    const li = document.createElement('li');
+    li.className = 'task-board__card' + (rejection ? ' is-rejected' : '');
+    li.draggable = allowed.length > 0;
+    li.dataset.taskId = taskId;
+    li.dataset.status = row.status;
+    li.innerHTML = `
+      <div class="task-board__card-head">
+        ${grid ? grid.renderId({ data: row }) : escapeHtml(row.idDisplay)}
+        ${typeBadge}
+      </div>
+      <a class="task-board__card-title" href="#task=${encodeURIComponent(taskId)}"
+         data-modal-link="/tasks/${encodeURIComponent(taskId)}/modal">${escapeHtml(row.title)}</a>
+      ${assignees}
+      <div class="task-board__card-foot">
+        <span class="task-row__timestamp" title="${escapeHtml(row.updatedAtAbsolute || '')}">${escapeHtml(row.updatedAtHuman || '–')}</span>
+        ${move}
+      </div>
+      ${rejection ? `<p class="task-board__card-error" role="alert">${escapeHtml(rejection)}</p>` : ''}
+    `;
+    return li;
+  }
+
+  function render() {
+    if (!board) return;
+    const focused = document.activeElement && document.activeElement.closest('.task-board__card');
+    const focusTaskId = focused ? focused.dataset.taskId : null;
+    const focusMove = !!(document.activeElement && document.activeElement.matches('[data-board-move]'));
+
+    const byStatus = {};
+    rows.forEach((row) => {
+      (byStatus[row.status] = byStatus[row.status] || []).push(row);
+    });
+
+    board.querySelectorAll('[data-board-column]').forEach((column) => {
+      const status = column.dataset.boardColumn;
+      const cards = (byStatus[status] || [])
+        .sort((a, b) => (b.updatedAtEpochMs || 0) - (a.updatedAtEpochMs || 0));
+      const list = column.querySelector('[data-board-cards]');
+      list.replaceChildren(...cards.map(renderCard));
+      const count = column.querySelector('[data-board-count]');
+      if (count) count.textContent = String(cards.length);
+    });
+
+    if (focusTaskId) {
+      const card = board.querySelector(`.task-board__card[data-task-id="${CSS.escape(focusTaskId)}"]`);
+      const target = card && (focusMove ? card.querySelector('[data-board-move]') : null)
+        || (card && card.querySelector('.task-board__card-title'));
+      if (target) target.focus();
+    }
+  }
+
+  function setNotice(text) {
+    const notice = board && board.querySelector('[data-board-notice]');
+    if (!notice) return;
+    notice.textContent = text;
+    notice.hidden = !text;
+  }
+
+  // endregion
+
+  // region Loading and live updates
+
+  function load() {
+    if (!board) return;
+    if (loadController) loadController.abort();
+    const controller = new AbortController();
+    loadController = controller;
+
+    fetch(board.dataset.sourceUrl, { headers: { Accept: 'application/json' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then((page) => {
+        if (controller !== loadController || !board) return;
+        rows.clear();
+        (page.rows || []).forEach((row) => rows.set(row.taskId, row));
+        setNotice(page.total > rows.size
+          ? `Showing the ${rows.size} most recently updated of ${page.total} tasks.`
+          : '');
+        render();
+        loaded = true;
+        while (pendingEvents.length) applyEvent(pendingEvents.shift());
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Task board load failed', err);
+        setNotice('Could not load tasks. Reload the page to try again.');
+      });
+  }
+
+  function parseEvent(html) {
+    const template = document.createElement('template');
+    template.innerHTML = (html || '').trim();
+    const el = template.content.querySelector('.task-grid-event');
+    if (!el || !el.dataset.taskId) return null;
+    let row = null;
+    if (el.dataset.row) {
+      try {
+        row = JSON.parse(el.dataset.row);
+      } catch (err) {
+        console.warn('Task board event has an unreadable row', err);
+      }
+    }
+    return { taskId: el.dataset.taskId, type: el.dataset.eventType, row };
+  }
+
+  function applyEvent(event) {
+    if (event.type === 'taskDeleted' || !event.row) {
+      if (event.type === 'taskDeleted' && rows.delete(event.taskId)) render();
+      return;
+    }
+    const matches = !window.TaskGrid || window.TaskGrid.matchesParams(event.row, filterParams);
+    if (matches) {
+      rows.set(event.taskId, event.row);
+    } else {
+      rows.delete(event.taskId);
+    }
+    render();
+  }
+
+  function onTaskEvent(message) {
+    const event = parseEvent(message.data);
+    if (!event) return;
+    if (loaded) {
+      applyEvent(event);
+    } else {
+      pendingEvents.push(event);
+    }
+  }
+
+  // endregion
+
+  // region Moving cards
+
+  function move(taskId, status) {
+    const row = rows.get(taskId);
+    if (!row || row.status === status) return;
+    const previous = row;
+
+    rejections.delete(taskId);
+    rows.set(taskId, Object.assign({}, row, { status }));
+    render();
+
+    const body = new URLSearchParams({ status, expected: previous.status });
+    fetch(`/tasks/${encodeURIComponent(taskId)}/transition`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body
+    })
+      .then((response) => response.json().catch(() => ({ ok: false, error: 'HTTP ' + response.status })))
+      .then((result) => {
+        if (result.ok) {
+          if (window.Toast) {
+            (result.warnings || []).forEach((warning) => window.Toast.notify(warning, 'warning'));
+          }
+          // The taskUpdated event brings the fresh row.
+          return;
+        }
+        snapBack(taskId, previous, result.error || 'The move was refused.');
+      })
+      .catch((err) => snapBack(taskId, previous, 'The move could not be saved: ' + err.message));
+  }
+
+  function snapBack(taskId, previous, message) {
+    const current = rows.get(taskId);
+    // Only undo our own optimistic move, not a newer update from the stream.
+    if (current && current.updatedAtEpochMs === previous.updatedAtEpochMs) {
+      rows.set(taskId, previous);
+    }
+    rejections.set(taskId, message);
+    render();
+    if (window.Toast) window.Toast.notify(`${previous.title}: ${message}`, 'error');
+    setTimeout(() => {
+      if (rejections.get(taskId) !== message) return;
+      rejections.delete(taskId);
+      render();
+    }, REJECTED_MS);
+  }
+
+  function markDropTargets(from) {
+    const allowed = transitions[from] || [];
+    board.querySelectorAll('[data-board-column]').forEach((column) => {
+      const status = column.dataset.boardColumn;
+      column.classList.toggle('is-drop-allowed', allowed.includes(status));
+      column.classList.toggle('is-drop-denied', status !== from && !allowed.includes(status));
+    });
+  }
+
+  function clearDropTargets() {
+    if (!board) return;
+    board.querySelectorAll('[data-board-column]').forEach((column) => {
+      column.classList.remove('is-drop-allowed', 'is-drop-denied', 'is-drop-over');
+    });
+  }
+
+  function attachDragHandlers() {
+    board.addEventListener('dragstart', (event) => {
+      const card = event.target.closest('.task-board__card');
+      if (!card) return;
+      event.dataTransfer.setData('text/plain', card.dataset.taskId);
+      event.dataTransfer.effectAllowed = 'move';
+      card.classList.add('is-dragging');
+      markDropTargets(card.dataset.status);
+    });
+
+    board.addEventListener('dragend', (event) => {
+      const card = event.target.closest('.task-board__card');
+      if (card) card.classList.remove('is-dragging');
+      clearDropTargets();
+    });
+
+    board.addEventListener('dragover', (event) => {
+      const column = event.target.closest('[data-board-column]');
+      if (!column) return;
+      // Every column accepts the drop; the server decides and illegal moves snap back.
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      board.querySelectorAll('.is-drop-over').forEach((el) => el !== column && el.classList.remove('is-drop-over'));
+      column.classList.add('is-drop-over');
+    });
+
+    board.addEventListener('drop', (event) => {
+      const column = event.target.closest('[data-board-column]');
+      if (!column) return;
+      event.preventDefault();
+      const taskId = event.dataTransfer.getData('text/plain');
+      clearDropTargets();
+      if (taskId) move(taskId, column.dataset.boardColumn);
+    });
+
+    board.addEventListener('change', (event) => {
+      const select = event.target.closest('[data-board-move]');
+      if (!select || !select.value) return;
+      const card = select.closest('.task-board__card');
+      if (card) move(card.dataset.taskId, select.value);
+    });
+  }
+
+  // endregion
+
+  function init() {
+    const found = document.querySelector(BOARD_SELECTOR);
+    if (!found || found === board) return;
+    board = found;
+    loaded = false;
+    rows.clear();
+    rejections.clear();
+    pendingEvents.length = 0;
+
+    try {
+      transitions = JSON.parse(board.dataset.transitions || '{}');
+    } catch (err) {
+      transitions = {};
+    }
+    const source = new URL(board.dataset.sourceUrl, window.location.origin);
+    filterParams = source.searchParams;
+
+    attachDragHandlers();
+
+    const sse = window.OrchestratorSSE;
+    if (sse) {
+      if (board.dataset.lastEventId) sse.resumeFrom(sse.Streams.TASKS, board.dataset.lastEventId);
+      unsubscribe = sse.subscribe(sse.Streams.TASKS, {
+        taskCreated: onTaskEvent,
+        taskUpdated: onTaskEvent,
+        taskDeleted: onTaskEvent,
+        // Events were missed; reload to catch up
+        resync: load
+      });
+    } else {
+      console.error('OrchestratorSSE client not loaded; live board updates disabled');
+    }
+    load();
+  }
+
+  function release() {
+    if (board && board.isConnected) return;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    if (loadController) loadController.abort();
+    board = null;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+  // Boosted navigation swaps the board in and out without a page load.
+  document.addEventListener('htmx:afterSettle', () => {
+    release();
+    init();
+  });
+  window.addEventListener('pagehide', release);
+
+  window.TaskBoard = {
+    init,
+    reload: load,
+    move,
+    release
+  };
+})();
@@ -0,0 +1,284 @@
+/**
+ * Bulk actions for the tasks grid selection.
+ *
+ * Shows the `#tasks-bulk-bar` toolbar while rows are selected and posts the
+ * chosen action to its `data-bulk-endpoint` a few tasks at a time. Each task
+ * gets its own line in the results list with its outcome, so one failure does
+ * not hide the others. The rows themselves are refreshed by the task stream
+ * (TaskUpdated -> TaskGrid upsertRow), not by this script.
+ */
+(function () {
+  'use strict';
+
+  if (window.TaskBulk) return;
+
+  const GRID_ID = 'tasks-grid';
+  const BAR_ID = 'tasks-bulk-bar';
+  const CHUNK_SIZE = 5;
+
+  const ACTION_LABELS = {
+    reassign: 'Reassign',
+    status: 'Set status',
+    reroute: 'Re-route',
+    cancel: 'Cancel'
+  };
+
+  let gridApi = null;
+  let running = false;
+
+  function bar() {
+    return document.getElementById(BAR_ID);
+  }
+
+  function selectedRows() {
+    if (!gridApi || typeof gridApi.getSelectedNodes !== 'function') return [];
+    return gridApi.getSelectedNodes()
+      .map((node) => node.data)
+      .filter((data) => data && data.taskId);
+  }
+
+  function updateBar() {
+    const el = bar();
+    if (!el) return;
+
+    const count = selectedRows().length;
+    const label = el.querySelector('[data-bulk-count]');
+    if (label) {
+      label.textContent = count + ' selected';
+    }
+    // Keep the bar up while a run is in progress or its results are showing.
+    const results = el.querySelector('[data-bulk-results]');
+    const hasResults = results && results.children.length > 0;
+    el.hidden = count === 0 && !running && !hasResults;
+    el.querySelectorAll('[data-bulk-action], [data-bulk-export]').forEach((button) => {
+      button.disabled = running || count === 0;
+    });
+  }
+
+  // region Running actions
+
+  function fieldValue(el, name) {
+    const field = el.querySelector('[data-bulk-field="' + name + '"]');
+    return field ? field.value.trim() : '';
+  }
+
+  /**
+   * Form fields for an action, or null when the user backed out.
+   */
+  function actionParams(el, action, count) {
+    const params = new URLSearchParams();
+    params.set('action', action);
+
+    if (action === 'reassign') {
+      const agents = fieldValue(el, 'assigneeIds');
+      if (!agents) {
+        if (window.Toast) window.Toast.notify('Enter at least one agent to reassign to.', 'warning');
+        return null;
+      }
+      params.set('assigneeIds', agents);
+    } else if (action === 'status') {
+      params.set('status', fieldValue(el, 'status'));
+    } else if (action === 'reroute') {
+      params.set('routing', fieldValue(el, 'routing'));
+    } else if (action === 'cancel') {
+      const noun = count === 1 ? 'task' : 'tasks';
+      const reason = window.prompt('Cancel ' + count + ' ' + noun + '? Optional reason:', '');
+      if (reason === null) return null;
+      if (reason.trim()) params.set('reason', reason.trim());
+    }
+    return params;
+  }
+
+  function resultItem(row) {
+    const item = document.createElement('li');
+    item.className = 'task-bulk__result task-bulk__result--pending';
+    item.dataset.taskId = row.taskId;
+
+    const mark = document.createElement('span');
+    mark.className = 'task-bulk__mark';
+    mark.setAttribute('aria-hidden', 'true');
+    mark.textContent = '…';
+
+    const name = document.createElement('span');
+    name.className = 'task-bulk__task';
+    name.textContent = row.title ? row.title + ' (' + row.taskId + ')' : row.taskId;
+
+    const detail = document.createElement('span');
+    detail.className = 'task-bulk__detail';
+    detail.textContent = 'Pending';
+
+    item.append(mark, name, detail);
+    return item;
+  }
+
+  function showResult(item, result) {
+    if (!item) return;
+    item.classList.remove('task-bulk__result--pending');
+    item.classList.add(result.ok ? 'task-bulk__result--ok' : 'task-bulk__result--error');
+    item.querySelector('.task-bulk__mark').textContent = result.ok ? '✓' : '✗';
+
+    let text;
+    if (result.ok) {
+      text = result.status ? 'Now ' + result.status : 'Done';
+      if (result.warnings && result.warnings.length) {
+        text += ' — ' + result.warnings.join('; ');
+      }
+    } else {
+      text = result.error || 'Failed';
+    }
+    item.querySelector('.task-bulk__detail').textContent = text;
+  }
+
+  function postChunk(endpoint, params, taskIds) {
+    const body = new URLSearchParams(params);
+    taskIds.forEach((id) => body.append('taskId', id));
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: body.toString()
+    }).then((response) => {
+      if (!response.ok) {
+        return response.text().then((text) => { throw new Error(text || 'HTTP ' + response.status); });
+      }
+      return response.json();
+    });
+  }
+
+  async function runAction(action) {
+    const el = bar();
+    const rows = selectedRows();
+    if (!el || running || rows.length === 0) return;
+
+    const params = actionParams(el, action, rows.length);
+    if (!params) return;
+
+    const endpoint = el.getAttribute('data-bulk-endpoint');
+    const results = el.querySelector('[data-bulk-results]');
+    const progress = el.querySelector('[data-bulk-progress]');
+
+    const items = new Map();
+    results.replaceChildren();
+    rows.forEach((row) => {
+      const item = resultItem(row);
+      items.set(row.taskId, item);
+      results.appendChild(item);
+    });
+
+    running = true;
+    progress.hidden = false;
+    progress.max = rows.length;
+    progress.value = 0;
+    updateBar();
+
+    let failed = 0;
+    for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+      const ids = rows.slice(start, start + CHUNK_SIZE).map((row) => row.taskId);
+      try {
+        const response = await postChunk(endpoint, params, ids);
+        (response.results || []).forEach((result) => {
+          if (!result.ok) failed += 1;
+          showResult(items.get(result.taskId), result);
+        });
+      } catch (err) {
+        console.error('Bulk ' + action + ' request failed', err);
+        ids.forEach((id) => {
+          failed += 1;
+          showResult(items.get(id), { ok: false, error: err.message });
+        });
+      }
+      progress.value = Math.min(rows.length, start + ids.length);
+    }
+
+    running = false;
+    progress.hidden = true;
+    updateBar();
+
+    const label = ACTION_LABELS[action] || action;
+    if (failed === 0) {
+      if (window.Toast) window.Toast.notify(label + ': ' + rows.length + ' of ' + rows.length + ' tasks updated.');
+    } else {
+      if (window.Toast) window.Toast.notify(label + ': ' + failed + ' of ' + rows.length + ' tasks failed. See the list for details.', 'warning');
+    }
+  }
+
+  // endregion
+
+  /**
+   * Download the selection. A submitted form lets the browser handle the
+   * attachment response without buffering it here.
+   */
+  function exportSelection(format) {
+    const el = bar();
+    const rows = selectedRows();
+    if (!el || rows.length === 0) return;
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = el.getAttribute('data-export-endpoint');
+    form.hidden = true;
+
+    const fields = [['format', format]].concat(rows.map((row) => ['taskId', row.taskId]));
+    fields.forEach(([name, value]) => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  }
+
+  function clearSelection() {
+    if (gridApi && typeof gridApi.deselectAll === 'function') {
+      gridApi.deselectAll();
+    }
+    const el = bar();
+    const results = el && el.querySelector('[data-bulk-results]');
+    if (results) results.replaceChildren();
+    updateBar();
+  }
+
+  function attach(api) {
+    gridApi = api;
+    if (typeof api.addEventListener === 'function') {
+      api.addEventListener('selectionChanged', updateBar);
+    }
+    updateBar();
+  }
+
+  document.addEventListener('ag-grid:ready', (event) => {
+    if (!event || !event.target || event.target.id !== GRID_ID) return;
+    const detail = event.detail || {};
+    if (detail.gridApi) attach(detail.gridApi);
+  });
+
+  document.addEventListener('click', (event) => {
+    const el = bar();
+    if (!el || !el.contains(event.target)) return;
+
+    const actionButton = event.target.closest('[data-bulk-action]');
+    if (actionButton) {
+      runAction(actionButton.getAttribute('data-bulk-action'));
+      return;
+    }
+    const exportButton = event.target.closest('[data-bulk-export]');
+    if (exportButton) {
+      exportSelection(exportButton.getAttribute('data-bulk-export'));
+      return;
+    }
+    if (event.target.closest('[data-bulk-clear]')) {
+      clearSelection();
+    }
+  });
+
+  window.TaskBulk = {
+    selectedRows,
+    runAction,
+    exportSelection,
+    clearSelection
+  };
+})();
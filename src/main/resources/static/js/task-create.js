@@ -0,0 +1,314 @@
+/**
+ * New task dialog (see TaskCreateWizard.kt).
+ *
+ * Walks the wizard form through its steps (kind, details, context, review),
+ * enables only the fields of the picked task kind, searches the context index
+ * for files to attach and loads the routing preview on the review step. The
+ * form itself is submitted by htmx; the created row reaches the grid through
+ * the task stream (taskCreated -> TaskUpdates.highlightNewRow).
+ *
+ * File attaching also serves other forms marked data-file-attach (the task
+ * modal's respond panel, see HumanInputPanel.kt).
+ */
+(function () {
+  'use strict';
+
+  if (window.TaskCreate) return;
+
+  const FORM_SELECTOR = 'form[data-task-create]';
+  const ATTACH_FORM_SELECTOR = FORM_SELECTOR + ', form[data-file-attach]';
+  const PREVIEW_URL = '/tasks/new/preview';
+  const SEARCH_DELAY_MS = 200;
+
+  let searchTimer = null;
+  let searchController = null;
+  let previewController = null;
+
+  function sections(form) {
+    return Array.from(form.querySelectorAll('[data-step]'));
+  }
+
+  function currentIndex(form) {
+    const index = sections(form).findIndex((section) => !section.hidden);
+    return index < 0 ? 0 : index;
+  }
+
+  function showStep(form, index) {
+    const all = sections(form);
+    if (all.length === 0) return;
+    const target = Math.max(0, Math.min(index, all.length - 1));
+    const name = all[target].dataset.step;
+
+    all.forEach((section, i) => {
+      section.hidden = i !== target;
+    });
+    form.querySelectorAll('[data-step-label]').forEach((label) => {
+      const current = label.dataset.stepLabel === name;
+      label.classList.toggle('is-current', current);
+      if (current) {
+        label.setAttribute('aria-current', 'step');
+      } else {
+        label.removeAttribute('aria-current');
+      }
+    });
+
+    const last = target === all.length - 1;
+    const back = form.querySelector('[data-step-back]');
+    const next = form.querySelector('[data-step-next]');
+    const submit = form.querySelector('[data-step-submit]');
+    if (back) back.hidden = target === 0;
+    if (next) next.hidden = last;
+    if (submit) submit.hidden = !last;
+
+    if (name === 'review') {
+      loadPreview(form);
+    }
+
+    const focusable = all[target].querySelector('input:not([type="hidden"]):not([disabled]), select, textarea');
+    if (focusable) focusable.focus();
+  }
+
+  /**
+   * Report the first invalid field of the visible step, if any.
+   */
+  function stepIsValid(form) {
+    const section = sections(form)[currentIndex(form)];
+    if (!section) return true;
+    const fields = Array.from(section.querySelectorAll('input, select, textarea'))
+      .filter((field) => !field.disabled && field.type !== 'hidden');
+    const invalid = fields.find((field) => !field.checkValidity());
+    if (invalid) {
+      invalid.reportValidity();
+      return false;
+    }
+    return true;
+  }
+
+  function selectedMode(form) {
+    const checked = form.querySelector('input[name="mode"]:checked');
+    return checked ? checked.value : 'simple';
+  }
+
+  function syncMode(form) {
+    const mode = selectedMode(form);
+    form.querySelectorAll('[data-create-mode]').forEach((fieldset) => {
+      fieldset.disabled = fieldset.dataset.createMode !== mode;
+      fieldset.hidden = fieldset.disabled;
+    });
+  }
+
+  // region Routing preview
+
+  function loadPreview(form) {
+    const target = form.querySelector('#task-create-preview');
+    if (!target) return;
+
+    if (previewController) previewController.abort();
+    const controller = new AbortController();
+    previewController = controller;
+    target.classList.add('is-loading');
+
+    fetch(PREVIEW_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(new FormData(form)).toString(),
+      signal: controller.signal
+    })
+      .then((response) => response.text().then((html) => {
+        if (!response.ok) throw new Error(html || 'HTTP ' + response.status);
+        return html;
+      }))
+      .then((html) => {
+        if (controller !== previewController) return;
+        const current = form.querySelector('#task-create-preview');
+        if (current) current.outerHTML = html;
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Routing preview failed', err);
+        target.classList.remove('is-loading');
+        target.textContent = 'Could not load the routing preview: ' + err.message;
+      });
+  }
+
+  // endregion
+
+  // region Context files
+
+  function attachedList(form) {
+    return form.querySelector('[data-attached-files]');
+  }
+
+  function attachedPaths(form) {
+    return Array.from(form.querySelectorAll('input[name="contextFile"]')).map((input) => input.value);
+  }
+
+  /** Same markup as TaskCreateWizard.attachedFile. */
+  function attachFile(form, path) {
+    const list = attachedList(form);
+    if (!list || attachedPaths(form).includes(path)) return;
+
+    const item = document.createElement('li');
+    item.className = 'task-create__attached-file';
+
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'contextFile';
+    input.value = path;
+
+    const code = document.createElement('code');
+    code.textContent = path;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-link btn-sm';
+    remove.dataset.detachFile = 'true';
+    remove.setAttribute('aria-label', 'Remove ' + path);
+    remove.textContent = 'Remove';
+
+    item.append(input, code, remove);
+    list.appendChild(item);
+  }
+
+  function renderHits(form, results, hits) {
+    const attached = attachedPaths(form);
+    results.replaceChildren();
+    hits.filter((hit) => !attached.includes(hit.path)).forEach((hit) => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'option');
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'task-create__file-hit';
+      button.dataset.attachFile = hit.path;
+      button.textContent = hit.path;
+      if (hit.language) {
+        const language = document.createElement('span');
+        language.className = 'task-create__file-language';
+        language.textContent = hit.language;
+        button.appendChild(language);
+      }
+
+      item.appendChild(button);
+      results.appendChild(item);
+    });
+    if (!results.children.length) {
+      const empty = document.createElement('li');
+      empty.className = 'text-muted';
+      empty.textContent = 'No matching indexed files';
+      results.appendChild(empty);
+    }
+  }
+
+  function searchFiles(form, input) {
+    const results = form.querySelector('[data-file-results]');
+    if (!results) return;
+
+    const query = input.value.trim();
+    if (searchController) searchController.abort();
+    if (!query) {
+      results.replaceChildren();
+      return;
+    }
+
+    const controller = new AbortController();
+    searchController = controller;
+    const url = input.dataset.fileSearch + '?q=' + encodeURIComponent(query);
+    fetch(url, { headers: { Accept: 'application/json' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then((hits) => renderHits(form, results, hits))
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('File search failed', err);
+        results.replaceChildren();
+      });
+  }
+
+  // endregion
+
+  function init(form) {
+    if (!form || form.dataset.wizardReady === 'true') return;
+    form.dataset.wizardReady = 'true';
+    syncMode(form);
+
+    const initial = sections(form).findIndex((section) => section.dataset.step === form.dataset.initialStep);
+    showStep(form, initial < 0 ? 0 : initial);
+  }
+
+  function initAll() {
+    document.querySelectorAll(FORM_SELECTOR).forEach(init);
+  }
+
+  document.addEventListener('modal:loaded', initAll);
+  document.addEventListener('htmx:afterSettle', initAll);
+
+  document.addEventListener('click', (event) => {
+    const form = event.target.closest && event.target.closest(ATTACH_FORM_SELECTOR);
+    if (!form) return;
+
+    if (event.target.closest('[data-step-next]')) {
+      if (stepIsValid(form)) showStep(form, currentIndex(form) + 1);
+      return;
+    }
+    if (event.target.closest('[data-step-back]')) {
+      showStep(form, currentIndex(form) - 1);
+      return;
+    }
+    const hit = event.target.closest('[data-attach-file]');
+    if (hit) {
+      attachFile(form, hit.dataset.attachFile);
+      hit.closest('li').remove();
+      return;
+    }
+    const detach = event.target.closest('[data-detach-file]');
+    if (detach) {
+      detach.closest('li').remove();
+    }
+  });
+
+  document.addEventListener('change', (event) => {
+    const form = event.target.closest && event.target.closest(FORM_SELECTOR);
+    if (form && event.target.name === 'mode') syncMode(form);
+  });
+
+  document.addEventListener('input', (event) => {
+    const input = event.target;
+    if (!input.matches || !input.matches('[data-file-search]')) return;
+    const form = input.closest(ATTACH_FORM_SELECTOR);
+    if (!form) return;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => searchFiles(form, input), SEARCH_DELAY_MS);
+  });
+
+  // Enter in a field moves to the next step instead of creating the task early.
+  // Enter in a file search of any other attach form is swallowed the same way.
+  document.addEventListener('submit', (event) => {
+    const form = event.target.closest && event.target.closest(FORM_SELECTOR);
+    if (!form) {
+      const active = document.activeElement;
+      if (active && active.matches && active.matches('[data-file-search]') &&
+          event.target.closest && event.target.closest(ATTACH_FORM_SELECTOR)) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+      }
+      return;
+    }
+    const all = sections(form);
+    if (currentIndex(form) < all.length - 1) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      const active = document.activeElement;
+      if (active && active.matches && active.matches('[data-file-search]')) return;
+      if (stepIsValid(form)) showStep(form, currentIndex(form) + 1);
+    }
+  }, true);
+
+  window.TaskCreate = {
+    init,
+    showStep,
+    loadPreview
+  };
+})();
@@ -0,0 +1,201 @@
+/**
+ * Task dependency graph (see TaskGraph.kt).
+ *
+ * Draws each graph with Mermaid, opens a task's modal when its node is
+ * clicked, and follows the task stream: a taskUpdated recolours the node at
+ * once, then the graph reloads from its data-refresh-url so blocked chains
+ * and cycles are worked out again. The subscription is dropped once no graph
+ * is left on the page.
+ */
+(function () {
+  'use strict';
+
+  if (window.TaskGraph) return;
+
+  const GRAPH_SELECTOR = '[data-task-graph]';
+  const REFRESH_DELAY_MS = 400;
+  const MERMAID_SRC = '/static/js/mermaid.min.js';
+  // Mermaid node IDs look like `flowchart-t3-12`; t3 is the alias in data-graph-nodes.
+  const NODE_ID_PATTERN = /(?:^|-)flowchart-(t\d+)-\d+$/;
+
+  let subscription = null;
+  let refreshTimer = null;
+  let mermaidLoading = null;
+
+  // region Drawing
+
+  function loadMermaid() {
+    if (window.mermaid) return Promise.resolve(window.mermaid);
+    if (mermaidLoading) return mermaidLoading;
+    mermaidLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = MERMAID_SRC;
+      script.onload = () => {
+        // Same settings as the task detail diagrams, whichever loads Mermaid first.
+        window.mermaid.initialize({ startOnLoad: false, theme: 'default', securityLevel: 'loose' });
+        resolve(window.mermaid);
+      };
+      script.onerror = () => {
+        mermaidLoading = null;
+        reject(new Error('Failed to load Mermaid'));
+      };
+      document.head.appendChild(script);
+    });
+    return mermaidLoading;
+  }
+
+  function draw(graph) {
+    const nodes = Array.from(graph.querySelectorAll('.mermaid:not([data-processed])'));
+    if (nodes.length === 0) return;
+    loadMermaid()
+      .then((mermaid) => mermaid.run({ nodes }))
+      .catch((err) => console.error('Dependency graph rendering failed', err));
+  }
+
+  function graphNodes(graph) {
+    try {
+      return JSON.parse(graph.dataset.graphNodes || '{}');
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function svgNodeFor(graph, taskId) {
+    const aliases = graphNodes(graph);
+    const alias = Object.keys(aliases).find((key) => aliases[key] === taskId);
+    if (!alias) return null;
+    return Array.from(graph.querySelectorAll('svg g.node'))
+      .find((node) => (NODE_ID_PATTERN.exec(node.id) || [])[1] === alias) || null;
+  }
+
+  // endregion
+
+  // region Opening tasks
+
+  document.addEventListener('click', (event) => {
+    const node = event.target.closest(GRAPH_SELECTOR + ' svg g.node');
+    if (!node) return;
+    const graph = node.closest(GRAPH_SELECTOR);
+    const match = NODE_ID_PATTERN.exec(node.id);
+    const taskId = match && graphNodes(graph)[match[1]];
+    if (!taskId || !window.ModalLoader) return;
+
+    event.preventDefault();
+    // Stack on top when the graph is itself inside a task modal.
+    window.ModalLoader.openDeepLink('task', taskId, { stack: window.ModalLoader.depth() > 0 });
+  });
+
+  // endregion
+
+  // region Live updates
+
+  function parseEvent(html) {
+    const template = document.createElement('template');
+    template.innerHTML = (html || '').trim();
+    const row = template.content.firstElementChild;
+    if (!row || !row.dataset.taskId) return null;
+    const status = row.querySelector('.task-row__status');
+    return {
+      taskId: row.dataset.taskId,
+      status: status ? status.textContent.trim() : null
+    };
+  }
+
+  function recolour(event) {
+    if (!event.status) return;
+    document.querySelectorAll(GRAPH_SELECTOR).forEach((graph) => {
+      const node = svgNodeFor(graph, event.taskId);
+      if (!node) return;
+      Array.from(node.classList)
+        .filter((name) => name.startsWith('status_'))
+        .forEach((name) => node.classList.remove(name));
+      node.classList.add('status_' + event.status);
+    });
+  }
+
+  function refresh(graph) {
+    if (graph._taskGraphController) graph._taskGraphController.abort();
+    const controller = new AbortController();
+    graph._taskGraphController = controller;
+
+    fetch(graph.dataset.refreshUrl, { headers: { Accept: 'text/html' }, signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      })
+      .then((html) => {
+        if (!graph.isConnected) return;
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const next = template.content.firstElementChild;
+        if (!next) return;
+        graph.replaceWith(next);
+        if (window.htmx) window.htmx.process(next);
+        draw(next);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        console.error('Dependency graph refresh failed', err);
+      });
+  }
+
+  function refreshAll() {
+    document.querySelectorAll(GRAPH_SELECTOR).forEach(refresh);
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refreshAll, REFRESH_DELAY_MS);
+  }
+
+  function onTaskEvent(message) {
+    if (!document.querySelector(GRAPH_SELECTOR)) {
+      release();
+      return;
+    }
+    const event = parseEvent(message.data);
+    if (event) recolour(event);
+    scheduleRefresh();
+  }
+
+  // endregion
+
+  function init() {
+    const graphs = document.querySelectorAll(GRAPH_SELECTOR);
+    graphs.forEach(draw);
+
+    const sse = window.OrchestratorSSE;
+    if (!sse || graphs.length === 0 || subscription) return;
+    subscription = sse.subscribe(sse.Streams.TASKS, {
+      taskUpdated: onTaskEvent,
+      taskCreated: onTaskEvent,
+      taskDeleted: onTaskEvent,
+      // Events were missed; reload to catch up
+      resync: refreshAll
+    });
+  }
+
+  /**
+   * Drop the subscription once no graph is left on the page.
+   */
+  function release() {
+    if (!subscription || document.querySelector(GRAPH_SELECTOR)) return;
+    clearTimeout(refreshTimer);
+    subscription();
+    subscription = null;
+  }
+
+  document.addEventListener('modal:loaded', init);
+  document.addEventListener('modal:closed', release);
+  document.addEventListener('htmx:afterSettle', () => {
+    release();
+    init();
+  });
+  document.addEventListener('DOMContentLoaded', init);
+
+  window.TaskGraph = {
+    init,
+    refresh: refreshAll,
+    release
+  };
+})();
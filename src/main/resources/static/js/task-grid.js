@@ -1,7 +1,66 @@
 (function () {
+  const GRID_CONTAINER_ID = 'tasks-grid-container';
+  const TABLE_URL = '/tasks/table';
   const PENDING_EVENT_QUEUE = [];
+  // Debounce for cache refreshes triggered by bursts of SSE events.
+  const REFRESH_DELAY_MS = 250;
+  // ag-Grid's asyncTransactionWaitMillis default, for grids that do not set it.
+  const DEFAULT_BATCH_WAIT_MS = 50;
+
+  /**
+   * Grid column → TaskQueryParams.sortBy. Columns not listed fall back to
+   * the server default (updated_at desc).
+   */
+  const SORT_KEYS = {
+    idDisplay: 'id',
+    title: 'title',
+    statusLabel: 'status',
+    typeLabel: 'type',
+    routingDisplay: 'routing',
+    assigneesDisplay: 'agents',
+    createdAtEpochMs: 'created_at',
+    updatedAtEpochMs: 'updated_at',
+    risk: 'risk',
+    complexity: 'complexity'
+  };
+
+  /**
+   * Row field compared when deciding whether an update can move the row under
+   * the current sort.
+   */
+  const SORT_FIELDS = {
+    id: 'taskId',
+    title: 'title',
+    status: 'status',
+    type: 'type',
+    routing: 'routing',
+    agents: 'assigneesDisplay',
+    created_at: 'createdAtEpochMs',
+    updated_at: 'updatedAtEpochMs',
+    risk: 'risk',
+    complexity: 'complexity'
+  };
+
+  /** Page URL parameters forwarded to /tasks/data (see TaskQueryParams). */
+  const QUERY_KEYS = [
+    'search', 'status', 'type', 'routing', 'assigneeIds',
+    'riskMin', 'riskMax', 'complexityMin', 'complexityMax',
+    'createdAfter', 'createdBefore', 'dueAfter', 'dueBefore'
+  ];
+
   let gridApi = null;
   let columnApi = null;
+  let refreshTimer = null;
+  const pendingHighlights = new Set();
+  const pendingAdds = new Set();
+  // Infinite-model upserts waiting for the next flush, keyed by task ID.
+  const pendingUpserts = new Map();
+  let upsertTimer = null;
+  // Parameters of the last page request; SSE upserts are matched against them.
+  let activeQuery = null;
+  // Last TaskQuery.parse() result for the quick filter box, and its row matcher in client-side mode.
+  let quickQuery = null;
+  let quickMatcher = null;
 
   /**
    * Register grid instance once ag-Grid is ready.
@@ -23,6 +82,11 @@
     }
 
     attachGridEventHandlers();
+    if (!isInfiniteModel() && typeof gridApi.setGridOption === 'function') {
+      gridApi.setGridOption('isExternalFilterPresent', () => !!quickMatcher);
+      gridApi.setGridOption('doesExternalFilterPass', (node) => !quickMatcher || quickMatcher(node.data || {}));
+      applyClientQuickFilter();
+    }
     flushPendingEvents();
   }
 
@@ -40,6 +104,14 @@
     gridApi = null;
     columnApi = null;
     PENDING_EVENT_QUEUE.length = 0;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    pendingHighlights.clear();
+    pendingAdds.clear();
+    clearTimeout(upsertTimer);
+    upsertTimer = null;
+    pendingUpserts.clear();
+    activeQuery = null;
 
     if (window.TaskUpdates && typeof window.TaskUpdates.setGridApi === 'function') {
       window.TaskUpdates.setGridApi(null);
@@ -47,24 +119,86 @@
   }
 
   /**
-   * Ensure quick filter input drives ag-Grid quick filter.
+   * Drive the grid from the quick filter box.
+   *
+   * The text is parsed with TaskQuery (status:in_progress complexity>7 …).
+   * In the infinite row model the parsed terms become /tasks/data parameters;
+   * client-side they become an external filter. Text that doesn't parse is
+   * used as a plain quick filter / search string.
    */
   function initQuickFilter() {
     const input = document.getElementById('tasks-quick-filter');
     if (!input) return;
 
-    const applyFilter = () => {
+    let debounce = null;
+
+    const applyFilter = (result) => {
+      quickQuery = result;
       if (!gridApi) return;
-      const value = input.value || '';
-      if (typeof gridApi.setGridOption === 'function') {
-        gridApi.setGridOption('quickFilterText', value);
-      } else if (typeof gridApi.setQuickFilter === 'function') {
-        gridApi.setQuickFilter(value);
+      if (isInfiniteModel()) {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => gridApi && gridApi.refreshInfiniteCache(), REFRESH_DELAY_MS);
+      } else {
+        applyClientQuickFilter();
       }
     };
 
-    input.addEventListener('input', applyFilter);
-    input.addEventListener('change', applyFilter);
+    if (window.TaskQuery) {
+      window.TaskQuery.attach(input, {
+        vocabulary: readQueryVocabulary(input),
+        list: document.getElementById('tasks-quick-filter-suggestions'),
+        error: document.getElementById('tasks-quick-filter-error'),
+        onChange: applyFilter
+      });
+    } else {
+      input.addEventListener('input', () => applyFilter(null));
+    }
+  }
+
+  function readQueryVocabulary(input) {
+    try {
+      return JSON.parse(input.dataset.queryVocabulary || '{}');
+    } catch (err) {
+      console.warn('Ignoring malformed quick filter vocabulary', err);
+      return {};
+    }
+  }
+
+  function quickFilterText() {
+    const input = document.getElementById('tasks-quick-filter');
+    return input ? input.value.trim() : '';
+  }
+
+  /**
+   * Quick filter as /tasks/data parameters; unparseable text falls back to `search`.
+   */
+  function quickFilterParams() {
+    if (quickQuery && quickQuery.ok) return quickQuery.params;
+    const text = quickFilterText();
+    return text ? new URLSearchParams({ search: text }) : null;
+  }
+
+  function applyClientQuickFilter() {
+    if (!gridApi) return;
+
+    let text = quickFilterText();
+    quickMatcher = null;
+    if (quickQuery && quickQuery.ok) {
+      if (quickQuery.structured) {
+        const query = toActiveQuery(quickQuery.params);
+        quickMatcher = (row) => matchesQuery(row, query);
+        text = '';
+      } else {
+        text = quickQuery.params.get('search') || '';
+      }
+    }
+
+    if (typeof gridApi.setGridOption === 'function') {
+      gridApi.setGridOption('quickFilterText', text);
+    } else if (typeof gridApi.setQuickFilter === 'function') {
+      gridApi.setQuickFilter(text);
+    }
+    gridApi.onFilterChanged();
   }
 
   /**
@@ -74,62 +208,31 @@
     if (!gridApi) return;
 
     gridApi.addEventListener('rowDoubleClicked', (params) => {
-      if (!params || !params.data || !params.data.detailUrl) return;
-      const detailUrl = params.data.detailUrl;
-      console.log('rowDoubleClicked - loading modal from:', detailUrl);
-
-      fetch(detailUrl)
-        .then(response => response.text())
-        .then(html => {
-          console.log('Modal content received, updating DOM and opening modal');
-          let container = document.getElementById('modal-container');
-
-          // Create modal-container if it doesn't exist
-          if (!container) {
-            console.warn('modal-container not found, creating it');
-            container = document.createElement('div');
-            container.id = 'modal-container';
-            container.className = 'modal';
-            container.setAttribute('role', 'dialog');
-            container.setAttribute('aria-modal', 'true');
-            container.setAttribute('aria-hidden', 'true');
-            document.body.appendChild(container);
-          }
-
-          // Parse HTML to extract and re-execute scripts
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-          const scripts = Array.from(doc.querySelectorAll('script'));
-
-          // Get HTML without scripts
-          const htmlWithoutScripts = doc.body.innerHTML;
-          container.innerHTML = htmlWithoutScripts;
-
-          // Re-execute scripts
-          scripts.forEach(script => {
-            const newScript = document.createElement('script');
-            if (script.src) {
-              newScript.src = script.src;
-            } else {
-              newScript.textContent = script.textContent;
-            }
-            container.appendChild(newScript);
-          });
-
-          setTimeout(() => {
-            console.log('Calling window.openModal from rowDoubleClicked');
-            if (typeof window.openModal === 'function') {
-              window.openModal('modal-container');
-            } else {
-              console.error('window.openModal is not a function');
-            }
-          }, 50);
-        })
-        .catch(error => console.error('Error loading modal:', error));
+      if (!params || !params.data) return;
+      openTaskModal(params.data);
     });
   }
 
 
+  /**
+   * Open a row's detail modal. Task modals go through the `task` deep link so
+   * the URL can be shared; other modal URLs (e.g. edit) are loaded as-is.
+   */
+  function openTaskModal(data, url) {
+    if (!window.ModalLoader) {
+      console.error('ModalLoader is not available; is modal.js loaded?');
+      return;
+    }
+    const target = url || data.detailUrl;
+    if (!target || target === '#') return;
+
+    if (data.taskId && target === data.detailUrl) {
+      window.ModalLoader.openDeepLink('task', data.taskId);
+    } else {
+      window.ModalLoader.load(target);
+    }
+  }
+
   /**
    * Queue grid-mutating operations until the grid is ready.
    */
@@ -153,20 +256,36 @@
   }
 
   /**
-   * Handle SSE fragment swaps for task updates.
+   * Handle task event fragments, either as an element or raw SSE HTML.
    */
-  function handleTaskEventFragment(target) {
+  function handleTaskEventFragment(target, eventName) {
     if (!target) return;
-    const eventEl = target.querySelector('.task-grid-event');
+
+    let container = target;
+    if (typeof target === 'string') {
+      container = document.createElement('template');
+      container.innerHTML = target.trim();
+      container = container.content;
+    }
+
+    const eventEl = container.querySelector('.task-grid-event');
     if (!eventEl) return;
 
     const taskId = eventEl.dataset.taskId;
-    const eventType = eventEl.dataset.eventType || 'taskUpdated';
+    const eventType = eventName || eventEl.dataset.eventType || 'taskUpdated';
     const rowJson = eventEl.dataset.row;
 
+    if (typeof target !== 'string') {
+      target.innerHTML = '';
+    }
+
+    if (eventType === 'taskDeleted') {
+      handleTaskDeleted(taskId, eventEl.dataset.title);
+      return;
+    }
+
     if (!rowJson) {
       console.warn('Task grid event missing row payload');
-      target.innerHTML = '';
       return;
     }
 
@@ -175,7 +294,6 @@
       rowData = JSON.parse(rowJson);
     } catch (err) {
       console.error('Failed to parse task row JSON', err);
-      target.innerHTML = '';
       return;
     }
 
@@ -183,9 +301,9 @@
       rowData.taskId = taskId;
     }
 
-    target.innerHTML = '';
-
     enqueueWhenReady(() => {
+      // A restored task comes back as an update while its row may still be hidden
+      if (window.TaskUpdates) window.TaskUpdates.unhideRow(rowData.taskId);
       if (eventType === 'taskCreated') {
         upsertRow(rowData, { highlightNew: true });
       } else {
@@ -194,53 +312,728 @@
     });
   }
 
+  /**
+   * Fade out a deleted task's row and offer to undo the hide. If the task is
+   * open in the detail modal, close it so nobody keeps editing a ghost. A
+   * delete made from this page's modal leaves the modal open on its restore
+   * notice and offers a real restore instead.
+   */
+  function handleTaskDeleted(taskId, title) {
+    if (!taskId) return;
+
+    const deletedHere = pendingDeletes.delete(taskId) || !!openTaskElement(taskId, '[data-task-deleted]');
+    const modalClosed = !deletedHere && closeModalForTask(taskId);
+
+    enqueueWhenReady(() => {
+      const updates = window.TaskUpdates;
+      const hidden = updates ? updates.removeDeletedRow(taskId, { deferPurge: !!window.Toast }) : null;
+      if (!hidden && !modalClosed && !deletedHere) return;
+
+      const label = title ? `"${title}"` : taskId;
+      let message = `Task ${label} was removed.`;
+      if (deletedHere) {
+        message = `Task ${label} was deleted.`;
+      } else if (modalClosed) {
+        message = `The task you were viewing (${label}) was removed.`;
+      }
+
+      if (!window.Toast) {
+        console.info(message);
+        return;
+      }
+
+      if (deletedHere) {
+        window.Toast.show({
+          message,
+          tone: 'info',
+          actionLabel: 'Restore',
+          onAction: () => restoreTask(taskId, hidden),
+          onDismiss: () => hidden && updates.purgeRow(taskId)
+        });
+        return;
+      }
+
+      window.Toast.show({
+        message,
+        tone: modalClosed ? 'warning' : 'info',
+        actionLabel: hidden ? 'Undo hide' : null,
+        onAction: () => updates.restoreRow(hidden),
+        onDismiss: () => hidden && updates.purgeRow(taskId)
+      });
+    });
+  }
+
+  /**
+   * Tasks deleted from a modal on this page whose stream event has not been
+   * handled yet. The event can arrive before the DELETE response is swapped in.
+   */
+  const pendingDeletes = new Set();
+
+  function deletedTaskId(elt) {
+    const path = elt && elt.getAttribute && elt.getAttribute('hx-delete');
+    const match = path && path.match(/^\/tasks\/([^/?#]+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  document.addEventListener('htmx:beforeRequest', (event) => {
+    const taskId = deletedTaskId(event.detail && event.detail.elt);
+    if (taskId) pendingDeletes.add(taskId);
+  });
+
+  document.addEventListener('htmx:afterRequest', (event) => {
+    const taskId = deletedTaskId(event.detail && event.detail.elt);
+    if (taskId && !event.detail.successful) pendingDeletes.delete(taskId);
+  });
+
+  /**
+   * Undo a soft delete on the server. The restored row arrives through the
+   * task stream; the open modal's restore notice is swapped for the details.
+   */
+  function restoreTask(taskId, hidden) {
+    fetch(`/tasks/${encodeURIComponent(taskId)}/restore`, { method: 'POST', headers: { 'HX-Request': 'true' } })
+      .then((response) => response.text().then((body) => {
+        if (!response.ok) throw new Error(body || `HTTP ${response.status}`);
+        return body;
+      }))
+      .then((html) => {
+        if (window.TaskUpdates) window.TaskUpdates.restoreRow(hidden);
+        const notice = openTaskElement(taskId, '[data-task-deleted]');
+        if (notice) {
+          notice.outerHTML = html;
+          const detail = document.getElementById(`task-detail-${taskId}`);
+          if (detail && window.htmx) window.htmx.process(detail);
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to restore task', err);
+        if (window.Toast) {
+          window.Toast.show({ message: `Could not restore ${taskId}: ${err.message}`, tone: 'error' });
+        }
+        if (hidden && window.TaskUpdates) window.TaskUpdates.purgeRow(taskId);
+      });
+  }
+
+  /**
+   * The open task modal's content for `taskId`, or the element matching
+   * `selector` inside it.
+   */
+  function openTaskElement(taskId, selector) {
+    const escaped = window.CSS && CSS.escape ? CSS.escape(taskId) : taskId;
+    const content = `.modal.is-open #task-detail-modal[data-task-id="${escaped}"]`;
+    return document.querySelector(selector ? `${content} ${selector}` : content);
+  }
+
+  function closeModalForTask(taskId) {
+    const detail = openTaskElement(taskId);
+    const modal = detail && detail.closest('.modal');
+    if (!modal || typeof window.closeModal !== 'function') return false;
+
+    window.closeModal(modal.id);
+    return true;
+  }
+
+  /**
+   * Subscribe to the shared tasks stream while the grid container is on the page.
+   */
+  let unsubscribeTasks = null;
+
+  function ensureTaskStream() {
+    const hasGrid = !!document.getElementById('tasks-grid');
+    if (!hasGrid) {
+      if (unsubscribeTasks) {
+        unsubscribeTasks();
+        unsubscribeTasks = null;
+      }
+      return;
+    }
+
+    if (unsubscribeTasks) return;
+
+    const sse = window.OrchestratorSSE;
+    if (!sse) {
+      console.error('OrchestratorSSE client not loaded; live task updates disabled');
+      return;
+    }
+
+    const container = document.getElementById(GRID_CONTAINER_ID);
+    if (container && container.dataset.lastEventId) {
+      sse.resumeFrom(sse.Streams.TASKS, container.dataset.lastEventId);
+    }
+
+    unsubscribeTasks = sse.subscribe(sse.Streams.TASKS, {
+      taskCreated: (message) => handleTaskEventFragment(message.data, message.type),
+      taskUpdated: (message) => handleTaskEventFragment(message.data, message.type),
+      taskDeleted: (message) => handleTaskEventFragment(message.data, message.type),
+      resync: () => reloadGrid()
+    });
+  }
+
+  /**
+   * Replace the grid with a fresh /tasks/table render when the server can no
+   * longer replay the events we missed (e.g. after a long sleep).
+   */
+  function reloadGrid() {
+    const container = document.getElementById(GRID_CONTAINER_ID);
+    if (!container) return;
+
+    console.info('Task stream gap too large to replay; reloading tasks grid');
+    if (isInfiniteModel()) {
+      gridApi.refreshInfiniteCache();
+    } else if (window.htmx && typeof window.htmx.ajax === 'function') {
+      window.htmx.ajax('GET', TABLE_URL, { target: `#${GRID_CONTAINER_ID}`, swap: 'innerHTML' });
+    } else {
+      window.location.reload();
+    }
+  }
+
   /**
    * Insert or update a row in the grid.
    */
   function upsertRow(rowData, options = {}) {
     if (!gridApi || !rowData || !rowData.taskId) return;
 
+    const receivedAt = performance.now();
+    if (isInfiniteModel()) {
+      queueInfiniteUpsert(rowData, options, receivedAt);
+      return;
+    }
+
+    const taskId = rowData.taskId;
+    // Rows added earlier in the same async batch are not in the grid yet.
+    const exists = pendingAdds.has(taskId) || !!findNode(taskId);
+    const transaction = exists ? { update: [rowData] } : { add: [rowData], addIndex: 0 };
+
+    if (!exists) {
+      pendingAdds.add(taskId);
+    }
+
+    applyTransaction(transaction, () => {
+      pendingAdds.delete(taskId);
+      frameBudget.recordApplied(receivedAt);
+
+      const updates = window.TaskUpdates;
+      if (!updates) return;
+      if (!exists && options.highlightNew) {
+        updates.highlightNewRow(taskId);
+      } else if (options.flash || !exists) {
+        updates.flashRow(taskId);
+      }
+    });
+  }
+
+  /**
+   * Batch SSE bursts into one grid update per asyncTransactionWaitMillis
+   * window instead of one per event.
+   */
+  function applyTransaction(transaction, callback) {
+    if (typeof gridApi.applyTransactionAsync === 'function') {
+      gridApi.applyTransactionAsync(transaction, callback);
+    } else {
+      gridApi.applyTransaction(transaction);
+      callback();
+    }
+  }
+
+  /**
+   * The infinite row model has no async transactions, so its upserts are
+   * batched here over the same asyncTransactionWaitMillis window; repeated
+   * events for a task keep only the latest row. A timer rather than an
+   * animation frame, so updates to a background tab are still applied.
+   */
+  function queueInfiniteUpsert(rowData, options, receivedAt) {
+    const queued = pendingUpserts.get(rowData.taskId);
+    pendingUpserts.set(rowData.taskId, {
+      rowData,
+      receivedAt: queued ? queued.receivedAt : receivedAt,
+      options: queued
+        ? { highlightNew: !!(queued.options.highlightNew || options.highlightNew), flash: !!(queued.options.flash || options.flash) }
+        : options
+    });
+    if (upsertTimer !== null) return;
+
+    const waitMs = gridApi.getGridOption('asyncTransactionWaitMillis');
+    upsertTimer = setTimeout(flushInfiniteUpserts, waitMs != null ? waitMs : DEFAULT_BATCH_WAIT_MS);
+  }
+
+  function flushInfiniteUpserts() {
+    upsertTimer = null;
+    const upserts = Array.from(pendingUpserts.values());
+    pendingUpserts.clear();
+    if (!gridApi || !upserts.length) return;
+
+    const flushStartedAt = performance.now();
+    upserts.forEach(({ rowData, options }) => upsertInfiniteRow(rowData, options));
+    frameBudget.record(flushStartedAt, upserts.map((upsert) => upsert.receivedAt));
+  }
+
+  /**
+   * Apply an SSE upsert to the infinite row model without breaking the
+   * current sort and filter: rows that stay put are patched in place, while
+   * rows that enter, leave or move are resolved by re-fetching the cached
+   * pages from the server.
+   */
+  function upsertInfiniteRow(rowData, options) {
     const existingNode = findNode(rowData.taskId);
+    const matches = matchesQuery(rowData, activeQuery);
+
     if (existingNode) {
+      const moved = sortValueChanged(existingNode.data, rowData, activeQuery);
       existingNode.setData(rowData);
-      gridApi.refreshCells({ rowNodes: [existingNode], force: true });
-      if (options.flash && window.TaskUpdates) {
+      if (!matches || moved) {
+        scheduleRefresh();
+      } else if (options.flash && window.TaskUpdates) {
         window.TaskUpdates.flashRow(rowData.taskId);
       }
       return;
     }
 
-    const txResult = gridApi.applyTransaction({
-      add: [rowData],
-      addIndex: 0
-    });
+    if (matches) {
+      scheduleRefresh(options.highlightNew ? rowData.taskId : null);
+    }
+  }
 
-    const addedNode = txResult && txResult.add && txResult.add[0];
-    if (addedNode) {
-      if (window.TaskUpdates) {
-        if (options.highlightNew && typeof window.TaskUpdates.highlightNewRow === 'function') {
-          window.TaskUpdates.highlightNewRow(rowData.taskId);
-        } else if (typeof window.TaskUpdates.flashRow === 'function') {
-          window.TaskUpdates.flashRow(rowData.taskId);
-        }
+  function scheduleRefresh(highlightTaskId) {
+    if (highlightTaskId) {
+      pendingHighlights.add(highlightTaskId);
+    }
+    if (refreshTimer) return;
+
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      if (gridApi && isInfiniteModel()) {
+        gridApi.refreshInfiniteCache();
+      }
+    }, REFRESH_DELAY_MS);
+  }
+
+  function flushHighlights() {
+    if (!pendingHighlights.size || !window.TaskUpdates) return;
+    pendingHighlights.forEach((taskId) => {
+      if (findNode(taskId)) {
+        window.TaskUpdates.highlightNewRow(taskId);
+        pendingHighlights.delete(taskId);
       }
+    });
+  }
+
+  function isInfiniteModel() {
+    return !!gridApi && typeof gridApi.getGridOption === 'function'
+      && gridApi.getGridOption('rowModelType') === 'infinite';
+  }
+
+  /**
+   * Mirror of the server-side filters in TaskRoutes.queryTasks.
+   */
+  function matchesQuery(row, query) {
+    if (!query) return true;
+    if (query.none) return false;
+
+    const inSet = (values, value) => !values.length || values.includes(value);
+    if (!inSet(query.status, row.status)) return false;
+    if (!inSet(query.type, row.type)) return false;
+    if (!inSet(query.routing, row.routing)) return false;
+    if (query.assigneeIds.length) {
+      const assignees = Array.isArray(row.assignees) ? row.assignees : [];
+      if (!query.assigneeIds.some((id) => assignees.includes(id))) return false;
+    }
+
+    if (row.risk < query.riskMin || row.risk > query.riskMax) return false;
+    if (row.complexity < query.complexityMin || row.complexity > query.complexityMax) return false;
+    if (query.createdAfter != null && row.createdAtEpochMs < query.createdAfter) return false;
+    if (query.createdBefore != null && row.createdAtEpochMs > query.createdBefore) return false;
+    if (query.dueAfter != null || query.dueBefore != null) {
+      if (row.dueAtEpochMs == null) return false;
+      if (query.dueAfter != null && row.dueAtEpochMs < query.dueAfter) return false;
+      if (query.dueBefore != null && row.dueAtEpochMs > query.dueBefore) return false;
+    }
+
+    if (query.search) {
+      const needle = query.search.toLowerCase();
+      const haystack = [row.taskId, row.title, row.description]
+        .filter(Boolean)
+        .map((value) => String(value).toLowerCase());
+      if (!haystack.some((value) => value.includes(needle))) return false;
     }
+
+    return true;
+  }
+
+  function sortValueChanged(previous, next, query) {
+    if (!previous) return true;
+    const field = SORT_FIELDS[(query && query.sortBy) || 'updated_at'];
+    return !field || previous[field] !== next[field];
   }
 
   /**
-   * Locate a row node by task ID.
+   * Build /tasks/data parameters from the page URL, grid sort/filter state
+   * and the quick filter box.
    */
-  function findNode(taskId) {
-    if (!gridApi) return null;
-    let match = null;
-    gridApi.forEachNode((node) => {
-      if (node && node.data && node.data.taskId === taskId) {
-        match = node;
+  function buildQueryParams(params) {
+    const query = new URLSearchParams();
+    const pageParams = new URLSearchParams(window.location.search);
+    QUERY_KEYS.forEach((key) => {
+      pageParams.getAll(key).forEach((value) => query.append(key, value));
+    });
+
+    const columns = columnFilterParams(params.filterModel || {});
+    reportRejectedFilters(columns.rejected);
+    if (columns.none || !narrowQuery(query, columns.params)) {
+      return null;
+    }
+
+    const quick = quickFilterParams();
+    if (quick && !narrowQuery(query, quick)) {
+      return null;
+    }
+
+    const sort = (params.sortModel || [])[0];
+    if (sort && SORT_KEYS[sort.colId]) {
+      query.set('sortBy', SORT_KEYS[sort.colId]);
+      query.set('sortOrder', sort.sort === 'asc' ? 'asc' : 'desc');
+    }
+
+    const blockSize = Math.max(1, Math.min(200, params.endRow - params.startRow));
+    query.set('page', String(Math.floor(params.startRow / blockSize) + 1));
+    query.set('pageSize', String(blockSize));
+
+    return query;
+  }
+
+  const LIST_KEYS = ['status', 'type', 'routing', 'assigneeIds'];
+  const LOWER_BOUND_KEYS = ['riskMin', 'complexityMin', 'createdAfter', 'dueAfter'];
+  const UPPER_BOUND_KEYS = ['riskMax', 'complexityMax', 'createdBefore', 'dueBefore'];
+
+  /**
+   * Narrow `query` by more parameters (column filters or the quick filter):
+   * list filters intersect, bounds keep the tighter value and `search` is
+   * replaced. Returns false when the combination cannot match any task.
+   */
+  function narrowQuery(query, narrower) {
+    const boundValue = (value, upper) => (/^-?\d+$/.test(value) ? Number(value) : parseTimeBound(value, upper));
+
+    for (const key of LIST_KEYS) {
+      const extra = narrower.getAll(key);
+      if (!extra.length) continue;
+      const current = query.getAll(key).flatMap((value) => value.split(',')).map((value) => value.trim());
+      const merged = current.length
+        ? current.filter((value) => extra.some((other) => other.toUpperCase() === value.toUpperCase()))
+        : extra;
+      if (!merged.length) return false;
+      query.delete(key);
+      merged.forEach((value) => query.append(key, value));
+    }
+
+    LOWER_BOUND_KEYS.concat(UPPER_BOUND_KEYS).forEach((key) => {
+      const extra = narrower.get(key);
+      if (extra == null) return;
+      const current = query.get(key);
+      const upper = UPPER_BOUND_KEYS.includes(key);
+      const extraValue = boundValue(extra, upper);
+      const currentValue = boundValue(current, upper);
+      const tighter = current == null || (upper ? extraValue < currentValue : extraValue > currentValue);
+      if (tighter) query.set(key, extra);
+    });
+
+    if (narrower.get('search')) {
+      query.set('search', narrower.get('search'));
+    }
+    return true;
+  }
+
+  /**
+   * Column filter → /tasks/data parameters. Each handler adds its parameters
+   * and returns true, returns false when /tasks/data cannot express the
+   * filter, or NONE when no task can match it.
+   */
+  const NONE = 'none';
+  const COLUMN_FILTERS = {
+    idDisplay: searchFilter,
+    title: searchFilter,
+    statusLabel: (model, params) => vocabularyFilter(model, params, 'status', 'status'),
+    typeLabel: (model, params) => vocabularyFilter(model, params, 'type', 'type'),
+    routingDisplay: (model, params) => vocabularyFilter(model, params, 'routing', 'routing'),
+    assigneesDisplay: (model, params) => vocabularyFilter(model, params, 'agent', 'assigneeIds'),
+    createdAtEpochMs: createdFilter
+  };
+
+  const TEXT_MATCHERS = {
+    contains: (value, text) => value.includes(text),
+    notContains: (value, text) => !value.includes(text),
+    equals: (value, text) => value === text,
+    notEqual: (value, text) => value !== text,
+    startsWith: (value, text) => value.startsWith(text),
+    endsWith: (value, text) => value.endsWith(text)
+  };
+
+  let filterVocabulary = null;
+  let lastRejected = '';
+
+  function columnFilterParams(filterModel) {
+    const params = new URLSearchParams();
+    const rejected = [];
+    let none = false;
+    Object.keys(filterModel).forEach((field) => {
+      const handler = COLUMN_FILTERS[field];
+      const result = handler ? handler(filterModel[field] || {}, params) : false;
+      if (result === NONE) none = true;
+      else if (!result) rejected.push(field);
+    });
+    return { params, rejected, none };
+  }
+
+  /** Text filters on ID and Task use the server-side search, which only does "contains". */
+  function searchFilter(model, params) {
+    if (model.filterType !== 'text' || model.operator || (model.type || 'contains') !== 'contains') return false;
+    const text = String(model.filter || '').trim().replace(/^#/, '');
+    if (!text) return true;
+    // One search term at a time: ID and Task filters with different text cannot both apply
+    if (params.has('search') && params.get('search') !== text) return false;
+    params.set('search', text);
+    return true;
+  }
+
+  /**
+   * Free text against the known values of an enum or agent column: "in prog"
+   * picks IN_PROGRESS, "clau" every agent whose ID contains it.
+   */
+  function vocabularyFilter(model, params, field, param) {
+    const matcher = TEXT_MATCHERS[model.type || 'contains'];
+    if (model.filterType !== 'text' || model.operator || !matcher) return false;
+    const known = queryVocabulary()[field] || [];
+    if (!known.length) return false;
+
+    const compact = (value) => String(value || '').toLowerCase().replace(/[\s_-]+/g, '');
+    const text = compact(model.filter);
+    if (!text) return true;
+    const matches = known.filter((value) => matcher(compact(value), text));
+    if (!matches.length) return NONE;
+    matches.forEach((value) => params.append(param, value));
+    return true;
+  }
+
+  /** Number (epoch ms) and date filters on Created become createdAfter/createdBefore. */
+  function createdFilter(model, params) {
+    if (model.operator) return false;
+    if (model.filterType === 'number') {
+      const iso = (ms) => new Date(ms).toISOString();
+      const from = Number(model.filter);
+      const to = Number(model.filterTo);
+      switch (model.type) {
+        case 'equals': params.set('createdAfter', iso(from)); params.set('createdBefore', iso(from)); return true;
+        case 'greaterThan': params.set('createdAfter', iso(from + 1)); return true;
+        case 'greaterThanOrEqual': params.set('createdAfter', iso(from)); return true;
+        case 'lessThan': params.set('createdBefore', iso(from - 1)); return true;
+        case 'lessThanOrEqual': params.set('createdBefore', iso(from)); return true;
+        case 'inRange': params.set('createdAfter', iso(from)); params.set('createdBefore', iso(to)); return true;
+        default: return false;
+      }
+    }
+    if (model.filterType === 'date') {
+      // Plain dates cover whole UTC days on the server (TaskRoutes.parseBound).
+      const from = String(model.dateFrom || '').slice(0, 10);
+      const to = String(model.dateTo || '').slice(0, 10);
+      switch (model.type) {
+        case 'equals': params.set('createdAfter', from); params.set('createdBefore', from); return true;
+        case 'greaterThan': params.set('createdAfter', shiftDate(from, 1)); return true;
+        case 'lessThan': params.set('createdBefore', shiftDate(from, -1)); return true;
+        case 'inRange': params.set('createdAfter', from); params.set('createdBefore', to); return true;
+        default: return false;
       }
+    }
+    return false;
+  }
+
+  function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+  }
+
+  function queryVocabulary() {
+    if (!filterVocabulary) {
+      const input = document.getElementById('tasks-quick-filter');
+      filterVocabulary = input ? readQueryVocabulary(input) : {};
+    }
+    return filterVocabulary;
+  }
+
+  /**
+   * Tell the user which column filters the server cannot apply and clear them,
+   * so the grid does not show a filter that is not in effect.
+   */
+  function reportRejectedFilters(fields) {
+    const key = fields.join(',');
+    if (key === lastRejected) return;
+    lastRejected = key;
+    if (!fields.length || !gridApi) return;
+
+    const names = fields.map((field) => {
+      const def = typeof gridApi.getColumnDef === 'function' ? gridApi.getColumnDef(field) : null;
+      return (def && def.headerName) || field;
     });
-    return match;
+    if (window.Toast) {
+      window.Toast.notify(
+        `The ${names.join(', ')} filter cannot be applied to the full task list and was cleared.`,
+        'warning'
+      );
+    }
+    setTimeout(() => {
+      if (!gridApi) return;
+      const model = gridApi.getFilterModel() || {};
+      fields.forEach((field) => delete model[field]);
+      gridApi.setFilterModel(model);
+    }, 0);
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Epoch ms for a created/due bound, or null. Plain dates cover the whole UTC
+   * day, so an upper bound is the day's last millisecond, as in
+   * TaskRoutes.parseBound.
+   */
+  function parseTimeBound(raw, endOfDay) {
+    const value = Date.parse(raw);
+    if (Number.isNaN(value)) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw) ? value + DAY_MS - 1 : value;
+  }
+
+  /**
+   * Parsed form of the query, in the shape matchesQuery() expects.
+   */
+  function toActiveQuery(query) {
+    const listParam = (key) => query.getAll(key)
+      .flatMap((value) => value.split(','))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const upperAll = (key) => listParam(key).map((value) => value.toUpperCase());
+    const intParam = (key, fallback) => {
+      const value = parseInt(query.get(key), 10);
+      return Number.isNaN(value) ? fallback : value;
+    };
+    const timeParam = (key, endOfDay) => parseTimeBound(query.get(key) || '', endOfDay);
+
+    return {
+      search: query.get('search') || '',
+      status: upperAll('status'),
+      type: upperAll('type'),
+      routing: upperAll('routing'),
+      assigneeIds: listParam('assigneeIds'),
+      riskMin: intParam('riskMin', 1),
+      riskMax: intParam('riskMax', 10),
+      complexityMin: intParam('complexityMin', 1),
+      complexityMax: intParam('complexityMax', 10),
+      createdAfter: timeParam('createdAfter', false),
+      createdBefore: timeParam('createdBefore', true),
+      dueAfter: timeParam('dueAfter', false),
+      dueBefore: timeParam('dueBefore', true),
+      sortBy: query.get('sortBy') || 'updated_at'
+    };
+  }
+
+  /**
+   * ag-Grid datasource for the infinite row model, backed by /tasks/data.
+   */
+  const datasource = {
+    getRows(params) {
+      const container = document.getElementById(GRID_CONTAINER_ID);
+      const url = (container && container.dataset.sourceUrl) || '/tasks/data';
+      const query = buildQueryParams(params);
+      if (!query) {
+        // Quick filter and page filters exclude each other.
+        activeQuery = { none: true };
+        params.successCallback([], 0);
+        return;
+      }
+
+      fetch(`${url}?${query.toString()}`, { headers: { Accept: 'application/json' } })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((page) => {
+          activeQuery = toActiveQuery(query);
+          params.successCallback(page.rows || [], page.total);
+          setTimeout(flushHighlights, 0);
+        })
+        .catch((err) => {
+          console.error('Failed to load task rows', err);
+          params.failCallback();
+        });
+    }
+  };
+
+  /**
+   * Locate a row node by task ID via the lookup shared with TaskUpdates.
+   */
+  function findNode(taskId) {
+    return window.TaskUpdates && typeof window.TaskUpdates.findNode === 'function'
+      ? window.TaskUpdates.findNode(taskId)
+      : null;
   }
 
+  /**
+   * Debug-mode (?debug=1) measurement of how long SSE updates take to reach
+   * the screen. Each flushed batch is timed from the start of the flush to
+   * the paint that shows it and compared against a 60fps frame budget; the
+   * oldest event's arrival is logged alongside as the end-to-end latency.
+   * Hidden tabs do not paint, so their batches are not counted.
+   */
+  const frameBudget = (() => {
+    const enabled = window.location.search.indexOf('debug=1') !== -1;
+    const budgetMs = 1000 / 60;
+    const stats = { batches: 0, events: 0, overBudget: 0, worstMs: 0 };
+    let applied = null;
+
+    function record(flushStartedAt, receivedAt) {
+      if (!enabled || document.hidden || !receivedAt.length) return;
+      // Animation frame callbacks run just before a paint; a task queued from
+      // one runs once that frame is on screen.
+      requestAnimationFrame(() => {
+        setTimeout(() => report(flushStartedAt, Math.min(...receivedAt), receivedAt.length), 0);
+      });
+    }
+
+    /**
+     * applyTransactionAsync callbacks: ag-Grid runs them together right
+     * after it applies a batch, so the first one marks the flush and the
+     * rest of that batch are collected until the callbacks are done.
+     */
+    function recordApplied(receivedAt) {
+      if (!enabled) return;
+      if (!applied) {
+        applied = { startedAt: performance.now(), receivedAt: [] };
+        queueMicrotask(() => {
+          const batch = applied;
+          applied = null;
+          record(batch.startedAt, batch.receivedAt);
+        });
+      }
+      applied.receivedAt.push(receivedAt);
+    }
+
+    function report(flushStartedAt, oldest, events) {
+      const paintedAt = performance.now();
+      const latencyMs = paintedAt - oldest;
+      const renderMs = paintedAt - flushStartedAt;
+
+      stats.batches += 1;
+      stats.events += events;
+      stats.worstMs = Math.max(stats.worstMs, renderMs);
+      const over = renderMs > budgetMs;
+      if (over) stats.overBudget += 1;
+
+      (over ? console.warn : console.debug)(
+        `[TaskGrid] ${events} event(s) painted ${latencyMs.toFixed(1)}ms after arrival; ` +
+        `frame ${renderMs.toFixed(1)}ms of ${budgetMs.toFixed(1)}ms budget`
+      );
+    }
+
+    return { record, recordApplied, stats: () => ({ ...stats, budgetMs }) };
+  })();
+
   /**
    * Listen for ag-Grid ready events dispatched by the Kotlin helper.
    */
@@ -256,25 +1049,34 @@
    */
   document.addEventListener('htmx:beforeSwap', (event) => {
     if (!event.detail || !event.detail.target) return;
-    if (event.detail.target.id === 'tasks-grid-container') {
+    if (event.detail.target.id === GRID_CONTAINER_ID) {
       destroyGrid();
     }
   });
 
   /**
-   * Handle HTMX swaps for SSE fragments and grid container updates.
+   * Re-check the stream subscription after HTMX swaps the page content.
    */
-  document.addEventListener('htmx:afterSwap', (event) => {
-    const target = event.detail && event.detail.target;
-    if (!target) return;
+  document.addEventListener('htmx:afterSettle', ensureTaskStream);
 
-    if (target.id === 'tasks-grid-event-updated' || target.id === 'tasks-grid-event-created') {
-      handleTaskEventFragment(target);
+  /**
+   * The filter form (filter-presets.js) has written new filters to the page URL.
+   */
+  document.addEventListener('filters:change', () => {
+    if (!gridApi) return;
+    if (isInfiniteModel()) {
+      gridApi.refreshInfiniteCache();
+    } else if (window.htmx && typeof window.htmx.ajax === 'function') {
+      window.htmx.ajax('GET', `${TABLE_URL}${window.location.search}`, {
+        target: `#${GRID_CONTAINER_ID}`,
+        swap: 'innerHTML'
+      });
     }
   });
 
   document.addEventListener('DOMContentLoaded', () => {
     initQuickFilter();
+    ensureTaskStream();
   });
 
   function escapeHtml(value) {
@@ -369,63 +1171,10 @@
     button.setAttribute('aria-label', 'View task');
     button.setAttribute('data-url', detailUrl);
 
-    // Attach click handler directly to the button
     button.addEventListener('click', (event) => {
       event.preventDefault();
       event.stopPropagation();
-
-      if (!detailUrl || detailUrl === '#') return;
-
-      console.log('View button clicked - loading modal from:', detailUrl);
-
-      fetch(detailUrl)
-        .then(response => response.text())
-        .then(html => {
-          console.log('Modal content received, updating DOM and opening modal');
-          let container = document.getElementById('modal-container');
-
-          // Create modal-container if it doesn't exist
-          if (!container) {
-            console.warn('modal-container not found, creating it');
-            container = document.createElement('div');
-            container.id = 'modal-container';
-            container.className = 'modal';
-            container.setAttribute('role', 'dialog');
-            container.setAttribute('aria-modal', 'true');
-            container.setAttribute('aria-hidden', 'true');
-            document.body.appendChild(container);
-          }
-
-          // Parse HTML to extract and re-execute scripts
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-          const scripts = Array.from(doc.querySelectorAll('script'));
-
-          // Get HTML without scripts
-          const htmlWithoutScripts = doc.body.innerHTML;
-          container.innerHTML = htmlWithoutScripts;
-
-          // Re-execute scripts
-          scripts.forEach(script => {
-            const newScript = document.createElement('script');
-            if (script.src) {
-              newScript.src = script.src;
-            } else {
-              newScript.textContent = script.textContent;
-            }
-            container.appendChild(newScript);
-          });
-
-          setTimeout(() => {
-            console.log('Calling window.openModal from View button');
-            if (typeof window.openModal === 'function') {
-              window.openModal('modal-container');
-            } else {
-              console.error('window.openModal is not a function');
-            }
-          }, 50);
-        })
-        .catch(error => console.error('Error loading modal:', error));
+      openTaskModal(data);
     });
 
     return button;
@@ -444,71 +1193,11 @@
       button.setAttribute('aria-label', `${label} task`);
 
       if (url && typeof url === 'string') {
-        button.setAttribute('hx-get', url);
-        button.setAttribute('hx-target', '#modal-container');
-        button.setAttribute('hx-swap', 'innerHTML');
-        button.setAttribute('hx-trigger', 'click consume');
-
-        const triggerHtmx = function (event) {
-          event?.preventDefault();
-          console.log('Action button clicked - loading modal from:', url);
-
-          fetch(url)
-            .then(response => response.text())
-            .then(html => {
-              console.log('Modal content received, updating DOM and opening modal');
-              let container = document.getElementById('modal-container');
-
-              // Create modal-container if it doesn't exist
-              if (!container) {
-                console.warn('modal-container not found, creating it');
-                container = document.createElement('div');
-                container.id = 'modal-container';
-                container.className = 'modal';
-                container.setAttribute('role', 'dialog');
-                container.setAttribute('aria-modal', 'true');
-                container.setAttribute('aria-hidden', 'true');
-                document.body.appendChild(container);
-              }
-
-              // Parse HTML to extract and re-execute scripts
-              const parser = new DOMParser();
-              const doc = parser.parseFromString(html, 'text/html');
-              const scripts = Array.from(doc.querySelectorAll('script'));
-
-              // Get HTML without scripts
-              const htmlWithoutScripts = doc.body.innerHTML;
-              container.innerHTML = htmlWithoutScripts;
-
-              // Re-execute scripts
-              scripts.forEach(script => {
-                const newScript = document.createElement('script');
-                if (script.src) {
-                  newScript.src = script.src;
-                } else {
-                  newScript.textContent = script.textContent;
-                }
-                container.appendChild(newScript);
-              });
-
-              setTimeout(() => {
-                console.log('Calling window.openModal from action button');
-                if (typeof window.openModal === 'function') {
-                  window.openModal('modal-container');
-                } else {
-                  console.error('window.openModal is not a function');
-                }
-              }, 50);
-            })
-            .catch(error => console.error('Error loading modal:', error));
-          return false;
-        };
-
-        button.addEventListener('click', triggerHtmx);
-
-        if (window.htmx) {
-          window.htmx.process(button);
-        }
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          openTaskModal(data, url);
+        });
       } else {
         button.disabled = true;
       }
@@ -530,7 +1219,12 @@
     registerGrid,
     destroyGrid,
     handleTaskEventFragment,
+    datasource,
+    frameStats: frameBudget.stats,
     getGridApi: () => gridApi,
+    /** Whether a row passes /tasks/data filters given as URLSearchParams (the task board uses this). */
+    matchesParams: (row, params) => matchesQuery(row, toActiveQuery(params)),
+    renderBadge,
     renderId,
     renderTitle,
     renderStatus,
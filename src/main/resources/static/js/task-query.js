@@ -0,0 +1,449 @@
+/**
+ * Task quick-filter query language.
+ *
+ *   status:in_progress agent:claude complexity>7 risk>=5 created:>2026-10-01 -type:review "exact phrase"
+ *
+ *  - `field:value` matches a value; comma lists (`status:pending,failed`) match any of them.
+ *  - `field>n`, `field>=n`, `field<n`, `field<=n` (or `field:>n` …) bound numbers and dates.
+ *  - `-field:value` excludes values (status, type and routing only).
+ *  - Everything else is free text, matched as one phrase; quotes keep spaces together.
+ *
+ * TaskQuery.parse() turns the text into TaskQueryParams-style URL parameters
+ * (see TaskRoutes.toTaskQueryParams), so the same query drives the server-side
+ * row model and, through TaskGrid's matcher, the client-side one.
+ * TaskQuery.attach() adds field/value autocomplete and inline errors to an input.
+ */
+(function () {
+  'use strict';
+
+  if (window.TaskQuery) return;
+
+  const FIELDS = Object.freeze({
+    status: { kind: 'enum', param: 'status' },
+    type: { kind: 'enum', param: 'type' },
+    routing: { kind: 'enum', param: 'routing' },
+    agent: { kind: 'list', param: 'assigneeIds' },
+    complexity: { kind: 'range', min: 'complexityMin', max: 'complexityMax' },
+    risk: { kind: 'range', min: 'riskMin', max: 'riskMax' },
+    created: { kind: 'date', after: 'createdAfter', before: 'createdBefore' },
+    due: { kind: 'date', after: 'dueAfter', before: 'dueBefore' }
+  });
+
+  const ALIASES = Object.freeze({ assignee: 'agent', agents: 'agent' });
+
+  const TERM_PATTERN = /^(-?)([a-z]+)(:>=|:<=|:>|:<|:=|>=|<=|>|<|=|:)(.*)$/i;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const RANGE_LIMITS = { min: 1, max: 10 };
+
+  class QueryError extends Error {
+    constructor(message, start, end) {
+      super(message);
+      this.name = 'QueryError';
+      this.start = start;
+      this.end = end;
+    }
+  }
+
+  // region Parsing
+
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i += 1;
+        continue;
+      }
+      const start = i;
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) {
+          throw new QueryError('Unterminated quote', start, text.length);
+        }
+        tokens.push({ quoted: true, value: text.slice(i + 1, close), start, end: close + 1 });
+        i = close + 1;
+        continue;
+      }
+      while (i < text.length && !/\s/.test(text[i])) i += 1;
+      tokens.push({ quoted: false, value: text.slice(start, i), start, end: i });
+    }
+    return tokens;
+  }
+
+  function normaliseEnum(value) {
+    return value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  }
+
+  function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+  }
+
+  function applyEnum(state, field, spec, negated, values, token, vocabulary) {
+    const known = vocabulary[field] || [];
+    const names = values.map(normaliseEnum);
+    const unknown = names.find((name) => known.length && !known.includes(name));
+    if (unknown) {
+      throw new QueryError(`Unknown ${field} "${unknown.toLowerCase()}"`, token.start, token.end);
+    }
+
+    if (negated && !known.length) {
+      throw new QueryError(`Cannot exclude ${field} values here`, token.start, token.end);
+    }
+    const current = state.sets[spec.param] || (negated ? known.slice() : null);
+    if (negated) {
+      state.sets[spec.param] = current.filter((name) => !names.includes(name));
+    } else if (state.included[spec.param]) {
+      // Repeated positive terms widen the set: status:pending status:failed.
+      state.sets[spec.param] = Array.from(new Set(current.concat(names)));
+    } else {
+      state.sets[spec.param] = current ? current.filter((name) => names.includes(name)) : names;
+      state.included[spec.param] = true;
+    }
+  }
+
+  /**
+   * Agent values are shorthand for configured agent IDs: `agent:claude` picks
+   * the IDs starting with "claude", or failing that those containing it.
+   * Assignee filters only match exact IDs, so a value that names no known
+   * agent is an error rather than a filter that can never match.
+   */
+  function applyAgents(state, field, values, token, vocabulary) {
+    const known = vocabulary[field] || [];
+    if (!known.length) {
+      state.agents.push(...values);
+      return;
+    }
+    const compact = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, '');
+    values.forEach((value) => {
+      const text = compact(value);
+      const exact = known.filter((id) => compact(id) === text);
+      const prefixed = known.filter((id) => compact(id).startsWith(text));
+      const matches = exact.length ? exact : (prefixed.length ? prefixed : known.filter((id) => compact(id).includes(text)));
+      if (!matches.length) {
+        throw new QueryError(`Unknown agent "${value}"`, token.start, token.end);
+      }
+      state.agents.push(...matches);
+    });
+  }
+
+  function applyRange(state, field, operator, raw, token) {
+    const value = Number(raw);
+    if (!Number.isInteger(value)) {
+      throw new QueryError(`${field} needs a whole number`, token.start, token.end);
+    }
+    const bounds = state.ranges[field] || { min: RANGE_LIMITS.min, max: RANGE_LIMITS.max };
+    switch (operator) {
+      case '>': bounds.min = Math.max(bounds.min, value + 1); break;
+      case '>=': bounds.min = Math.max(bounds.min, value); break;
+      case '<': bounds.max = Math.min(bounds.max, value - 1); break;
+      case '<=': bounds.max = Math.min(bounds.max, value); break;
+      default:
+        bounds.min = Math.max(bounds.min, value);
+        bounds.max = Math.min(bounds.max, value);
+    }
+    if (bounds.min > RANGE_LIMITS.max || bounds.max < RANGE_LIMITS.min || bounds.min > bounds.max) {
+      throw new QueryError(`${field} range matches nothing (allowed ${RANGE_LIMITS.min}-${RANGE_LIMITS.max})`, token.start, token.end);
+    }
+    state.ranges[field] = bounds;
+  }
+
+  function applyDate(state, field, operator, raw, token) {
+    if (!DATE_PATTERN.test(raw) || Number.isNaN(Date.parse(raw))) {
+      throw new QueryError(`${field} needs a date like 2026-10-01`, token.start, token.end);
+    }
+    const bounds = state.dates[field] || {};
+    switch (operator) {
+      case '>': bounds.after = shiftDate(raw, 1); break;
+      case '>=': bounds.after = raw; break;
+      case '<': bounds.before = shiftDate(raw, -1); break;
+      case '<=': bounds.before = raw; break;
+      default:
+        bounds.after = raw;
+        bounds.before = raw;
+    }
+    state.dates[field] = bounds;
+  }
+
+  /**
+   * Parse query text.
+   *
+   * @param {string} text
+   * @param {Object<string, string[]>} [vocabulary] known values per enum/list field
+   * @returns {{ok: true, params: URLSearchParams, structured: boolean} |
+   *           {ok: false, error: QueryError}}
+   */
+  function parse(text, vocabulary = {}) {
+    try {
+      const state = { sets: {}, included: {}, agents: [], ranges: {}, dates: {}, text: [] };
+
+      tokenize(text || '').forEach((token) => {
+        const match = token.quoted ? null : TERM_PATTERN.exec(token.value);
+        if (!match) {
+          if (!token.quoted && token.value.startsWith('-') && token.value.length > 1) {
+            throw new QueryError('Excluding free text is not supported', token.start, token.end);
+          }
+          state.text.push(token.value);
+          return;
+        }
+
+        const negated = match[1] === '-';
+        const name = match[2].toLowerCase();
+        const field = ALIASES[name] || name;
+        const spec = FIELDS[field];
+        const operator = match[3].replace(/^:/, '') || '=';
+        const raw = match[4].trim();
+
+        if (!spec) {
+          throw new QueryError(`Unknown field "${name}"`, token.start, token.start + 1 + name.length);
+        }
+        if (!raw) {
+          throw new QueryError(`Missing value for ${field}`, token.start, token.end);
+        }
+        if (negated && spec.kind !== 'enum') {
+          throw new QueryError('Only status, type and routing can be excluded', token.start, token.end);
+        }
+        if (operator !== '=' && (spec.kind === 'enum' || spec.kind === 'list')) {
+          throw new QueryError(`${field} only supports ${field}:value`, token.start, token.end);
+        }
+
+        const values = raw.split(',').map((value) => value.trim()).filter(Boolean);
+        switch (spec.kind) {
+          case 'enum':
+            applyEnum(state, field, spec, negated, values, token, vocabulary);
+            break;
+          case 'list':
+            applyAgents(state, field, values, token, vocabulary);
+            break;
+          case 'range':
+            applyRange(state, field, operator, raw, token);
+            break;
+          case 'date':
+            applyDate(state, field, operator, raw, token);
+            break;
+          default:
+            break;
+        }
+      });
+
+      const params = new URLSearchParams();
+      Object.keys(state.sets).forEach((param) => {
+        const values = state.sets[param];
+        if (!values.length) {
+          throw new QueryError(`No ${param} values left to match`, 0, (text || '').length);
+        }
+        values.forEach((value) => params.append(param, value));
+      });
+      Array.from(new Set(state.agents)).forEach((agent) => params.append('assigneeIds', agent));
+      Object.keys(state.ranges).forEach((field) => {
+        const { min, max } = state.ranges[field];
+        if (min > RANGE_LIMITS.min) params.set(FIELDS[field].min, String(min));
+        if (max < RANGE_LIMITS.max) params.set(FIELDS[field].max, String(max));
+      });
+      Object.keys(state.dates).forEach((field) => {
+        const { after, before } = state.dates[field];
+        if (after) params.set(FIELDS[field].after, after);
+        if (before) params.set(FIELDS[field].before, before);
+      });
+      if (state.text.length) {
+        params.set('search', state.text.join(' '));
+      }
+
+      return { ok: true, params, structured: Array.from(params.keys()).some((key) => key !== 'search') };
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return { ok: false, error: err };
+      }
+      throw err;
+    }
+  }
+
+  // endregion
+
+  // region Autocomplete
+
+  /**
+   * Suggestions for the token under the caret.
+   *
+   * @returns {{start: number, end: number, items: {label: string, insert: string}[]}}
+   */
+  function suggest(text, caret, vocabulary = {}) {
+    let start = caret;
+    while (start > 0 && !/\s/.test(text[start - 1])) start -= 1;
+    let end = caret;
+    while (end < text.length && !/\s/.test(text[end])) end += 1;
+
+    const token = text.slice(start, caret);
+    const prefix = token.startsWith('-') ? '-' : '';
+    const body = token.slice(prefix.length);
+    const match = /^([a-z]+)(:>=|:<=|:>|:<|:=|>=|<=|>|<|=|:)(.*)$/i.exec(body);
+
+    if (!match) {
+      if (body.startsWith('"')) return { start, end, items: [] };
+      const needle = body.toLowerCase();
+      const items = Object.keys(FIELDS)
+        .filter((field) => field.startsWith(needle) && field !== needle)
+        .filter((field) => !prefix || FIELDS[field].kind === 'enum')
+        .map((field) => ({ label: `${field}:`, insert: `${prefix}${field}:` }));
+      return { start, end, items: needle ? items : [] };
+    }
+
+    const field = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+    const spec = FIELDS[field];
+    if (!spec || (spec.kind !== 'enum' && spec.kind !== 'list')) {
+      return { start, end, items: [] };
+    }
+
+    // Complete the last entry of a comma list.
+    const head = `${prefix}${match[1]}${match[2]}`;
+    const raw = match[3];
+    const comma = raw.lastIndexOf(',');
+    const done = comma === -1 ? '' : raw.slice(0, comma + 1);
+    const partial = raw.slice(comma + 1).toLowerCase();
+
+    const items = (vocabulary[field] || [])
+      .map((value) => (spec.kind === 'enum' ? value.toLowerCase() : value))
+      .filter((value) => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+      .map((value) => ({ label: value, insert: `${head}${done}${value}` }));
+
+    return { start, end, items };
+  }
+
+  /**
+   * Wire autocomplete and inline errors to a query input.
+   *
+   * @param {HTMLInputElement} input
+   * @param {{vocabulary: Object<string, string[]>, list?: HTMLElement, error?: HTMLElement,
+   *          onChange: function(object)}} options
+   */
+  function attach(input, options) {
+    const { vocabulary = {}, list = null, error = null, onChange } = options;
+    let items = [];
+    let active = -1;
+    let range = null;
+
+    const close = () => {
+      items = [];
+      active = -1;
+      if (list) {
+        list.hidden = true;
+        list.innerHTML = '';
+      }
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    };
+
+    const render = () => {
+      if (!list) return;
+      list.innerHTML = '';
+      items.forEach((item, index) => {
+        const option = document.createElement('li');
+        option.id = `${list.id}-${index}`;
+        option.className = 'task-query__suggestion';
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === active));
+        option.textContent = item.label;
+        option.addEventListener('mousedown', (event) => {
+          // Keep focus in the input.
+          event.preventDefault();
+          accept(index);
+        });
+        list.appendChild(option);
+      });
+      list.hidden = items.length === 0;
+      input.setAttribute('aria-expanded', String(items.length > 0));
+      if (active >= 0) {
+        input.setAttribute('aria-activedescendant', `${list.id}-${active}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    };
+
+    const refreshSuggestions = () => {
+      const result = suggest(input.value, input.selectionStart == null ? input.value.length : input.selectionStart, vocabulary);
+      items = result.items.slice(0, 8);
+      range = result;
+      active = items.length ? 0 : -1;
+      render();
+    };
+
+    const showResult = (result) => {
+      if (!error) return;
+      if (result.ok) {
+        error.hidden = true;
+        error.textContent = '';
+        input.removeAttribute('aria-invalid');
+      } else {
+        error.hidden = false;
+        error.textContent = `${result.error.message} — matching as plain text`;
+        input.setAttribute('aria-invalid', 'true');
+      }
+    };
+
+    const evaluate = () => {
+      const result = parse(input.value, vocabulary);
+      showResult(result);
+      onChange(result);
+    };
+
+    function accept(index) {
+      const item = items[index];
+      if (!item || !range) return;
+      const before = input.value.slice(0, range.start);
+      const after = input.value.slice(range.end);
+      const needsSpace = !item.insert.endsWith(':') && !after.startsWith(' ');
+      input.value = `${before}${item.insert}${needsSpace ? ' ' : ''}${after}`;
+      const caret = before.length + item.insert.length + (needsSpace ? 1 : 0);
+      input.setSelectionRange(caret, caret);
+      close();
+      evaluate();
+      if (item.insert.endsWith(':')) refreshSuggestions();
+    }
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    if (list) input.setAttribute('aria-controls', list.id);
+
+    input.addEventListener('input', () => {
+      refreshSuggestions();
+      evaluate();
+    });
+    input.addEventListener('keydown', (event) => {
+      if (!items.length) return;
+      switch (event.key) {
+        case 'ArrowDown':
+          event.preventDefault();
+          active = (active + 1) % items.length;
+          render();
+          break;
+        case 'ArrowUp':
+          event.preventDefault();
+          active = (active - 1 + items.length) % items.length;
+          render();
+          break;
+        case 'Enter':
+        case 'Tab':
+          if (active >= 0) {
+            event.preventDefault();
+            accept(active);
+          }
+          break;
+        case 'Escape':
+          event.preventDefault();
+          close();
+          break;
+        default:
+          break;
+      }
+    });
+    input.addEventListener('blur', close);
+
+    return { evaluate, close };
+  }
+
+  // endregion
+
+  window.TaskQuery = Object.freeze({ parse, suggest, attach, FIELDS });
+})();
@@ -7,17 +7,38 @@
     'assigneesDisplay'
   ];
 
+  // Matches the fade-out animation on .ag-row.deleting in animations.css.
+  const FADE_OUT_MS = 300;
+
   let gridApi = null;
+  const hiddenRows = new Map();
 
   function setGridApi(api) {
+    hiddenRows.clear();
     gridApi = api;
+
+    if (gridApi && typeof gridApi.setGridOption === 'function') {
+      // Class rules survive row re-rendering (scrolling, paging), unlike classes set on the DOM.
+      gridApi.setGridOption('rowClassRules', {
+        deleting: (params) => !!(params.data && hiddenRows.has(params.data.taskId))
+      });
+    }
   }
 
+  /**
+   * Shared row lookup for TaskGrid and TaskUpdates. Grids registered with
+   * getRowId keyed on taskId resolve in O(1); anything else falls back to a scan.
+   */
   function findNode(taskId) {
-    if (!gridApi) return null;
+    if (!gridApi || taskId == null) return null;
+
+    if (typeof gridApi.getGridOption === 'function' && gridApi.getGridOption('getRowId')) {
+      return gridApi.getRowNode(String(taskId)) || null;
+    }
+
     let match = null;
     gridApi.forEachNode((node) => {
-      if (node && node.data && node.data.taskId === taskId) {
+      if (!match && node && node.data && node.data.taskId === taskId) {
         match = node;
       }
     });
@@ -56,23 +77,115 @@
     }
   }
 
-  function removeDeletedRow(taskId) {
-    if (!gridApi) return;
+  function isInfiniteModel() {
+    return !!gridApi && typeof gridApi.getGridOption === 'function'
+      && gridApi.getGridOption('rowModelType') === 'infinite';
+  }
+
+  function isHidden(taskId) {
+    return hiddenRows.has(taskId);
+  }
+
+  function redraw(taskId) {
     const node = findNode(taskId);
-    if (!node) return;
+    if (node && gridApi) {
+      gridApi.redrawRows({ rowNodes: [node] });
+    }
+  }
+
+  /**
+   * Fade a row out (it keeps its slot until purged). Returns a snapshot that
+   * restoreRow() can use to undo the hide, or null when the row is not shown.
+   *
+   * With `deferPurge` the row stays hidden in place until purgeRow() is
+   * called, so the hide can still be undone on the infinite row model, where
+   * a purged row can only come back from the server.
+   */
+  function removeDeletedRow(taskId, options = {}) {
+    if (!gridApi) return null;
+    const node = findNode(taskId);
+    if (!node) return null;
+
+    const snapshot = { data: node.data, index: node.rowIndex };
+    hiddenRows.set(taskId, snapshot);
+    redraw(taskId);
+
+    if (!options.deferPurge) {
+      setTimeout(() => purgeRow(taskId), FADE_OUT_MS);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Drop a hidden row from the grid for good.
+   */
+  function purgeRow(taskId) {
+    const snapshot = hiddenRows.get(taskId);
+    if (!snapshot) return;
+    hiddenRows.delete(taskId);
+    if (!gridApi) return;
 
     try {
-      gridApi.applyTransaction({ remove: [node.data] });
+      if (isInfiniteModel()) {
+        gridApi.refreshInfiniteCache();
+      } else if (typeof gridApi.applyTransactionAsync === 'function') {
+        gridApi.applyTransactionAsync({ remove: [snapshot.data] });
+      } else {
+        gridApi.applyTransaction({ remove: [snapshot.data] });
+      }
     } catch (err) {
       console.error('Failed to remove task row', err);
     }
   }
 
+  /**
+   * Show a row hidden by removeDeletedRow() again, e.g. once the task has been
+   * restored. Returns false when the row was not hidden.
+   */
+  function unhideRow(taskId) {
+    if (!hiddenRows.has(taskId)) return false;
+    hiddenRows.delete(taskId);
+    redraw(taskId);
+    return true;
+  }
+
+  /**
+   * Put a hidden row back where it was.
+   */
+  function restoreRow(snapshot) {
+    if (!gridApi || !snapshot || !snapshot.data) return;
+    const taskId = snapshot.data.taskId;
+
+    if (hiddenRows.has(taskId)) {
+      hiddenRows.delete(taskId);
+      redraw(taskId);
+      return;
+    }
+
+    if (findNode(taskId) || isInfiniteModel()) return;
+
+    try {
+      gridApi.applyTransaction({
+        add: [snapshot.data],
+        addIndex: snapshot.index != null && snapshot.index >= 0 ? snapshot.index : 0
+      });
+      flashRow(taskId);
+    } catch (err) {
+      console.error('Failed to restore task row', err);
+    }
+  }
+
   window.TaskUpdates = {
     setGridApi,
+    findNode,
     flashRow,
     highlightNewRow,
     removeDeletedRow,
+    purgeRow,
+    restoreRow,
+    unhideRow,
+    isHidden,
     handleTaskDeletion: removeDeletedRow,
     updateRowCount: function () {
       // No-op: ag-Grid manages row counts internally.
@@ -0,0 +1,113 @@
+/**
+ * Toast notifications.
+ *
+ * Toast.show({ message, tone, actionLabel, onAction, onDismiss, timeoutMs })
+ * renders a transient notice in a shared live region and returns a dismiss
+ * function. The optional action (e.g. "Undo") dismisses the toast before
+ * running; onDismiss runs when the toast goes away without the action.
+ *
+ * Toast.notify(message, tone) is the shorthand for a plain notice.
+ */
+(function () {
+  'use strict';
+
+  if (window.Toast) return;
+
+  const REGION_ID = 'toast-region';
+  const DEFAULT_TIMEOUT_MS = 6000;
+  const LEAVE_ANIMATION_MS = 300;
+
+  function ensureRegion() {
+    let region = document.getElementById(REGION_ID);
+    if (!region) {
+      region = document.createElement('div');
+      region.id = REGION_ID;
+      region.className = 'toast-region';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  function show(options = {}) {
+    const {
+      message = '',
+      tone = 'info',
+      actionLabel = null,
+      onAction = null,
+      onDismiss = null,
+      timeoutMs = DEFAULT_TIMEOUT_MS
+    } = options;
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast--${tone}`;
+
+    const text = document.createElement('span');
+    text.className = 'toast__message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    let dismissed = false;
+
+    const dismiss = (viaAction = false) => {
+      if (dismissed) return;
+      dismissed = true;
+      clearTimeout(timer);
+      toast.classList.add('is-leaving');
+      setTimeout(() => toast.remove(), LEAVE_ANIMATION_MS);
+
+      if (!viaAction && typeof onDismiss === 'function') {
+        try {
+          onDismiss();
+        } catch (err) {
+          console.error('Toast dismiss handler failed', err);
+        }
+      }
+    };
+
+    if (actionLabel && typeof onAction === 'function') {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'toast__action';
+      action.textContent = actionLabel;
+      action.addEventListener('click', () => {
+        dismiss(true);
+        try {
+          onAction();
+        } catch (err) {
+          console.error('Toast action failed', err);
+        }
+      });
+      toast.appendChild(action);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast__dismiss';
+    close.setAttribute('aria-label', 'Dismiss notification');
+    close.textContent = '×';
+    close.addEventListener('click', () => dismiss());
+    toast.appendChild(close);
+
+    ensureRegion().appendChild(toast);
+
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => dismiss(), timeoutMs);
+      // Keep the toast up while the user is reaching for its action.
+      toast.addEventListener('mouseenter', () => clearTimeout(timer));
+      toast.addEventListener('mouseleave', () => {
+        if (!dismissed) timer = setTimeout(() => dismiss(), timeoutMs);
+      });
+    }
+
+    return () => dismiss();
+  }
+
+  function notify(message, tone = 'info') {
+    return show({ message, tone });
+  }
+
+  window.Toast = Object.freeze({ show, notify });
+})();
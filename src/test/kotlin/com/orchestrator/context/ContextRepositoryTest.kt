@@ -109,6 +109,54 @@ class ContextRepositoryTest {
         assertEquals(1, fetched.chunks.single().links.size)
     }
 
+    @Test
+    fun `purge embeddings keeps the chunks`() {
+        val absolutePath = tempDir.resolve("src/Purged.kt").toString()
+        val fileState = FileState(
+            id = 0,
+            relativePath = "src/Purged.kt",
+            absolutePath = absolutePath,
+            contentHash = "hash-2",
+            sizeBytes = 64,
+            modifiedTimeNs = 1000,
+            language = "kotlin",
+            kind = "source",
+            fingerprint = null,
+            indexedAt = Instant.parse("2024-01-01T00:00:00Z"),
+            isDeleted = false
+        )
+        val chunk = Chunk(
+            id = 0,
+            fileId = 0,
+            ordinal = 0,
+            kind = ChunkKind.CODE_FUNCTION,
+            startLine = 1,
+            endLine = 1,
+            tokenEstimate = 10,
+            content = "fun purged() = Unit",
+            summary = null,
+            createdAt = Instant.parse("2024-01-01T00:00:00Z")
+        )
+        val embedding = Embedding(
+            id = 0,
+            chunkId = 0,
+            model = "test-model",
+            dimensions = 3,
+            vector = listOf(0.1f, 0.2f, 0.3f),
+            createdAt = Instant.parse("2024-01-01T00:00:00Z")
+        )
+        service.syncFileArtifacts(fileState, listOf(ChunkArtifacts(chunk, listOf(embedding), emptyList())))
+
+        assertEquals(1, service.purgeEmbeddings(absolutePath))
+        assertEquals(0, service.purgeEmbeddings(absolutePath))
+        assertEquals(0, service.purgeEmbeddings(tempDir.resolve("src/Unknown.kt").toString()))
+
+        val fetched = service.loadFileArtifacts(absolutePath)
+        assertNotNull(fetched)
+        assertEquals(1, fetched.chunks.size)
+        assertTrue(fetched.chunks.single().embeddings.isEmpty())
+    }
+
     @Test
     fun `loadChunkReferenceColumns works with DuckDB information schema`() {
         // Create a file with chunks to establish foreign key references
@@ -0,0 +1,63 @@
+package com.orchestrator.context.chunking
+
+import com.orchestrator.context.domain.Chunk
+import com.orchestrator.context.domain.ChunkKind
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.Test
+import java.time.Instant
+
+class ChunkComparisonTest {
+
+    /** Splits into fixed two-line chunks, like a chunker after a rule change. */
+    private val twoLineChunker = object : Chunker {
+        override val strategy = ChunkingStrategy(id = "two-line", displayName = "Two line")
+
+        override fun chunk(content: String, filePath: String, language: String): List<Chunk> =
+            content.lines().chunked(2).mapIndexed { index, lines ->
+                chunk(id = 0, ordinal = index, start = index * 2 + 1, end = index * 2 + lines.size, content = lines.joinToString("\n"))
+            }
+
+        override fun estimateTokens(text: String) = text.length / 4
+    }
+
+    private fun chunk(id: Long, ordinal: Int, start: Int?, end: Int?, content: String) = Chunk(
+        id = id,
+        fileId = 1,
+        ordinal = ordinal,
+        kind = ChunkKind.CODE_BLOCK,
+        startLine = start,
+        endLine = end,
+        tokenEstimate = null,
+        content = content,
+        summary = null,
+        createdAt = Instant.EPOCH
+    )
+
+    @Test
+    fun `flags stored chunks whose line span the chunker no longer produces`() {
+        val content = "a\nb\nc\nd"
+        val stored = listOf(
+            chunk(id = 10, ordinal = 0, start = 1, end = 2, content = "a\nb"),
+            chunk(id = 11, ordinal = 1, start = 3, end = 3, content = "c"),
+            chunk(id = 12, ordinal = 2, start = 4, end = 4, content = "d")
+        )
+
+        val result = ChunkComparison.compare(stored, twoLineChunker, content, "file.txt", "text")
+
+        assertEquals("two-line", result.chunkerId)
+        assertEquals(2, result.currentCount)
+        assertEquals(setOf(11L, 12L), result.driftedChunkIds)
+    }
+
+    @Test
+    fun `compares text when a chunk has no line span`() {
+        val stored = listOf(
+            chunk(id = 20, ordinal = 0, start = null, end = null, content = "a\nb"),
+            chunk(id = 21, ordinal = 1, start = null, end = null, content = "c\nx")
+        )
+
+        val result = ChunkComparison.compare(stored, twoLineChunker, "a\nb\nc\nd", "file.txt", "text")
+
+        assertEquals(setOf(21L), result.driftedChunkIds)
+    }
+}
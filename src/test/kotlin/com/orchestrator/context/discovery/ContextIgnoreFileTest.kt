@@ -0,0 +1,80 @@
+package com.orchestrator.context.discovery
+
+import com.orchestrator.context.config.WatcherConfig
+import org.junit.jupiter.api.Assertions.assertEquals
+import org.junit.jupiter.api.Assertions.assertFalse
+import org.junit.jupiter.api.Assertions.assertTrue
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+class ContextIgnoreFileTest {
+
+    @Test
+    fun `adds only new patterns and keeps existing lines`(@TempDir tempDir: Path) {
+        Files.writeString(tempDir.resolve(".contextignore"), "# generated\ndocs/**")
+        val file = ContextIgnoreFile(tempDir)
+
+        val added = file.add(listOf("docs/**", "src/Secret.kt", "build/", "src/Secret.kt"), comment = "Excluded from the dashboard")
+
+        assertEquals(listOf("src/Secret.kt", "build/"), added)
+        assertEquals(listOf("docs/**", "src/Secret.kt", "build/"), file.patterns())
+        assertEquals(
+            "# generated\ndocs/**\n# Excluded from the dashboard\nsrc/Secret.kt\nbuild/\n",
+            Files.readString(file.path)
+        )
+        assertTrue(file.add(listOf("build/")).isEmpty())
+    }
+
+    @Test
+    fun `added patterns are honoured by path filters`(@TempDir tempDir: Path) {
+        ContextIgnoreFile(tempDir).add(listOf("src/Secret.kt", "src/generated/"))
+
+        val filter = PathFilter.fromSources(tempDir)
+
+        assertTrue(filter.shouldIgnore(tempDir.resolve("src/Secret.kt")))
+        assertTrue(filter.shouldIgnore(tempDir.resolve("src/generated/Model.kt")))
+        assertFalse(filter.shouldIgnore(tempDir.resolve("src/Main.kt")))
+    }
+
+    @Test
+    fun `exclusions are anchored at the root and escape wildcards`(@TempDir tempDir: Path) {
+        Files.createDirectories(tempDir.resolve("src/generated"))
+        val file = ContextIgnoreFile(tempDir)
+
+        val added = file.exclude(
+            listOf(
+                tempDir.resolve("src/Secret.kt"),
+                tempDir.resolve("src/generated"),
+                tempDir.resolve("src/odd*name?.kt"),
+                tempDir.resolveSibling("elsewhere/Other.kt")
+            )
+        )
+
+        assertEquals(listOf("/src/Secret.kt", "/src/generated/", "/src/odd?name?.kt"), added)
+        val filter = PathFilter.fromSources(tempDir)
+        assertTrue(filter.shouldIgnore(tempDir.resolve("src/Secret.kt")))
+        assertTrue(filter.shouldIgnore(tempDir.resolve("src/generated/Model.kt")))
+        assertTrue(filter.shouldIgnore(tempDir.resolve("src/odd*name?.kt")))
+        assertFalse(filter.shouldIgnore(tempDir.resolve("module/src/Secret.kt")))
+        assertFalse(filter.shouldIgnore(tempDir.resolve("src/oddly-named.kt")))
+    }
+
+    @Test
+    fun `exclusions reach the roots refresh and the watcher read when the working directory differs`(@TempDir tempDir: Path) {
+        val workingDir = Files.createDirectories(tempDir.resolve("server"))
+        val watchRoot = Files.createDirectories(tempDir.resolve("project/src"))
+        val watcher = WatcherConfig(watchPaths = listOf(watchRoot.toString()))
+
+        val files = ContextIgnoreFile.readBy(watcher, workingDir)
+        val updated = files.filter { it.exclude(listOf(watchRoot.resolve("app/Secret.kt"))).isNotEmpty() }
+
+        assertEquals(listOf(watchRoot.resolve(".contextignore")), updated.map { it.path })
+        assertFalse(Files.exists(workingDir.resolve(".contextignore")))
+        // refresh_context filters from the common ancestor of the watch paths, the watcher from each root
+        val refreshFilter = PathFilter.fromSources(ProjectRootDetector.fromWatchPaths(watcher.watchPaths))
+        assertTrue(refreshFilter.shouldIgnore(watchRoot.resolve("app/Secret.kt")))
+        assertFalse(refreshFilter.shouldIgnore(watchRoot.resolve("lib/app/Secret.kt")))
+    }
+}
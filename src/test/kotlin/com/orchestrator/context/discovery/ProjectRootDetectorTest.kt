@@ -54,4 +54,15 @@ class ProjectRootDetectorTest {
         assertEquals(nested.normalize(), result.root)
         assertEquals(ProjectRootDetector.Confidence.LOW, result.confidence)
     }
+
+    @Test
+    fun `common ancestor of watch paths`(@TempDir tempDir: Path) {
+        val paths = listOf("auto", tempDir.resolve("app/src").toString(), tempDir.resolve("app/lib").toString())
+
+        assertEquals(tempDir.resolve("app").toAbsolutePath().normalize(), ProjectRootDetector.fromWatchPaths(paths))
+        assertEquals(
+            tempDir.resolve("app/src").toAbsolutePath().normalize(),
+            ProjectRootDetector.fromWatchPaths(listOf(tempDir.resolve("app/src").toString()))
+        )
+    }
 }
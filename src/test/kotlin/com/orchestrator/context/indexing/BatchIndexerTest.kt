@@ -102,4 +102,75 @@ class BatchIndexerTest {
         assertTrue(result.isSuccessful)
 
     }
+
+    @Test
+    fun `cancelled batch skips the files not yet started`() = runTest {
+        val paths = listOf(Path.of("a.kt"), Path.of("b.kt"), Path.of("c.kt"))
+        val fileIndexer = mockk<FileIndexer>()
+        coEvery { fileIndexer.indexFileAsync(any()) } answers {
+            IndexResult(
+                success = true,
+                relativePath = firstArg<Path>().toString(),
+                chunkCount = 1,
+                embeddingCount = 1,
+                error = null
+            )
+        }
+
+        val cancellation = IndexingCancellation()
+        val batchIndexer = BatchIndexer(
+            fileIndexer = fileIndexer,
+            defaultParallelism = 1,
+            dispatcher = UnconfinedTestDispatcher(testScheduler),
+            clock = fixedClock
+        )
+
+        // Cancel as soon as the first file is done
+        val result = batchIndexer.indexFilesAsync(
+            paths = paths,
+            parallelism = 1,
+            onProgress = { cancellation.cancel() },
+            cancellation = cancellation
+        )
+
+        assertEquals(3, result.stats.totalFiles)
+        assertEquals(1, result.stats.processedFiles)
+        assertEquals(2, result.stats.skipped)
+        assertTrue(result.wasCancelled)
+        assertTrue(result.isSuccessful)
+        coVerify(exactly = 1) { fileIndexer.indexFileAsync(any()) }
+    }
+
+    @Test
+    fun `batch cancelled during its last file is still reported as cancelled`() = runTest {
+        val fileIndexer = mockk<FileIndexer>()
+        coEvery { fileIndexer.indexFileAsync(any()) } answers {
+            IndexResult(
+                success = true,
+                relativePath = firstArg<Path>().toString(),
+                chunkCount = 1,
+                embeddingCount = 1,
+                error = null
+            )
+        }
+
+        val cancellation = IndexingCancellation()
+        val batchIndexer = BatchIndexer(
+            fileIndexer = fileIndexer,
+            defaultParallelism = 1,
+            dispatcher = UnconfinedTestDispatcher(testScheduler),
+            clock = fixedClock
+        )
+
+        val result = batchIndexer.indexFilesAsync(
+            paths = listOf(Path.of("a.kt")),
+            parallelism = 1,
+            onProgress = { cancellation.cancel() },
+            cancellation = cancellation
+        )
+
+        assertEquals(1, result.stats.processedFiles)
+        assertEquals(0, result.stats.skipped)
+        assertTrue(result.wasCancelled)
+    }
 }
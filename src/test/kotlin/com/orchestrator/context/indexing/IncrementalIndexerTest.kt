@@ -136,6 +136,52 @@ class IncrementalIndexerTest {
         verify(exactly = 0) { dataService.deleteFile(any()) }
     }
 
+    @Test
+    fun `forced update re-indexes unchanged files too`() = runTest {
+        val changeDetector = mockk<ChangeDetector>()
+        val batchIndexer = mockk<BatchIndexer>()
+        val dataService = mockk<ContextDataService>(relaxed = true)
+
+        val unchanged = FileChange(
+            path = Path.of("/repo/src/Same.kt"),
+            relativePath = "src/Same.kt",
+            metadata = FileMetadata(10, 20, "hash-same", "kotlin", "text/plain"),
+            previousState = null
+        )
+        every { changeDetector.detectChanges(any()) } returns ChangeSet(
+            newFiles = emptyList(),
+            modifiedFiles = emptyList(),
+            deletedFiles = emptyList(),
+            unchangedFiles = listOf(unchanged),
+            scannedAt = Instant.parse("2025-01-01T00:00:00Z")
+        )
+        coEvery { batchIndexer.indexFilesAsync(any(), any(), any()) } returns BatchResult(
+            successes = listOf(IndexResult(true, "src/Same.kt", 1, 1, null)),
+            failures = emptyList(),
+            stats = BatchStats(
+                totalFiles = 1,
+                processedFiles = 1,
+                succeeded = 1,
+                failed = 0,
+                startedAt = Instant.parse("2025-01-01T00:00:01Z"),
+                completedAt = Instant.parse("2025-01-01T00:00:02Z"),
+                durationMillis = 1000
+            )
+        )
+
+        val incremental = IncrementalIndexer(changeDetector, batchIndexer, dataService, fixedClock)
+
+        val unforced = incremental.updateAsync(listOf(unchanged.path))
+        assertNull(unforced.batchResult)
+
+        val forced = incremental.updateAsync(listOf(unchanged.path), forceReindex = true)
+        assertEquals(1, forced.unchangedCount)
+        assertEquals(1, forced.batchResult?.successes?.size)
+        coVerify(exactly = 1) {
+            batchIndexer.indexFilesAsync(listOf(Path.of("/repo/src/Same.kt")), any(), any())
+        }
+    }
+
     @Test
     fun `update deletes removed files from persistence`() = runTest {
         val projectRoot = tempDir.resolve("workspace")
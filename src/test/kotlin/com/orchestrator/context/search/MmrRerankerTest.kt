@@ -8,6 +8,7 @@ import com.orchestrator.context.embedding.VectorOps
 import java.time.Instant
 import kotlin.test.Test
 import kotlin.test.assertEquals
+import kotlin.test.assertFalse
 import kotlin.test.assertTrue
 
 class MmrRerankerTest {
@@ -58,6 +59,24 @@ class MmrRerankerTest {
         assertEquals(1L, reranked.first().chunk.id)
     }
 
+    @Test
+    fun `explain reproduces the penalty each pick was chosen with`() {
+        val primary = scoredChunk(id = 1, score = 0.9f, vector = floatArrayOf(1f, 0f))
+        val similar = scoredChunk(id = 2, score = 0.8f, vector = floatArrayOf(1f, 0f))
+
+        val adjustments = reranker.explain(listOf(primary, similar), lambda = 0.5)
+
+        assertEquals(2, adjustments.size)
+        // The seed is picked on relevance alone, so it reports its plain score
+        assertTrue(adjustments[0].seed)
+        assertEquals(0.0, adjustments[0].penalty, 1e-6)
+        assertEquals(0.9, adjustments[0].mmrScore, 1e-6)
+        assertFalse(adjustments[1].seed)
+        assertEquals(1.0, adjustments[1].maxSimilarity, 1e-6)
+        assertEquals(0.5, adjustments[1].penalty, 1e-6)
+        assertEquals(0.4 - 0.5, adjustments[1].mmrScore, 1e-6)
+    }
+
     private fun scoredChunk(
         id: Long,
         score: Float,
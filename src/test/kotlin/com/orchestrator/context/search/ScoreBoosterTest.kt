@@ -100,6 +100,23 @@ class ScoreBoosterTest {
         assertEquals(0.9, result[0].score, 0.001) // Uses 1.5 (longer match), not 1.1
     }
 
+    @Test
+    fun `boostsFor reports the matching prefix and factors`() {
+        val booster = ScoreBooster(
+            BoostConfig(
+                pathPrefixes = mapOf("src" to 1.1, "src/main" to 1.5),
+                languages = mapOf("kotlin" to 1.2)
+            )
+        )
+
+        val boosts = booster.boostsFor(createSnippet(filePath = "/project/src/main/App.kt", language = "kotlin", score = 0.5))
+
+        assertEquals("src/main", boosts.pathPrefix)
+        assertEquals(1.5, boosts.pathBoost, 0.001)
+        assertEquals(1.2, boosts.languageBoost, 0.001)
+        assertEquals(1.8, boosts.total, 0.001)
+    }
+
     @Test
     fun `no boost when path does not match`() {
         val booster = ScoreBooster(
@@ -301,6 +301,29 @@ class QueryContextToolTest {
         assertEquals(chunkIds.toSet().size, chunkIds.size, "Duplicate chunk IDs found")
     }
 
+    @Test
+    fun `execute with explain attaches a score breakdown to every hit`() {
+        val fileId = insertFileState("src/App.kt", language = "kotlin", size = 512)
+        insertChunk(100L, fileId = fileId, content = "fun main() = Unit", kind = ChunkKind.CODE_FUNCTION)
+        insertEmbedding(chunkId = 100L)
+
+        val tool = QueryContextTool(config)
+        val plain = tool.execute(QueryContextTool.Params(query = "main function"))
+        val explained = tool.execute(QueryContextTool.Params(query = "main function", explain = true))
+
+        assertTrue(plain.hits.all { it.explanation == null })
+        assertTrue(!plain.metadata.containsKey("scoring"))
+        assertTrue(explained.metadata.containsKey("scoring"))
+        explained.hits.forEach { hit ->
+            val explanation = assertNotNull(hit.explanation)
+            assertEquals(hit.score, explanation.finalScore)
+            if (explanation.neighborOf == null) {
+                assertNotNull(explanation.providerScore)
+                assertNotNull(explanation.boosts)
+            }
+        }
+    }
+
     private fun insertFileState(path: String, language: String?, size: Long): Long {
         val persisted = FileStateRepository.insert(
             FileState(
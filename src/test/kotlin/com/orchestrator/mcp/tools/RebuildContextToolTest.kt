@@ -4,6 +4,7 @@ import com.orchestrator.context.config.ContextConfig
 import com.orchestrator.context.config.EmbeddingConfig
 import com.orchestrator.context.config.IndexingConfig
 import com.orchestrator.context.config.WatcherConfig
+import com.orchestrator.context.indexing.IndexingCancellation
 import com.orchestrator.context.storage.ContextDatabase
 import kotlinx.coroutines.delay
 import kotlinx.coroutines.runBlocking
@@ -187,6 +188,45 @@ class RebuildContextToolTest {
         }
     }
 
+    @Test
+    fun `cancelled sync rebuild keeps the files indexed before the cancel`() {
+        ContextDatabase.withConnection { conn ->
+            conn.createStatement().use { st ->
+                st.executeUpdate("INSERT INTO file_state (file_id, rel_path, size_bytes, mtime_ns) VALUES (1, 'old.kt', 100, 1000000)")
+            }
+        }
+        tempDir.resolve("First.kt").writeText("fun first() = Unit")
+        tempDir.resolve("Second.kt").writeText("fun second() = Unit")
+
+        // Cancel once the first file has been indexed; the second is never started
+        val cancellation = IndexingCancellation()
+        val tool = RebuildContextTool(config)
+        val result = tool.execute(
+            RebuildContextTool.Params(
+                confirm = true,
+                async = false,
+                paths = listOf(tempDir.toString()),
+                parallelism = 1
+            ),
+            onProgress = { progress -> if (progress.processedFiles > 0) cancellation.cancel() },
+            cancellation = cancellation
+        )
+
+        assertEquals("cancelled", result.status)
+        assertEquals("post-rebuild", result.phase)
+        assertEquals(2, result.totalFiles)
+        assertEquals(1, result.processedFiles)
+        assertEquals(1, result.successfulFiles!! + result.failedFiles!!)
+        assertTrue(result.message!!.startsWith("Rebuild cancelled: 1/2 files indexed"))
+
+        ContextDatabase.withConnection { conn ->
+            val rs = conn.createStatement().executeQuery("SELECT rel_path FROM file_state")
+            val indexed = buildList { while (rs.next()) add(rs.getString(1)) }
+            assertEquals(result.successfulFiles, indexed.size, "Only the file indexed before the cancel remains")
+            assertTrue("old.kt" !in indexed, "Old data should be cleared")
+        }
+    }
+
     @Test
     fun `execute with async mode returns jobId immediately`() {
         val file = tempDir.resolve("Test.kt")
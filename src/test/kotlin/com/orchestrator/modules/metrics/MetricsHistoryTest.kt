@@ -0,0 +1,79 @@
+package com.orchestrator.modules.metrics
+
+import com.orchestrator.storage.Database
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+
+class MetricsHistoryTest {
+    
+    private val base = Instant.parse("2025-01-10T10:00:00Z")
+    
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearHistory()
+    }
+    
+    @AfterEach
+    fun tearDown() {
+        clearHistory()
+    }
+    
+    private fun clearHistory() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { st -> st.executeUpdate("DELETE FROM metrics_timeseries") }
+        }
+    }
+    
+    private fun point(minute: Long, tokens: Long = 100) = MetricsHistoryPoint(
+        timestamp = base.plusSeconds(minute * 60),
+        totalTokens = tokens,
+        savings = tokens / 10,
+        successRate = 0.75,
+        avgCompletionMs = 1_500,
+        alertsBySeverity = mapOf(AlertSeverity.WARNING to 2, AlertSeverity.ERROR to 1)
+    )
+    
+    @Test
+    fun `should read back recorded points within the range`() {
+        MetricsHistory.record(point(0, tokens = 100))
+        MetricsHistory.record(point(1, tokens = 250))
+        MetricsHistory.record(point(90, tokens = 900))
+        
+        val points = MetricsHistory.query(base, base.plusSeconds(3_600))
+        
+        assertEquals(listOf(100L, 250L), points.map { it.totalTokens })
+        val first = points.first()
+        assertEquals(base, first.timestamp)
+        assertEquals(10L, first.savings)
+        assertEquals(0.75, first.successRate, 0.0001)
+        assertEquals(1_500L, first.avgCompletionMs)
+        assertEquals(2, first.alertsBySeverity[AlertSeverity.WARNING])
+        assertEquals(0, first.alertsBySeverity[AlertSeverity.CRITICAL])
+    }
+    
+    @Test
+    fun `should thin long ranges keeping the first and last points`() {
+        val thinned = MetricsHistory.thin((1..1_000).toList(), maxPoints = 10)
+        
+        assertEquals(10, thinned.size)
+        assertEquals(1, thinned.first())
+        assertEquals(1_000, thinned.last())
+        assertEquals(thinned.sorted(), thinned)
+        assertEquals(listOf(1, 2, 3), MetricsHistory.thin(listOf(1, 2, 3), maxPoints = 10))
+    }
+    
+    @Test
+    fun `should purge points older than the cutoff`() {
+        MetricsHistory.record(point(0))
+        MetricsHistory.record(point(10))
+        
+        assertEquals(1, MetricsHistory.purge(base.plusSeconds(300)))
+        
+        val remaining = MetricsHistory.query(base, base.plusSeconds(3_600))
+        assertEquals(listOf(base.plusSeconds(600)), remaining.map { it.timestamp })
+    }
+}
@@ -92,6 +92,22 @@ class PerformanceMonitorTest {
         assertEquals(0.0, PerformanceMonitor.getAgentSuccessRate(unknownAgent))
     }
     
+    @Test
+    fun `should report per-agent stats and none for unknown agents`() {
+        val taskId = TaskId("task-1")
+        val agentId = AgentId("agent-1")
+        
+        PerformanceMonitor.trackAgentResponse(taskId, agentId, Duration.ofSeconds(1), success = true)
+        PerformanceMonitor.trackAgentResponse(taskId, agentId, Duration.ofSeconds(3), success = false)
+        
+        val stats = PerformanceMonitor.getAgentStats(agentId)
+        assertNotNull(stats)
+        assertEquals(2L, stats!!.responses)
+        assertEquals(0.5, stats.successRate, 0.01)
+        assertEquals(2000L, stats.avgResponseTime.toMillis())
+        assertNull(PerformanceMonitor.getAgentStats(AgentId("unknown")))
+    }
+    
     @Test
     fun `should calculate average durations correctly`() {
         val task1 = TaskId("task-1")
@@ -0,0 +1,79 @@
+package com.orchestrator.storage.repositories
+
+import com.orchestrator.storage.Database
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import java.util.concurrent.Executors
+import java.util.concurrent.TimeUnit
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertTrue
+
+class FilterPresetRepositoryTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        Database.withConnection { conn ->
+            conn.createStatement().use { it.execute("DELETE FROM filter_presets") }
+        }
+    }
+
+    @AfterEach
+    fun tearDown() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { it.execute("DELETE FROM filter_presets") }
+        }
+    }
+
+    @Test
+    fun `saving under an existing name replaces the query`() {
+        val first = FilterPresetRepository.save("owner-a", "Open work", "status=PENDING", Instant.parse("2025-01-01T00:00:00Z"))
+        val second = FilterPresetRepository.save("owner-a", "Open work", "status=IN_PROGRESS", Instant.parse("2025-01-02T00:00:00Z"))
+
+        assertTrue(first.created)
+        assertFalse(second.created)
+        assertEquals(first.preset.id, second.preset.id)
+        val stored = FilterPresetRepository.listByOwner("owner-a")
+        assertEquals(1, stored.size)
+        assertEquals("status=IN_PROGRESS", stored.single().query)
+        assertEquals(Instant.parse("2025-01-01T00:00:00Z"), stored.single().createdAt)
+        assertEquals(Instant.parse("2025-01-02T00:00:00Z"), stored.single().updatedAt)
+    }
+
+    @Test
+    fun `concurrent saves of one name leave a single preset`() {
+        val pool = Executors.newFixedThreadPool(4)
+        try {
+            val saves = (1..8).map { n ->
+                pool.submit<FilterPresetRepository.SaveResult> {
+                    FilterPresetRepository.save("owner-a", "Race", "status=PENDING&n=$n")
+                }
+            }
+            val results = saves.map { it.get(30, TimeUnit.SECONDS) }
+            val ids = results.map { it.preset.id }.toSet()
+
+            assertEquals(1, ids.size)
+            assertEquals(1, results.count { it.created })
+            assertEquals(ids.single(), FilterPresetRepository.listByOwner("owner-a").single().id)
+        } finally {
+            pool.shutdownNow()
+        }
+    }
+
+    @Test
+    fun `presets are listed and deleted per owner`() {
+        FilterPresetRepository.save("owner-a", "reviews", "type=REVIEW")
+        val mine = FilterPresetRepository.save("owner-a", "Bugs", "type=BUGFIX").preset
+        val theirs = FilterPresetRepository.save("owner-b", "Bugs", "type=BUGFIX&status=PENDING").preset
+
+        assertEquals(listOf("Bugs", "reviews"), FilterPresetRepository.listByOwner("owner-a").map { it.name })
+        assertEquals(listOf(theirs.id), FilterPresetRepository.listByOwner("owner-b").map { it.id })
+
+        assertFalse(FilterPresetRepository.delete("owner-b", mine.id))
+        assertTrue(FilterPresetRepository.delete("owner-a", mine.id))
+        assertEquals(listOf("reviews"), FilterPresetRepository.listByOwner("owner-a").map { it.name })
+    }
+}
@@ -19,6 +19,7 @@ class TaskRepositoryTest {
                 st.executeUpdate("DELETE FROM proposals")
                 st.executeUpdate("DELETE FROM metrics_timeseries")
                 st.executeUpdate("DELETE FROM tasks")
+                st.executeUpdate("DELETE FROM deleted_tasks")
             }
         }
     }
@@ -115,6 +116,68 @@ class TaskRepositoryTest {
         TaskRepository.delete(t.id)
     }
 
+    @Test
+    fun testSoftDeleteAndRestore() {
+        val t = sampleTask("sd-1")
+        TaskRepository.insert(t)
+
+        assertTrue(TaskRepository.softDelete(t.id))
+        assertNull(TaskRepository.findById(t.id))
+        assertTrue(TaskRepository.isDeleted(t.id))
+        assertFalse(TaskRepository.softDelete(t.id))
+
+        assertTrue(TaskRepository.restore(t.id))
+        assertFalse(TaskRepository.isDeleted(t.id))
+        val restored = TaskRepository.findById(t.id)
+        assertNotNull(restored)
+        assertEquals(t.title, restored.title)
+        assertEquals(t.assigneeIds, restored.assigneeIds)
+        assertEquals(t.metadata, restored.metadata)
+
+        // A live task with the same ID blocks the restore
+        TaskRepository.softDelete(t.id)
+        TaskRepository.insert(sampleTask("sd-1"))
+        assertFalse(TaskRepository.restore(t.id))
+        assertTrue(TaskRepository.isDeleted(t.id))
+    }
+
+    @Test
+    fun testQueryFiltersSortsAndPagesInSql() {
+        val base = Instant.parse("2025-01-10T10:00:00Z")
+        TaskRepository.insert(sampleTask("q-1").copy(title = "Fix login", status = TaskStatus.IN_PROGRESS, risk = 8, createdAt = base))
+        TaskRepository.insert(sampleTask("q-2").copy(title = "Login audit", status = TaskStatus.PENDING, risk = 3, createdAt = base.plusSeconds(60)))
+        TaskRepository.insert(sampleTask("q-3").copy(title = "Refactor login", status = TaskStatus.COMPLETED, risk = 6, createdAt = base.plusSeconds(120), dueAt = null))
+        TaskRepository.insert(sampleTask("q-4").copy(title = "Docs", status = TaskStatus.PENDING, createdAt = base.plusSeconds(180)))
+
+        val login = TaskRepository.Criteria(search = "LOGIN")
+        val (byStatus, total) = TaskRepository.query(login, TaskRepository.SortKey.STATUS, ascending = true, limit = 2, offset = 0)
+        assertEquals(3, total)
+        // Declaration order: PENDING, IN_PROGRESS, ..., COMPLETED
+        assertEquals(listOf("q-2", "q-1"), byStatus.map { it.id.value })
+        val (lastPage, _) = TaskRepository.query(login, TaskRepository.SortKey.STATUS, ascending = true, limit = 2, offset = 2)
+        assertEquals(listOf("q-3"), lastPage.map { it.id.value })
+
+        val (risky, riskyTotal) = TaskRepository.query(
+            login.copy(risk = 5..10, statuses = setOf(TaskStatus.IN_PROGRESS, TaskStatus.COMPLETED)),
+            TaskRepository.SortKey.RISK,
+            ascending = false,
+            limit = 10,
+            offset = 0
+        )
+        assertEquals(2, riskyTotal)
+        assertEquals(listOf("q-1", "q-3"), risky.map { it.id.value })
+
+        // Tasks without a due date never match a due bound; no sort means newest first
+        val (due, _) = TaskRepository.query(
+            TaskRepository.Criteria(dueAfter = base.minusSeconds(3600 * 24 * 365)),
+            sort = null,
+            ascending = false,
+            limit = 10,
+            offset = 0
+        )
+        assertEquals(listOf("q-4", "q-2", "q-1"), due.map { it.id.value })
+    }
+
     private fun sampleTask(id: String): Task {
         val now = Instant.now()
         return Task(
@@ -0,0 +1,126 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.context.search.MmrReranker
+import com.orchestrator.context.search.ScoreBooster
+import com.orchestrator.mcp.tools.QueryContextTool
+import org.junit.jupiter.api.Test
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+
+class ContextSearchTest {
+
+    private fun hit(chunkId: Long, path: String, score: Double) = QueryContextTool.SnippetHit(
+        chunkId = chunkId,
+        score = score,
+        filePath = path,
+        label = null,
+        kind = "CODE_METHOD",
+        text = "fun <T> run() = 1",
+        language = "kotlin",
+        startLine = 10,
+        endLine = 12,
+        metadata = mapOf("sources" to "semantic")
+    )
+
+    @Test
+    fun `renders ranked hits with score, provider, lines and file link`() {
+        val run = ContextSearch.Run(
+            label = "Results",
+            providers = emptyList(),
+            result = QueryContextTool.Result(
+                hits = listOf(hit(1, "src/main/App.kt", 0.91234)),
+                metadata = mapOf(
+                    "totalHits" to 3,
+                    "tokensUsed" to 42,
+                    "providers" to mapOf("semantic" to mapOf("snippets" to 3, "durationMs" to 7L))
+                )
+            )
+        )
+
+        val html = ContextSearch.renderResults(listOf(run))
+
+        assertContains(html, "#1")
+        assertContains(html, "0.912")
+        assertContains(html, "semantic: 3 snippet(s) in 7 ms")
+        assertContains(html, "L10–12")
+        assertContains(html, "data-modal-link=\"/files/src%2Fmain%2FApp.kt/detail\"")
+        assertContains(html, "href=\"#file=src%2Fmain%2FApp.kt\"")
+        assertContains(html, "data-language=\"kotlin\"")
+        assertContains(html, "fun &lt;T&gt; run()")
+        assertContains(html, "Configured providers")
+        assertFalse(html.contains("search-hit--only"))
+    }
+
+    @Test
+    fun `comparison marks hits only one provider set found`() {
+        val a = ContextSearch.Run(
+            label = "Provider set A",
+            providers = listOf("semantic"),
+            result = QueryContextTool.Result(listOf(hit(1, "a.kt", 0.9), hit(2, "b.kt", 0.8)), emptyMap())
+        )
+        val b = ContextSearch.Run(
+            label = "Provider set B",
+            providers = listOf("full_text"),
+            result = QueryContextTool.Result(listOf(hit(2, "b.kt", 0.7)), emptyMap())
+        )
+
+        val html = ContextSearch.renderResults(listOf(a, b))
+
+        assertContains(html, "context-search__results--compare")
+        assertEquals(1, Regex("search-hit search-hit--only").findAll(html).count())
+        assertContains(html, "<li class=\"search-hit search-hit--only\" data-chunk-id=\"1\"")
+    }
+
+    @Test
+    fun `explained hits show a score waterfall`() {
+        val explained = hit(1, "src/main/App.kt", 0.72).copy(
+            explanation = QueryContextTool.ScoreExplanation(
+                providerScore = 0.5,
+                providers = listOf("semantic"),
+                boosts = ScoreBooster.Boosts(pathPrefix = "src/main", pathBoost = 1.2, languageBoost = 1.2),
+                boostedScore = 0.72,
+                candidateRank = 2,
+                mmr = MmrReranker.Adjustment(maxSimilarity = 0.8, penalty = 0.4, mmrScore = -0.04),
+                neighborOf = null,
+                finalScore = 0.72
+            )
+        )
+        val run = ContextSearch.Run(
+            label = "Results",
+            providers = emptyList(),
+            result = QueryContextTool.Result(
+                hits = listOf(explained),
+                metadata = mapOf(
+                    "scoring" to mapOf(
+                        "minScoreThreshold" to 0.3,
+                        "mmrEnabled" to true,
+                        "mmrLambda" to 0.5,
+                        "neighborWindow" to 1
+                    )
+                )
+            )
+        )
+
+        val html = ContextSearch.renderResults(listOf(run))
+
+        assertContains(html, "Score breakdown")
+        assertContains(html, "MMR λ 0.5")
+        assertContains(html, "Path boost ×1.20")
+        assertContains(html, "Language boost ×1.20")
+        assertContains(html, "+0.100")
+        assertContains(html, "Candidate #2")
+        assertContains(html, "−0.400")
+        assertContains(html, "--score: 72%")
+        assertFalse(html.contains("No boosts matched"))
+    }
+
+    @Test
+    fun `shows the error of a failed run`() {
+        val html = ContextSearch.renderResults(
+            listOf(ContextSearch.Run("Results", listOf("semantic"), result = null, error = "index locked"))
+        )
+
+        assertContains(html, "Search failed: index locked")
+    }
+}
@@ -0,0 +1,85 @@
+package com.orchestrator.web.components
+
+import org.junit.jupiter.api.DisplayName
+import org.junit.jupiter.api.Test
+import kotlin.test.assertContains
+import kotlin.test.assertFalse
+
+@DisplayName("FileDetail Component Tests")
+class FileDetailTest {
+
+    private val chunks = listOf(
+        FileDetail.ChunkInfo(
+            id = 11, ordinal = 0, kind = "CODE_FUNCTION", startLine = 1, endLine = 2,
+            tokenCount = 10, content = "fun a() {\n}", summary = null
+        ),
+        FileDetail.ChunkInfo(
+            id = 12, ordinal = 1, kind = "CODE_FUNCTION", startLine = 3, endLine = 3,
+            tokenCount = 5, content = "fun b() = 1", summary = null
+        )
+    )
+
+    private fun model(source: FileDetail.Source?) = FileDetail.Model(
+        path = "src/Example.kt",
+        status = "indexed",
+        sizeBytes = 64,
+        lastModified = null,
+        language = "kotlin",
+        extension = "kt",
+        contentHash = "abc",
+        chunks = chunks,
+        totalChunks = chunks.size,
+        source = source
+    )
+
+    @Test
+    @DisplayName("renders the source beside the chunks with coloured gutter lines")
+    fun testSplitView() {
+        val html = FileDetail.render(FileDetail.Config(model(
+            FileDetail.Source.Shown(
+                lines = listOf("fun a() {", "}", "fun b() = 1"),
+                language = "kotlin",
+                chunkerId = "kotlin"
+            )
+        )))
+
+        assertContains(html, "data-chunk-explorer")
+        assertContains(html, """data-chunk-id="11" data-start-line="1" data-end-line="2"""")
+        assertContains(html, """class="file-source__ln chunk-tone-0" data-line="2" data-chunk-id="11"""")
+        assertContains(html, """class="file-source__ln chunk-tone-1" data-line="3" data-chunk-id="12"""")
+        assertContains(html, "data-highlight")
+        assertContains(html, "/static/js/chunk-explorer.js")
+        assertContains(html, "match what the kotlin chunker produces now")
+        assertFalse(html.contains("file-detail__chunk-content"), "split view shows the lines instead of previews")
+    }
+
+    @Test
+    @DisplayName("flags chunks the current chunker would split differently")
+    fun testDriftedChunks() {
+        val html = FileDetail.render(FileDetail.Config(model(
+            FileDetail.Source.Shown(
+                lines = listOf("fun a() {", "}", "fun b() = 1"),
+                language = "kotlin",
+                chunkerId = "kotlin",
+                driftedChunkIds = setOf(12)
+            )
+        )))
+
+        assertContains(html, "1 of 2 chunks would be split differently by the kotlin chunker")
+        assertContains(html, "file-detail__chunk-item is-drifted")
+        assertContains(html, "chunk-tone-1 is-drifted")
+        assertContains(html, "Would re-chunk")
+    }
+
+    @Test
+    @DisplayName("falls back to chunk previews when the source cannot be shown")
+    fun testUnavailableSource() {
+        val html = FileDetail.render(FileDetail.Config(model(
+            FileDetail.Source.Unavailable("The file is too large to show (over 512 KB).")
+        )))
+
+        assertContains(html, "The file is too large to show")
+        assertContains(html, "file-detail__chunk-content")
+        assertFalse(html.contains("data-chunk-explorer"))
+    }
+}
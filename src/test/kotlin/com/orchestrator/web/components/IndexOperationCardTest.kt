@@ -0,0 +1,76 @@
+package com.orchestrator.web.components
+
+import com.orchestrator.web.services.IndexFailure
+import com.orchestrator.web.services.IndexOperationSnapshot
+import java.time.Instant
+import java.util.Locale
+import org.junit.jupiter.api.DisplayName
+import org.junit.jupiter.api.Test
+import kotlin.test.assertContains
+import kotlin.test.assertFalse
+
+@DisplayName("IndexOperationCard Component Tests")
+class IndexOperationCardTest {
+
+    private val startedAt = Instant.parse("2025-01-01T12:00:00Z")
+
+    private val running = IndexOperationSnapshot(
+        operationId = "refresh-1",
+        title = "Context Refresh",
+        percentage = 40,
+        processed = 40,
+        total = 100,
+        message = "Indexing src/App.kt",
+        startedAt = startedAt,
+        updatedAt = startedAt.plusSeconds(20),
+        estimatedRemainingMs = 30_000,
+        filesPerSecond = 2.0,
+        failures = listOf(IndexFailure("src/Broken.kt", "parse error")),
+        cancellable = true
+    )
+
+    @Test
+    @DisplayName("shows throughput, time left, failed files and a cancel button while running")
+    fun testRunningCard() {
+        val html = IndexOperationCard.render(running, Locale.US)
+
+        assertContains(html, """id="index-op-refresh-1"""")
+        assertContains(html, """data-operation-id="refresh-1"""")
+        assertContains(html, "40 of 100 items processed")
+        assertContains(html, "2.0 files/s · about 30s left")
+        assertContains(html, "1 failed file")
+        assertContains(html, "src/Broken.kt")
+        assertContains(html, """data-cancel-endpoint="/index/operations/refresh-1/cancel"""")
+        assertFalse(html.contains("data-outcome"))
+    }
+
+    @Test
+    @DisplayName("disables the cancel button once a cancel is requested")
+    fun testCancelRequested() {
+        val html = IndexOperationCard.render(running.copy(cancelRequested = true), Locale.US)
+
+        assertContains(html, "disabled")
+        assertContains(html, "Cancelling…")
+    }
+
+    @Test
+    @DisplayName("renders a finished operation with its outcome and without a cancel button")
+    fun testFinishedCard() {
+        val html = IndexOperationCard.render(
+            running.copy(
+                percentage = 100,
+                outcome = IndexOperationSnapshot.Outcome.CANCELLED,
+                cancellable = false,
+                updatedAt = startedAt.plusSeconds(185)
+            ),
+            Locale.US
+        )
+
+        assertContains(html, """data-outcome="cancelled"""")
+        assertContains(html, "index-op-card--cancelled")
+        assertContains(html, "took 3m 05s")
+        assertFalse(html.contains("about 30s left"))
+        assertFalse(html.contains("data-cancel-operation"))
+        assertFalse(html.contains("<progress"))
+    }
+}
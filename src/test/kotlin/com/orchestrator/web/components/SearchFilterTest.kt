@@ -61,4 +61,35 @@ class SearchFilterTest {
         assertTrue(html.contains("selected=\"selected\""))
         assertTrue(html.contains("data-filter-target=\"#task-filter-form\""))
     }
+
+    @Test
+    fun `renders saved presets and script-driven multi-select form`() {
+        val config = SearchFilter.Config(
+            statuses = listOf(
+                SearchFilter.Option("PENDING", "Pending", selected = true),
+                SearchFilter.Option("FAILED", "Failed", selected = true)
+            ),
+            includeDueRange = true,
+            dueToDate = "2025-03-01",
+            multiSelect = true,
+            savedPresets = listOf(SearchFilter.SavedPreset("p-1", "Stuck", "status=PENDING&status=FAILED")),
+            presetsEndpoint = "/tasks/presets",
+            syncUrl = true,
+            fieldNames = SearchFilter.FieldNames(query = "search", dueTo = "dueBefore"),
+            hxEndpoint = null
+        )
+
+        val html = SearchFilter.render(config)
+
+        assertTrue(!html.contains("hx-get"))
+        assertTrue(html.contains("name=\"search\""))
+        assertTrue(html.contains("multiple=\"multiple\""))
+        assertTrue(html.contains("name=\"dueBefore\""))
+        assertTrue(html.contains("value=\"2025-03-01\""))
+        assertTrue(html.contains("data-filter-sync-url=\"true\""))
+        assertTrue(html.contains("data-filter-presets-endpoint=\"/tasks/presets\""))
+        assertTrue(html.contains("data-preset-params=\"status=PENDING&amp;status=FAILED\""))
+        assertTrue(html.contains("data-filter-preset-delete=\"p-1\""))
+        assertTrue(html.contains("data-filter-save=\"true\""))
+    }
 }
@@ -59,4 +59,32 @@ class TaskDetailTest {
         assertTrue(html.contains("proposal-1"))
         assertTrue(html.contains("hx-delete=\"/tasks/DASH-020\""))
     }
+
+    @Test
+    fun `task detail links dependencies and proposals to stacked modals`() {
+        val model = TaskDetail.Model(
+            id = "DASH-021",
+            title = "Linked task",
+            status = TaskRow.Status(label = "Pending", tone = Tone.INFO),
+            type = TaskRow.Type(label = "Implementation"),
+            description = null,
+            metadata = emptyMap(),
+            complexity = 3,
+            risk = 2,
+            proposals = listOf(
+                TaskDetail.Proposal(agentId = "agent-1", content = "Plan", confidence = 0.7, id = "P-1")
+            ),
+            decision = TaskDetail.Decision(rationale = "Best plan", winnerProposalId = "P-1"),
+            dependencies = listOf("DASH-019"),
+            createdAt = Instant.parse("2025-10-19T10:00:00Z"),
+            updatedAt = Instant.parse("2025-10-19T11:00:00Z")
+        )
+
+        val html = TaskDetail.render(model)
+
+        assertTrue(html.contains("href=\"#task=DASH-019\""))
+        assertTrue(html.contains("data-modal-link=\"/tasks/DASH-019/modal\""))
+        assertTrue(html.contains("data-modal-link=\"/proposals/P-1/modal\""))
+        assertTrue(html.contains("href=\"#proposal=P-1\""))
+    }
 }
@@ -0,0 +1,125 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.config.ConfigLoader
+import com.orchestrator.core.AgentRegistry
+import com.orchestrator.domain.AgentConfig
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.AgentStatus
+import com.orchestrator.domain.AgentType
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.domain.TaskType
+import com.orchestrator.modules.metrics.PerformanceMonitor
+import com.orchestrator.modules.metrics.TokenRecord
+import com.orchestrator.modules.metrics.TokenTracker
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.AgentRegistryKey
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Duration
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+
+class AgentRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearState()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearState()
+    }
+
+    private fun clearState() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+        PerformanceMonitor.reset()
+        TokenTracker.reset()
+    }
+
+    private fun registry(): AgentRegistry = AgentRegistry.build(
+        listOf(
+            ConfigLoader.AgentDefinition(AgentId("alpha"), AgentType.GPT, AgentConfig(name = "Alpha", model = "gpt-4o")),
+            ConfigLoader.AgentDefinition(AgentId("bravo"), AgentType.CLAUDE_CODE, AgentConfig(name = "Bravo", model = "claude-3.5-sonnet"))
+        )
+    )
+
+    private fun seedTask(id: String, agent: String, status: TaskStatus = TaskStatus.PENDING) {
+        TaskRepository.insert(
+            Task(
+                id = TaskId(id),
+                title = "Task $id",
+                type = TaskType.IMPLEMENTATION,
+                status = status,
+                routing = RoutingStrategy.SOLO,
+                assigneeIds = setOf(AgentId(agent)),
+                createdAt = Instant.parse("2025-01-10T10:00:00Z")
+            )
+        )
+    }
+
+    @Test
+    fun `GET agents shows each agent's workload, stats and tasks link`() = testApplication {
+        val agents = registry()
+        application {
+            attributes.put(AgentRegistryKey, agents)
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        agents.updateStatus(AgentId("bravo"), AgentStatus.OFFLINE)
+        seedTask("TASK-A1", agent = "alpha", status = TaskStatus.IN_PROGRESS)
+        seedTask("TASK-A2", agent = "alpha", status = TaskStatus.COMPLETED)
+        PerformanceMonitor.trackAgentResponse(TaskId("TASK-A1"), AgentId("alpha"), Duration.ofMillis(400), success = true)
+        PerformanceMonitor.trackAgentResponse(TaskId("TASK-A1"), AgentId("alpha"), Duration.ofMillis(600), success = false)
+        TokenTracker.track(TokenRecord(TaskId("TASK-A1"), AgentId("alpha"), 1_000, 234))
+
+        val response = client.get("/agents")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+
+        assertContains(html, "data-agent-roster")
+        assertContains(html, "href=\"/tasks?assigneeIds=alpha&amp;layout=list\"")
+        assertContains(html, "#task=TASK-A1")
+        assertFalse(html.contains("#task=TASK-A2"), "Completed tasks are not open")
+        assertContains(html, "50%")
+        assertContains(html, "500 ms")
+        assertContains(html, "1,234")
+        assertContains(html, "agent-card__status--offline")
+        assertContains(html, "/static/js/agent-roster.js")
+    }
+
+    @Test
+    fun `GET agents roster returns the fragment and an empty state`() = testApplication {
+        application {
+            attributes.put(AgentRegistryKey, AgentRegistry.empty())
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val html = client.get("/agents/roster").bodyAsText()
+
+        assertContains(html, "id=\"agent-roster\"")
+        assertContains(html, "No agents are configured")
+        assertFalse(html.contains("<html"))
+    }
+}
@@ -0,0 +1,173 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.DecisionRepository
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+
+class ConsensusRoutesTest {
+
+    private val taskId = TaskId("TASK-C1")
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM decisions")
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    private fun seedRound() {
+        TaskRepository.insert(
+            Task(
+                id = taskId,
+                title = "Pick a cache",
+                type = TaskType.ARCHITECTURE,
+                routing = RoutingStrategy.CONSENSUS,
+                createdAt = Instant.parse("2025-01-10T10:00:00Z")
+            )
+        )
+        ProposalRepository.insert(
+            Proposal(
+                id = ProposalId("PROP-A"),
+                taskId = taskId,
+                agentId = AgentId("agent-a"),
+                inputType = InputType.ARCHITECTURAL_PLAN,
+                content = mapOf("summary" to "Use an LRU cache", "ttl" to 60),
+                confidence = 0.8,
+                tokenUsage = TokenUsage(inputTokens = 100, outputTokens = 50),
+                createdAt = Instant.parse("2025-01-10T10:01:00Z")
+            )
+        )
+        ProposalRepository.insert(
+            Proposal(
+                id = ProposalId("PROP-B"),
+                taskId = taskId,
+                agentId = AgentId("agent-b"),
+                inputType = InputType.ARCHITECTURAL_PLAN,
+                content = mapOf("summary" to "Use a write-through cache", "ttl" to 60),
+                confidence = 0.6,
+                tokenUsage = TokenUsage(inputTokens = 80, outputTokens = 40),
+                createdAt = Instant.parse("2025-01-10T10:02:00Z")
+            )
+        )
+    }
+
+    @Test
+    fun `GET consensus renders proposals, strategy scores and a pending timeline`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedRound()
+
+        val response = client.get("/tasks/TASK-C1/consensus")
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "data-consensus-viewer=\"TASK-C1\"")
+        assertContains(html, "data-proposal-id=\"PROP-A\"")
+        assertContains(html, "data-proposal-id=\"PROP-B\"")
+        assertContains(html, "Live: 2 proposal(s), awaiting decision")
+        assertContains(html, "consensus-diff__row--changed")
+        assertContains(html, "Voting")
+        assertContains(html, "Reasoning quality")
+        assertContains(html, "Token optimization")
+        assertContains(html, "1/2 votes for this option")
+        assertContains(html, "Awaiting decision")
+    }
+
+    @Test
+    fun `GET consensus draws the decision strategy trail`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedRound()
+        DecisionRepository.insert(
+            Decision(
+                id = DecisionId("DEC-1"),
+                taskId = taskId,
+                considered = listOf(
+                    ProposalRef(ProposalId("PROP-A"), AgentId("agent-a"), InputType.ARCHITECTURAL_PLAN, 0.8, TokenUsage(100, 50)),
+                    ProposalRef(ProposalId("PROP-B"), AgentId("agent-b"), InputType.ARCHITECTURAL_PLAN, 0.6, TokenUsage(80, 40))
+                ),
+                selected = setOf(ProposalId("PROP-A")),
+                winnerProposalId = ProposalId("PROP-A"),
+                rationale = "Best reasoning",
+                decidedAt = Instant.parse("2025-01-10T10:05:00Z"),
+                metadata = mapOf("strategyTrail" to "VOTING,REASONING_QUALITY")
+            )
+        )
+
+        val html = client.get("/tasks/TASK-C1/consensus").bodyAsText()
+
+        assertContains(html, "consensus-viewer__state--decided")
+        assertContains(html, "consensus-proposal--winner")
+        assertContains(html, "No agreement, moved on")
+        assertContains(html, "Agreed on agent-a")
+        assertContains(html, "Decision recorded")
+        assertFalse(html.contains("Awaiting decision"))
+    }
+
+    @Test
+    fun `GET consensus diff compares the chosen proposals`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedRound()
+
+        val response = client.get("/tasks/TASK-C1/consensus/diff?left=PROP-B&right=PROP-A")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "id=\"consensus-diff-TASK-C1\"")
+        assertContains(html, "1 of 4 lines differ.")
+
+        val invalid = client.get("/tasks/TASK-C1/consensus/diff?left=PROP-A&right=PROP-X")
+        assertEquals(HttpStatusCode.BadRequest, invalid.status)
+    }
+
+    @Test
+    fun `task modal shows the viewer for consensus tasks`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedRound()
+
+        val html = client.get("/tasks/TASK-C1/modal").bodyAsText()
+
+        assertContains(html, "data-consensus-viewer=\"TASK-C1\"")
+        assertContains(html, "data-refresh-url=\"/tasks/TASK-C1/consensus\"")
+    }
+}
@@ -0,0 +1,134 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.storage.Database
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.delete
+import io.ktor.client.request.forms.submitForm
+import io.ktor.client.request.get
+import io.ktor.client.request.header
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpHeaders
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.jsonArray
+import kotlinx.serialization.json.jsonObject
+import kotlinx.serialization.json.jsonPrimitive
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertTrue
+
+class FilterPresetRoutesTest {
+
+    private val ownerCookie = "$FILTER_PRESET_OWNER_COOKIE=owner-test-1"
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        Database.withConnection { conn ->
+            conn.createStatement().use { it.execute("DELETE FROM filter_presets") }
+        }
+    }
+
+    @AfterEach
+    fun tearDown() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { it.execute("DELETE FROM filter_presets") }
+        }
+    }
+
+    @Test
+    fun `POST tasks presets stores normalised filters for the caller`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val created = client.submitForm(
+            url = "/tasks/presets",
+            formParameters = parameters {
+                append("name", "My reviews")
+                append("search", "")
+                append("type", "review")
+                append("status", "IN_PROGRESS")
+                append("status", "PENDING")
+                append("dueBefore", "2025-02-28")
+            }
+        ) {
+            header(HttpHeaders.Cookie, ownerCookie)
+        }
+
+        assertEquals(HttpStatusCode.Created, created.status)
+        val preset = Json.parseToJsonElement(created.bodyAsText()).jsonObject
+        assertEquals("My reviews", preset.getValue("name").jsonPrimitive.content)
+        assertEquals(
+            "status=PENDING&status=IN_PROGRESS&type=REVIEW&dueBefore=2025-02-28T23%3A59%3A59.999Z",
+            preset.getValue("query").jsonPrimitive.content
+        )
+
+        val listed = client.get("/tasks/presets") { header(HttpHeaders.Cookie, ownerCookie) }
+        val names = Json.parseToJsonElement(listed.bodyAsText()).jsonArray
+            .map { it.jsonObject.getValue("name").jsonPrimitive.content }
+        assertEquals(listOf("My reviews"), names)
+
+        val otherOwner = client.get("/tasks/presets")
+        assertEquals("[]", otherOwner.bodyAsText())
+        assertContains(otherOwner.headers[HttpHeaders.SetCookie] ?: "", FILTER_PRESET_OWNER_COOKIE)
+
+        val page = client.get("/tasks") { header(HttpHeaders.Cookie, ownerCookie) }.bodyAsText()
+        assertContains(page, "data-filter-preset=\"My reviews\"")
+        assertContains(page, "data-filter-sync-url=\"true\"")
+    }
+
+    @Test
+    fun `POST tasks presets rejects a missing name`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.submitForm(
+            url = "/tasks/presets",
+            formParameters = parameters { append("status", "PENDING") }
+        )
+
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+
+    @Test
+    fun `DELETE tasks presets only removes the caller's preset`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val created = client.submitForm(
+            url = "/tasks/presets",
+            formParameters = parameters {
+                append("name", "Pending")
+                append("status", "PENDING")
+            }
+        ) {
+            header(HttpHeaders.Cookie, ownerCookie)
+        }
+        val id = Json.parseToJsonElement(created.bodyAsText()).jsonObject.getValue("id").jsonPrimitive.content
+
+        val foreign = client.delete("/tasks/presets/$id") {
+            header(HttpHeaders.Cookie, "$FILTER_PRESET_OWNER_COOKIE=owner-test-2")
+        }
+        assertEquals(HttpStatusCode.NotFound, foreign.status)
+
+        val own = client.delete("/tasks/presets/$id") { header(HttpHeaders.Cookie, ownerCookie) }
+        assertEquals(HttpStatusCode.NoContent, own.status)
+
+        val remaining = client.get("/tasks/presets") { header(HttpHeaders.Cookie, ownerCookie) }
+        assertTrue(Json.parseToJsonElement(remaining.bodyAsText()).jsonArray.isEmpty())
+    }
+}
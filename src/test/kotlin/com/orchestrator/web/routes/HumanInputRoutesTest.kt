@@ -0,0 +1,179 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.MessageRepository
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.forms.submitForm
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertTrue
+
+class HumanInputRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM conversation_messages")
+                stmt.execute("DELETE FROM decisions")
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    private fun seedTask(id: String, status: TaskStatus, routing: RoutingStrategy = RoutingStrategy.CONSENSUS) {
+        TaskRepository.insert(
+            Task(
+                id = TaskId(id),
+                title = "Task $id",
+                type = TaskType.ARCHITECTURE,
+                status = status,
+                routing = routing,
+                createdAt = Instant.parse("2025-01-10T10:00:00Z")
+            )
+        )
+    }
+
+    @Test
+    fun `GET respond lists the tasks waiting on input and the form`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-H1", TaskStatus.WAITING_INPUT)
+        seedTask("TASK-H2", TaskStatus.WAITING_INPUT)
+        seedTask("TASK-H3", TaskStatus.COMPLETED)
+
+        val html = client.get("/tasks/TASK-H1/respond").bodyAsText()
+
+        assertContains(html, "id=\"human-input-TASK-H1\"")
+        assertContains(html, "Waiting on input (2)")
+        assertContains(html, "(this task)")
+        assertContains(html, "#task=TASK-H2")
+        assertContains(html, "hx-post=\"/tasks/TASK-H1/respond\"")
+
+        val closed = client.get("/tasks/TASK-H3/respond").bodyAsText()
+        assertContains(closed, "no longer takes input")
+        assertFalse(closed.contains("hx-post="))
+    }
+
+    @Test
+    fun `POST respond records the directive as a proposal and in the history`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-H1", TaskStatus.WAITING_INPUT)
+        ProposalRepository.insert(
+            Proposal(
+                id = ProposalId("PROP-H"),
+                taskId = TaskId("TASK-H1"),
+                agentId = AgentId("agent-a"),
+                inputType = InputType.ARCHITECTURAL_PLAN,
+                content = "Use a queue",
+                confidence = 0.7,
+                createdAt = Instant.parse("2025-01-10T10:01:00Z")
+            )
+        )
+
+        val response = client.submitForm(
+            url = "/tasks/TASK-H1/respond",
+            formParameters = parameters {
+                append("kind", "DIRECTIVE")
+                append("text", "We need consensus on this change")
+                append("proposalRef", "PROP-H")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertEquals("#task-detail-TASK-H1", response.headers["HX-Retarget"])
+        assertEquals("navBadgesChanged", response.headers["HX-Trigger"])
+
+        assertEquals(TaskStatus.IN_PROGRESS, TaskRepository.findById(TaskId("TASK-H1"))?.status)
+        val human = ProposalRepository.findByTask(TaskId("TASK-H1")).single { it.agentId.value == "human" }
+        assertEquals("dashboard", human.metadata["source"])
+
+        val messages = MessageRepository.listByTask(TaskId("TASK-H1"))
+        assertEquals(1, messages.size)
+        assertEquals("We need consensus on this change", messages.single().content)
+
+        val panel = client.get("/tasks/TASK-H1/respond").bodyAsText()
+        assertContains(panel, "We need consensus on this change")
+        assertContains(panel, "Refers to PROP-H")
+        assertContains(panel, "Recorded as ${human.id.value}")
+        assertContains(panel, "human-input__tag--directive")
+    }
+
+    @Test
+    fun `POST respond rejects invalid input with inline errors`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-H1", TaskStatus.PENDING)
+
+        val response = client.submitForm(
+            url = "/tasks/TASK-H1/respond",
+            formParameters = parameters {
+                append("kind", "DIRECTIVE")
+                append("text", " ")
+                append("proposalRef", "PROP-OTHER")
+            }
+        )
+
+        assertEquals(HttpStatusCode.UnprocessableEntity, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "Directives need a running task")
+        assertContains(html, "Write a message")
+        assertContains(html, "Not a proposal of this task: PROP-OTHER")
+        assertTrue(ProposalRepository.findByTask(TaskId("TASK-H1")).isEmpty())
+        assertEquals(TaskStatus.PENDING, TaskRepository.findById(TaskId("TASK-H1"))?.status)
+    }
+
+    @Test
+    fun `GET waiting badge counts the tasks blocked on a human`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val empty = client.get("/tasks/waiting/badge").bodyAsText()
+        assertContains(empty, "hidden")
+
+        seedTask("TASK-H1", TaskStatus.WAITING_INPUT)
+        seedTask("TASK-H2", TaskStatus.WAITING_INPUT)
+        seedTask("TASK-H3", TaskStatus.IN_PROGRESS)
+
+        val html = client.get("/tasks/waiting/badge").bodyAsText()
+        assertContains(html, "class=\"nav-link__badge\"")
+        assertContains(html, "2 tasks waiting for input")
+        assertContains(html, ">2</span>")
+    }
+}
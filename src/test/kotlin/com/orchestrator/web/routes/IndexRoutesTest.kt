@@ -10,13 +10,18 @@ import com.orchestrator.modules.context.ContextModule
 import com.orchestrator.web.WebServerConfig
 import com.orchestrator.web.plugins.ApplicationConfigKey
 import com.orchestrator.web.plugins.configureRouting
+import com.orchestrator.web.services.FileIndexAction
 import com.orchestrator.web.services.FilesystemIndexSnapshot
+import com.orchestrator.web.services.IndexOperationSnapshot
 import com.orchestrator.web.services.IndexOperationsService
 import com.orchestrator.web.services.OperationTriggerResult
+import io.ktor.client.request.forms.submitForm
 import io.ktor.client.request.get
 import io.ktor.client.request.post
 import io.ktor.client.statement.bodyAsText
 import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.Application
 import io.ktor.server.testing.testApplication
 import io.ktor.server.application.install
 import io.ktor.server.sse.SSE
@@ -215,6 +220,136 @@ class IndexRoutesTest {
         val response = client.post("/index/rebuild")
         assertEquals(HttpStatusCode.NoContent, response.status)
         assertEquals(1, stubOperations.rebuildCalls.get())
+        assertEquals("rebuild-stub", response.headers["X-Index-Operation"])
+    }
+
+    @Test
+    fun `GET index renders selective actions form`() = testApplication {
+        application { configureStubbedApp() }
+
+        val body = client.get("/index").bodyAsText()
+
+        assertTrue(body.contains("data-index-action-form"), "missing selective actions form")
+        assertTrue(body.contains("name=\"path\""), "missing path field")
+        assertTrue(body.contains("data-testid=\"file-action-reindex\""), "missing re-index button")
+        assertTrue(body.contains("data-action-endpoint=\"/index/files\""), "missing selective endpoint")
+    }
+
+    @Test
+    fun `POST index files starts a selective action`() = testApplication {
+        application { configureStubbedApp() }
+
+        val response = client.submitForm(
+            url = "/index/files",
+            formParameters = parameters {
+                append("action", "purge")
+                append("path", "src/app/Indexed.kt")
+                append("path", "src/lib/")
+            }
+        )
+
+        assertEquals(HttpStatusCode.Accepted, response.status)
+        assertEquals("purge-stub", response.headers["X-Index-Operation"])
+        assertEquals(
+            listOf(FileIndexAction.PURGE_EMBEDDINGS to listOf("src/app/Indexed.kt", "src/lib/")),
+            stubOperations.fileActions
+        )
+    }
+
+    @Test
+    fun `POST index files rejects bad requests and refused actions`() = testApplication {
+        application { configureStubbedApp() }
+
+        val unknown = client.submitForm(
+            url = "/index/files",
+            formParameters = parameters {
+                append("action", "shred")
+                append("path", "src/app/Indexed.kt")
+            }
+        )
+        assertEquals(HttpStatusCode.BadRequest, unknown.status)
+
+        val noPaths = client.submitForm(url = "/index/files", formParameters = parameters { append("action", "reindex") })
+        assertEquals(HttpStatusCode.BadRequest, noPaths.status)
+        assertTrue(stubOperations.fileActions.isEmpty())
+
+        stubOperations.acceptFileActions = false
+        val refused = client.submitForm(
+            url = "/index/files",
+            formParameters = parameters {
+                append("action", "reindex")
+                append("path", "src/app/Indexed.kt")
+            }
+        )
+        assertEquals(HttpStatusCode.Conflict, refused.status)
+        assertEquals("stub busy", refused.bodyAsText())
+    }
+
+    @Test
+    fun `GET index renders running operations and the history`() = testApplication {
+        application { configureStubbedApp() }
+        val startedAt = Instant.parse("2025-01-02T03:00:00Z")
+        stubOperations.active += IndexOperationSnapshot(
+            operationId = "refresh-live",
+            title = "Context Refresh",
+            percentage = 30,
+            startedAt = startedAt,
+            cancellable = true
+        )
+        stubOperations.finished += IndexOperationSnapshot(
+            operationId = "purge-done",
+            title = "Purge embeddings: src/lib/",
+            percentage = 100,
+            startedAt = startedAt,
+            updatedAt = startedAt.plusSeconds(5),
+            outcome = IndexOperationSnapshot.Outcome.COMPLETED
+        )
+
+        val body = client.get("/index").bodyAsText()
+
+        assertTrue(body.contains("id=\"index-op-refresh-live\""), "missing running operation card")
+        assertTrue(body.contains("data-cancel-endpoint=\"/index/operations/refresh-live/cancel\""), "missing cancel button")
+        assertTrue(body.contains("id=\"index-operation-history\""), "missing history list")
+        assertTrue(body.contains("data-outcome=\"completed\""), "missing finished operation")
+    }
+
+    @Test
+    fun `POST cancel stops a running operation`() = testApplication {
+        application { configureStubbedApp() }
+        stubOperations.active += IndexOperationSnapshot(
+            operationId = "rebuild-live",
+            title = "Context Rebuild",
+            percentage = 60,
+            startedAt = Instant.now(),
+            cancellable = true
+        )
+
+        val response = client.post("/index/operations/rebuild-live/cancel")
+        assertEquals(HttpStatusCode.Accepted, response.status)
+        assertEquals("rebuild-live", response.headers["X-Index-Operation"])
+        assertEquals(listOf("rebuild-live"), stubOperations.cancelled)
+
+        val unknown = client.post("/index/operations/refresh-gone/cancel")
+        assertEquals(HttpStatusCode.NotFound, unknown.status)
+
+        stubOperations.acceptCancel = false
+        val refused = client.post("/index/operations/rebuild-live/cancel")
+        assertEquals(HttpStatusCode.Conflict, refused.status)
+        assertEquals(listOf("rebuild-live"), stubOperations.cancelled)
+    }
+
+    private fun Application.configureStubbedApp() {
+        install(SSE)
+        IndexOperationsService.install(this, stubOperations)
+        val appConfig = ConfigLoader.ApplicationConfig(
+            orchestrator = OrchestratorConfig(),
+            web = WebServerConfig(),
+            agents = emptyList(),
+            context = contextConfig
+        )
+        attributes.put(ApplicationConfigKey, appConfig)
+
+        configureRouting(WebServerConfig())
     }
 }
 
@@ -229,9 +364,33 @@ private class StubIndexOperationsService : IndexOperationsService {
 
     override fun triggerRebuild(confirm: Boolean): OperationTriggerResult {
         rebuildCalls.incrementAndGet()
-        return OperationTriggerResult(accepted = true, message = "stub rebuild")
+        return OperationTriggerResult(accepted = true, message = "stub rebuild", operationId = "rebuild-stub")
+    }
+
+    val fileActions = mutableListOf<Pair<FileIndexAction, List<String>>>()
+    var acceptFileActions = true
+
+    override fun triggerFileAction(action: FileIndexAction, paths: List<String>): OperationTriggerResult {
+        if (!acceptFileActions) return OperationTriggerResult(accepted = false, message = "stub busy")
+        fileActions += action to paths
+        return OperationTriggerResult(accepted = true, message = "stub ${action.id}", operationId = "${action.id}-stub")
+    }
+
+    val active = mutableListOf<IndexOperationSnapshot>()
+    val finished = mutableListOf<IndexOperationSnapshot>()
+    val cancelled = mutableListOf<String>()
+    var acceptCancel = true
+
+    override fun cancel(operationId: String): OperationTriggerResult {
+        if (!acceptCancel) return OperationTriggerResult(accepted = false, message = "stub cannot cancel")
+        cancelled += operationId
+        return OperationTriggerResult(accepted = true, message = "stub cancelling", operationId = operationId)
     }
 
+    override fun activeOperations(): List<IndexOperationSnapshot> = active.toList()
+
+    override fun operationHistory(): List<IndexOperationSnapshot> = finished.toList()
+
     override fun filesystemSnapshot(): FilesystemIndexSnapshot {
         val snapshot = ContextModule.getIndexStatus()
         return FilesystemIndexSnapshot(
@@ -0,0 +1,123 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.modules.metrics.AlertSeverity
+import com.orchestrator.modules.metrics.MetricsHistory
+import com.orchestrator.modules.metrics.MetricsHistoryPoint
+import com.orchestrator.storage.Database
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.int
+import kotlinx.serialization.json.jsonArray
+import kotlinx.serialization.json.jsonObject
+import kotlinx.serialization.json.jsonPrimitive
+import kotlinx.serialization.json.long
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+
+class MetricsRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM metrics_timeseries")
+            }
+        }
+    }
+
+    private fun recordPoint(at: Instant, tokens: Long) {
+        MetricsHistory.record(
+            MetricsHistoryPoint(
+                timestamp = at,
+                totalTokens = tokens,
+                savings = 0,
+                successRate = 1.0,
+                avgCompletionMs = 2_000,
+                alertsBySeverity = mapOf(AlertSeverity.CRITICAL to 1)
+            )
+        )
+    }
+
+    @Test
+    fun `GET metrics renders the summary and chart panels`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val html = client.get("/metrics").bodyAsText()
+
+        assertContains(html, "class=\"metrics-summary\"")
+        assertContains(html, "data-history-url=\"/metrics/history\"")
+        assertContains(html, "data-chart=\"alerts\"")
+        assertContains(html, "data-chart-export=\"csv\"")
+        assertContains(html, "value=\"custom\"")
+        assertContains(html, "/static/js/metrics-charts.js")
+    }
+
+    @Test
+    fun `GET metrics history returns the points of a rolling range`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        val now = Instant.now()
+        recordPoint(now.minusSeconds(120), tokens = 40)
+        recordPoint(now.minusSeconds(60), tokens = 75)
+        recordPoint(now.minusSeconds(7_200), tokens = 10)
+
+        val response = client.get("/metrics/history?range=1h")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val history = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+
+        assertEquals("1h", history["range"]!!.jsonPrimitive.content)
+        val points = history["points"]!!.jsonArray.map { it.jsonObject }
+        assertEquals(listOf(40L, 75L), points.map { it["totalTokens"]!!.jsonPrimitive.long })
+        assertEquals(1, points.first()["alerts"]!!.jsonObject["CRITICAL"]!!.jsonPrimitive.int)
+
+        val week = Json.parseToJsonElement(client.get("/metrics/history?range=7d").bodyAsText()).jsonObject
+        assertEquals(3, week["points"]!!.jsonArray.size)
+    }
+
+    @Test
+    fun `GET metrics history takes a custom range and rejects bad ones`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        recordPoint(Instant.parse("2025-01-10T10:30:00Z"), tokens = 5)
+        recordPoint(Instant.parse("2025-01-10T12:30:00Z"), tokens = 6)
+
+        val custom = client.get("/metrics/history?range=custom&from=2025-01-10T10:00:00Z&to=2025-01-10T11:00:00Z")
+        val points = Json.parseToJsonElement(custom.bodyAsText()).jsonObject["points"]!!.jsonArray
+        assertEquals(1, points.size)
+
+        assertEquals(HttpStatusCode.BadRequest, client.get("/metrics/history?range=custom&from=2025-01-10T10:00:00Z").status)
+        assertEquals(
+            HttpStatusCode.BadRequest,
+            client.get("/metrics/history?range=custom&from=2025-01-10T11:00:00Z&to=2025-01-10T10:00:00Z").status
+        )
+        assertEquals(HttpStatusCode.BadRequest, client.get("/metrics/history?range=2y").status)
+    }
+}
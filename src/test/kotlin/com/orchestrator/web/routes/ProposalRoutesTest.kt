@@ -0,0 +1,86 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.ProposalRepository
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+
+class ProposalRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    @Test
+    fun `GET proposal modal renders the proposal with a link back to its task`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(Task(id = TaskId("TASK-P1"), title = "Design cache", type = TaskType.ARCHITECTURE))
+        ProposalRepository.insert(
+            Proposal(
+                id = ProposalId("PROP-1"),
+                taskId = TaskId("TASK-P1"),
+                agentId = AgentId("claude-code"),
+                inputType = InputType.ARCHITECTURAL_PLAN,
+                content = mapOf("summary" to "Use an LRU cache"),
+                confidence = 0.75,
+                tokenUsage = TokenUsage(inputTokens = 100, outputTokens = 50)
+            )
+        )
+
+        val response = client.get("/proposals/PROP-1/modal")
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val body = response.bodyAsText()
+        assertContains(body, "Proposal from claude-code")
+        assertContains(body, "data-modal-link=\"/tasks/TASK-P1/modal\"")
+        assertContains(body, "Design cache")
+        assertContains(body, "75%")
+        assertContains(body, "150 (100 in / 50 out)")
+        assertContains(body, "Use an LRU cache")
+    }
+
+    @Test
+    fun `GET proposal modal returns 404 for unknown proposal`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.get("/proposals/NOPE/modal")
+
+        assertEquals(HttpStatusCode.NotFound, response.status)
+    }
+}
@@ -0,0 +1,90 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.storage.Database
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parametersOf
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.assertThrows
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertNull
+
+class SearchRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+    }
+
+    @Test
+    fun `search page renders the form without running a search`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.get("/search")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "data-context-search")
+        assertContains(html, "hx-get=\"/search/results\"")
+        assertContains(html, "name=\"maxTokens\"")
+        assertContains(html, "name=\"excludePatterns\"")
+        assertContains(html, "value=\"CODE_METHOD\"")
+        assertContains(html, "id=\"search-results\"")
+        assertContains(html, "/static/js/context-search.js")
+    }
+
+    @Test
+    fun `results reject a blank query and bad numbers`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        assertEquals(HttpStatusCode.BadRequest, client.get("/search/results?query=").status)
+
+        val badK = client.get("/search/results?query=Foo&k=lots")
+        assertEquals(HttpStatusCode.BadRequest, badK.status)
+        assertContains(badK.bodyAsText(), "k must be a whole number")
+
+        assertEquals(HttpStatusCode.BadRequest, client.get("/search/results?query=Foo&maxTokens=5").status)
+    }
+
+    @Test
+    fun `form parameters are parsed into a query`() {
+        val query = parametersOf(
+            "query" to listOf(" PathFilter "),
+            "k" to listOf("5"),
+            "paths" to listOf("src/main, docs/\nREADME.md"),
+            "kinds" to listOf("CODE_CLASS", "CODE_METHOD"),
+            "providers" to listOf("semantic"),
+            "compare" to listOf("true"),
+            "compareProviders" to listOf("full_text", "symbol")
+        ).toContextSearchQuery()
+
+        assertEquals("PathFilter", query.query)
+        assertEquals(5, query.k)
+        assertNull(query.maxTokens)
+        assertEquals(listOf("src/main", "docs/", "README.md"), query.paths)
+        assertEquals(listOf("CODE_CLASS", "CODE_METHOD"), query.kinds)
+        assertEquals(listOf("full_text", "symbol"), query.compareProviders)
+
+        val params = query.toParams(query.providers)
+        assertEquals(listOf("semantic"), params.providers)
+        assertNull(params.languages)
+
+        assertNull(parametersOf("query" to listOf("x")).toContextSearchQuery().compareProviders)
+        assertThrows<IllegalArgumentException> {
+            parametersOf("query" to listOf("x"), "k" to listOf("0")).toContextSearchQuery()
+        }
+    }
+}
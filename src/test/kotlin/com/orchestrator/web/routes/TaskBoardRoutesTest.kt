@@ -0,0 +1,174 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.cookie
+import io.ktor.client.request.forms.submitForm
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpHeaders
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.boolean
+import kotlinx.serialization.json.jsonObject
+import kotlinx.serialization.json.jsonPrimitive
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertNotNull
+import kotlin.test.assertTrue
+
+class TaskBoardRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    private fun task(id: String, status: TaskStatus = TaskStatus.PENDING) =
+        Task(
+            id = TaskId(id),
+            title = "Task $id",
+            type = TaskType.IMPLEMENTATION,
+            status = status,
+            routing = RoutingStrategy.SOLO,
+            createdAt = Instant.parse("2025-01-10T10:00:00Z")
+        )
+
+    @Test
+    fun `POST transition moves a task along an allowed transition`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        TaskRepository.insert(task("BOARD-1"))
+
+        val response = client.submitForm(
+            url = "/tasks/BOARD-1/transition",
+            formParameters = parameters {
+                append("status", "IN_PROGRESS")
+                append("expected", "PENDING")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val result = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+        assertTrue(result["ok"]!!.jsonPrimitive.boolean)
+        assertEquals("IN_PROGRESS", result["status"]!!.jsonPrimitive.content)
+        assertEquals(TaskStatus.IN_PROGRESS, TaskRepository.findById(TaskId("BOARD-1"))?.status)
+    }
+
+    @Test
+    fun `POST transition refuses moves the state machine does not allow`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        TaskRepository.insert(task("BOARD-1"))
+        TaskRepository.insert(task("BOARD-2", status = TaskStatus.COMPLETED))
+
+        val skip = client.submitForm(
+            url = "/tasks/BOARD-1/transition",
+            formParameters = parameters { append("status", "COMPLETED") }
+        )
+        assertEquals(HttpStatusCode.Conflict, skip.status)
+        val error = Json.parseToJsonElement(skip.bodyAsText()).jsonObject["error"]!!.jsonPrimitive.content
+        assertEquals("Pending tasks cannot move to Completed; they can move to In Progress or Failed", error)
+        assertEquals(TaskStatus.PENDING, TaskRepository.findById(TaskId("BOARD-1"))?.status)
+
+        val terminal = client.submitForm(
+            url = "/tasks/BOARD-2/transition",
+            formParameters = parameters { append("status", "IN_PROGRESS") }
+        )
+        assertEquals(HttpStatusCode.Conflict, terminal.status)
+        assertContains(terminal.bodyAsText(), "Completed tasks are final")
+    }
+
+    @Test
+    fun `POST transition rejects a stale board and unknown input`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        TaskRepository.insert(task("BOARD-1", status = TaskStatus.IN_PROGRESS))
+
+        val stale = client.submitForm(
+            url = "/tasks/BOARD-1/transition",
+            formParameters = parameters {
+                append("status", "IN_PROGRESS")
+                append("expected", "PENDING")
+            }
+        )
+        assertEquals(HttpStatusCode.Conflict, stale.status)
+        assertContains(stale.bodyAsText(), "Task is In Progress now")
+
+        val unknownStatus = client.submitForm(
+            url = "/tasks/BOARD-1/transition",
+            formParameters = parameters { append("status", "DONE") }
+        )
+        assertEquals(HttpStatusCode.BadRequest, unknownStatus.status)
+
+        val missing = client.submitForm(
+            url = "/tasks/BOARD-MISSING/transition",
+            formParameters = parameters { append("status", "FAILED") }
+        )
+        assertEquals(HttpStatusCode.NotFound, missing.status)
+    }
+
+    @Test
+    fun `GET tasks remembers the chosen view in a cookie`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val list = client.get("/tasks").bodyAsText()
+        assertContains(list, "id=\"tasks-grid-container\"")
+        assertFalse(list.contains("data-task-board"))
+
+        val board = client.get("/tasks?layout=board&status=PENDING")
+        val html = board.bodyAsText()
+        assertContains(html, "data-task-board")
+        assertContains(html, "data-board-column=\"WAITING_INPUT\"")
+        assertContains(html, "data-source-url=\"/tasks/data?status=PENDING&amp;pageSize=200\"")
+        assertContains(html, "Showing tasks matching the list filters")
+        assertFalse(html.contains("id=\"tasks-grid-container\""))
+        val cookie = board.headers.getAll(HttpHeaders.SetCookie).orEmpty()
+            .firstOrNull { it.startsWith("$TASKS_VIEW_COOKIE=") }
+        assertNotNull(cookie)
+        assertContains(cookie, "$TASKS_VIEW_COOKIE=board")
+
+        val remembered = client.get("/tasks") { cookie(TASKS_VIEW_COOKIE, "board") }.bodyAsText()
+        assertContains(remembered, "data-task-board")
+
+        // A shared grid layout (grid-views.js `view`) needs the grid, whatever was remembered
+        val shared = client.get("/tasks?view=eyJzb3J0IjpbXX0") { cookie(TASKS_VIEW_COOKIE, "board") }.bodyAsText()
+        assertContains(shared, "id=\"tasks-grid-container\"")
+        assertFalse(shared.contains("data-task-board"))
+    }
+}
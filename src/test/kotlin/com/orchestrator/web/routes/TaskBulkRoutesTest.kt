@@ -0,0 +1,215 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.core.StateMachine
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.forms.submitForm
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpHeaders
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.boolean
+import kotlinx.serialization.json.jsonArray
+import kotlinx.serialization.json.jsonObject
+import kotlinx.serialization.json.jsonPrimitive
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertTrue
+
+class TaskBulkRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM decisions")
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    private fun task(id: String, routing: RoutingStrategy = RoutingStrategy.SOLO, status: TaskStatus = TaskStatus.PENDING) =
+        Task(
+            id = TaskId(id),
+            title = "Task $id",
+            type = TaskType.IMPLEMENTATION,
+            status = status,
+            routing = routing,
+            createdAt = Instant.parse("2025-01-10T10:00:00Z")
+        )
+
+    @Test
+    fun `POST tasks bulk reassigns each task and reports failures per task`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("BULK-1"))
+        TaskRepository.insert(task("BULK-2", status = TaskStatus.COMPLETED))
+
+        val response = client.submitForm(
+            url = "/tasks/bulk",
+            formParameters = parameters {
+                append("action", "reassign")
+                append("assigneeIds", "codex, claude-code")
+                append("taskId", "BULK-1")
+                append("taskId", "BULK-2")
+                append("taskId", "BULK-MISSING")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val results = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+            .getValue("results").jsonArray
+            .associate { it.jsonObject.getValue("taskId").jsonPrimitive.content to it.jsonObject }
+
+        assertTrue(results.getValue("BULK-1").getValue("ok").jsonPrimitive.boolean)
+        assertEquals(false, results.getValue("BULK-2").getValue("ok").jsonPrimitive.boolean)
+        assertContains(results.getValue("BULK-2").getValue("error").jsonPrimitive.content, "cannot be reassigned")
+        assertEquals("Task not found", results.getValue("BULK-MISSING").getValue("error").jsonPrimitive.content)
+
+        assertEquals(
+            setOf(AgentId("codex"), AgentId("claude-code")),
+            TaskRepository.findById(TaskId("BULK-1"))?.assigneeIds
+        )
+        assertEquals(emptySet(), TaskRepository.findById(TaskId("BULK-2"))?.assigneeIds)
+    }
+
+    @Test
+    fun `POST tasks bulk completes through CompleteTaskTool and rejects bad values`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("BULK-SOLO", status = TaskStatus.IN_PROGRESS))
+        TaskRepository.insert(task("BULK-CONSENSUS", routing = RoutingStrategy.CONSENSUS, status = TaskStatus.IN_PROGRESS))
+
+        val response = client.submitForm(
+            url = "/tasks/bulk",
+            formParameters = parameters {
+                append("action", "status")
+                append("status", "completed")
+                append("taskId", "BULK-SOLO,BULK-CONSENSUS")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val results = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+            .getValue("results").jsonArray.map { it.jsonObject }
+        assertEquals(listOf("BULK-SOLO", "BULK-CONSENSUS"), results.map { it.getValue("taskId").jsonPrimitive.content })
+        assertTrue(results[0].getValue("ok").jsonPrimitive.boolean)
+        assertContains(results[1].getValue("error").jsonPrimitive.content, "CONSENSUS")
+
+        assertEquals(TaskStatus.COMPLETED, TaskRepository.findById(TaskId("BULK-SOLO"))?.status)
+        assertEquals(TaskStatus.IN_PROGRESS, TaskRepository.findById(TaskId("BULK-CONSENSUS"))?.status)
+
+        val invalid = client.submitForm(
+            url = "/tasks/bulk",
+            formParameters = parameters {
+                append("action", "reroute")
+                append("routing", "BROADCAST")
+                append("taskId", "BULK-SOLO")
+            }
+        )
+        assertEquals(HttpStatusCode.BadRequest, invalid.status)
+    }
+
+    @Test
+    fun `POST tasks bulk status change refuses moves the state machine does not allow`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("BULK-DONE", status = TaskStatus.COMPLETED))
+        TaskRepository.insert(task("BULK-FAILED", status = TaskStatus.FAILED))
+        TaskRepository.insert(task("BULK-OPEN"))
+        StateMachine.clearAllHistory()
+
+        val response = client.submitForm(
+            url = "/tasks/bulk",
+            formParameters = parameters {
+                append("action", "status")
+                append("status", "pending")
+                append("taskId", "BULK-DONE,BULK-FAILED")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val results = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+            .getValue("results").jsonArray.map { it.jsonObject }
+        assertTrue(results.none { it.getValue("ok").jsonPrimitive.boolean })
+        assertContains(results[0].getValue("error").jsonPrimitive.content, "Completed tasks are final")
+        assertContains(results[1].getValue("error").jsonPrimitive.content, "Failed tasks are final")
+        assertEquals(TaskStatus.COMPLETED, TaskRepository.findById(TaskId("BULK-DONE"))?.status)
+        assertEquals(TaskStatus.FAILED, TaskRepository.findById(TaskId("BULK-FAILED"))?.status)
+
+        val started = client.submitForm(
+            url = "/tasks/bulk",
+            formParameters = parameters {
+                append("action", "status")
+                append("status", "in_progress")
+                append("taskId", "BULK-OPEN")
+            }
+        )
+        assertEquals(HttpStatusCode.OK, started.status)
+        assertEquals(TaskStatus.IN_PROGRESS, TaskRepository.findById(TaskId("BULK-OPEN"))?.status)
+        assertEquals(
+            listOf(TaskStatus.PENDING to TaskStatus.IN_PROGRESS),
+            StateMachine.getHistory(TaskId("BULK-OPEN")).map { it.from to it.to }
+        )
+    }
+
+    @Test
+    fun `POST tasks export returns the selection as CSV`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("EXPORT-1").copy(title = "Fix \"quoted\", commas"))
+        TaskRepository.insert(task("EXPORT-2"))
+
+        val response = client.submitForm(
+            url = "/tasks/export",
+            formParameters = parameters {
+                append("format", "csv")
+                append("taskId", "EXPORT-2")
+                append("taskId", "EXPORT-1")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertContains(response.headers[HttpHeaders.ContentDisposition].orEmpty(), "tasks.csv")
+
+        val lines = response.bodyAsText().trim().lines()
+        assertEquals(3, lines.size)
+        assertTrue(lines[0].startsWith("id,title,status,type,routing,assignees"))
+        assertTrue(lines[1].startsWith("EXPORT-2,Task EXPORT-2,PENDING,IMPLEMENTATION,SOLO,"))
+        assertTrue(lines[2].startsWith("EXPORT-1,\"Fix \"\"quoted\"\", commas\",PENDING"))
+    }
+}
@@ -0,0 +1,169 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.forms.submitForm
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertNotNull
+
+class TaskCreateRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM decisions")
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+                stmt.execute("DELETE FROM deleted_tasks")
+            }
+        }
+    }
+
+    private fun taskCount(): Int = TaskRepository.queryFiltered(null, null, null, null, Int.MAX_VALUE, 0).second
+
+    @Test
+    fun `GET tasks new renders the wizard with both task kinds`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.get("/tasks/new")
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "modal__backdrop")
+        assertContains(html, "hx-post=\"/tasks\"")
+        assertContains(html, "name=\"mode\" value=\"simple\"")
+        assertContains(html, "name=\"mode\" value=\"consensus\"")
+        assertContains(html, "data-file-search=\"/files/search\"")
+        assertContains(html, "id=\"task-create-preview\"")
+    }
+
+    @Test
+    fun `POST preview routes the task without saving it`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.submitForm(
+            url = "/tasks/new/preview",
+            formParameters = parameters {
+                append("mode", "simple")
+                append("title", "Add caching")
+                append("type", "IMPLEMENTATION")
+                append("complexity", "3")
+                append("risk", "2")
+                append("skipConsensus", "true")
+            }
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "data-routing=\"SOLO\"")
+        assertContains(html, "skipConsensus=true provided")
+        assertEquals(0, taskCount())
+    }
+
+    @Test
+    fun `POST tasks with invalid fields returns 422 with inline errors`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val response = client.submitForm(
+            url = "/tasks",
+            formParameters = parameters {
+                append("mode", "simple")
+                append("title", "")
+                append("type", "IMPLEMENTATION")
+                append("complexity", "0")
+                append("risk", "5")
+                append("dependencyIds", "task-missing")
+            }
+        )
+
+        assertEquals(HttpStatusCode.UnprocessableEntity, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "Title is required")
+        assertContains(html, "Complexity must be a whole number from 1 to 10")
+        assertContains(html, "Unknown task: task-missing")
+        assertContains(html, "data-initial-step=\"details\"")
+        assertEquals(0, taskCount())
+    }
+
+    @Test
+    fun `POST tasks creates a simple task through the MCP tool`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(
+            Task(
+                id = TaskId("task-dep"),
+                title = "Dependency",
+                type = TaskType.RESEARCH,
+                createdAt = Instant.parse("2025-01-10T10:00:00Z")
+            )
+        )
+
+        val response = client.submitForm(
+            url = "/tasks",
+            formParameters = parameters {
+                append("mode", "simple")
+                append("title", "Add caching")
+                append("description", "Cache the task list")
+                append("type", "IMPLEMENTATION")
+                append("complexity", "3")
+                append("risk", "2")
+                append("dependencyIds", "task-dep")
+                append("metadata", "area=web")
+                append("skipConsensus", "true")
+            }
+        )
+
+        assertEquals(HttpStatusCode.Created, response.status)
+        val html = response.bodyAsText()
+        val taskId = Regex("data-task-created=\"([^\"]+)\"").find(html)?.groupValues?.get(1)
+        assertNotNull(taskId)
+        assertContains(html, "data-modal-link=\"/tasks/$taskId/modal\"")
+
+        val created = TaskRepository.findById(TaskId(taskId))
+        assertNotNull(created)
+        assertEquals("Add caching", created.title)
+        assertEquals(RoutingStrategy.SOLO, created.routing)
+        assertEquals(setOf(TaskId("task-dep")), created.dependencies)
+        assertEquals("web", created.metadata["area"])
+        assertFalse(created.metadata.containsKey("contextFiles"))
+    }
+}
@@ -0,0 +1,250 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.*
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.components.TaskEditForm
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.delete
+import io.ktor.client.request.forms.FormDataContent
+import io.ktor.client.request.get
+import io.ktor.client.request.header
+import io.ktor.client.request.post
+import io.ktor.client.request.put
+import io.ktor.client.request.setBody
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.http.Parameters
+import io.ktor.http.parameters
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+import kotlin.test.assertNotNull
+import kotlin.test.assertNull
+import kotlin.test.assertTrue
+
+class TaskEditRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM decisions")
+                stmt.execute("DELETE FROM proposals")
+                stmt.execute("DELETE FROM tasks")
+                stmt.execute("DELETE FROM deleted_tasks")
+            }
+        }
+    }
+
+    private fun task(id: String) = Task(
+        id = TaskId(id),
+        title = "Task $id",
+        description = "Original description",
+        type = TaskType.IMPLEMENTATION,
+        routing = RoutingStrategy.SOLO,
+        complexity = 3,
+        risk = 4,
+        createdAt = Instant.parse("2025-01-10T10:00:00Z"),
+        metadata = mapOf("area" to "web")
+    )
+
+    private fun editForm(task: Task, overrides: Map<String, String> = emptyMap()): Parameters {
+        val values = TaskEditForm.Values.from(task)
+        val fields = mapOf(
+            "title" to values.title,
+            "description" to values.description,
+            "type" to values.type,
+            "routing" to values.routing,
+            "assigneeIds" to values.assigneeIds,
+            "complexity" to values.complexity,
+            "risk" to values.risk,
+            "dueDate" to values.dueDate,
+            "metadata" to values.metadata,
+            "version" to values.version
+        ) + overrides
+        return parameters { fields.forEach { (name, value) -> append(name, value) } }
+    }
+
+    @Test
+    fun `GET edit returns the form alone for the detail fragment and a modal otherwise`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("EDIT-1"))
+
+        val fragment = client.get("/tasks/EDIT-1/edit") {
+            header("HX-Target", "task-detail-EDIT-1")
+        }
+        assertEquals(HttpStatusCode.OK, fragment.status)
+        val fragmentHtml = fragment.bodyAsText()
+        assertContains(fragmentHtml, "id=\"task-detail-EDIT-1\"")
+        assertContains(fragmentHtml, "hx-put=\"/tasks/EDIT-1\"")
+        assertContains(fragmentHtml, "value=\"Task EDIT-1\"")
+        assertContains(fragmentHtml, "area=web")
+        assertFalse(fragmentHtml.contains("modal__backdrop"))
+
+        val modal = client.get("/tasks/EDIT-1/edit").bodyAsText()
+        assertContains(modal, "modal__backdrop")
+        assertContains(modal, "hx-put=\"/tasks/EDIT-1\"")
+    }
+
+    @Test
+    fun `PUT task with invalid fields returns 422 with inline errors and saves nothing`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val original = task("EDIT-2")
+        TaskRepository.insert(original)
+
+        val response = client.put("/tasks/EDIT-2") {
+            setBody(
+                FormDataContent(
+                    editForm(
+                        original,
+                        mapOf(
+                            "title" to "  ",
+                            "complexity" to "11",
+                            "dueDate" to "2024-12-31",
+                            "metadata" to "no separator"
+                        )
+                    )
+                )
+            )
+        }
+
+        assertEquals(HttpStatusCode.UnprocessableEntity, response.status)
+        val html = response.bodyAsText()
+        assertContains(html, "Title is required")
+        assertContains(html, "Complexity must be a whole number from 1 to 10")
+        assertContains(html, "Due date cannot be before the task was created")
+        assertContains(html, "Each line must look like key=value")
+        assertContains(html, "aria-describedby=\"task-edit-title-error\"")
+        // The rejected input is shown as typed
+        assertContains(html, "value=\"11\"")
+
+        assertEquals(original.title, TaskRepository.findById(TaskId("EDIT-2"))?.title)
+    }
+
+    @Test
+    fun `PUT task saves valid edits and rejects a stale version`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        val original = task("EDIT-3")
+        TaskRepository.insert(original)
+
+        val response = client.put("/tasks/EDIT-3") {
+            setBody(
+                FormDataContent(
+                    editForm(
+                        original,
+                        mapOf(
+                            "title" to "Renamed task",
+                            "type" to "REVIEW",
+                            "routing" to "CONSENSUS",
+                            "assigneeIds" to "codex, claude-code",
+                            "risk" to "8",
+                            "dueDate" to "2025-02-01",
+                            "metadata" to "area=api\nowner = team-a"
+                        )
+                    )
+                )
+            )
+        }
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertContains(response.bodyAsText(), "id=\"task-detail-EDIT-3\"")
+
+        val saved = TaskRepository.findById(TaskId("EDIT-3"))
+        assertNotNull(saved)
+        assertEquals("Renamed task", saved.title)
+        assertEquals(TaskType.REVIEW, saved.type)
+        assertEquals(RoutingStrategy.CONSENSUS, saved.routing)
+        assertEquals(setOf(AgentId("codex"), AgentId("claude-code")), saved.assigneeIds)
+        assertEquals(8, saved.risk)
+        assertEquals(Instant.parse("2025-02-01T23:59:59.999Z"), saved.dueAt)
+        assertEquals(mapOf("area" to "api", "owner" to "team-a"), saved.metadata)
+        assertNotNull(saved.updatedAt)
+
+        // Submitting the form opened before that save conflicts
+        val stale = client.put("/tasks/EDIT-3") {
+            setBody(FormDataContent(editForm(original, mapOf("title" to "Overwrite"))))
+        }
+        assertEquals(HttpStatusCode.Conflict, stale.status)
+        assertContains(stale.bodyAsText(), "changed by someone else")
+        assertEquals("Renamed task", TaskRepository.findById(TaskId("EDIT-3"))?.title)
+    }
+
+    @Test
+    fun `DELETE task soft deletes and restore brings it back`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("EDIT-4"))
+
+        val deleted = client.delete("/tasks/EDIT-4")
+        assertEquals(HttpStatusCode.OK, deleted.status)
+        val notice = deleted.bodyAsText()
+        assertContains(notice, "data-task-deleted=\"EDIT-4\"")
+        assertContains(notice, "hx-post=\"/tasks/EDIT-4/restore\"")
+        assertNull(TaskRepository.findById(TaskId("EDIT-4")))
+        assertTrue(TaskRepository.isDeleted(TaskId("EDIT-4")))
+
+        assertEquals(HttpStatusCode.NotFound, client.delete("/tasks/EDIT-4").status)
+
+        val restored = client.post("/tasks/EDIT-4/restore")
+        assertEquals(HttpStatusCode.OK, restored.status)
+        assertContains(restored.bodyAsText(), "id=\"task-detail-EDIT-4\"")
+        assertEquals("Task EDIT-4", TaskRepository.findById(TaskId("EDIT-4"))?.title)
+
+        assertEquals(HttpStatusCode.NotFound, client.post("/tasks/EDIT-4/restore").status)
+    }
+
+    @Test
+    fun `GET refresh returns only the detail fragment`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+
+        TaskRepository.insert(task("EDIT-5"))
+
+        val response = client.get("/tasks/EDIT-5/refresh")
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+        assertTrue(html.startsWith("<div class=\"modal__body\" id=\"task-detail-EDIT-5\""))
+        assertContains(html, "Original description")
+        assertContains(html, "hx-delete=\"/tasks/EDIT-5\"")
+        assertFalse(html.contains("modal__header"))
+
+        assertEquals(HttpStatusCode.NotFound, client.get("/tasks/MISSING/refresh").status)
+    }
+}
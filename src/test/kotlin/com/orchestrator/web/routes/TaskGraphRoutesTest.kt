@@ -0,0 +1,137 @@
+package com.orchestrator.web.routes
+
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.domain.TaskType
+import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.TaskRepository
+import com.orchestrator.web.WebServerConfig
+import com.orchestrator.web.plugins.configureRouting
+import io.ktor.client.request.get
+import io.ktor.client.statement.bodyAsText
+import io.ktor.http.HttpStatusCode
+import io.ktor.server.application.install
+import io.ktor.server.sse.SSE
+import io.ktor.server.testing.testApplication
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.time.Instant
+import kotlin.test.assertContains
+import kotlin.test.assertEquals
+import kotlin.test.assertFalse
+
+class TaskGraphRoutesTest {
+
+    @BeforeEach
+    fun setUp() {
+        Database.overrideForTests()
+        clearTables()
+    }
+
+    @AfterEach
+    fun tearDown() {
+        clearTables()
+    }
+
+    private fun clearTables() {
+        Database.withConnection { conn ->
+            conn.createStatement().use { stmt ->
+                stmt.execute("DELETE FROM tasks")
+            }
+        }
+    }
+
+    private fun seedTask(
+        id: String,
+        status: TaskStatus = TaskStatus.PENDING,
+        dependsOn: Set<String> = emptySet(),
+        agent: String = "alpha",
+        createdSecond: Long = 0
+    ) {
+        TaskRepository.insert(
+            Task(
+                id = TaskId(id),
+                title = "Task $id",
+                type = TaskType.IMPLEMENTATION,
+                status = status,
+                routing = RoutingStrategy.SOLO,
+                assigneeIds = setOf(AgentId(agent)),
+                dependencies = dependsOn.map { TaskId(it) }.toSet(),
+                createdAt = Instant.parse("2025-01-10T10:00:00Z").plusSeconds(createdSecond)
+            )
+        )
+    }
+
+    @Test
+    fun `GET graph page draws the dependencies and flags blocked tasks`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-G1", status = TaskStatus.FAILED)
+        seedTask("TASK-G2", dependsOn = setOf("TASK-G1"), createdSecond = 1)
+        seedTask("TASK-G3", createdSecond = 2)
+
+        val response = client.get("/tasks/graph")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val html = response.bodyAsText()
+
+        assertContains(html, "id=\"task-graph-all\"")
+        assertContains(html, "hx-get=\"/tasks/graph/diagram\"")
+        assertContains(html, "flowchart LR")
+        assertContains(html, "Blocked: ")
+        assertContains(html, "#task=TASK-G2")
+        assertContains(html, "/static/js/task-graph.js")
+        // Tasks without dependencies are left out by default
+        assertFalse(html.contains("#task=TASK-G3"))
+    }
+
+    @Test
+    fun `GET graph diagram applies the agent and status filters`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-G1", agent = "beta")
+        seedTask("TASK-G2", dependsOn = setOf("TASK-G1"), createdSecond = 1)
+        seedTask("TASK-G3", status = TaskStatus.COMPLETED, dependsOn = setOf("TASK-G1"), createdSecond = 2)
+
+        val html = client.get("/tasks/graph/diagram?agent=alpha&status=PENDING").bodyAsText()
+
+        assertContains(html, "#task=TASK-G2")
+        assertFalse(html.contains("#task=TASK-G1"))
+        assertFalse(html.contains("#task=TASK-G3"))
+        assertContains(html, "data-refresh-url=\"/tasks/graph/diagram?agent=alpha&amp;status=PENDING\"")
+
+        val isolated = client.get("/tasks/graph/diagram?isolated=true&status=COMPLETED").bodyAsText()
+        assertContains(isolated, "#task=TASK-G3")
+    }
+
+    @Test
+    fun `GET task graph covers the chain around the task and the modal has the tab`() = testApplication {
+        application {
+            install(SSE)
+            configureRouting(WebServerConfig())
+        }
+        seedTask("TASK-G1", status = TaskStatus.COMPLETED)
+        seedTask("TASK-G2", dependsOn = setOf("TASK-G1"), createdSecond = 1)
+        seedTask("TASK-G3", dependsOn = setOf("TASK-G2"), createdSecond = 2)
+        seedTask("TASK-G4", dependsOn = setOf("TASK-G9"), createdSecond = 3)
+
+        val html = client.get("/tasks/TASK-G2/graph").bodyAsText()
+
+        assertContains(html, "id=\"task-graph-TASK-G2\"")
+        assertContains(html, "3 task(s), 2 dependencies.")
+        assertFalse(html.contains("#task=TASK-G4"))
+
+        val modal = client.get("/tasks/TASK-G2/modal").bodyAsText()
+        assertContains(modal, "role=\"tablist\"")
+        assertContains(modal, "hx-get=\"/tasks/TASK-G2/graph\"")
+
+        assertEquals(HttpStatusCode.NotFound, client.get("/tasks/TASK-NONE/graph").status)
+    }
+}
@@ -2,12 +2,15 @@ package com.orchestrator.web.routes
 
 import com.orchestrator.domain.*
 import com.orchestrator.storage.Database
+import com.orchestrator.storage.repositories.ProposalRepository
 import com.orchestrator.storage.repositories.TaskRepository
 import com.orchestrator.web.plugins.configureRouting
 import com.orchestrator.web.WebServerConfig
 import io.ktor.client.request.get
 import io.ktor.client.statement.bodyAsText
 import io.ktor.http.HttpStatusCode
+import io.ktor.http.parametersOf
+import io.ktor.http.parseQueryString
 import io.ktor.server.application.install
 import io.ktor.server.sse.SSE
 import io.ktor.server.testing.testApplication
@@ -15,6 +18,11 @@ import org.junit.jupiter.api.AfterEach
 import org.junit.jupiter.api.BeforeEach
 import org.junit.jupiter.api.Test
 import java.time.Instant
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.int
+import kotlinx.serialization.json.jsonArray
+import kotlinx.serialization.json.jsonObject
+import kotlinx.serialization.json.jsonPrimitive
 import kotlin.test.assertEquals
 import kotlin.test.assertContains
 import kotlin.test.assertTrue
@@ -93,6 +101,7 @@ class TaskRoutesTest {
         assertContains(body, "tasks-grid")
         assertContains(body, "ag-grid-container")
         assertContains(body, "TaskGrid.renderTitle")
+        assertContains(body, "getRowId: (params) => String(params.data[\"taskId\"])")
 
         // Should include serialized row data for each task
         assertContains(body, "\"taskId\": \"TASK-001\"")
@@ -210,6 +219,92 @@ class TaskRoutesTest {
         assertEquals("15", totalCount)
     }
 
+    @Test
+    fun `GET tasks data returns requested page as JSON`() = testApplication {
+        application {
+            installTestRouting()
+        }
+
+        for (i in 1..15) {
+            TaskRepository.insert(
+                Task(
+                    id = TaskId("TASK-${i.toString().padStart(3, '0')}"),
+                    title = "Task $i",
+                    type = TaskType.IMPLEMENTATION,
+                    status = if (i % 3 == 0) TaskStatus.COMPLETED else TaskStatus.PENDING
+                )
+            )
+        }
+
+        val response = client.get("/tasks/data?status=PENDING&sortBy=id&sortOrder=asc&page=2&pageSize=4")
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertContains(response.headers["Content-Type"] ?: "", "application/json")
+
+        val page = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+        assertEquals(10, page.getValue("total").jsonPrimitive.int)
+        assertEquals(2, page.getValue("page").jsonPrimitive.int)
+        assertTrue(page.getValue("lastEventId").jsonPrimitive.content.isNotEmpty())
+
+        val ids = page.getValue("rows").jsonArray.map { it.jsonObject.getValue("taskId").jsonPrimitive.content }
+        assertEquals(listOf("TASK-007", "TASK-008", "TASK-010", "TASK-011"), ids)
+    }
+
+    @Test
+    fun `GET tasks data filters by several statuses and a due date range`() = testApplication {
+        application {
+            installTestRouting()
+        }
+
+        val created = Instant.parse("2025-01-01T00:00:00Z")
+        fun task(id: String, status: TaskStatus, due: String?) = Task(
+            id = TaskId(id),
+            title = "Task $id",
+            type = TaskType.IMPLEMENTATION,
+            status = status,
+            createdAt = created,
+            dueAt = due?.let { Instant.parse(it) }
+        )
+        TaskRepository.insert(task("TASK-001", TaskStatus.PENDING, "2025-02-10T12:00:00Z"))
+        TaskRepository.insert(task("TASK-002", TaskStatus.IN_PROGRESS, "2025-02-28T23:00:00Z"))
+        TaskRepository.insert(task("TASK-003", TaskStatus.COMPLETED, "2025-02-15T00:00:00Z"))
+        TaskRepository.insert(task("TASK-004", TaskStatus.PENDING, "2025-03-01T00:00:00Z"))
+        TaskRepository.insert(task("TASK-005", TaskStatus.IN_PROGRESS, null))
+
+        val response = client.get(
+            "/tasks/data?status=PENDING,IN_PROGRESS&dueAfter=2025-02-01&dueBefore=2025-02-28&sortBy=id&sortOrder=asc"
+        )
+
+        assertEquals(HttpStatusCode.OK, response.status)
+        val page = Json.parseToJsonElement(response.bodyAsText()).jsonObject
+        val ids = page.getValue("rows").jsonArray.map { it.jsonObject.getValue("taskId").jsonPrimitive.content }
+        assertEquals(listOf("TASK-001", "TASK-002"), ids)
+    }
+
+    @Test
+    fun `task query string round-trips through toTaskQueryParams`() {
+        val params = parametersOf(
+            "search" to listOf("auth"),
+            "status" to listOf("IN_PROGRESS,pending"),
+            "type" to listOf("REVIEW"),
+            "assigneeIds" to listOf("codex-cli", "claude-code"),
+            "riskMin" to listOf("3"),
+            "createdAfter" to listOf("2025-01-01"),
+            "dueBefore" to listOf("2025-02-28T12:00:00Z"),
+            "page" to listOf("4")
+        ).toTaskQueryParams()
+
+        val query = params.toQueryString()
+
+        assertEquals(
+            "search=auth&status=PENDING&status=IN_PROGRESS&type=REVIEW" +
+                "&assigneeIds=claude-code&assigneeIds=codex-cli&riskMin=3" +
+                "&createdAfter=2025-01-01T00%3A00%3A00Z&dueBefore=2025-02-28T12%3A00%3A00Z",
+            query
+        )
+        assertEquals(params.copy(page = 1), parseQueryString(query).toTaskQueryParams())
+    }
+
     @Test
     fun `GET tasks table with sorting`() = testApplication {
         application {
@@ -515,6 +610,41 @@ class TaskRoutesTest {
         assertContains(body, "Pending")
         assertContains(body, "Testing")
     }
+
+    @Test
+    fun `GET task detail modal links dependencies and proposals`() = testApplication {
+        application {
+            installTestRouting()
+        }
+
+        TaskRepository.insert(Task(id = TaskId("TASK-DEP"), title = "Upstream work", type = TaskType.IMPLEMENTATION))
+        TaskRepository.insert(
+            Task(
+                id = TaskId("TASK-LINKED"),
+                title = "Downstream work",
+                type = TaskType.IMPLEMENTATION,
+                dependencies = setOf(TaskId("TASK-DEP"), TaskId("TASK-GONE"))
+            )
+        )
+        ProposalRepository.insert(
+            Proposal(
+                id = ProposalId("PROP-LINKED"),
+                taskId = TaskId("TASK-LINKED"),
+                agentId = AgentId("codex"),
+                inputType = InputType.IMPLEMENTATION_PLAN,
+                content = "Do the thing",
+                confidence = 0.8
+            )
+        )
+
+        val body = client.get("/tasks/TASK-LINKED/modal").bodyAsText()
+
+        assertContains(body, "Depends on (2)")
+        assertContains(body, "data-modal-link=\"/tasks/TASK-DEP/modal\"")
+        assertContains(body, "Upstream work")
+        assertContains(body, "Task no longer exists")
+        assertContains(body, "data-modal-link=\"/proposals/PROP-LINKED/modal\"")
+    }
 }
 
 private fun io.ktor.server.application.Application.installTestRouting() {
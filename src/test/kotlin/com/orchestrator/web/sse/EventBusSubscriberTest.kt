@@ -1,7 +1,10 @@
 package com.orchestrator.web.sse
 
 import com.orchestrator.core.EventBus
+import com.orchestrator.core.SystemEvent
 import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.AgentStatus
+import com.orchestrator.domain.ProposalId
 import com.orchestrator.domain.RoutingStrategy
 import com.orchestrator.domain.Task
 import com.orchestrator.domain.TaskId
@@ -122,6 +125,109 @@ class EventBusSubscriberTest {
         }
     }
 
+    @Test
+    fun `task deletions broadcast a removal marker without loading the task`() = runTest {
+        val scopes = mutableListOf<CoroutineScope>()
+        val baseInstant = Instant.parse("2025-01-02T11:00:00Z")
+        val eventBus = EventBus(scope = newScope(scopes))
+        val managers = createManagers(scopes)
+
+        val subscriber = EventBusSubscriber(
+            eventBus = eventBus,
+            fragmentGenerator = FragmentGenerator(Clock.fixed(baseInstant, ZoneOffset.UTC), Locale.US),
+            taskLoader = { error("deleted tasks must not be loaded") },
+            managerProvider = managers::getValue
+        )
+
+        val taskEvents = Channel<SSEEvent>(capacity = Channel.UNLIMITED)
+
+        try {
+            subscriber.start()
+            registerCollector(managers.getValue(SSEStreamKind.TASKS), "tasks-listener", taskEvents)
+
+            eventBus.publish(
+                SystemEvent.TaskDeleted(
+                    taskId = TaskId("task-404"),
+                    title = "Obsolete spike",
+                    timestamp = baseInstant
+                )
+            )
+            runCurrent()
+
+            val event = withTimeout(1_000) { taskEvents.receive() }
+            assertTrue(event.data.contains("\"event\":\"taskDeleted\""))
+            assertTrue(event.data.contains("\"taskId\":\"task-404\""))
+            val fragment = assertNotNull(event.htmlFragment)
+            assertTrue(fragment.contains("data-event-type=\"taskDeleted\""))
+            assertTrue(fragment.contains("data-task-id=\"task-404\""))
+            assertTrue(fragment.contains("data-title=\"Obsolete spike\""))
+        } finally {
+            try {
+                subscriber.stop()
+            } catch (_: Throwable) {}
+            eventBus.shutdown()
+            taskEvents.close()
+            managers.values.forEach { manager ->
+                try {
+                    manager.shutdown()
+                } catch (_: Throwable) {}
+            }
+            scopes.forEach { scope -> scope.cancel() }
+        }
+    }
+
+    @Test
+    fun `proposal submissions broadcast a consensus marker on the tasks stream`() = runTest {
+        val scopes = mutableListOf<CoroutineScope>()
+        val baseInstant = Instant.parse("2025-01-02T11:30:00Z")
+        val eventBus = EventBus(scope = newScope(scopes))
+        val managers = createManagers(scopes)
+
+        val subscriber = EventBusSubscriber(
+            eventBus = eventBus,
+            fragmentGenerator = FragmentGenerator(Clock.fixed(baseInstant, ZoneOffset.UTC), Locale.US),
+            taskLoader = { error("consensus events must not load the task") },
+            managerProvider = managers::getValue
+        )
+
+        val taskEvents = Channel<SSEEvent>(capacity = Channel.UNLIMITED)
+
+        try {
+            subscriber.start()
+            registerCollector(managers.getValue(SSEStreamKind.TASKS), "tasks-listener", taskEvents)
+
+            eventBus.publish(
+                SystemEvent.ProposalSubmitted(
+                    proposalId = ProposalId("prop-1"),
+                    taskId = TaskId("task-001"),
+                    agentId = AgentId("agent-1"),
+                    timestamp = baseInstant
+                )
+            )
+            runCurrent()
+
+            val event = withTimeout(1_000) { taskEvents.receive() }
+            assertTrue(event.data.contains("\"event\":\"proposalSubmitted\""))
+            assertTrue(event.data.contains("\"proposalId\":\"prop-1\""))
+            val fragment = assertNotNull(event.htmlFragment)
+            assertTrue(fragment.contains("data-event-type=\"proposalSubmitted\""))
+            assertTrue(fragment.contains("data-task-id=\"task-001\""))
+            assertTrue(fragment.contains("data-proposal-id=\"prop-1\""))
+        } finally {
+            try {
+                subscriber.stop()
+            } catch (_: Throwable) {}
+            eventBus.shutdown()
+            taskEvents.close()
+            managers.values.forEach { manager ->
+                try {
+                    manager.shutdown()
+                } catch (_: Throwable) {}
+            }
+            scopes.forEach { scope -> scope.cancel() }
+        }
+    }
+
     @Test
     fun `index metrics and alert events reach respective streams`() = runTest {
         val scopes = mutableListOf<CoroutineScope>()
@@ -266,6 +372,18 @@ class EventBusSubscriberTest {
 
             val aggregateAlert = withTimeout(1_000) { allEvents.receive() }
             assertEquals(alertPayload.data, aggregateAlert.data)
+
+            eventBus.publish(SystemEvent.AgentStatusChanged(AgentId("agent-99"), AgentStatus.OFFLINE, baseInstant))
+            runCurrent()
+
+            val agentPayload = withTimeout(1_000) { metricsEvents.receive() }
+            assertTrue(agentPayload.data.contains("\"event\":\"agentStatusChanged\""))
+            assertTrue(agentPayload.data.contains("\"status\":\"OFFLINE\""))
+            assertNotNull(agentPayload.htmlFragment)
+            assertTrue(agentPayload.htmlFragment!!.contains("data-agent-id=\"agent-99\""))
+
+            val aggregateAgent = withTimeout(1_000) { allEvents.receive() }
+            assertEquals(agentPayload.data, aggregateAgent.data)
         } finally {
             try {
                 subscriber.stop()
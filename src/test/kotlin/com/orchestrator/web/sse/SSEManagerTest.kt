@@ -78,6 +78,95 @@ class SSEManagerTest {
         manager.shutdown()
     }
 
+    @Test
+    fun `resubscribe with last event id replays missed messages`() = runBlocking {
+        val clock = MutableClock()
+        val manager = SSEManager(this, keepAliveInterval = 30.seconds, staleThreshold = JavaDuration.ofSeconds(2), clock = clock::now)
+        val first = SSEEvent.message("first", timestamp = clock.now())
+        val second = SSEEvent.message("second", timestamp = clock.now())
+        val third = SSEEvent.message("third", timestamp = clock.now())
+
+        manager.broadcast(first)
+        manager.broadcast(second)
+        manager.broadcast(third)
+
+        val sender = RecordingSender()
+        manager.subscribe("resume", sender, lastEventId = first.id)
+        delay(10)
+
+        val messages = sender.events.filter { it.type == SSEEventType.MESSAGE }.map { it.data }
+        assertEquals(SSEEventType.CONNECTED, sender.events.first().type)
+        assertEquals(listOf("second", "third"), messages)
+        assertEquals(1, manager.activeConnections)
+
+        manager.broadcast(SSEEvent.message("live", timestamp = clock.now()))
+        delay(10)
+        assertEquals("live", sender.events.last().data)
+        manager.shutdown()
+    }
+
+    @Test
+    fun `resubscribe beyond replay buffer sends resync`() = runBlocking {
+        val clock = MutableClock()
+        val manager = SSEManager(
+            this,
+            keepAliveInterval = 30.seconds,
+            staleThreshold = JavaDuration.ofSeconds(2),
+            clock = clock::now,
+            replayCapacity = 2
+        )
+        val seen = SSEEvent.message("seen", timestamp = clock.now())
+        manager.broadcast(seen)
+        manager.broadcast(SSEEvent.message("evicted", timestamp = clock.now()))
+        manager.broadcast(SSEEvent.message("kept-1", timestamp = clock.now()))
+        manager.broadcast(SSEEvent.message("kept-2", timestamp = clock.now()))
+        assertEquals(2, manager.bufferedEvents)
+
+        val sender = RecordingSender()
+        manager.subscribe("stale", sender, lastEventId = seen.id)
+        delay(10)
+
+        assertTrue(sender.events.any { it.type == SSEEventType.RESYNC })
+        assertTrue(sender.events.none { it.type == SSEEventType.MESSAGE })
+        assertEquals(1, manager.activeConnections)
+        manager.shutdown()
+    }
+
+    @Test
+    fun `unknown last event id sends resync`() = runBlocking {
+        val manager = SSEManager(this, keepAliveInterval = 30.seconds)
+        val sender = RecordingSender()
+
+        manager.subscribe("restart", sender, lastEventId = Long.MAX_VALUE.toString())
+        delay(10)
+
+        assertEquals(SSEEventType.CONNECTED, sender.events.first().type)
+        assertEquals(SSEEventType.RESYNC, sender.events[1].type)
+        manager.shutdown()
+    }
+
+    @Test
+    fun `failed replay closes the connection without registering it`() = runBlocking {
+        val clock = MutableClock()
+        val manager = SSEManager(this, keepAliveInterval = 30.seconds, staleThreshold = JavaDuration.ofSeconds(2), clock = clock::now)
+        val first = SSEEvent.message("first", timestamp = clock.now())
+        manager.broadcast(first)
+        manager.broadcast(SSEEvent.message("second", timestamp = clock.now()))
+
+        val connection = manager.subscribe(
+            "broken",
+            SSEConnection.Sender { event ->
+                if (event.type == SSEEventType.MESSAGE) throw IllegalStateException("client went away")
+            },
+            lastEventId = first.id
+        )
+        delay(10)
+
+        assertTrue(connection.isClosed)
+        assertEquals(0, manager.activeConnections)
+        manager.shutdown()
+    }
+
     private class RecordingSender : SSEConnection.Sender {
         val events = ArrayDeque<SSEEvent>()
         private val maxEvents = 256
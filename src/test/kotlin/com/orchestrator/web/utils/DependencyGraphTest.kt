@@ -0,0 +1,116 @@
+package com.orchestrator.web.utils
+
+import com.orchestrator.domain.AgentId
+import com.orchestrator.domain.RoutingStrategy
+import com.orchestrator.domain.Task
+import com.orchestrator.domain.TaskId
+import com.orchestrator.domain.TaskStatus
+import com.orchestrator.domain.TaskType
+import java.time.Instant
+import kotlin.test.Test
+import kotlin.test.assertEquals
+import kotlin.test.assertTrue
+
+class DependencyGraphTest {
+
+    private fun task(
+        id: String,
+        status: TaskStatus = TaskStatus.PENDING,
+        dependsOn: Set<String> = emptySet(),
+        agent: String = "alpha",
+        createdSecond: Long = 0
+    ) = Task(
+        id = TaskId(id),
+        title = "Task $id",
+        type = TaskType.IMPLEMENTATION,
+        routing = RoutingStrategy.SOLO,
+        status = status,
+        assigneeIds = setOf(AgentId(agent)),
+        dependencies = dependsOn.map { TaskId(it) }.toSet(),
+        createdAt = Instant.parse("2025-01-10T10:00:00Z").plusSeconds(createdSecond)
+    )
+
+    @Test
+    fun `finds cycles and blocks the tasks waiting on them`() {
+        val tasks = listOf(
+            task("A", dependsOn = setOf("B")),
+            task("B", dependsOn = setOf("A")),
+            task("C", dependsOn = setOf("B")),
+            task("D", status = TaskStatus.COMPLETED)
+        )
+
+        val graph = DependencyGraph.build(tasks)
+
+        assertEquals(listOf(setOf(TaskId("A"), TaskId("B"))), graph.cycles.map { it.toSet() })
+        assertEquals(setOf(TaskId("A"), TaskId("B"), TaskId("C")), graph.blocked)
+        assertTrue(graph.isCycleEdge(DependencyGraph.Edge(TaskId("A"), TaskId("B"))))
+        assertTrue(graph.isBlockedEdge(DependencyGraph.Edge(TaskId("B"), TaskId("C"))))
+        // D has no dependencies either way
+        assertEquals(listOf("A", "B", "C"), graph.tasks.map { it.id.value })
+    }
+
+    @Test
+    fun `blocks the whole open chain behind a failed or missing task`() {
+        val tasks = listOf(
+            task("F", status = TaskStatus.FAILED),
+            task("G", dependsOn = setOf("F"), createdSecond = 1),
+            task("H", status = TaskStatus.IN_PROGRESS, dependsOn = setOf("G"), createdSecond = 2),
+            task("I", status = TaskStatus.COMPLETED, dependsOn = setOf("G"), createdSecond = 3),
+            task("J", dependsOn = setOf("GONE"), createdSecond = 4)
+        )
+
+        val graph = DependencyGraph.build(tasks)
+
+        assertEquals(setOf(TaskId("G"), TaskId("H"), TaskId("J")), graph.blocked)
+        assertEquals(setOf(TaskId("GONE")), graph.missing)
+        assertTrue(graph.cycles.isEmpty())
+    }
+
+    @Test
+    fun `filters keep blockers computed over every task`() {
+        val tasks = listOf(
+            task("F", status = TaskStatus.FAILED, agent = "beta"),
+            task("G", dependsOn = setOf("F"), createdSecond = 1)
+        )
+
+        val graph = DependencyGraph.build(tasks, include = { it.assigneeIds.contains(AgentId("alpha")) })
+
+        assertEquals(listOf(TaskId("G")), graph.tasks.map { it.id })
+        assertEquals(setOf(TaskId("G")), graph.blocked)
+        assertTrue(graph.edges.isEmpty())
+    }
+
+    @Test
+    fun `around follows dependencies and dependents transitively`() {
+        val tasks = listOf(
+            task("A"),
+            task("B", dependsOn = setOf("A"), createdSecond = 1),
+            task("C", dependsOn = setOf("B"), createdSecond = 2),
+            task("D", dependsOn = setOf("C"), createdSecond = 3),
+            task("X", dependsOn = setOf("Y"), createdSecond = 4),
+            task("Y", createdSecond = 5)
+        )
+
+        val graph = DependencyGraph.around(tasks, TaskId("B"))
+
+        assertEquals(listOf("A", "B", "C", "D"), graph.tasks.map { it.id.value })
+        assertEquals(TaskId("B"), graph.focus)
+        assertEquals(3, graph.edges.size)
+    }
+
+    @Test
+    fun `mermaid source maps nodes back to tasks and styles problems`() {
+        val tasks = listOf(
+            task("A", status = TaskStatus.FAILED),
+            task("B", dependsOn = setOf("A"), createdSecond = 1)
+        )
+
+        val diagram = MermaidGenerator.buildDependencyGraph(DependencyGraph.build(tasks))
+
+        assertTrue(diagram.source.startsWith("flowchart LR"))
+        assertEquals(setOf(TaskId("A"), TaskId("B")), diagram.nodes.values.toSet())
+        assertTrue(diagram.source.contains("classDef status_FAILED"))
+        assertTrue(diagram.source.contains("blocked"))
+        assertTrue(diagram.source.contains("linkStyle"))
+    }
+}
@@ -0,0 +1,41 @@
+package com.orchestrator.web.utils
+
+import com.orchestrator.web.utils.LineDiff.Kind
+import com.orchestrator.web.utils.LineDiff.Row
+import kotlin.test.Test
+import kotlin.test.assertEquals
+
+class LineDiffTest {
+
+    @Test
+    fun `identical input yields only unchanged rows`() {
+        val rows = LineDiff.sideBySide("a\nb", "a\nb")
+
+        assertEquals(listOf(Row(Kind.SAME, "a", "a"), Row(Kind.SAME, "b", "b")), rows)
+    }
+
+    @Test
+    fun `replaced lines pair up as changed rows`() {
+        val rows = LineDiff.sideBySide(listOf("a", "b", "c"), listOf("a", "x", "c"))
+
+        assertEquals(
+            listOf(Row(Kind.SAME, "a", "a"), Row(Kind.CHANGED, "b", "x"), Row(Kind.SAME, "c", "c")),
+            rows
+        )
+    }
+
+    @Test
+    fun `extra lines on one side are added or removed`() {
+        val rows = LineDiff.sideBySide(listOf("a", "b", "c"), listOf("a", "c", "d"))
+
+        assertEquals(
+            listOf(
+                Row(Kind.SAME, "a", "a"),
+                Row(Kind.REMOVED, "b", null),
+                Row(Kind.SAME, "c", "c"),
+                Row(Kind.ADDED, null, "d")
+            ),
+            rows
+        )
+    }
+}
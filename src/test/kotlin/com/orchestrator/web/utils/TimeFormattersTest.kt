@@ -1,5 +1,6 @@
 package com.orchestrator.web.utils
 
+import java.time.Duration
 import java.time.Instant
 import java.time.ZoneId
 import kotlin.test.Test
@@ -27,4 +28,11 @@ class TimeFormattersTest {
 
         assertEquals("in 2 minutes", relative.humanized)
     }
+
+    @Test
+    fun `formats compact durations`() {
+        assertEquals("45s", TimeFormatters.compactDuration(Duration.ofSeconds(45)))
+        assertEquals("3m 05s", TimeFormatters.compactDuration(Duration.ofSeconds(185)))
+        assertEquals("1h 02m", TimeFormatters.compactDuration(Duration.ofMinutes(62)))
+    }
 }